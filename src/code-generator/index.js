@@ -0,0 +1,112 @@
+/**
+ * 代码生成器入口文件
+ * 负责将任务提示词导出为AI编码工具（Trae/Cursor等）可直接使用的提示词包
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const { isPathInside, toSafeFileName } = require('../utils/path-utils');
+
+class CodeGenerator {
+  constructor(config = {}) {
+    this.config = {
+      outputDir: path.join(__dirname, '../../output'), // 提示词包输出目录
+      ...config
+    };
+  }
+  
+  /**
+   * 导出提示词包：每个任务一个Markdown文件，外加按顺序列出任务的清单
+   * @param {Array} prompts - PromptGenerator 生成的提示词结果数组
+   * @param {Object} options - 导出选项（name: 提示词包名称, title: 清单标题）
+   * @returns {Promise<Object>} - 导出结果 { id, outputDir, files, manifest }
+   */
+  async exportPrompts(prompts, options = {}) {
+    if (!Array.isArray(prompts) || prompts.length === 0) {
+      throw new Error('At least one prompt is required to export');
+    }
+    
+    const id = options.name || `prompts-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    // 名称以字母、数字或下划线开头，排除 . 和 .. 等指向输出目录之外的名称
+    const outputDir = path.join(this.config.outputDir, id);
+    if (!/^\w[\w.-]*$/.test(id) || !isPathInside(this.config.outputDir, outputDir)) {
+      const error = new Error(`Invalid export name: ${id}`);
+      error.code = 'INVALID_EXPORT_NAME';
+      throw error;
+    }
+    
+    // 任务ID来自请求，转换为安全的文件名后再确认写入路径仍在提示词包目录中
+    const files = prompts.map((result, index) => {
+      const fileName = `${String(index + 1).padStart(2, '0')}-${toSafeFileName(result.taskId)}.md`;
+      if (!isPathInside(outputDir, path.join(outputDir, fileName))) {
+        const error = new Error(`Invalid task id for export: ${result.taskId}`);
+        error.code = 'INVALID_EXPORT_NAME';
+        throw error;
+      }
+      
+      return { taskId: result.taskId, editor: result.editor, file: fileName };
+    });
+    
+    await fs.ensureDir(outputDir);
+    
+    console.log(`Exporting ${prompts.length} prompts to ${outputDir}...`);
+    
+    for (const [index, result] of prompts.entries()) {
+      await fs.writeFile(path.join(outputDir, files[index].file), result.prompt, 'utf-8');
+    }
+    
+    const manifest = this.buildManifest(files, options.title);
+    await fs.writeFile(path.join(outputDir, 'README.md'), manifest, 'utf-8');
+    
+    return {
+      id,
+      outputDir,
+      files,
+      manifest,
+      exportedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * 列出已导出的提示词包
+   * @returns {Promise<Array>} - 提示词包数组 [{ id, outputDir, files }]
+   */
+  async listExports() {
+    if (!(await fs.pathExists(this.config.outputDir))) {
+      return [];
+    }
+    
+    const exports = [];
+    for (const entry of await fs.readdir(this.config.outputDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+      
+      const outputDir = path.join(this.config.outputDir, entry.name);
+      const files = (await fs.readdir(outputDir)).filter(file => file.endsWith('.md') && file !== 'README.md');
+      exports.push({ id: entry.name, outputDir, files });
+    }
+    
+    return exports;
+  }
+  
+  /**
+   * 生成提示词包清单
+   * @param {Array} files - 导出的文件信息
+   * @param {string} title - 清单标题
+   * @returns {string} - Markdown文本
+   */
+  buildManifest(files, title) {
+    const lines = [`# ${title || '任务提示词'}`, ''];
+    
+    lines.push('按顺序将以下提示词发送给AI编码工具，每完成一个任务后检查生成的代码再继续下一个。');
+    lines.push('');
+    for (const item of files) {
+      lines.push(`- [${item.taskId}](./${item.file})（${item.editor}）`);
+    }
+    
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = CodeGenerator;
@@ -0,0 +1,221 @@
+/**
+ * 索引性能基准测试
+ * 生成包含数千个文件的合成代码库，比较不同工作线程数下索引和构建依赖图谱的耗时
+ *
+ * 用法：node src/code-mapping-engine/benchmark/index-benchmark.js [--files 3000] [--concurrency 1,4]
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const CodebaseIndexer = require('../modules/codebase-indexer');
+const DependencyAnalyzer = require('../modules/dependency-analyzer');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} - { files, concurrency }
+ */
+function parseArgs(argv) {
+  const options = {
+    files: 3000,
+    concurrency: [...new Set([1, Math.min(os.cpus().length, 4)])]
+  };
+  
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i] === '--files') {
+      options.files = parseInt(argv[i + 1], 10);
+    } else if (argv[i] === '--concurrency') {
+      options.concurrency = argv[i + 1].split(',').map(value => parseInt(value, 10));
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * 生成合成文件的内容，轮流生成服务、控制器、React组件和TS类型文件
+ * @param {number} index - 文件序号
+ * @returns {Object} - { relativePath, content }
+ */
+function generateFile(index) {
+  const module = `module${Math.floor(index / 100)}`;
+  
+  // 服务文件依次依赖上一个服务文件，第一个服务文件依赖自身的辅助函数
+  const previous = Math.max(index - 4, 0);
+  const previousRequire = index >= 4
+    ? `const { helper${previous} } = require('../../module${Math.floor(previous / 100)}/services/service${previous}');\n`
+    : '';
+  
+  switch (index % 4) {
+    case 0:
+      return {
+        relativePath: `${module}/services/service${index}.js`,
+        content: `${previousRequire}
+
+/**
+ * 查询订单${index}的详情
+ * @param {string} id - 订单ID
+ * @returns {Promise<Object>} - 订单详情
+ */
+async function getOrder${index}(id) {
+  const order = await helper${previous}(id);
+  return formatOrder${index}(order);
+}
+
+// 格式化订单数据
+function formatOrder${index}(order) {
+  return { ...order, label: '订单${index}' };
+}
+
+function helper${index}(id) {
+  return Promise.resolve({ id });
+}
+
+module.exports = { getOrder${index}, helper${index} };
+`
+      };
+    case 1:
+      return {
+        relativePath: `${module}/controllers/controller${index}.js`,
+        content: `const express = require('express');
+const { getOrder${index - 1} } = require('../services/service${index - 1}');
+
+const router = express.Router();
+
+/**
+ * 获取订单详情接口
+ */
+router.get('/orders${index}/:id', async (req, res) => {
+  res.json(await getOrder${index - 1}(req.params.id));
+});
+
+module.exports = router;
+`
+      };
+    case 2:
+      return {
+        relativePath: `${module}/components/Card${index}.jsx`,
+        content: `import React, { useState } from 'react';
+
+/**
+ * 订单卡片${index}
+ */
+export default function Card${index}({ title, onSelect }) {
+  const [open, setOpen] = useState(false);
+  
+  const handleClick = () => {
+    setOpen(!open);
+    onSelect(title);
+  };
+  
+  return <div onClick={handleClick}>{open ? title : '展开订单'}</div>;
+}
+`
+      };
+    default:
+      return {
+        relativePath: `${module}/types/order${index}.ts`,
+        content: `/** 订单状态 */
+export enum OrderStatus${index} {
+  Pending = 'pending',
+  Paid = 'paid'
+}
+
+/** 订单${index} */
+export interface Order${index} {
+  /** 订单ID */
+  id: string;
+  status: OrderStatus${index};
+  amount: number;
+}
+
+export function createOrder${index}(amount: number): Order${index} {
+  return { id: String(Date.now()), status: OrderStatus${index}.Pending, amount };
+}
+`
+      };
+  }
+}
+
+/**
+ * 在临时目录中生成合成代码库
+ * @param {number} fileCount - 文件数
+ * @returns {Promise<string>} - 代码库路径
+ */
+async function generateCodebase(fileCount) {
+  const rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'code-index-benchmark-'));
+  
+  for (let i = 0; i < fileCount; i++) {
+    const { relativePath, content } = generateFile(i);
+    const filePath = path.join(rootPath, relativePath);
+    
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+  
+  return rootPath;
+}
+
+/**
+ * 以指定的工作线程数索引代码库并构建依赖图谱
+ * @param {string} rootPath - 代码库路径
+ * @param {number} concurrency - 工作线程数
+ * @returns {Promise<Object>} - { indexMs, graphMs, files, edges }
+ */
+async function runBenchmark(rootPath, concurrency) {
+  const indexer = new CodebaseIndexer({ concurrency });
+  const dependencyAnalyzer = new DependencyAnalyzer();
+  
+  const indexStart = performance.now();
+  const codeIndex = await indexer.indexCodebase(rootPath);
+  const graphStart = performance.now();
+  const dependencyGraph = await dependencyAnalyzer.buildDependencyGraph(codeIndex, { rootPath });
+  const graphEnd = performance.now();
+  
+  return {
+    indexMs: graphStart - indexStart,
+    graphMs: graphEnd - graphStart,
+    files: codeIndex.metadata.totalFiles,
+    edges: dependencyGraph.metadata.edgeCount
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  console.log(`Generating synthetic codebase with ${options.files} files...`);
+  const rootPath = await generateCodebase(options.files);
+  
+  try {
+    const results = [];
+    
+    for (const concurrency of options.concurrency) {
+      results.push({ concurrency, ...await runBenchmark(rootPath, concurrency) });
+    }
+    
+    const baseline = results[0].indexMs + results[0].graphMs;
+    
+    console.log(`\nCPUs: ${os.cpus().length}, files: ${options.files}`);
+    console.log('concurrency  index(ms)  graph(ms)  total(ms)  speed-up  edges');
+    for (const result of results) {
+      const total = result.indexMs + result.graphMs;
+      console.log([
+        String(result.concurrency).padStart(11),
+        result.indexMs.toFixed(0).padStart(10),
+        result.graphMs.toFixed(0).padStart(10),
+        total.toFixed(0).padStart(10),
+        `${(baseline / total).toFixed(2)}x`.padStart(9),
+        String(result.edges).padStart(6)
+      ].join(' '));
+    }
+  } finally {
+    await fs.rm(rootPath, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exitCode = 1;
+});
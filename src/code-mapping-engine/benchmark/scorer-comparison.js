@@ -0,0 +1,96 @@
+/**
+ * 排序函数对比
+ * 在指定代码库上用不同的排序函数执行同一组查询，并列出各自排名靠前的代码元素
+ *
+ * 用法：node src/code-mapping-engine/benchmark/scorer-comparison.js <代码库路径> <查询>... [--scorers tfidf,bm25,bm25f] [--limit 5]
+ */
+
+const path = require('path');
+const CodebaseIndexer = require('../modules/codebase-indexer');
+const SemanticAnalyzer = require('../modules/semantic-analyzer');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} - { codebasePath, queries, scorers, limit }
+ */
+function parseArgs(argv) {
+  const options = {
+    codebasePath: null,
+    queries: [],
+    scorers: ['tfidf', 'bm25', 'bm25f'],
+    limit: 5
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--scorers') {
+      options.scorers = argv[++i].split(',');
+    } else if (argv[i] === '--limit') {
+      options.limit = parseInt(argv[++i], 10);
+    } else if (!options.codebasePath) {
+      options.codebasePath = path.resolve(argv[i]);
+    } else {
+      options.queries.push(argv[i]);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * 获取代码元素的显示名称
+ * @param {Object} result - 查询结果
+ * @param {string} rootPath - 代码库路径
+ * @returns {string} - 显示名称
+ */
+function describeResult(result, rootPath) {
+  const filePath = path.relative(rootPath, result.item.filePath);
+  return result.type === 'file' ? filePath : `${result.type} ${result.item.name} (${filePath})`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  if (!options.codebasePath || options.queries.length === 0) {
+    console.error('Usage: scorer-comparison.js <codebasePath> <query>... [--scorers tfidf,bm25,bm25f] [--limit 5]');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const codeIndex = await new CodebaseIndexer().indexCodebase(options.codebasePath);
+  
+  // 分词结果与排序函数无关，第一次分析后复用词元
+  let previousTokens = {};
+  const unchangedFiles = new Set(codeIndex.files.map(file => file.path));
+  const analyzers = [];
+  
+  for (const scorer of options.scorers) {
+    const analyzer = new SemanticAnalyzer({ scorer });
+    await analyzer.analyzeCodebase(codeIndex, { previousTokens, unchangedFiles });
+    previousTokens = analyzer.exportTokens();
+    analyzers.push({ scorer, analyzer });
+  }
+  
+  for (const query of options.queries) {
+    console.log(`\nQuery: ${query}`);
+    
+    for (const { scorer, analyzer } of analyzers) {
+      const results = analyzer.findSimilarElements(query, { threshold: 0, limit: options.limit })
+        .filter(result => result.similarity > 0);
+      
+      console.log(`  [${scorer}]`);
+      if (results.length === 0) {
+        console.log('    (no matches)');
+      }
+      results.forEach((result, index) => {
+        const terms = result.matchedTerms.slice(0, 3).map(term => term.term).join(', ');
+        console.log(`    ${index + 1}. ${result.similarity.toFixed(3)}  ${describeResult(result, options.codebasePath)}  [${terms}]`);
+      });
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Scorer comparison failed:', error);
+  process.exitCode = 1;
+});
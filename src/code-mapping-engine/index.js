@@ -3,17 +3,26 @@
  * 负责协调各个模块的工作，提供统一的API接口
  */
 
+const fs = require('fs');
+const path = require('path');
 const CodebaseIndexer = require('./modules/codebase-indexer');
 const SemanticAnalyzer = require('./modules/semantic-analyzer');
 const MappingAlgorithm = require('./modules/mapping-algorithm');
 const DependencyAnalyzer = require('./modules/dependency-analyzer');
 const ChangePredictor = require('./modules/change-predictor');
+const IndexCache = require('./modules/index-cache');
+const Glossary = require('./modules/glossary');
 
 class CodeMappingEngine {
   constructor(config = {}) {
     this.config = {
-      indexDepth: 3,
-      similarityThreshold: 0.7,
+      indexDepth: null, // 目录的最大扫描深度，null 表示不限制
+      similarityThreshold: null, // 相似度阈值，null 时使用排序函数的默认阈值
+      scorer: 'tfidf', // 语义搜索的排序函数：tfidf、bm25、bm25f
+      embeddingProvider: null, // 嵌入向量提供者：hashing 或提供者模块路径，null 时不使用向量检索
+      cache: true, // 是否使用磁盘索引缓存
+      watch: false, // 初始化后是否监听代码库变化并增量更新索引
+      watchDebounce: 500, // 合并文件变化事件的等待时间（毫秒）
       ...config
     };
     
@@ -22,31 +31,233 @@ class CodeMappingEngine {
     this.mappingAlgorithm = new MappingAlgorithm(this.config);
     this.dependencyAnalyzer = new DependencyAnalyzer(this.config);
     this.changePredictor = new ChangePredictor(this.config);
+    this.indexCache = new IndexCache(this.config);
+    this.glossary = new Glossary(this.config);
     
+    this.codebasePath = null;
     this.codeIndex = null;
     this.dependencyGraph = null;
+    this.indexVersion = 0; // 索引版本，每次初始化或更新索引后递增
+    
+    this.watcher = null;
+    this.watchTimer = null;
+    this.pendingChanges = new Set();
+    this.pendingFullRefresh = false;
+    this.updating = Promise.resolve();
   }
   
   /**
    * 初始化代码映射引擎
    * @param {string} codebasePath - 代码库路径
+   * @param {Object} options - 选项（watch: 是否监听代码库变化，默认使用配置）
    * @returns {Promise<void>}
    */
-  async initialize(codebasePath) {
+  async initialize(codebasePath, options = {}) {
     console.log(`Initializing code mapping engine for ${codebasePath}...`);
     
-    // 索引代码库
-    this.codeIndex = await this.codebaseIndexer.indexCodebase(codebasePath);
+    // 切换代码库前停止监听
+    this.unwatch();
+    
+    // 读取上次的索引缓存
+    const cache = this.config.cache ? await this.indexCache.load(codebasePath) : null;
+    const tokenizerSignature = this.semanticAnalyzer.getTokenizerSignature();
+    const embeddingSignature = this.semanticAnalyzer.getEmbeddingSignature();
+    
+    // 索引代码库，未变化的文件复用缓存
+    this.codeIndex = await this.codebaseIndexer.indexCodebase(codebasePath, cache ? cache.files : {});
+    
+    const { added, modified } = this.codeIndex.metadata.changes;
+    const changedFiles = new Set([...added, ...modified]);
+    const unchangedFiles = new Set(
+      this.codeIndex.files.map(file => file.path).filter(filePath => !changedFiles.has(filePath))
+    );
+    
+    // 分析代码语义，分词和嵌入向量配置未变时复用未变化文件的词元和向量
+    await this.semanticAnalyzer.analyzeCodebase(this.codeIndex, {
+      previousTokens: cache && cache.tokenizerSignature === tokenizerSignature ? cache.tokens : {},
+      previousEmbeddings: cache && embeddingSignature && cache.embeddingSignature === embeddingSignature ? cache.embeddings : {},
+      unchangedFiles
+    });
     
-    // 分析代码语义
-    await this.semanticAnalyzer.analyzeCodebase(this.codeIndex);
+    // 构建依赖图谱（导入和调用信息已随文件索引提取，导入路径按工作区、tsconfig 和别名配置解析）
+    // 没有文件增删改时复用缓存的图谱
+    const { removed } = this.codeIndex.metadata.changes;
+    const cachedGraph = cache && changedFiles.size === 0 && removed.length === 0 ? cache.graph : null;
+    this.dependencyGraph = await this.dependencyAnalyzer.buildDependencyGraph(this.codeIndex, {
+      rootPath: codebasePath,
+      cachedGraph
+    });
     
-    // 构建依赖图谱
-    this.dependencyGraph = await this.dependencyAnalyzer.buildDependencyGraph(this.codeIndex);
+    // 读取代码库的术语表
+    await this.glossary.load(codebasePath);
+    
+    this.codebasePath = codebasePath;
+    this.indexVersion++;
+    
+    // 保存索引缓存
+    if (this.config.cache) {
+      await this.saveIndexCache(codebasePath, tokenizerSignature);
+    }
+    
+    if (options.watch !== undefined ? options.watch : this.config.watch) {
+      this.watch();
+    }
     
     console.log('Code mapping engine initialized successfully.');
   }
   
+  /**
+   * 更新索引：重新解析变化的文件，更新其TF-IDF向量和依赖图谱中的边，移除已删除的文件
+   * 传入 null 时重新扫描整个代码库（未变化的文件同样复用）
+   * @param {Array<string>|null} changedPaths - 变化的文件或目录的绝对路径
+   * @returns {Promise<boolean>} - 索引是否发生变化
+   */
+  async updateIndex(changedPaths = null) {
+    if (!this.codeIndex) {
+      throw new Error('Code mapping engine not initialized. Call initialize() first.');
+    }
+    
+    const previousTokens = this.semanticAnalyzer.exportTokens();
+    const previousEmbeddings = this.semanticAnalyzer.exportEmbeddings();
+    const codeIndex = changedPaths
+      ? await this.codebaseIndexer.updateFiles(changedPaths)
+      : await this.codebaseIndexer.indexCodebase(
+        this.codebasePath,
+        Object.fromEntries(this.codeIndex.files.map(file => [file.path, file]))
+      );
+    
+    const { added, modified, removed } = codeIndex.metadata.changes;
+    if (added.length + modified.length + removed.length === 0) {
+      this.codeIndex = codeIndex;
+      return false;
+    }
+    
+    const changedFiles = new Set([...added, ...modified]);
+    const unchangedFiles = new Set(
+      codeIndex.files.map(file => file.path).filter(filePath => !changedFiles.has(filePath))
+    );
+    
+    // 依赖图谱和语义索引都构建到新的实例中，完成后与代码索引一起替换
+    // 进行中的映射请求继续使用旧的实例，不会读到重建了一半的TF-IDF模型
+    const dependencyGraph = await this.dependencyAnalyzer.buildDependencyGraph(codeIndex, { rootPath: this.codebasePath });
+    const semanticAnalyzer = new SemanticAnalyzer(this.config);
+    await semanticAnalyzer.analyzeCodebase(codeIndex, { previousTokens, previousEmbeddings, unchangedFiles });
+    
+    this.codeIndex = codeIndex;
+    this.dependencyGraph = dependencyGraph;
+    this.semanticAnalyzer = semanticAnalyzer;
+    this.indexVersion++;
+    
+    if (this.config.cache) {
+      await this.saveIndexCache(this.codebasePath, this.semanticAnalyzer.getTokenizerSignature());
+    }
+    
+    console.log(`Index version ${this.indexVersion}: ${added.length} added, ${modified.length} modified, ${removed.length} removed.`);
+    
+    return true;
+  }
+  
+  /**
+   * 监听代码库变化，文件变化事件在 watchDebounce 毫秒内没有新事件时合并处理
+   * 排除目录（如 node_modules、.git）中的事件忽略，.gitignore 变化时重新扫描整个代码库，术语表变化时重新读取术语表
+   */
+  watch() {
+    if (!this.codebasePath) {
+      throw new Error('Code mapping engine not initialized. Call initialize() first.');
+    }
+    if (this.watcher) {
+      return;
+    }
+    
+    this.watcher = fs.watch(this.codebasePath, { recursive: true }, (eventType, fileName) => {
+      if (!fileName) {
+        // 无法确定变化的文件时重新扫描
+        this.pendingFullRefresh = true;
+      } else {
+        const relativePath = fileName.toString();
+        const segments = relativePath.split(path.sep);
+        
+        if (segments.some(segment => this.codebaseIndexer.config.excludeDirs.includes(segment))) {
+          return;
+        }
+        if (path.basename(relativePath) === '.gitignore') {
+          this.pendingFullRefresh = true;
+        }
+        if (path.join(this.codebasePath, relativePath) === this.glossary.getFilePath()) {
+          // 术语表被手工编辑或通过接口修改后重新读取，不影响代码索引
+          this.glossary.load(this.codebasePath).catch(error => console.error('Error reloading glossary:', error));
+          return;
+        }
+        
+        this.pendingChanges.add(path.join(this.codebasePath, relativePath));
+      }
+      
+      clearTimeout(this.watchTimer);
+      this.watchTimer = setTimeout(() => this.flushChanges(), this.config.watchDebounce);
+    });
+    this.watcher.on('error', (error) => {
+      console.error('Error watching codebase:', error);
+    });
+    
+    console.log(`Watching ${this.codebasePath} for changes...`);
+  }
+  
+  /**
+   * 停止监听代码库变化
+   */
+  unwatch() {
+    if (!this.watcher) {
+      return;
+    }
+    
+    this.watcher.close();
+    this.watcher = null;
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+    this.pendingChanges.clear();
+    this.pendingFullRefresh = false;
+  }
+  
+  /**
+   * 处理累积的文件变化，更新依次执行，避免并发修改索引
+   * @returns {Promise<void>}
+   */
+  flushChanges() {
+    const changedPaths = [...this.pendingChanges];
+    const fullRefresh = this.pendingFullRefresh;
+    
+    this.pendingChanges.clear();
+    this.pendingFullRefresh = false;
+    
+    this.updating = this.updating
+      .then(() => this.updateIndex(fullRefresh ? null : changedPaths))
+      .catch(error => console.error('Error updating code index:', error));
+    
+    return this.updating;
+  }
+  
+  /**
+   * 保存索引缓存，写入失败不影响引擎使用
+   * @param {string} codebasePath - 代码库路径
+   * @param {string} tokenizerSignature - 分词配置签名
+   * @returns {Promise<void>}
+   */
+  async saveIndexCache(codebasePath, tokenizerSignature) {
+    try {
+      const cacheFile = await this.indexCache.save(codebasePath, {
+        files: Object.fromEntries(this.codeIndex.files.map(file => [file.path, file])),
+        tokens: this.semanticAnalyzer.exportTokens(),
+        tokenizerSignature,
+        embeddings: this.semanticAnalyzer.exportEmbeddings(),
+        embeddingSignature: this.semanticAnalyzer.getEmbeddingSignature(),
+        graph: { signature: this.dependencyAnalyzer.getSignature(), ...this.dependencyGraph.toJSON() }
+      });
+      console.log(`Index cache saved to ${cacheFile}.`);
+    } catch (error) {
+      console.error('Error saving index cache:', error);
+    }
+  }
+  
   /**
    * 将任务映射到代码位置
    * @param {Object} task - 任务对象
@@ -59,10 +270,34 @@ class CodeMappingEngine {
     
     console.log(`Mapping task "${task.title}" to code...`);
     
+    // 记录映射所基于的索引版本
+    const indexVersion = this.indexVersion;
+    
     // 使用映射算法将任务映射到代码
-    const mappingResults = await this.mappingAlgorithm.mapTask(task, this.codeIndex, this.dependencyGraph);
+    const mappingResults = await this.mappingAlgorithm.mapTask(
+      task,
+      this.codeIndex,
+      this.dependencyGraph,
+      this.semanticAnalyzer,
+      this.glossary
+    );
     
-    return mappingResults;
+    return mappingResults.map(result => ({ ...result, indexVersion }));
+  }
+  
+  /**
+   * 从代码索引中挖掘术语表建议：注释中的中文术语与代码标识符的共现关系，供人工确认后加入术语表
+   * @returns {Array} - 术语建议数组
+   */
+  suggestGlossaryEntries() {
+    if (!this.codeIndex) {
+      throw new Error('Code mapping engine not initialized. Call initialize() first.');
+    }
+    
+    return this.glossary.mineSuggestions(this.codeIndex, {
+      dictionary: this.semanticAnalyzer.chineseDictionary,
+      termBridge: this.semanticAnalyzer.termBridge
+    });
   }
   
   /**
@@ -89,6 +324,8 @@ class CodeMappingEngine {
    * @returns {Promise<Object>} - 代码修改建议
    */
   async generateCodeModificationSuggestions(task) {
+    const indexVersion = this.indexVersion;
+    
     // 映射任务到代码
     const mappingResults = await this.mapTaskToCode(task);
     
@@ -97,16 +334,17 @@ class CodeMappingEngine {
     
     // 生成修改建议
     const suggestions = {
+      indexVersion,
       mappingResults,
       changeImpact,
       modificationPlan: {
-        filesToModify: mappingResults.map(result => result.filePath),
+        filesToModify: changeImpact.filesToModify,
         suggestedChanges: mappingResults.map(result => ({
-          filePath: result.filePath,
-          location: result.location,
+          filePath: result.codeElement.filePath,
+          location: result.codeElement.location,
           suggestion: `Implement ${task.title} here`
         })),
-        potentialImpact: changeImpact.impactedFiles.length
+        potentialImpact: changeImpact.impactAnalysis.impactedFiles.length
       }
     };
     
@@ -0,0 +1,207 @@
+/**
+ * 代码映射引擎的索引缓存和增量更新测试
+ * 使用缓存增量初始化和增量更新索引的结果应与不使用缓存重新构建的结果一致
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CodeMappingEngine = require('./index');
+const DependencyGraph = require('./modules/dependency-graph');
+
+const FILES = {
+  'src/utils/token.js': [
+    '/** 校验访问令牌 */',
+    'function verifyToken(token) { return Boolean(token); }',
+    'module.exports = { verifyToken };'
+  ],
+  'src/services/user.js': [
+    "const { verifyToken } = require('../utils/token');",
+    '/** 获取用户信息 */',
+    'function getUser(token) { return verifyToken(token) ? { id: 1 } : null; }',
+    'module.exports = { getUser };'
+  ],
+  'src/services/auth.js': [
+    "import { getUser } from './user';",
+    'export class AuthService {',
+    '  /** 用户登录 */',
+    '  login(token) { return getUser(token); }',
+    '}'
+  ]
+};
+
+/**
+ * 获取引擎索引的可比较快照：依赖图谱的节点和边、语义索引的向量
+ * @param {CodeMappingEngine} engine - 已初始化的引擎
+ * @returns {Object} - 快照
+ */
+function snapshot(engine) {
+  const { nodes, edges } = engine.dependencyGraph.toJSON();
+  const semanticIndex = engine.semanticAnalyzer.semanticIndex;
+  const vectors = Object.keys(semanticIndex).flatMap(type =>
+    Object.entries(semanticIndex[type]).map(([id, item]) => [id, item.vector])
+  );
+  
+  return {
+    nodes: Object.entries(nodes).sort(([a], [b]) => a.localeCompare(b)),
+    edges: edges.map(edge => JSON.stringify(edge)).sort(),
+    vectors: vectors.sort(([a], [b]) => a.localeCompare(b))
+  };
+}
+
+describe('CodeMappingEngine index cache', () => {
+  let tempDir;
+  let codebasePath;
+  let cacheDir;
+  
+  /**
+   * 使用缓存初始化引擎，并与不使用缓存的引擎比较
+   * @returns {Promise<Object>} - { cached, fresh }
+   */
+  const initializeBoth = async () => {
+    const cached = new CodeMappingEngine({ cacheDir });
+    await cached.initialize(codebasePath);
+    
+    const fresh = new CodeMappingEngine({ cache: false });
+    await fresh.initialize(codebasePath);
+    
+    return { cached, fresh };
+  };
+  
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-index-'));
+    codebasePath = path.join(tempDir, 'app');
+    cacheDir = path.join(tempDir, 'cache');
+    
+    for (const [filePath, lines] of Object.entries(FILES)) {
+      await fs.outputFile(path.join(codebasePath, filePath), `${lines.join('\n')}\n`);
+    }
+  });
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+  
+  test('restores the dependency graph from the cache when nothing changed', async () => {
+    await initializeBoth();
+    const fromJSON = jest.spyOn(DependencyGraph, 'fromJSON');
+    
+    const { cached, fresh } = await initializeBoth();
+    
+    expect(cached.codeIndex.metadata.changes.unchanged).toBe(3);
+    expect(fromJSON).toHaveBeenCalledTimes(1);
+    expect(cached.dependencyGraph.edges.size).toBeGreaterThan(0);
+    expect(snapshot(cached)).toEqual(snapshot(fresh));
+  });
+  
+  test('matches a fresh build after files are modified, added and removed', async () => {
+    await initializeBoth();
+    
+    await fs.appendFile(
+      path.join(codebasePath, 'src/services/user.js'),
+      'function refreshUser(token) { return verifyToken(token); }\n'
+    );
+    await fs.outputFile(
+      path.join(codebasePath, 'src/services/order.js'),
+      "import { getUser } from './user';\nexport function createOrder(token) { return getUser(token); }\n"
+    );
+    await fs.remove(path.join(codebasePath, 'src/utils/token.js'));
+    
+    const { cached, fresh } = await initializeBoth();
+    const changes = cached.codeIndex.metadata.changes;
+    
+    expect(changes.added).toEqual([path.join(codebasePath, 'src/services/order.js')]);
+    expect(changes.modified).toEqual([path.join(codebasePath, 'src/services/user.js')]);
+    expect(changes.removed).toEqual([path.join(codebasePath, 'src/utils/token.js')]);
+    expect(snapshot(cached)).toEqual(snapshot(fresh));
+  });
+  
+  test('rebuilds the graph when the module resolution config changes', async () => {
+    await initializeBoth();
+    await fs.outputJson(path.join(codebasePath, 'tsconfig.json'), {
+      compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } }
+    });
+    
+    const fromJSON = jest.spyOn(DependencyGraph, 'fromJSON');
+    
+    const { cached, fresh } = await initializeBoth();
+    
+    expect(cached.codeIndex.metadata.changes.unchanged).toBe(3);
+    expect(fromJSON).not.toHaveBeenCalled();
+    expect(snapshot(cached)).toEqual(snapshot(fresh));
+  });
+});
+
+describe('CodeMappingEngine.updateIndex', () => {
+  let tempDir;
+  let engine;
+  
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-update-'));
+    
+    for (const [filePath, lines] of Object.entries(FILES)) {
+      await fs.outputFile(path.join(tempDir, filePath), `${lines.join('\n')}\n`);
+    }
+    
+    engine = new CodeMappingEngine({ cache: false, watchDebounce: 50 });
+    await engine.initialize(tempDir);
+  });
+  
+  afterEach(async () => {
+    engine.unwatch();
+    await engine.updating;
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+  
+  test('swaps in a new semantic index and leaves the previous one intact', async () => {
+    const previousAnalyzer = engine.semanticAnalyzer;
+    const previousIndex = JSON.stringify(previousAnalyzer.semanticIndex);
+    const orderFile = path.join(tempDir, 'src/services/order.js');
+    await fs.outputFile(orderFile, '/** 创建订单 */\nexport function createOrder(items) { return items; }\n');
+    
+    expect(await engine.updateIndex([orderFile])).toBe(true);
+    
+    expect(engine.indexVersion).toBe(2);
+    expect(engine.semanticAnalyzer).not.toBe(previousAnalyzer);
+    expect(JSON.stringify(previousAnalyzer.semanticIndex)).toBe(previousIndex);
+    expect(Object.keys(engine.semanticAnalyzer.semanticIndex.functions)).toContain(`function:${orderFile}:createOrder`);
+    expect(engine.dependencyGraph.getNode(`file:${orderFile}`)).toBeTruthy();
+    
+    const fresh = new CodeMappingEngine({ cache: false });
+    await fresh.initialize(tempDir);
+    expect(snapshot(engine)).toEqual(snapshot(fresh));
+  });
+  
+  test('keeps the current index when nothing changed', async () => {
+    const previousAnalyzer = engine.semanticAnalyzer;
+    
+    expect(await engine.updateIndex()).toBe(false);
+    expect(engine.semanticAnalyzer).toBe(previousAnalyzer);
+    expect(engine.indexVersion).toBe(1);
+  });
+  
+  test('updates the index after a watched file changes', async () => {
+    engine.watch();
+    await fs.outputFile(
+      path.join(tempDir, 'src/services/order.js'),
+      '/** 创建订单 */\nexport function createOrder(items) { return items; }\n'
+    );
+    
+    // 等待防抖后的更新完成
+    const deadline = Date.now() + 5000;
+    while (engine.indexVersion === 1 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await engine.updating;
+    }
+    
+    const results = await engine.mapTaskToCode({ title: '创建订单' });
+    
+    expect(engine.indexVersion).toBe(2);
+    expect(results[0]).toMatchObject({ indexVersion: 2 });
+    expect(results.map(result => result.codeElement.name)).toContain('createOrder');
+  });
+});
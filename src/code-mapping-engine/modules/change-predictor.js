@@ -3,6 +3,8 @@
  * 负责预测代码变更的影响范围，生成变更计划
  */
 
+const { getFileId, createSymbolId } = require('../utils/symbol-utils');
+
 class ChangePredictor {
   constructor(config = {}) {
     this.config = {
@@ -59,7 +61,16 @@ class ChangePredictor {
    * @returns {string} - 元素ID
    */
   getElementId(codeElement) {
-    return `${codeElement.type}:${codeElement.filePath}:${codeElement.name}`;
+    if (codeElement.id) {
+      return codeElement.id;
+    }
+    
+    // 调用方传入的代码元素可能没有ID，按类型、路径和名称构造（名称视为限定名）
+    if (codeElement.type === 'file') {
+      return getFileId(codeElement.filePath);
+    }
+    
+    return createSymbolId(codeElement.type, codeElement.filePath, codeElement.qualifiedName || codeElement.name);
   }
   
   /**
@@ -4,71 +4,191 @@
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
+const { containsChinese } = require('../utils/chinese-utils');
+const {
+  isComponentName,
+  isClassComponent,
+  containsJsx,
+  getHooks,
+  getRenderedComponents,
+  getTypeMemberNames,
+  getFunctionComponentProps,
+  getClassComponentProps,
+  getObjectKeys
+} = require('../utils/react-utils');
+const {
+  getKeyName,
+  isCommonJsExports,
+  getFunctionName,
+  getExportType,
+  describeParam,
+  isIndexableFunction,
+  getQualifiedName,
+  getImportBindings,
+  getRequireBindings,
+  getExportBindings
+} = require('../utils/ast-utils');
+const { assignSymbolIds } = require('../utils/symbol-utils');
+const {
+  parseRouteCall,
+  parseMountCall,
+  parseRouterPrefix,
+  matchRoutePath
+} = require('../utils/http-route-utils');
+const {
+  getTypeFields,
+  getEnumMembers,
+  getInterfaceExtends,
+  getTypeReferences
+} = require('../utils/type-utils');
+const { parseDocComments } = require('../utils/jsdoc-utils');
+const {
+  parseSfc,
+  getTemplateComponents,
+  getTemplateTexts,
+  getComponentOptionsObject,
+  getOptionsInfo,
+  getMacroInfo,
+  getSfcComponentName
+} = require('../utils/vue-utils');
+const { createGlobMatcher, parseGitignore, isIgnored } = require('../utils/glob-utils');
+const { mapWithConcurrency } = require('../utils/async-utils');
+const RouteResolver = require('./route-resolver');
+const ParsePool = require('./parse-pool');
+
+// 同时读取的文件数
+const FILE_READ_CONCURRENCY = 16;
+
+// 前置注释可能挂在这些外层节点上（如 const 声明、export 语句、对象属性）
+const COMMENT_CONTAINERS = [
+  'ExportNamedDeclaration',
+  'ExportDefaultDeclaration',
+  'VariableDeclarator',
+  'VariableDeclaration',
+  'ObjectProperty',
+  'ClassProperty',
+  'ClassPrivateProperty',
+  'AssignmentExpression',
+  'CallExpression',
+  'ExpressionStatement'
+];
 
 class CodebaseIndexer {
   constructor(config = {}) {
     this.config = {
-      excludeDirs: ['node_modules', '.git', 'dist', 'build'],
-      fileExtensions: ['.js', '.jsx', '.ts', '.tsx'],
-      indexDepth: 3,
+      excludeDirs: ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.nuxt', 'storybook-static'],
+      fileExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue'],
+      include: [], // 只索引匹配的文件（相对于代码库根目录的 glob 模式），为空时索引所有文件
+      exclude: [], // 排除匹配的文件和目录（glob 模式）
+      respectGitignore: true, // 是否跳过 .gitignore 忽略的文件和目录
+      maxFileSize: 1024 * 1024, // 单个文件的最大字节数，超过的文件不索引
+      followSymlinks: false, // 是否跟随符号链接
+      indexDepth: null, // 目录的最大扫描深度，null 表示不限制
+      concurrency: Math.min(os.cpus().length, 4), // 解析文件的工作线程数，1 表示在主线程中解析
+      parallelThreshold: 200, // 需要解析的文件数达到该值时才启动工作线程
       ...config
     };
     
-    this.codeIndex = {
-      files: [],
-      functions: [],
-      classes: [],
-      metadata: {
-        indexedAt: null,
-        totalFiles: 0,
-        totalFunctions: 0,
-        totalClasses: 0
-      }
-    };
+    this.codeIndex = this.createEmptyIndex();
+    
+    this.routeResolver = new RouteResolver({
+      moduleExtensions: this.config.fileExtensions
+    });
   }
   
   /**
    * 索引代码库
+   * 传入上次的文件索引时，修改时间或内容哈希未变的文件直接复用，只重新解析新增和修改的文件
    * @param {string} codebasePath - 代码库路径
+   * @param {Object} previousFiles - 上次的文件索引（文件路径 -> 文件索引对象）
    * @returns {Promise<Object>} - 代码索引对象
    */
-  async indexCodebase(codebasePath) {
+  async indexCodebase(codebasePath, previousFiles = {}) {
     console.log(`Indexing codebase at ${codebasePath}...`);
     
     // 重置索引
     this.resetIndex();
+    this.previousFiles = previousFiles;
     
     // 扫描文件
+    this.rootPath = codebasePath;
+    this.includeMatcher = this.config.include.length > 0 ? createGlobMatcher(this.config.include) : null;
+    this.excludeMatcher = createGlobMatcher(this.config.exclude);
+    this.realRootPath = await fs.realpath(codebasePath);
+    this.scannedFiles = [];
     await this.scanDirectory(codebasePath);
+    await this.indexFiles(this.scannedFiles);
+    
+    // 上次存在但本次未扫描到的文件视为已删除
+    const indexedPaths = new Set(this.codeIndex.files.map(file => file.path));
+    this.changes.removed = Object.keys(previousFiles).filter(filePath => !indexedPaths.has(filePath));
+    
+    // 路由的完整路径依赖跨文件的挂载关系，始终基于全部文件重新解析
+    this.codeIndex.routes = this.routeResolver.resolveRoutes(this.codeIndex.files);
     
     // 更新元数据
     this.updateMetadata();
     
-    console.log(`Indexing complete. Found ${this.codeIndex.metadata.totalFiles} files, ${this.codeIndex.metadata.totalFunctions} functions, ${this.codeIndex.metadata.totalClasses} classes.`);
+    console.log(`Indexing complete. Found ${this.codeIndex.metadata.totalFiles} files, ${this.codeIndex.metadata.totalFunctions} functions, ${this.codeIndex.metadata.totalClasses} classes, ${this.codeIndex.metadata.totalComponents} components, ${this.codeIndex.metadata.totalTypes} types, ${this.codeIndex.metadata.totalRoutes} routes.`);
+    if (this.skipped.excluded + this.skipped.symlinks + this.skipped.tooLarge.length > 0) {
+      console.log(`Skipped ${this.skipped.excluded} excluded or ignored entries, ${this.skipped.symlinks} symlinks, ${this.skipped.tooLarge.length} files larger than ${this.config.maxFileSize} bytes.`);
+    }
+    if (Object.keys(previousFiles).length > 0) {
+      console.log(`Reused ${this.changes.unchanged.length} cached files, ${this.changes.added.length} added, ${this.changes.modified.length} modified, ${this.changes.removed.length} removed.`);
+    }
     
     return this.codeIndex;
   }
   
   /**
-   * 重置索引
+   * 创建空的代码索引
+   * @returns {Object} - 代码索引对象
    */
-  resetIndex() {
-    this.codeIndex = {
+  createEmptyIndex() {
+    return {
       files: [],
       functions: [],
       classes: [],
+      components: [],
+      types: [],
+      routes: [],
       metadata: {
         indexedAt: null,
         totalFiles: 0,
         totalFunctions: 0,
-        totalClasses: 0
+        totalClasses: 0,
+        totalComponents: 0,
+        totalTypes: 0,
+        totalRoutes: 0
       }
     };
   }
   
+  /**
+   * 重置索引
+   */
+  resetIndex() {
+    this.previousFiles = {};
+    this.skipped = {
+      excluded: 0,
+      symlinks: 0,
+      tooLarge: []
+    };
+    this.changes = {
+      added: [],
+      modified: [],
+      removed: [],
+      unchanged: []
+    };
+    
+    this.codeIndex = this.createEmptyIndex();
+  }
+  
   /**
    * 更新索引元数据
    */
@@ -77,42 +197,98 @@ class CodebaseIndexer {
       indexedAt: new Date().toISOString(),
       totalFiles: this.codeIndex.files.length,
       totalFunctions: this.codeIndex.functions.length,
-      totalClasses: this.codeIndex.classes.length
+      totalClasses: this.codeIndex.classes.length,
+      totalComponents: this.codeIndex.components.length,
+      totalTypes: this.codeIndex.types.length,
+      totalRoutes: this.codeIndex.routes.length,
+      changes: {
+        added: this.changes.added,
+        modified: this.changes.modified,
+        removed: this.changes.removed,
+        unchanged: this.changes.unchanged.length
+      },
+      skipped: {
+        excluded: this.skipped.excluded,
+        symlinks: this.skipped.symlinks,
+        tooLarge: this.skipped.tooLarge
+      }
     };
   }
   
   /**
-   * 递归扫描目录
+   * 递归扫描目录，收集需要索引的文件路径
    * @param {string} dirPath - 目录路径
    * @param {number} depth - 当前深度
+   * @param {Array} ignoreRules - 上级目录中 .gitignore 的规则
+   * @param {Set} visitedDirs - 已扫描目录的真实路径，跟随符号链接时用于避免循环
    * @returns {Promise<void>}
    */
-  async scanDirectory(dirPath, depth = 0) {
+  async scanDirectory(dirPath, depth = 0, ignoreRules = [], visitedDirs = new Set()) {
     // 检查深度限制
-    if (depth > this.config.indexDepth) {
+    if (this.config.indexDepth !== null && depth > this.config.indexDepth) {
       return;
     }
     
     try {
+      if (this.config.followSymlinks) {
+        visitedDirs.add(await fs.realpath(dirPath));
+      }
+      
+      // 当前目录的 .gitignore 规则对其所有子目录生效
+      const rules = this.config.respectGitignore
+        ? [...ignoreRules, ...await this.loadGitignore(dirPath)]
+        : ignoreRules;
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
       
       for (const entry of entries) {
         const entryPath = path.join(dirPath, entry.name);
+        const relativePath = path.relative(this.rootPath, entryPath).split(path.sep).join('/');
+        const isSymlink = entry.isSymbolicLink();
+        let isDirectory = entry.isDirectory();
+        let isFile = entry.isFile();
         
-        if (entry.isDirectory()) {
+        // 符号链接：按配置跳过或按目标类型处理，失效的链接忽略
+        if (isSymlink) {
+          const stats = this.config.followSymlinks ? await fs.stat(entryPath).catch(() => null) : null;
+          if (!stats) {
+            this.skipped.symlinks++;
+            continue;
+          }
+          isDirectory = stats.isDirectory();
+          isFile = stats.isFile();
+        }
+        
+        if (isDirectory) {
           // 跳过排除的目录
-          if (this.config.excludeDirs.includes(entry.name)) {
+          if (this.config.excludeDirs.includes(entry.name) || this.isExcluded(relativePath, true, rules)) {
+            this.skipped.excluded++;
             continue;
           }
           
+          // 指向代码库内部的目录链接会按真实路径扫描，指向外部的目录只扫描一次
+          if (isSymlink) {
+            const realPath = await fs.realpath(entryPath);
+            const insideRoot = !path.relative(this.realRootPath, realPath).startsWith('..');
+            if (insideRoot || visitedDirs.has(realPath)) {
+              this.skipped.symlinks++;
+              continue;
+            }
+          }
+          
           // 递归扫描子目录
-          await this.scanDirectory(entryPath, depth + 1);
-        } else if (entry.isFile()) {
-          // 检查文件扩展名
+          await this.scanDirectory(entryPath, depth + 1, rules, visitedDirs);
+        } else if (isFile) {
+          // 检查文件扩展名和包含、排除规则
           const ext = path.extname(entry.name);
-          if (this.config.fileExtensions.includes(ext)) {
-            await this.indexFile(entryPath);
+          if (!this.config.fileExtensions.includes(ext)) {
+            continue;
           }
+          if ((this.includeMatcher && !this.includeMatcher(relativePath)) || this.isExcluded(relativePath, false, rules)) {
+            this.skipped.excluded++;
+            continue;
+          }
+          
+          this.scannedFiles.push(entryPath);
         }
       }
     } catch (error) {
@@ -121,62 +297,412 @@ class CodebaseIndexer {
   }
   
   /**
-   * 索引单个文件
-   * @param {string} filePath - 文件路径
-   * @returns {Promise<void>}
+   * 读取目录中的 .gitignore 规则
+   * @param {string} dirPath - 目录路径
+   * @returns {Promise<Array>} - 规则数组，没有 .gitignore 时为空数组
    */
-  async indexFile(filePath) {
+  async loadGitignore(dirPath) {
     try {
-      // 读取文件内容
-      const content = await fs.readFile(filePath, 'utf-8');
+      const content = await fs.readFile(path.join(dirPath, '.gitignore'), 'utf-8');
+      return parseGitignore(content, path.relative(this.rootPath, dirPath).split(path.sep).join('/'));
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  /**
+   * 判断文件或目录是否被排除规则或 .gitignore 排除
+   * @param {string} relativePath - 相对于代码库根目录的路径
+   * @param {boolean} isDirectory - 是否为目录
+   * @param {Array} rules - 生效的 .gitignore 规则
+   * @returns {boolean} - 是否排除
+   */
+  isExcluded(relativePath, isDirectory, rules) {
+    return this.excludeMatcher(relativePath) || isIgnored(relativePath, isDirectory, rules);
+  }
+  
+  /**
+   * 索引一批文件
+   * 并发读取文件，未变化的文件复用上次的索引，其余文件只解析一次（文件较多时在工作线程中并行解析）
+   * @param {Array<string>} filePaths - 文件路径数组
+   * @returns {Promise<void>}
+   */
+  async indexFiles(filePaths) {
+    // 按扫描顺序添加到索引
+    for (const entry of await this.loadFiles(filePaths)) {
+      this.addFileToIndex(entry.fileIndex);
+      this.recordChange(entry);
+    }
+  }
+  
+  /**
+   * 读取并解析文件
+   * @param {Array<string>} filePaths - 文件路径数组
+   * @returns {Promise<Array>} - 与文件路径顺序一致的 [{ filePath, fileIndex, reused, previous }]，不含跳过和解析失败的文件
+   */
+  async loadFiles(filePaths) {
+    const entries = (await mapWithConcurrency(filePaths, FILE_READ_CONCURRENCY, filePath => this.readFileEntry(filePath)))
+      .filter(Boolean);
+    
+    // 解析新增和修改的文件
+    const pending = entries.filter(entry => !entry.fileIndex);
+    const parsed = await this.parseFiles(pending);
+    pending.forEach((entry, index) => {
+      entry.fileIndex = parsed[index];
+    });
+    
+    return entries.filter(entry => entry.fileIndex);
+  }
+  
+  /**
+   * 记录文件相对于上次索引的变化
+   * @param {Object} entry - loadFiles 返回的条目
+   */
+  recordChange(entry) {
+    if (entry.reused) {
+      this.changes.unchanged.push(entry.filePath);
+    } else {
+      this.changes[entry.previous ? 'modified' : 'added'].push(entry.filePath);
+    }
+  }
+  
+  /**
+   * 增量更新索引：重新读取变化的文件和目录，移除已删除或不再需要索引的文件
+   * 未变化的文件保持原有顺序，新增的文件追加在末尾；.gitignore 变化时应重新调用 indexCodebase
+   * @param {Array<string>} changedPaths - 变化的文件或目录的绝对路径
+   * @returns {Promise<Object>} - 代码索引对象
+   */
+  async updateFiles(changedPaths) {
+    const currentFiles = new Map(this.codeIndex.files.map(file => [file.path, file]));
+    const removedPaths = new Set();
+    const filePaths = [];
+    
+    this.previousFiles = Object.fromEntries(currentFiles);
+    this.changes = {
+      added: [],
+      modified: [],
+      removed: [],
+      unchanged: []
+    };
+    
+    for (const changedPath of new Set(changedPaths)) {
+      const stats = await fs.lstat(changedPath).catch(() => null);
+      const indexedUnder = [...currentFiles.keys()].filter(filePath => filePath.startsWith(`${changedPath}${path.sep}`));
       
-      // 创建文件索引
-      const fileIndex = {
-        path: filePath,
-        name: path.basename(filePath),
-        extension: path.extname(filePath),
-        size: content.length,
-        lastModified: null,
-        functions: [],
-        classes: []
-      };
+      if (stats && stats.isSymbolicLink() && this.config.followSymlinks) {
+        // 跟随的符号链接在下次完整索引时处理
+        continue;
+      }
+      
+      if (stats && stats.isDirectory()) {
+        // 重新扫描目录，目录中不再存在的文件视为已删除
+        const scanned = await this.scanChangedDirectory(changedPath);
+        filePaths.push(...scanned);
+        indexedUnder.filter(filePath => !scanned.includes(filePath)).forEach(filePath => removedPaths.add(filePath));
+      } else if (stats && await this.isIndexableFile(changedPath)) {
+        filePaths.push(changedPath);
+      } else {
+        // 已删除的文件或目录，以及不再符合索引规则的文件
+        [changedPath, ...indexedUnder]
+          .filter(filePath => currentFiles.has(filePath))
+          .forEach(filePath => removedPaths.add(filePath));
+      }
+    }
+    
+    const entries = new Map((await this.loadFiles(filePaths)).map(entry => [entry.filePath, entry]));
+    
+    // 读取失败或超过大小限制的文件同样从索引中移除
+    filePaths
+      .filter(filePath => !entries.has(filePath) && currentFiles.has(filePath))
+      .forEach(filePath => removedPaths.add(filePath));
+    
+    // 重建索引：保留原有文件的顺序，替换变化的文件，追加新增的文件
+    const files = [];
+    for (const [filePath, file] of currentFiles) {
+      if (removedPaths.has(filePath)) {
+        continue;
+      }
       
+      const entry = entries.get(filePath);
+      files.push(entry ? entry.fileIndex : file);
+      if (entry) {
+        this.recordChange(entry);
+        entries.delete(filePath);
+      }
+    }
+    for (const entry of entries.values()) {
+      files.push(entry.fileIndex);
+      this.recordChange(entry);
+    }
+    
+    this.codeIndex = this.createEmptyIndex();
+    files.forEach(file => this.addFileToIndex(file));
+    this.changes.removed = [...removedPaths];
+    this.changes.unchanged = files.map(file => file.path).filter(filePath =>
+      !this.changes.added.includes(filePath) && !this.changes.modified.includes(filePath)
+    );
+    
+    this.codeIndex.routes = this.routeResolver.resolveRoutes(this.codeIndex.files);
+    this.updateMetadata();
+    
+    console.log(`Index updated. ${this.changes.added.length} added, ${this.changes.modified.length} modified, ${this.changes.removed.length} removed.`);
+    
+    return this.codeIndex;
+  }
+  
+  /**
+   * 获取从代码库根目录到指定目录（含）生效的 .gitignore 规则
+   * @param {string} dirPath - 目录路径
+   * @returns {Promise<Array|null>} - 规则数组，目录本身或上级目录被排除时为null
+   */
+  async getDirectoryRules(dirPath) {
+    const relativeDir = path.relative(this.rootPath, dirPath);
+    if (relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+      return null;
+    }
+    
+    let rules = this.config.respectGitignore ? await this.loadGitignore(this.rootPath) : [];
+    let currentPath = this.rootPath;
+    
+    for (const segment of relativeDir.split(path.sep).filter(Boolean)) {
+      currentPath = path.join(currentPath, segment);
+      const relativePath = path.relative(this.rootPath, currentPath).split(path.sep).join('/');
+      
+      if (this.config.excludeDirs.includes(segment) || this.isExcluded(relativePath, true, rules)) {
+        return null;
+      }
+      if (this.config.respectGitignore) {
+        rules = [...rules, ...await this.loadGitignore(currentPath)];
+      }
+    }
+    
+    return rules;
+  }
+  
+  /**
+   * 获取目录相对于代码库根目录的深度
+   * @param {string} dirPath - 目录路径
+   * @returns {number} - 深度，根目录为0
+   */
+  getDirectoryDepth(dirPath) {
+    return path.relative(this.rootPath, dirPath).split(path.sep).filter(Boolean).length;
+  }
+  
+  /**
+   * 判断文件是否符合索引规则：扩展名、包含和排除规则、.gitignore、深度限制和符号链接策略
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<boolean>} - 是否需要索引
+   */
+  async isIndexableFile(filePath) {
+    if (!this.config.fileExtensions.includes(path.extname(filePath))) {
+      return false;
+    }
+    
+    const dirPath = path.dirname(filePath);
+    if (this.config.indexDepth !== null && this.getDirectoryDepth(dirPath) > this.config.indexDepth) {
+      return false;
+    }
+    
+    const stats = await fs.lstat(filePath).catch(() => null);
+    if (!stats || (stats.isSymbolicLink() && !this.config.followSymlinks)) {
+      return false;
+    }
+    
+    const rules = await this.getDirectoryRules(dirPath);
+    const relativePath = path.relative(this.rootPath, filePath).split(path.sep).join('/');
+    
+    return rules !== null &&
+      (!this.includeMatcher || this.includeMatcher(relativePath)) &&
+      !this.isExcluded(relativePath, false, rules);
+  }
+  
+  /**
+   * 扫描变化的目录（如新建或重命名的目录），返回需要索引的文件
+   * @param {string} dirPath - 目录路径
+   * @returns {Promise<Array<string>>} - 文件路径数组
+   */
+  async scanChangedDirectory(dirPath) {
+    const parentRules = dirPath === this.rootPath ? [] : await this.getDirectoryRules(path.dirname(dirPath));
+    const relativePath = path.relative(this.rootPath, dirPath).split(path.sep).join('/');
+    
+    if (
+      parentRules === null ||
+      (dirPath !== this.rootPath && (
+        this.config.excludeDirs.includes(path.basename(dirPath)) ||
+        this.isExcluded(relativePath, true, parentRules)
+      ))
+    ) {
+      return [];
+    }
+    
+    this.scannedFiles = [];
+    await this.scanDirectory(dirPath, this.getDirectoryDepth(dirPath), parentRules);
+    
+    return this.scannedFiles;
+  }
+  
+  /**
+   * 读取文件，判断能否复用上次的索引
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Object|null>} - 复用时为 { filePath, fileIndex, reused }，
+   *   需要解析时为 { filePath, content, hash, lastModified, previous }，跳过或读取失败时为null
+   */
+  async readFileEntry(filePath) {
+    try {
       // 获取文件状态
       const stats = await fs.stat(filePath);
-      fileIndex.lastModified = stats.mtime.toISOString();
       
-      // 解析代码
-      await this.parseCode(content, fileIndex);
+      // 跳过超过大小限制的文件（通常是打包产物或数据文件）
+      if (stats.size > this.config.maxFileSize) {
+        if (!this.skipped.tooLarge.includes(filePath)) {
+          this.skipped.tooLarge.push(filePath);
+        }
+        return null;
+      }
       
-      // 添加到索引
-      this.codeIndex.files.push(fileIndex);
+      const lastModified = stats.mtime.toISOString();
+      const previous = this.previousFiles[filePath];
       
-      // 将函数和类添加到全局索引
-      fileIndex.functions.forEach(func => {
-        this.codeIndex.functions.push({
-          ...func,
-          filePath
-        });
-      });
+      // 修改时间未变，直接复用上次的索引
+      if (previous && previous.lastModified === lastModified) {
+        return { filePath, fileIndex: previous, reused: true };
+      }
       
-      fileIndex.classes.forEach(cls => {
-        this.codeIndex.classes.push({
-          ...cls,
-          filePath
-        });
-      });
+      // 读取文件内容
+      const content = await fs.readFile(filePath, 'utf-8');
+      const hash = crypto.createHash('sha1').update(content).digest('hex');
+      
+      // 内容未变（仅修改时间变化），复用上次的索引
+      if (previous && previous.hash === hash) {
+        return { filePath, fileIndex: { ...previous, lastModified }, reused: true };
+      }
+      
+      return { filePath, content, hash, lastModified, previous };
     } catch (error) {
       console.error(`Error indexing file ${filePath}:`, error);
+      return null;
     }
   }
   
+  /**
+   * 解析文件，需要解析的文件数达到 parallelThreshold 且 concurrency 大于1时使用工作线程
+   * @param {Array} entries - 读取的文件 [{ filePath, content, hash, lastModified }]
+   * @returns {Promise<Array>} - 与 entries 顺序一致的文件索引数组，解析失败的文件为null
+   */
+  async parseFiles(entries) {
+    const tasks = entries.map(({ filePath, content, hash, lastModified }) => ({ filePath, content, hash, lastModified }));
+    
+    if (this.config.concurrency > 1 && tasks.length >= this.config.parallelThreshold) {
+      try {
+        const pool = new ParsePool({
+          concurrency: this.config.concurrency,
+          workerConfig: { fileExtensions: this.config.fileExtensions }
+        });
+        return await pool.parseFiles(tasks);
+      } catch (error) {
+        console.error('Error parsing files in worker threads, falling back to main thread:', error);
+      }
+    }
+    
+    const results = [];
+    for (const { filePath, content, hash, lastModified } of tasks) {
+      try {
+        results.push(await this.analyzeFile(filePath, content, { hash, lastModified }));
+      } catch (error) {
+        console.error(`Error indexing file ${filePath}:`, error);
+        results.push(null);
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * 解析文件内容，生成文件索引（包括依赖分析使用的导入和调用信息）
+   * 不读写索引器的状态，可以在工作线程中调用
+   * @param {string} filePath - 文件路径
+   * @param {string} content - 文件内容
+   * @param {Object} fileInfo - 文件信息 { hash, lastModified }
+   * @returns {Promise<Object>} - 文件索引对象
+   */
+  async analyzeFile(filePath, content, fileInfo = {}) {
+    // 创建文件索引
+    const fileIndex = {
+      path: filePath,
+      name: path.basename(filePath),
+      extension: path.extname(filePath),
+      size: content.length,
+      hash: fileInfo.hash,
+      lastModified: fileInfo.lastModified,
+      functions: [],
+      classes: [],
+      components: [], // React组件
+      types: [], // TS接口、类型别名和枚举
+      imports: [], // 导入绑定
+      exports: {}, // 导出名 -> 本地名
+      routeDefinitions: { routes: [], mounts: [], prefixes: {} }, // 路由注册、挂载和前缀
+      dependencies: { imports: [], calls: [] }, // 导入的模块和函数调用，供依赖分析使用
+      comments: [], // 包含中文的注释
+      strings: [] // 包含中文的字符串字面量和JSX文本
+    };
+    
+    // 解析代码（Vue单文件组件只解析脚本块，模板单独提取）
+    if (fileIndex.extension === '.vue') {
+      const sfc = parseSfc(content);
+      await this.parseCode(sfc.scriptCode, fileIndex, sfc);
+    } else {
+      await this.parseCode(content, fileIndex);
+    }
+    
+    return fileIndex;
+  }
+  
+  /**
+   * 将文件索引及其函数和类添加到全局索引
+   * @param {Object} fileIndex - 文件索引对象
+   */
+  addFileToIndex(fileIndex) {
+    const filePath = fileIndex.path;
+    
+    this.codeIndex.files.push(fileIndex);
+    
+    fileIndex.functions.forEach(func => {
+      this.codeIndex.functions.push({
+        ...func,
+        filePath
+      });
+    });
+    
+    fileIndex.classes.forEach(cls => {
+      this.codeIndex.classes.push({
+        ...cls,
+        filePath
+      });
+    });
+    
+    fileIndex.components.forEach(component => {
+      this.codeIndex.components.push({
+        ...component,
+        filePath
+      });
+    });
+    
+    fileIndex.types.forEach(type => {
+      this.codeIndex.types.push({
+        ...type,
+        filePath
+      });
+    });
+  }
+  
   /**
    * 解析代码并提取函数和类信息
    * @param {string} code - 代码内容
    * @param {Object} fileIndex - 文件索引对象
+   * @param {Object|null} sfc - Vue单文件组件的代码块（parseSfc 的结果），code 为其脚本代码
    * @returns {Promise<void>}
    */
-  async parseCode(code, fileIndex) {
+  async parseCode(code, fileIndex, sfc = null) {
     try {
       // 解析代码为AST
       const ast = parser.parse(code, {
@@ -184,59 +710,520 @@ class CodebaseIndexer {
         plugins: ['jsx', 'typescript', 'classProperties']
       });
       
+      // 收集中文注释
+      fileIndex.comments = (ast.comments || [])
+        .map(comment => this.cleanComment(comment.value))
+        .filter(containsChinese);
+      
+      // 收集中文字符串
+      const addString = (text) => {
+        const value = (text || '').trim();
+        if (containsChinese(value)) {
+          fileIndex.strings.push(value);
+        }
+      };
+      
+      // 顶层函数和类（名称 -> 索引条目），以及单独导出的名称（名称 -> 导出方式）
+      const topLevelEntries = new Map();
+      const exportedNames = new Map();
+      
+      // 可能是React组件的函数和类、TS接口和类型别名（名称 -> 类型节点）、PropTypes声明（组件名 -> 属性名数组）
+      const componentCandidates = [];
+      const typeDeclarations = new Map();
+      const propTypes = new Map();
+      
+      // Vue单文件组件的程序节点、选项对象和编译器宏调用
+      const vueScript = { programPath: null, options: null, macros: [] };
+      
+      // 函数和类方法的节点 -> 索引条目，用于确定调用所在的函数或方法；调用在分配符号ID后写入依赖信息
+      const symbolNodes = new Map();
+      const calls = [];
+      
+      // 内联的路由处理函数（起始行:起始列 -> "方法 路径"），作为以路由命名的函数索引
+      const inlineRouteHandlers = new Map();
+      const getLocKey = loc => `${loc.start}:${loc.column}`;
+      const addTopLevelEntry = (path, entry) => {
+        if (path.findParent(parent => parent.isFunction() || parent.isClass() || parent.isProgram()).isProgram()) {
+          topLevelEntries.set(entry.name, [...(topLevelEntries.get(entry.name) || []), entry]);
+        }
+      };
+      
+      // 添加TS类型声明
+      const addType = (path, kind, fields) => {
+        const node = path.node;
+        const comments = this.getLeadingComments(path);
+        const type = {
+          name: node.id.name,
+          qualifiedName: getQualifiedName(path, node.id.name, fileIndex.path),
+          kind,
+          fields,
+          extends: kind === 'interface' ? getInterfaceExtends(node) : [],
+          loc: {
+            start: node.loc.start.line,
+            end: node.loc.end.line,
+            column: node.loc.start.column + 1
+          },
+          code: code.substring(node.start, node.end),
+          comments,
+          docs: parseDocComments(comments),
+          typeReferences: getTypeReferences(path).filter(name => name !== node.id.name),
+          ...this.getExportStatus(path)
+        };
+        
+        fileIndex.types.push(type);
+        addTopLevelEntry(path, type);
+      };
+      
+      // 记录路由对象的前缀（Koa）
+      const addRouterPrefix = (routerPrefix) => {
+        if (routerPrefix) {
+          fileIndex.routeDefinitions.prefixes[routerPrefix.router] = routerPrefix.prefix;
+        }
+      };
+      
+      // 记录 require 语句，以及具名函数和类方法中对标识符的调用（匿名回调中的调用归属外层的函数或方法）
+      const addCallDependency = (path) => {
+        const node = path.node;
+        
+        if (node.callee.type !== 'Identifier') {
+          return;
+        }
+        
+        if (
+          node.callee.name === 'require' &&
+          node.arguments.length > 0 &&
+          node.arguments[0].type === 'StringLiteral'
+        ) {
+          fileIndex.dependencies.imports.push({
+            source: node.arguments[0].value,
+            type: 'requires'
+          });
+          return;
+        }
+        
+        let current = path.getFunctionParent();
+        while (current && !symbolNodes.has(current.node)) {
+          current = current.getFunctionParent();
+        }
+        
+        if (current) {
+          calls.push({
+            caller: symbolNodes.get(current.node),
+            callee: node.callee.name
+          });
+        }
+      };
+      
       // 遍历AST
       traverse(ast, {
-        // 索引函数声明
-        FunctionDeclaration: (path) => {
+        Program: (path) => {
+          vueScript.programPath = path;
+        },
+        
+        // 收集字符串字面量和JSX文本
+        StringLiteral: (path) => addString(path.node.value),
+        TemplateElement: (path) => addString(path.node.value.cooked),
+        JSXText: (path) => addString(path.node.value),
+        
+        // 索引函数：函数声明、函数表达式、箭头函数和对象方法
+        'FunctionDeclaration|FunctionExpression|ArrowFunctionExpression|ObjectMethod': (path) => {
           const node = path.node;
-          const functionName = node.id ? node.id.name : 'anonymous';
+          const routeHandlerName = inlineRouteHandlers.get(getLocKey({
+            start: node.loc.start.line,
+            column: node.loc.start.column + 1
+          }));
+          const functionName = (isIndexableFunction(path) ? getFunctionName(path, fileIndex.path) : null) ||
+            routeHandlerName;
           
-          fileIndex.functions.push({
+          // 跳过匿名回调
+          if (!functionName) {
+            return;
+          }
+          
+          const comments = this.getLeadingComments(path);
+          const func = {
             name: functionName,
-            params: node.params.map(param => param.name || 'unnamed'),
+            qualifiedName: getQualifiedName(path, functionName, fileIndex.path),
+            params: node.params.map(param => describeParam(param, code)),
+            async: Boolean(node.async),
             loc: {
               start: node.loc.start.line,
-              end: node.loc.end.line
+              end: node.loc.end.line,
+              column: node.loc.start.column + 1
             },
-            code: code.substring(node.start, node.end)
-          });
+            code: code.substring(node.start, node.end),
+            comments,
+            docs: parseDocComments(comments),
+            typeReferences: getTypeReferences(path),
+            ...this.getExportStatus(path)
+          };
+          if (routeHandlerName) {
+            func.routeHandler = true;
+          }
+          
+          fileIndex.functions.push(func);
+          addTopLevelEntry(path, func);
+          symbolNodes.set(node, func);
+          
+          if (isComponentName(functionName)) {
+            componentCandidates.push({ path, entry: func, type: 'function' });
+          }
         },
         
-        // 索引类声明
-        ClassDeclaration: (path) => {
+        // 索引类：类声明和类表达式
+        'ClassDeclaration|ClassExpression': (path) => {
           const node = path.node;
-          const className = node.id ? node.id.name : 'anonymous';
+          const className = getFunctionName(path, fileIndex.path) || 'anonymous';
+          const qualifiedName = getQualifiedName(path, className, fileIndex.path);
           
-          const methods = [];
-          node.body.body.forEach(member => {
-            if (member.type === 'ClassMethod') {
-              methods.push({
-                name: member.key.name,
-                params: member.params.map(param => param.name || 'unnamed'),
-                loc: {
-                  start: member.loc.start.line,
-                  end: member.loc.end.line
-                }
-              });
-            }
-          });
-          
-          fileIndex.classes.push({
+          const comments = this.getLeadingComments(path);
+          const cls = {
             name: className,
-            methods,
+            qualifiedName,
+            methods: this.getClassMethods(node, code, qualifiedName, symbolNodes),
             loc: {
               start: node.loc.start.line,
-              end: node.loc.end.line
+              end: node.loc.end.line,
+              column: node.loc.start.column + 1
             },
-            code: code.substring(node.start, node.end)
+            code: code.substring(node.start, node.end),
+            comments,
+            docs: parseDocComments(comments),
+            typeReferences: getTypeReferences(path),
+            ...this.getExportStatus(path)
+          };
+          
+          fileIndex.classes.push(cls);
+          addTopLevelEntry(path, cls);
+          
+          if (isComponentName(className)) {
+            componentCandidates.push({ path, entry: cls, type: 'class' });
+          }
+        },
+        
+        // 收集导入绑定、路由对象前缀，以及路由注册和挂载
+        ImportDeclaration: (path) => {
+          fileIndex.imports.push(...getImportBindings(path.node));
+          fileIndex.dependencies.imports.push({
+            source: path.node.source.value,
+            type: 'imports'
           });
+        },
+        VariableDeclarator: (path) => {
+          fileIndex.imports.push(...getRequireBindings(path.node));
+          addRouterPrefix(parseRouterPrefix(path));
+        },
+        CallExpression: (path) => {
+          if (sfc) {
+            vueScript.macros.push(path.node);
+          }
+          
+          // 调用表达式先于作为参数的处理函数被访问
+          const routes = parseRouteCall(path, fileIndex.path);
+          for (const route of routes) {
+            if (route.handler && route.handler.inline && !inlineRouteHandlers.has(getLocKey(route.handler.loc))) {
+              inlineRouteHandlers.set(getLocKey(route.handler.loc), `${route.method} ${route.path}`);
+            }
+          }
+          fileIndex.routeDefinitions.routes.push(...routes);
+          fileIndex.routeDefinitions.mounts.push(...parseMountCall(path, fileIndex.path));
+          addRouterPrefix(parseRouterPrefix(path));
+          addCallDependency(path);
+        },
+        
+        // 收集导出绑定和单独导出的名称：export { foo }、export default Foo
+        ExportNamedDeclaration: (path) => {
+          Object.assign(fileIndex.exports, getExportBindings(path, fileIndex.path));
+          
+          if (!path.node.source) {
+            path.node.specifiers
+              .filter(specifier => specifier.type === 'ExportSpecifier')
+              .forEach(specifier => exportedNames.set(specifier.local.name, 'named'));
+          }
+        },
+        ExportDefaultDeclaration: (path) => {
+          Object.assign(fileIndex.exports, getExportBindings(path, fileIndex.path));
+          
+          if (sfc) {
+            vueScript.options = getComponentOptionsObject(path.node.declaration);
+          }
+          
+          if (path.node.declaration.type === 'Identifier') {
+            exportedNames.set(path.node.declaration.name, 'default');
+          }
+        },
+        
+        // 索引TS接口、类型别名和枚举，接口和类型别名同时用于解析组件属性类型
+        TSInterfaceDeclaration: (path) => {
+          typeDeclarations.set(path.node.id.name, { type: 'TSTypeLiteral', members: path.node.body.body });
+          addType(path, 'interface', getTypeFields(path.node.body, code));
+        },
+        TSTypeAliasDeclaration: (path) => {
+          typeDeclarations.set(path.node.id.name, path.node.typeAnnotation);
+          addType(path, 'type', getTypeFields(path.node.typeAnnotation, code));
+        },
+        TSEnumDeclaration: (path) => {
+          addType(path, 'enum', getEnumMembers(path.node, code));
+        },
+        
+        // 收集 CommonJS 导出的名称：module.exports = { foo, bar: baz }、exports.foo = foo
+        // 以及组件的 PropTypes 声明：Foo.propTypes = { ... }
+        AssignmentExpression: (path) => {
+          const { left, right } = path.node;
+          
+          if (
+            left.type === 'MemberExpression' &&
+            left.object.type === 'Identifier' &&
+            getKeyName(left.property, left.computed) === 'propTypes' &&
+            right.type === 'ObjectExpression'
+          ) {
+            propTypes.set(left.object.name, getObjectKeys(right));
+            return;
+          }
+          
+          const isExportTarget = isCommonJsExports(left) ||
+            left.type === 'MemberExpression' && isCommonJsExports(left.object);
+          
+          if (!isExportTarget) {
+            return;
+          }
+          
+          Object.assign(fileIndex.exports, getExportBindings(path, fileIndex.path));
+          
+          if (right.type === 'Identifier') {
+            exportedNames.set(right.name, 'commonjs');
+          } else if (right.type === 'ObjectExpression') {
+            right.properties
+              .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+              .forEach(property => exportedNames.set(property.value.name, 'commonjs'));
+          }
         }
       });
+      
+      // 标记先声明、后导出的顶层函数和类
+      for (const [name, exportType] of exportedNames) {
+        for (const entry of topLevelEntries.get(name) || []) {
+          if (!entry.exported) {
+            entry.exported = true;
+            entry.exportType = exportType;
+          }
+        }
+      }
+      
+      // 分配符号ID，记录调用所在函数或方法的ID
+      assignSymbolIds(fileIndex.functions, 'function', fileIndex.path);
+      assignSymbolIds(fileIndex.classes, 'class', fileIndex.path);
+      assignSymbolIds(fileIndex.classes.flatMap(cls => cls.methods), 'method', fileIndex.path);
+      assignSymbolIds(fileIndex.types, 'type', fileIndex.path);
+      fileIndex.dependencies.calls = calls.map(({ caller, callee }) => ({ callerId: caller.id, callee }));
+      
+      // 识别React组件
+      const typeMembers = new Map();
+      for (const [name, typeNode] of typeDeclarations) {
+        typeMembers.set(name, getTypeMemberNames(typeNode, typeMembers));
+      }
+      fileIndex.components = componentCandidates
+        .filter(candidate => this.isComponent(candidate))
+        .map(candidate => this.extractComponent(candidate, typeMembers, propTypes));
+      
+      // Vue单文件组件本身作为一个组件，模板中的文本计入中文字符串
+      if (sfc) {
+        fileIndex.components.push(this.extractVueComponent(sfc, fileIndex, vueScript, typeDeclarations, typeMembers));
+        getTemplateTexts(sfc.template).forEach(addString);
+      }
+      assignSymbolIds(fileIndex.components, 'component', fileIndex.path);
     } catch (error) {
       console.error('Error parsing code:', error);
     }
   }
   
+  /**
+   * 判断函数或类是否为React组件：函数需返回JSX，类需继承 Component/PureComponent 或在 render 中返回JSX
+   * @param {Object} candidate - 候选项 { path, entry, type }
+   * @returns {boolean} - 是否为组件
+   */
+  isComponent(candidate) {
+    const { path, entry, type } = candidate;
+    
+    if (type === 'class') {
+      return isClassComponent(path.node) ||
+        (entry.methods.some(method => method.name === 'render') && containsJsx(path));
+    }
+    
+    return containsJsx(path);
+  }
+  
+  /**
+   * 提取React组件信息：属性、Hooks、渲染的子组件和导出状态
+   * @param {Object} candidate - 候选项 { path, entry, type }
+   * @param {Map} typeMembers - 文件中的接口和类型别名（名称 -> 属性名数组）
+   * @param {Map} propTypes - PropTypes声明（组件名 -> 属性名数组）
+   * @returns {Object} - 组件对象
+   */
+  extractComponent(candidate, typeMembers, propTypes) {
+    const { path, entry, type } = candidate;
+    const props = type === 'class'
+      ? getClassComponentProps(path, typeMembers)
+      : getFunctionComponentProps(path, typeMembers);
+    
+    return {
+      name: entry.name,
+      qualifiedName: entry.qualifiedName,
+      definitionId: entry.id, // 实现该组件的函数或类的ID
+      type,
+      props: [...new Set([...props, ...(propTypes.get(entry.name) || [])])],
+      hooks: type === 'function' ? getHooks(path) : [],
+      renders: getRenderedComponents(path).filter(name => name !== entry.name),
+      loc: entry.loc,
+      typeReferences: entry.typeReferences,
+      exported: entry.exported,
+      exportType: entry.exportType,
+      defaultExport: entry.exportType === 'default'
+    };
+  }
+  
+  /**
+   * 提取Vue单文件组件信息：组件名、属性、事件、方法、组合式函数和模板中使用的子组件
+   * 同时支持选项式API（export default / defineComponent）和 <script setup> 的编译器宏
+   * @param {Object} sfc - 单文件组件的代码块
+   * @param {Object} fileIndex - 文件索引对象
+   * @param {Object} vueScript - 脚本中收集的 { programPath, options, macros }
+   * @param {Map} typeDeclarations - 文件中的接口和类型别名（名称 -> 类型节点）
+   * @param {Map} typeMembers - 文件中的接口和类型别名（名称 -> 属性名数组）
+   * @returns {Object} - 组件对象
+   */
+  extractVueComponent(sfc, fileIndex, vueScript, typeDeclarations, typeMembers) {
+    const infos = [
+      vueScript.options ? getOptionsInfo(vueScript.options) : {},
+      ...vueScript.macros.map(node => getMacroInfo(node, typeDeclarations, typeMembers)).filter(Boolean)
+    ];
+    const collect = key => [...new Set(infos.flatMap(info => info[key] || []))];
+    const declaredName = infos.map(info => info.name).find(Boolean);
+    
+    // <script setup> 中的顶层函数即组件方法
+    const setupMethods = sfc.scripts.some(script => script.setup)
+      ? fileIndex.functions
+        .filter(func => vueScript.programPath && vueScript.programPath.scope.hasOwnBinding(func.name))
+        .map(func => func.name)
+      : [];
+    const name = declaredName || getSfcComponentName(fileIndex.path);
+    
+    return {
+      name,
+      qualifiedName: name,
+      type: 'sfc',
+      props: collect('props'),
+      emits: collect('emits'),
+      methods: [...new Set([...collect('methods'), ...setupMethods])],
+      hooks: vueScript.programPath ? getHooks(vueScript.programPath) : [],
+      renders: getTemplateComponents(sfc.template).filter(child => child !== name),
+      typeReferences: vueScript.programPath ? getTypeReferences(vueScript.programPath) : [],
+      loc: {
+        start: 1,
+        end: sfc.scriptCode.split('\n').length
+      },
+      exported: true,
+      exportType: 'default',
+      defaultExport: true
+    };
+  }
+  
+  /**
+   * 获取类的方法，包括私有方法和以函数为值的类属性（如 handleClick = () => {}）
+   * @param {Object} node - 类节点
+   * @param {string} code - 代码内容
+   * @param {string} className - 类的限定名
+   * @param {Map} symbolNodes - 函数节点 -> 索引条目，方法的函数节点写入其中
+   * @returns {Array} - 方法数组
+   */
+  getClassMethods(node, code, className, symbolNodes) {
+    const methods = [];
+    
+    node.body.body.forEach(member => {
+      let func = null;
+      
+      if (member.type === 'ClassMethod' || member.type === 'ClassPrivateMethod') {
+        func = member;
+      } else if (
+        (member.type === 'ClassProperty' || member.type === 'ClassPrivateProperty') &&
+        member.value &&
+        (member.value.type === 'ArrowFunctionExpression' || member.value.type === 'FunctionExpression')
+      ) {
+        func = member.value;
+      }
+      
+      const methodName = func ? getKeyName(member.key, member.computed) : null;
+      if (!methodName) {
+        return;
+      }
+      
+      const comments = (member.leadingComments || []).map(comment => this.cleanComment(comment.value));
+      
+      const method = {
+        name: methodName,
+        qualifiedName: `${className}.${methodName}`,
+        params: func.params.map(param => describeParam(param, code)),
+        async: Boolean(func.async),
+        static: Boolean(member.static),
+        loc: {
+          start: member.loc.start.line,
+          end: member.loc.end.line,
+          column: member.loc.start.column + 1
+        },
+        code: code.substring(member.start, member.end),
+        comments,
+        docs: parseDocComments(comments)
+      };
+      
+      methods.push(method);
+      symbolNodes.set(func, method);
+    });
+    
+    return methods;
+  }
+  
+  /**
+   * 获取函数或类的导出状态
+   * @param {Object} path - Babel节点路径
+   * @returns {Object} - { exported, exportType }
+   */
+  getExportStatus(path) {
+    const exportType = getExportType(path);
+    
+    return {
+      exported: Boolean(exportType),
+      exportType
+    };
+  }
+  
+  /**
+   * 获取声明的前置注释（包括 const 声明、export 语句和对象属性上的注释）
+   * @param {Object} path - Babel节点路径
+   * @returns {Array<string>} - 注释文本数组
+   */
+  getLeadingComments(path) {
+    let current = path;
+    
+    while (!current.node.leadingComments && current.parentPath && COMMENT_CONTAINERS.includes(current.parent.type)) {
+      current = current.parentPath;
+    }
+    
+    return (current.node.leadingComments || []).map(comment => this.cleanComment(comment.value));
+  }
+  
+  /**
+   * 清理注释文本，去掉块注释每行开头的星号
+   * @param {string} text - 注释内容
+   * @returns {string} - 清理后的文本
+   */
+  cleanComment(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/^\s*\*+\s?/, '').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+  }
+  
   /**
    * 搜索代码索引
    * @param {Object} query - 搜索查询
@@ -246,30 +1233,57 @@ class CodebaseIndexer {
     const results = {
       files: [],
       functions: [],
-      classes: []
+      classes: [],
+      components: [],
+      types: [],
+      routes: []
     };
     
     // 搜索文件
     if (query.fileName) {
-      results.files = this.codeIndex.files.filter(file => 
+      results.files = this.codeIndex.files.filter(file =>
         file.name.toLowerCase().includes(query.fileName.toLowerCase())
       );
     }
     
     // 搜索函数
     if (query.functionName) {
-      results.functions = this.codeIndex.functions.filter(func => 
+      results.functions = this.codeIndex.functions.filter(func =>
         func.name.toLowerCase().includes(query.functionName.toLowerCase())
       );
     }
     
     // 搜索类
     if (query.className) {
-      results.classes = this.codeIndex.classes.filter(cls => 
+      results.classes = this.codeIndex.classes.filter(cls =>
         cls.name.toLowerCase().includes(query.className.toLowerCase())
       );
     }
     
+    // 搜索组件
+    if (query.componentName) {
+      results.components = this.codeIndex.components.filter(component =>
+        component.name.toLowerCase().includes(query.componentName.toLowerCase())
+      );
+    }
+    
+    // 搜索类型：按类型名或字段名匹配
+    if (query.typeName || query.fieldName) {
+      results.types = this.codeIndex.types.filter(type =>
+        (!query.typeName || type.name.toLowerCase().includes(query.typeName.toLowerCase())) &&
+        (!query.fieldName || type.fields.some(field => field.name.toLowerCase().includes(query.fieldName.toLowerCase())))
+      );
+    }
+    
+    // 搜索路由：按完整路径匹配（路径参数写法不同也视为相同），或按路径片段包含匹配
+    if (query.routePath) {
+      results.routes = this.codeIndex.routes.filter(route =>
+        (matchRoutePath(route.path, query.routePath) ||
+          route.path.toLowerCase().includes(query.routePath.toLowerCase())) &&
+        (!query.routeMethod || route.method === query.routeMethod.toUpperCase())
+      );
+    }
+    
     return results;
   }
 }
@@ -0,0 +1,203 @@
+/**
+ * 代码库索引器测试
+ * 直接解析代码字符串，不读取文件系统
+ */
+
+const CodebaseIndexer = require('./codebase-indexer');
+const RouteResolver = require('./route-resolver');
+
+describe('CodebaseIndexer.analyzeFile', () => {
+  let indexer;
+  
+  beforeEach(() => {
+    indexer = new CodebaseIndexer();
+  });
+  
+  describe('symbol IDs', () => {
+    test('gives a getter and setter on the same line distinct method IDs', async () => {
+      const fileIndex = await indexer.analyzeFile(
+        'src/a.js',
+        'class Foo {\n  get value() { return this.v; } set value(v) { this.v = v; }\n}\n'
+      );
+      const ids = fileIndex.classes[0].methods.map(method => method.id);
+      
+      expect(ids).toEqual(['method:src/a.js:Foo.value@2-2:3', 'method:src/a.js:Foo.value@2-2:34']);
+    });
+    
+    test('gives object accessors on the same line distinct function IDs', async () => {
+      const fileIndex = await indexer.analyzeFile(
+        'src/d.js',
+        'const o = { get v() { return 1; }, set v(x) {} };\n'
+      );
+      const ids = fileIndex.functions.map(func => func.id);
+      
+      expect(new Set(ids).size).toBe(2);
+      expect(ids.every(id => /^function:src\/d\.js:o\.v@1-1:\d+$/.test(id))).toBe(true);
+    });
+    
+    test('uses line ranges for duplicate names on different lines', async () => {
+      const fileIndex = await indexer.analyzeFile(
+        'src/b.js',
+        'if (a) {\n  function format() {}\n}\nif (b) {\n  function format() {}\n}\n'
+      );
+      
+      expect(fileIndex.functions.map(func => func.id)).toEqual([
+        'function:src/b.js:format@2-2',
+        'function:src/b.js:format@5-5'
+      ]);
+    });
+  });
+  
+  describe('React components', () => {
+    test('indexes a function component with its props, hooks and rendered children', async () => {
+      const fileIndex = await indexer.analyzeFile('src/UserCard.jsx', [
+        "import React, { useState, useEffect } from 'react';",
+        "import Avatar from './Avatar';",
+        '',
+        'export default function UserCard({ user, onSelect }) {',
+        '  const [open, setOpen] = useState(false);',
+        '  useEffect(() => setOpen(false), [user]);',
+        '  return <div onClick={() => onSelect(user)}><Avatar src={user.avatar} />{open && <UserCard user={user} />}</div>;',
+        '}',
+        '',
+        'function formatName(user) {',
+        '  return user.name;',
+        '}'
+      ].join('\n'));
+      
+      expect(fileIndex.components).toEqual([
+        expect.objectContaining({
+          id: 'component:src/UserCard.jsx:UserCard',
+          definitionId: 'function:src/UserCard.jsx:UserCard',
+          type: 'function',
+          props: ['user', 'onSelect'],
+          hooks: ['useState', 'useEffect'],
+          renders: ['Avatar'],
+          defaultExport: true
+        })
+      ]);
+    });
+  });
+  
+  describe('TypeScript types', () => {
+    test('indexes interfaces, type aliases and enums with their fields', async () => {
+      const fileIndex = await indexer.analyzeFile('src/types.ts', [
+        'export interface User extends Entity {',
+        '  id: number;',
+        '  /** 显示名称 */',
+        '  readonly name?: string;',
+        '}',
+        '',
+        "export type Role = 'admin' | 'member';",
+        '',
+        'enum Status {',
+        '  Active = 1,',
+        '  Locked',
+        '}'
+      ].join('\n'));
+      const types = Object.fromEntries(fileIndex.types.map(type => [type.name, type]));
+      
+      expect(fileIndex.types.map(type => [type.id, type.kind, type.exported])).toEqual([
+        ['type:src/types.ts:User', 'interface', true],
+        ['type:src/types.ts:Role', 'type', true],
+        ['type:src/types.ts:Status', 'enum', false]
+      ]);
+      expect(types.User.extends).toEqual(['Entity']);
+      expect(types.User.fields).toEqual([
+        expect.objectContaining({ name: 'id', type: 'number', optional: false, readonly: false }),
+        expect.objectContaining({ name: 'name', type: 'string', optional: true, readonly: true, comment: '显示名称' })
+      ]);
+      expect(types.Status.fields.map(({ name, value }) => [name, value])).toEqual([['Active', '1'], ['Locked', null]]);
+    });
+  });
+  
+  describe('JSDoc comments', () => {
+    test('parses the description, params and return value of a documented function', async () => {
+      const fileIndex = await indexer.analyzeFile('src/auth.js', [
+        '/**',
+        ' * 用户登录',
+        ' * @param {string} username - 用户名',
+        ' * @param {string} [password] - 密码',
+        ' * @returns {Promise<string>} - 访问令牌',
+        ' */',
+        'async function login(username, password) {',
+        '  return username + password;',
+        '}',
+        '',
+        'function logout() {}'
+      ].join('\n'));
+      const [login, logout] = fileIndex.functions;
+      
+      expect(login.docs).toEqual({
+        description: '用户登录',
+        params: [
+          { name: 'username', type: 'string', optional: false, description: '用户名' },
+          { name: 'password', type: 'string', optional: true, description: '密码' }
+        ],
+        returns: { type: 'Promise<string>', description: '访问令牌' },
+        tags: []
+      });
+      expect(logout.docs).toBeNull();
+    });
+  });
+  
+  describe('Vue single-file components', () => {
+    test('indexes a component whose script and script setup blocks import the same binding', async () => {
+      const fileIndex = await indexer.analyzeFile('src/UserPage.vue', [
+        '<template><UserCard /></template>',
+        '<script>',
+        "import UserCard from './UserCard.vue';",
+        "export default { name: 'UserPage' };",
+        '</script>',
+        '<script setup>',
+        "import UserCard from './UserCard.vue';",
+        "import { ref } from 'vue';",
+        'const count = ref(0);',
+        'function reload() { count.value++; }',
+        '</script>'
+      ].join('\n'));
+      
+      expect(fileIndex.components).toEqual([
+        expect.objectContaining({ name: 'UserPage', methods: ['reload'], renders: ['UserCard'] })
+      ]);
+      expect(fileIndex.functions.map(func => [func.name, func.loc.start])).toEqual([['reload', 10]]);
+    });
+  });
+  
+  describe('HTTP routes', () => {
+    const ROUTES = [
+      "const express = require('express');",
+      'const router = express.Router();',
+      'function checkPassword(user, password) { return Boolean(user && password); }',
+      "router.post('/login', async (req, res) => {",
+      '  res.json({ ok: checkPassword(req.body.user, req.body.password) });',
+      '});',
+      "router.get('/me', function (req, res) { res.json({}); });",
+      'module.exports = router;'
+    ].join('\n');
+    
+    test('indexes inline route handlers as functions named after the route', async () => {
+      const fileIndex = await indexer.analyzeFile('src/routes/auth.js', ROUTES);
+      const handlers = fileIndex.functions.filter(func => func.routeHandler);
+      
+      expect(handlers.map(func => [func.id, func.loc.start])).toEqual([
+        ['function:src/routes/auth.js:POST /login', 4],
+        ['function:src/routes/auth.js:GET /me', 7]
+      ]);
+      expect(fileIndex.dependencies.calls).toContainEqual({
+        callerId: 'function:src/routes/auth.js:POST /login',
+        callee: 'checkPassword'
+      });
+    });
+    
+    test('links routes to their inline handlers', async () => {
+      const fileIndex = await indexer.analyzeFile('src/routes/auth.js', ROUTES);
+      const routes = new RouteResolver().resolveRoutes([fileIndex]);
+      
+      expect(routes.map(route => [route.id, route.handlerId])).toEqual([
+        ['route:src/routes/auth.js:POST /login', 'function:src/routes/auth.js:POST /login'],
+        ['route:src/routes/auth.js:GET /me', 'function:src/routes/auth.js:GET /me']
+      ]);
+    });
+  });
+});
@@ -3,41 +3,56 @@
  * 负责分析代码间的依赖关系，建立依赖图谱
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const parser = require('@babel/parser');
-const traverse = require('@babel/traverse').default;
+const DependencyGraph = require('./dependency-graph');
+const ModuleResolver = require('./module-resolver');
+const { getFileId, getSymbolScope } = require('../utils/symbol-utils');
 
 class DependencyAnalyzer {
   constructor(config = {}) {
     this.config = {
       maxDepth: 3, // 依赖分析的最大深度
       includeNodeModules: false, // 是否包含node_modules
+      fileExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue'], // 解析无扩展名的导入时尝试的扩展名
       ...config
     };
     
-    this.dependencyGraph = {
-      nodes: {}, // 节点信息
-      edges: [], // 边信息
-      metadata: {
-        createdAt: null,
-        nodeCount: 0,
-        edgeCount: 0
-      }
-    };
+    this.dependencyGraph = new DependencyGraph({ maxDepth: this.config.maxDepth });
+    this.moduleResolver = new ModuleResolver({ fileExtensions: this.config.fileExtensions });
+    this.fileDependencies = {}; // 文件路径 -> 文件的导入和调用信息
   }
   
   /**
    * 构建依赖图谱
+   * 每个文件的导入和调用信息由索引器在解析文件时一并提取（未变化的文件随文件索引复用），
+   * 边在所有文件的信息就绪后统一生成，因此未变化文件指向已变化或已删除文件的边也会保持一致
+   * 传入缓存的图谱时（调用方保证文件没有增删改），模块解析配置的签名未变则直接恢复缓存的图谱
    * @param {Object} codeIndex - 代码索引对象
-   * @returns {Promise<Object>} - 依赖图谱对象
+   * @param {Object} options - 选项（rootPath: 代码库路径，用于读取工作区、tsconfig 和别名配置；
+   *   cachedGraph: 缓存的图谱 { signature, nodes, edges, metadata }）
+   * @returns {Promise<DependencyGraph>} - 依赖图谱对象
    */
-  async buildDependencyGraph(codeIndex) {
-    console.log('Building dependency graph...');
-    
+  async buildDependencyGraph(codeIndex, options = {}) {
     // 重置依赖图谱
     this.resetDependencyGraph();
     
+    // 读取模块解析配置
+    if (options.rootPath) {
+      await this.moduleResolver.load(options.rootPath, codeIndex.files.map(file => file.path));
+    }
+    
+    // 收集每个文件的导入和调用信息
+    for (const file of codeIndex.files) {
+      this.fileDependencies[file.path] = file.dependencies || { imports: [], calls: [] };
+    }
+    
+    if (options.cachedGraph && options.cachedGraph.signature === this.getSignature()) {
+      this.dependencyGraph = DependencyGraph.fromJSON(options.cachedGraph, { maxDepth: this.config.maxDepth });
+      console.log(`Dependency graph restored from cache. ${this.dependencyGraph.metadata.nodeCount} nodes, ${this.dependencyGraph.metadata.edgeCount} edges.`);
+      return this.dependencyGraph;
+    }
+    
+    console.log('Building dependency graph...');
+    
     // 添加所有文件作为节点
     this.addFilesToGraph(codeIndex.files);
     
@@ -47,14 +62,29 @@ class DependencyAnalyzer {
     // 添加所有类作为节点
     this.addClassesToGraph(codeIndex.classes);
     
+    // 添加所有React组件作为节点
+    this.addComponentsToGraph(codeIndex.components || []);
+    
+    // 添加所有TS类型作为节点
+    this.addTypesToGraph(codeIndex.types || []);
+    
+    // 添加所有HTTP路由作为节点
+    this.addRoutesToGraph(codeIndex.routes || []);
+    
     // 分析文件间的依赖关系
-    await this.analyzeFileDependencies(codeIndex.files);
+    this.analyzeFileDependencies(codeIndex.files);
     
     // 分析函数调用关系
-    await this.analyzeFunctionCalls(codeIndex.functions, codeIndex.files);
+    this.analyzeFunctionCalls(codeIndex.functions, codeIndex.files, codeIndex.classes);
+    
+    // 分析组件渲染关系（依赖文件导入关系区分同名组件）
+    this.analyzeComponentRenders(codeIndex.components || [], codeIndex.files);
+    
+    // 分析函数、类、组件和类型对类型的引用关系
+    this.analyzeTypeReferences(codeIndex);
     
     // 更新元数据
-    this.updateGraphMetadata();
+    this.dependencyGraph.updateMetadata();
     
     console.log(`Dependency graph built. ${this.dependencyGraph.metadata.nodeCount} nodes, ${this.dependencyGraph.metadata.edgeCount} edges.`);
     
@@ -62,29 +92,20 @@ class DependencyAnalyzer {
   }
   
   /**
-   * 重置依赖图谱
+   * 获取当前图谱的构建签名（模块解析配置的签名），随图谱一起缓存
+   * @returns {string} - 签名
    */
-  resetDependencyGraph() {
-    this.dependencyGraph = {
-      nodes: {},
-      edges: [],
-      metadata: {
-        createdAt: null,
-        nodeCount: 0,
-        edgeCount: 0
-      }
-    };
+  getSignature() {
+    return this.moduleResolver.getSignature();
   }
   
   /**
-   * 更新图谱元数据
+   * 重置依赖图谱
    */
-  updateGraphMetadata() {
-    this.dependencyGraph.metadata = {
-      createdAt: new Date().toISOString(),
-      nodeCount: Object.keys(this.dependencyGraph.nodes).length,
-      edgeCount: this.dependencyGraph.edges.length
-    };
+  resetDependencyGraph() {
+    this.dependencyGraph = new DependencyGraph({ maxDepth: this.config.maxDepth });
+    this.moduleResolver.reset();
+    this.fileDependencies = {};
   }
   
   /**
@@ -93,16 +114,17 @@ class DependencyAnalyzer {
    */
   addFilesToGraph(files) {
     for (const file of files) {
-      const nodeId = `file:${file.path}`;
+      const nodeId = getFileId(file.path);
       
-      this.dependencyGraph.nodes[nodeId] = {
+      this.dependencyGraph.addNode({
         id: nodeId,
         type: 'file',
         name: file.name,
         path: file.path,
+        package: this.moduleResolver.getPackageName(file.path),
         size: file.size,
         lastModified: file.lastModified
-      };
+      });
     }
   }
   
@@ -112,21 +134,22 @@ class DependencyAnalyzer {
    */
   addFunctionsToGraph(functions) {
     for (const func of functions) {
-      const nodeId = `function:${func.filePath}:${func.name}`;
+      const nodeId = func.id;
       
-      this.dependencyGraph.nodes[nodeId] = {
+      this.dependencyGraph.addNode({
         id: nodeId,
         type: 'function',
         name: func.name,
+        qualifiedName: func.qualifiedName,
         filePath: func.filePath,
         params: func.params,
         loc: func.loc
-      };
+      });
       
       // 添加函数与其所在文件的依赖关系
       this.addEdge(
         nodeId,
-        `file:${func.filePath}`,
+        getFileId(func.filePath),
         'contains'
       );
     }
@@ -138,37 +161,39 @@ class DependencyAnalyzer {
    */
   addClassesToGraph(classes) {
     for (const cls of classes) {
-      const nodeId = `class:${cls.filePath}:${cls.name}`;
+      const nodeId = cls.id;
       
-      this.dependencyGraph.nodes[nodeId] = {
+      this.dependencyGraph.addNode({
         id: nodeId,
         type: 'class',
         name: cls.name,
+        qualifiedName: cls.qualifiedName,
         filePath: cls.filePath,
-        methods: cls.methods,
+        methods: cls.methods.map(method => method.name),
         loc: cls.loc
-      };
+      });
       
       // 添加类与其所在文件的依赖关系
       this.addEdge(
         nodeId,
-        `file:${cls.filePath}`,
+        getFileId(cls.filePath),
         'contains'
       );
       
       // 添加类方法
       for (const method of cls.methods) {
-        const methodNodeId = `method:${cls.filePath}:${cls.name}.${method.name}`;
+        const methodNodeId = method.id;
         
-        this.dependencyGraph.nodes[methodNodeId] = {
+        this.dependencyGraph.addNode({
           id: methodNodeId,
           type: 'method',
           name: method.name,
+          qualifiedName: method.qualifiedName,
           className: cls.name,
           filePath: cls.filePath,
           params: method.params,
           loc: method.loc
-        };
+        });
         
         // 添加方法与类的依赖关系
         this.addEdge(
@@ -180,6 +205,113 @@ class DependencyAnalyzer {
     }
   }
   
+  /**
+   * 添加React组件到图谱
+   * @param {Array} components - 组件数组
+   */
+  addComponentsToGraph(components) {
+    for (const component of components) {
+      const nodeId = component.id;
+      
+      this.dependencyGraph.addNode({
+        id: nodeId,
+        type: 'component',
+        name: component.name,
+        qualifiedName: component.qualifiedName,
+        componentType: component.type,
+        filePath: component.filePath,
+        props: component.props,
+        hooks: component.hooks,
+        emits: component.emits,
+        defaultExport: component.defaultExport,
+        loc: component.loc
+      });
+      
+      // 添加组件与其所在文件的依赖关系
+      this.addEdge(
+        nodeId,
+        getFileId(component.filePath),
+        'contains'
+      );
+      
+      // 添加组件与实现它的函数或类的依赖关系（Vue单文件组件由文件本身定义）
+      if (component.definitionId) {
+        this.addEdge(
+          nodeId,
+          component.definitionId,
+          'definedBy'
+        );
+      }
+    }
+  }
+  
+  /**
+   * 添加TS接口、类型别名和枚举到图谱
+   * @param {Array} types - 类型数组
+   */
+  addTypesToGraph(types) {
+    for (const type of types) {
+      const nodeId = type.id;
+      
+      this.dependencyGraph.addNode({
+        id: nodeId,
+        type: 'type',
+        name: type.name,
+        qualifiedName: type.qualifiedName,
+        kind: type.kind,
+        filePath: type.filePath,
+        fields: type.fields.map(field => field.name),
+        loc: type.loc
+      });
+      
+      // 添加类型与其所在文件的依赖关系
+      this.addEdge(
+        nodeId,
+        getFileId(type.filePath),
+        'contains'
+      );
+    }
+  }
+  
+  /**
+   * 添加HTTP路由到图谱
+   * @param {Array} routes - 路由数组
+   */
+  addRoutesToGraph(routes) {
+    for (const route of routes) {
+      const name = `${route.method} ${route.path}`;
+      const nodeId = route.id;
+      
+      this.dependencyGraph.addNode({
+        id: nodeId,
+        type: 'route',
+        name,
+        method: route.method,
+        path: route.path,
+        filePath: route.filePath,
+        handler: route.handler,
+        middlewares: route.middlewares,
+        loc: route.loc
+      });
+      
+      // 添加路由与其注册所在文件的依赖关系
+      this.addEdge(
+        nodeId,
+        getFileId(route.filePath),
+        'contains'
+      );
+      
+      // 添加路由与处理函数的依赖关系
+      if (route.handlerId) {
+        this.addEdge(
+          nodeId,
+          route.handlerId,
+          'handledBy'
+        );
+      }
+    }
+  }
+  
   /**
    * 添加边到图谱
    * @param {string} sourceId - 源节点ID
@@ -188,95 +320,33 @@ class DependencyAnalyzer {
    * @param {Object} metadata - 边元数据
    */
   addEdge(sourceId, targetId, type, metadata = {}) {
-    // 检查源节点和目标节点是否存在
-    if (!this.dependencyGraph.nodes[sourceId] || !this.dependencyGraph.nodes[targetId]) {
-      return;
-    }
-    
-    // 检查边是否已存在
-    const existingEdge = this.dependencyGraph.edges.find(edge => 
-      edge.source === sourceId && edge.target === targetId && edge.type === type
-    );
-    
-    if (existingEdge) {
-      // 如果边已存在，更新元数据
-      Object.assign(existingEdge.metadata, metadata);
-    } else {
-      // 如果边不存在，添加新边
-      this.dependencyGraph.edges.push({
-        source: sourceId,
-        target: targetId,
-        type,
-        metadata: {
-          weight: 1, // 默认权重
-          ...metadata
-        }
-      });
-    }
+    // 源节点或目标节点不存在时忽略；边已存在时合并元数据
+    this.dependencyGraph.addEdge(sourceId, targetId, type, metadata);
   }
   
   /**
    * 分析文件间的依赖关系
+   * 目标文件属于工作区包时，边的元数据记录包名（package）以及是否跨包（crossPackage）
    * @param {Array} files - 文件数组
-   * @returns {Promise<void>}
    */
-  async analyzeFileDependencies(files) {
+  analyzeFileDependencies(files) {
     for (const file of files) {
-      try {
-        // 读取文件内容
-        const content = await fs.readFile(file.path, 'utf-8');
-        
-        // 解析代码为AST
-        const ast = parser.parse(content, {
-          sourceType: 'module',
-          plugins: ['jsx', 'typescript', 'classProperties']
-        });
-        
-        // 分析导入语句
-        traverse(ast, {
-          ImportDeclaration: (nodePath) => {
-            const node = nodePath.node;
-            const importPath = node.source.value;
-            
-            // 解析导入路径
-            const resolvedPath = this.resolveImportPath(importPath, file.path);
-            if (resolvedPath) {
-              // 添加文件依赖关系
-              this.addEdge(
-                `file:${file.path}`,
-                `file:${resolvedPath}`,
-                'imports'
-              );
-            }
-          },
+      const sourcePackage = this.moduleResolver.getPackageName(file.path);
+      
+      for (const dependency of this.fileDependencies[file.path].imports) {
+        // 解析导入路径
+        const resolvedPath = this.resolveImportPath(dependency.source, file.path);
+        if (resolvedPath) {
+          const targetPackage = this.moduleResolver.getPackageName(resolvedPath);
           
-          // 分析 require 语句
-          CallExpression: (nodePath) => {
-            const node = nodePath.node;
-            
-            if (
-              node.callee.type === 'Identifier' &&
-              node.callee.name === 'require' &&
-              node.arguments.length > 0 &&
-              node.arguments[0].type === 'StringLiteral'
-            ) {
-              const importPath = node.arguments[0].value;
-              
-              // 解析导入路径
-              const resolvedPath = this.resolveImportPath(importPath, file.path);
-              if (resolvedPath) {
-                // 添加文件依赖关系
-                this.addEdge(
-                  `file:${file.path}`,
-                  `file:${resolvedPath}`,
-                  'requires'
-                );
-              }
-            }
-          }
-        });
-      } catch (error) {
-        console.error(`Error analyzing dependencies for file ${file.path}:`, error);
+          // 添加文件依赖关系
+          this.addEdge(
+            getFileId(file.path),
+            getFileId(resolvedPath),
+            dependency.type,
+            targetPackage ? { package: targetPackage, crossPackage: targetPackage !== sourcePackage } : {}
+          );
+        }
       }
     }
   }
@@ -289,56 +359,12 @@ class DependencyAnalyzer {
    */
   resolveImportPath(importPath, currentFilePath) {
     // 跳过 node_modules 导入，除非配置允许
-    if (!this.config.includeNodeModules && (
-      importPath.startsWith('node_modules/') ||
-      !importPath.startsWith('.') && !importPath.startsWith('/')
-    )) {
+    if (!this.config.includeNodeModules && importPath.startsWith('node_modules/')) {
       return null;
     }
     
     try {
-      let resolvedPath;
-      
-      if (importPath.startsWith('.')) {
-        // 相对路径
-        const currentDir = path.dirname(currentFilePath);
-        resolvedPath = path.resolve(currentDir, importPath);
-      } else if (importPath.startsWith('/')) {
-        // 绝对路径
-        resolvedPath = importPath;
-      } else {
-        // 模块路径，跳过
-        return null;
-      }
-      
-      // 检查文件扩展名
-      if (!path.extname(resolvedPath)) {
-        // 尝试添加常见的扩展名
-        for (const ext of ['.js', '.jsx', '.ts', '.tsx']) {
-          const pathWithExt = `${resolvedPath}${ext}`;
-          try {
-            if (fs.existsSync(pathWithExt)) {
-              return pathWithExt;
-            }
-          } catch (e) {
-            // 忽略错误
-          }
-        }
-        
-        // 尝试作为目录处理，查找 index 文件
-        for (const ext of ['.js', '.jsx', '.ts', '.tsx']) {
-          const indexPath = path.join(resolvedPath, `index${ext}`);
-          try {
-            if (fs.existsSync(indexPath)) {
-              return indexPath;
-            }
-          } catch (e) {
-            // 忽略错误
-          }
-        }
-      }
-      
-      return resolvedPath;
+      return this.moduleResolver.resolve(importPath, currentFilePath);
     } catch (error) {
       console.error(`Error resolving import path ${importPath}:`, error);
       return null;
@@ -347,221 +373,206 @@ class DependencyAnalyzer {
   
   /**
    * 分析函数调用关系
+   * 被调用的函数依次匹配：同一文件中对调用方可见的同名函数（外层作用域最近的优先），
+   * 从其他文件导入的函数，代码库中唯一的同名顶层函数；存在多个同名函数且无法确定时不生成边
    * @param {Array} functions - 函数数组
    * @param {Array} files - 文件数组
-   * @returns {Promise<void>}
+   * @param {Array} classes - 类数组，用于查找调用所在的方法
    */
-  async analyzeFunctionCalls(functions, files) {
-    // 创建函数名到函数ID的映射
-    const functionMap = {};
+  analyzeFunctionCalls(functions, files, classes = []) {
+    // 创建函数名到函数的映射
+    const functionsByName = new Map();
     for (const func of functions) {
-      functionMap[func.name] = `function:${func.filePath}:${func.name}`;
+      functionsByName.set(func.name, [...(functionsByName.get(func.name) || []), func]);
     }
     
-    // 分析每个文件中的函数调用
+    // 调用方（函数或类方法）ID -> 调用方
+    const callers = new Map([
+      ...functions.map(func => [func.id, func]),
+      ...classes.flatMap(cls => cls.methods.map(method => [method.id, method]))
+    ]);
+    
+    const filesByPath = new Map(files.map(file => [file.path, file]));
+    
+    // 检查每个文件中是否调用了已知函数
     for (const file of files) {
-      try {
-        // 读取文件内容
-        const content = await fs.readFile(file.path, 'utf-8');
+      for (const call of this.fileDependencies[file.path].calls) {
+        const caller = callers.get(call.callerId);
+        const callee = caller ? this.resolveCallee(call.callee, caller, file, functionsByName, filesByPath) : null;
         
-        // 解析代码为AST
-        const ast = parser.parse(content, {
-          sourceType: 'module',
-          plugins: ['jsx', 'typescript', 'classProperties']
-        });
-        
-        // 分析函数调用
-        traverse(ast, {
-          CallExpression: (nodePath) => {
-            const node = nodePath.node;
-            
-            if (node.callee.type === 'Identifier') {
-              const calleeName = node.callee.name;
-              
-              // 检查是否调用了已知函数
-              if (functionMap[calleeName]) {
-                // 获取当前函数上下文
-                let currentFunction = null;
-                let currentFunctionName = null;
-                
-                // 向上查找函数声明或表达式
-                let parent = nodePath.parentPath;
-                while (parent && !currentFunction) {
-                  if (parent.node.type === 'FunctionDeclaration') {
-                    currentFunction = parent.node;
-                    currentFunctionName = currentFunction.id ? currentFunction.id.name : 'anonymous';
-                    break;
-                  } else if (parent.node.type === 'FunctionExpression' || parent.node.type === 'ArrowFunctionExpression') {
-                    currentFunction = parent.node;
-                    
-                    // 尝试获取函数名
-                    if (parent.parent && parent.parent.node.type === 'VariableDeclarator') {
-                      currentFunctionName = parent.parent.node.id.name;
-                    } else {
-                      currentFunctionName = 'anonymous';
-                    }
-                    break;
-                  }
-                  
-                  parent = parent.parentPath;
-                }
-                
-                if (currentFunctionName && currentFunctionName !== 'anonymous') {
-                  const callerId = `function:${file.path}:${currentFunctionName}`;
-                  const calleeId = functionMap[calleeName];
-                  
-                  // 添加函数调用关系
-                  this.addEdge(
-                    callerId,
-                    calleeId,
-                    'calls',
-                    { weight: 1 }
-                  );
-                }
-              }
-            }
-          }
-        });
-      } catch (error) {
-        console.error(`Error analyzing function calls for file ${file.path}:`, error);
+        if (callee) {
+          // 添加函数调用关系
+          this.addEdge(
+            call.callerId,
+            callee.id,
+            'calls',
+            { weight: 1 }
+          );
+        }
       }
     }
   }
   
   /**
-   * 获取节点的依赖关系
-   * @param {string} nodeId - 节点ID
-   * @param {Object} options - 选项
-   * @returns {Array} - 依赖节点数组
+   * 确定调用的目标函数
+   * @param {string} name - 被调用的函数名
+   * @param {Object} caller - 调用所在的函数或类方法
+   * @param {Object} file - 调用所在的文件索引
+   * @param {Map} functionsByName - 函数名 -> 函数数组
+   * @param {Map} filesByPath - 文件路径 -> 文件索引
+   * @returns {Object|null} - 目标函数
    */
-  getNodeDependencies(nodeId, options = {}) {
-    const defaults = {
-      direction: 'outgoing', // 'outgoing', 'incoming', 'both'
-      types: null, // 边类型过滤，null表示所有类型
-      depth: 1, // 依赖深度
-      maxResults: 100 // 最大结果数
-    };
+  resolveCallee(name, caller, file, functionsByName, filesByPath) {
+    const candidates = functionsByName.get(name) || [];
     
-    const config = { ...defaults, ...options };
+    // 同一文件中，外层作用域是调用方限定名前缀的函数对调用方可见，如 outer.inner 可以调用 outer.helper 和顶层的 helper
+    const visible = candidates
+      .filter(candidate => candidate.filePath === file.path)
+      .map(candidate => ({ candidate, scope: getSymbolScope(candidate.qualifiedName) }))
+      .filter(({ scope }) => scope === '' || `${caller.qualifiedName}.`.startsWith(`${scope}.`))
+      .sort((a, b) => b.scope.length - a.scope.length);
+    if (visible.length > 0) {
+      return visible[0].candidate;
+    }
     
-    // 检查节点是否存在
-    if (!this.dependencyGraph.nodes[nodeId]) {
-      return [];
+    // 从其他文件导入的函数（导入自第三方包时不匹配代码库中的同名函数）
+    const binding = (file.imports || []).find(item => item.local === name);
+    if (binding) {
+      const targetPath = this.resolveImportPath(binding.source, file.path);
+      const targetFile = targetPath ? filesByPath.get(targetPath) : null;
+      const local = targetFile ? (targetFile.exports || {})[binding.imported] || binding.imported : null;
+      
+      return local ? targetFile.functions.find(func => func.qualifiedName === local) || null : null;
     }
     
-    const visited = new Set();
-    const dependencies = [];
+    const topLevel = candidates.filter(candidate => candidate.qualifiedName === candidate.name);
+    return topLevel.length === 1 ? topLevel[0] : null;
+  }
+  
+  /**
+   * 分析组件渲染关系
+   * 子组件优先匹配同一文件中的组件，其次是唯一的同名组件，存在多个同名组件时只匹配被当前文件导入的组件；
+   * 没有同名组件时按导入绑定查找（如 import Avatar from './Avatar.vue' 导入的组件名为 UserAvatar）
+   * @param {Array} components - 组件数组
+   * @param {Array} files - 文件数组
+   */
+  analyzeComponentRenders(components, files = []) {
+    // 创建组件名到组件的映射
+    const componentsByName = new Map();
+    for (const component of components) {
+      componentsByName.set(component.name, [...(componentsByName.get(component.name) || []), component]);
+    }
     
-    // 递归获取依赖
-    this.getDependenciesRecursive(
-      nodeId,
-      config,
-      visited,
-      dependencies,
-      0
-    );
+    const filesByPath = new Map(files.map(file => [file.path, file]));
     
-    return dependencies;
+    for (const component of components) {
+      const parentId = component.id;
+      const parentFileId = getFileId(component.filePath);
+      
+      for (const childName of component.renders || []) {
+        const candidates = componentsByName.get(childName) || [];
+        const child = candidates.find(candidate => candidate.filePath === component.filePath) ||
+          (candidates.length === 1 ? candidates[0] : null) ||
+          candidates.find(candidate => ['imports', 'requires'].some(type =>
+            this.dependencyGraph.hasEdge(parentFileId, getFileId(candidate.filePath), type)
+          )) ||
+          (candidates.length === 0 ? this.findImportedComponent(childName, filesByPath.get(component.filePath), components) : null);
+        
+        if (child) {
+          // 添加组件渲染关系
+          this.addEdge(
+            parentId,
+            child.id,
+            'renders'
+          );
+        }
+      }
+    }
   }
   
   /**
-   * 递归获取依赖关系
-   * @param {string} nodeId - 节点ID
-   * @param {Object} options - 选项
-   * @param {Set} visited - 已访问节点集合
-   * @param {Array} dependencies - 依赖数组
-   * @param {number} currentDepth - 当前深度
+   * 按导入绑定查找组件：默认导入匹配被导入文件的默认导出组件，具名导入匹配同名组件
+   * @param {string} localName - 导入的本地名称
+   * @param {Object|undefined} file - 导入所在的文件索引
+   * @param {Array} components - 组件数组
+   * @returns {Object|null} - 组件
    */
-  getDependenciesRecursive(nodeId, options, visited, dependencies, currentDepth) {
-    // 检查深度限制
-    if (currentDepth >= options.depth) {
-      return;
+  findImportedComponent(localName, file, components) {
+    const binding = file && (file.imports || []).find(item => item.local === localName);
+    const targetPath = binding ? this.resolveImportPath(binding.source, file.path) : null;
+    
+    if (!targetPath) {
+      return null;
     }
     
-    // 标记节点为已访问
-    visited.add(nodeId);
-    
-    // 获取相关边
-    const edges = this.dependencyGraph.edges.filter(edge => {
-      if (options.direction === 'outgoing') {
-        return edge.source === nodeId;
-      } else if (options.direction === 'incoming') {
-        return edge.target === nodeId;
-      } else { // 'both'
-        return edge.source === nodeId || edge.target === nodeId;
-      }
-    });
+    return components.find(candidate =>
+      candidate.filePath === targetPath &&
+      (binding.imported === 'default' ? candidate.defaultExport : candidate.name === binding.imported)
+    ) || null;
+  }
+  
+  /**
+   * 分析类型引用关系
+   * 与组件渲染关系相同，引用的类型优先匹配同一文件中的类型，其次是唯一的同名类型，最后是被当前文件导入的类型
+   * @param {Object} codeIndex - 代码索引对象
+   */
+  analyzeTypeReferences(codeIndex) {
+    const types = codeIndex.types || [];
     
-    // 过滤边类型
-    const filteredEdges = options.types
-      ? edges.filter(edge => options.types.includes(edge.type))
-      : edges;
+    // 创建类型名到类型的映射
+    const typesByName = new Map();
+    for (const type of types) {
+      typesByName.set(type.name, [...(typesByName.get(type.name) || []), type]);
+    }
     
-    // 处理每条边
-    for (const edge of filteredEdges) {
-      const targetId = options.direction === 'incoming' ? edge.source : edge.target;
-      
-      // 跳过已访问的节点
-      if (visited.has(targetId)) {
-        continue;
-      }
-      
-      // 获取目标节点
-      const targetNode = this.dependencyGraph.nodes[targetId];
-      if (!targetNode) {
-        continue;
-      }
-      
-      // 添加到依赖数组
-      dependencies.push({
-        id: targetId,
-        node: targetNode,
-        edge: edge,
-        depth: currentDepth + 1
-      });
+    const referrers = [
+      ...codeIndex.functions,
+      ...codeIndex.classes,
+      ...(codeIndex.components || []),
+      ...types
+    ];
+    
+    for (const element of referrers) {
+      const sourceId = element.id;
+      const fileId = getFileId(element.filePath);
       
-      // 检查结果数量限制
-      if (dependencies.length >= options.maxResults) {
-        return;
+      for (const typeName of element.typeReferences || []) {
+        const candidates = typesByName.get(typeName) || [];
+        const target = candidates.find(candidate => candidate.filePath === element.filePath) ||
+          (candidates.length === 1 ? candidates[0] : null) ||
+          candidates.find(candidate => ['imports', 'requires'].some(type =>
+            this.dependencyGraph.hasEdge(fileId, getFileId(candidate.filePath), type)
+          ));
+        
+        if (target) {
+          // 添加类型引用关系
+          this.addEdge(
+            sourceId,
+            target.id,
+            'references'
+          );
+        }
       }
-      
-      // 递归获取下一级依赖
-      this.getDependenciesRecursive(
-        targetId,
-        options,
-        visited,
-        dependencies,
-        currentDepth + 1
-      );
     }
   }
   
+  /**
+   * 获取节点的依赖关系
+   * @param {string} nodeId - 节点ID
+   * @param {Object} options - 选项
+   * @returns {Array} - 依赖节点数组
+   */
+  getNodeDependencies(nodeId, options = {}) {
+    return this.dependencyGraph.getNodeDependencies(nodeId, options);
+  }
+  
   /**
    * 获取影响分析
    * @param {string} nodeId - 节点ID
    * @returns {Object} - 影响分析结果
    */
   getImpactAnalysis(nodeId) {
-    // 获取依赖该节点的节点（被影响的节点）
-    const impactedNodes = this.getNodeDependencies(nodeId, {
-      direction: 'incoming',
-      depth: this.config.maxDepth
-    });
-    
-    // 获取该节点依赖的节点（影响源）
-    const dependencyNodes = this.getNodeDependencies(nodeId, {
-      direction: 'outgoing',
-      depth: this.config.maxDepth
-    });
-    
-    return {
-      nodeId,
-      node: this.dependencyGraph.nodes[nodeId],
-      impactedNodes,
-      dependencyNodes,
-      impactScore: impactedNodes.length, // 简单的影响分数
-      dependencyScore: dependencyNodes.length // 简单的依赖分数
-    };
+    return this.dependencyGraph.getImpactAnalysis(nodeId);
   }
 }
 
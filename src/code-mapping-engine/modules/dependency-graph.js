@@ -0,0 +1,405 @@
+/**
+ * 依赖图谱
+ * 存储代码元素（文件、函数、类、方法）及其依赖关系，提供按出边/入边索引的查询和遍历
+ * 边的方向为 依赖方 → 被依赖方（如 调用者 → 被调用函数，导入文件 → 被导入文件）
+ */
+
+class DependencyGraph {
+  constructor(config = {}) {
+    this.config = {
+      maxDepth: 3, // 影响分析的默认遍历深度
+      ...config
+    };
+    
+    this.nodes = new Map(); // 节点ID -> 节点
+    this.edges = new Map(); // 边键 -> 边
+    this.outgoing = new Map(); // 节点ID -> 出边集合
+    this.incoming = new Map(); // 节点ID -> 入边集合
+    this.metadata = {
+      createdAt: null,
+      nodeCount: 0,
+      edgeCount: 0
+    };
+  }
+  
+  /**
+   * 生成边的唯一键
+   * @param {string} sourceId - 源节点ID
+   * @param {string} targetId - 目标节点ID
+   * @param {string} type - 边类型
+   * @returns {string} - 边键
+   */
+  static edgeKey(sourceId, targetId, type) {
+    return `${type}|${sourceId}|${targetId}`;
+  }
+  
+  /**
+   * 添加节点（已存在时覆盖节点信息，保留已有的边）
+   * @param {Object} node - 节点对象（需包含 id）
+   * @returns {Object} - 节点对象
+   */
+  addNode(node) {
+    if (!node || !node.id) {
+      throw new Error('Dependency graph node must have an id');
+    }
+    
+    this.nodes.set(node.id, node);
+    if (!this.outgoing.has(node.id)) {
+      this.outgoing.set(node.id, new Set());
+      this.incoming.set(node.id, new Set());
+    }
+    
+    return node;
+  }
+  
+  /**
+   * 判断节点是否存在
+   * @param {string} nodeId - 节点ID
+   * @returns {boolean} - 是否存在
+   */
+  hasNode(nodeId) {
+    return this.nodes.has(nodeId);
+  }
+  
+  /**
+   * 获取节点
+   * @param {string} nodeId - 节点ID
+   * @returns {Object|null} - 节点对象
+   */
+  getNode(nodeId) {
+    return this.nodes.get(nodeId) || null;
+  }
+  
+  /**
+   * 删除节点及其所有边
+   * @param {string} nodeId - 节点ID
+   * @returns {boolean} - 是否删除成功
+   */
+  removeNode(nodeId) {
+    if (!this.nodes.has(nodeId)) {
+      return false;
+    }
+    
+    for (const edge of [...this.outgoing.get(nodeId), ...this.incoming.get(nodeId)]) {
+      this.removeEdge(edge.source, edge.target, edge.type);
+    }
+    
+    this.nodes.delete(nodeId);
+    this.outgoing.delete(nodeId);
+    this.incoming.delete(nodeId);
+    
+    return true;
+  }
+  
+  /**
+   * 添加边，源节点或目标节点不存在时忽略；边已存在时合并元数据
+   * @param {string} sourceId - 源节点ID
+   * @param {string} targetId - 目标节点ID
+   * @param {string} type - 边类型
+   * @param {Object} metadata - 边元数据
+   * @returns {Object|null} - 边对象
+   */
+  addEdge(sourceId, targetId, type, metadata = {}) {
+    if (!this.nodes.has(sourceId) || !this.nodes.has(targetId)) {
+      return null;
+    }
+    
+    const key = DependencyGraph.edgeKey(sourceId, targetId, type);
+    const existingEdge = this.edges.get(key);
+    
+    if (existingEdge) {
+      Object.assign(existingEdge.metadata, metadata);
+      return existingEdge;
+    }
+    
+    const edge = {
+      source: sourceId,
+      target: targetId,
+      type,
+      metadata: {
+        weight: 1, // 默认权重
+        ...metadata
+      }
+    };
+    
+    this.edges.set(key, edge);
+    this.outgoing.get(sourceId).add(edge);
+    this.incoming.get(targetId).add(edge);
+    
+    return edge;
+  }
+  
+  /**
+   * 判断边是否存在
+   * @param {string} sourceId - 源节点ID
+   * @param {string} targetId - 目标节点ID
+   * @param {string} type - 边类型
+   * @returns {boolean} - 是否存在
+   */
+  hasEdge(sourceId, targetId, type) {
+    return this.edges.has(DependencyGraph.edgeKey(sourceId, targetId, type));
+  }
+  
+  /**
+   * 获取边
+   * @param {string} sourceId - 源节点ID
+   * @param {string} targetId - 目标节点ID
+   * @param {string} type - 边类型
+   * @returns {Object|null} - 边对象
+   */
+  getEdge(sourceId, targetId, type) {
+    return this.edges.get(DependencyGraph.edgeKey(sourceId, targetId, type)) || null;
+  }
+  
+  /**
+   * 删除边
+   * @param {string} sourceId - 源节点ID
+   * @param {string} targetId - 目标节点ID
+   * @param {string} type - 边类型
+   * @returns {boolean} - 是否删除成功
+   */
+  removeEdge(sourceId, targetId, type) {
+    const key = DependencyGraph.edgeKey(sourceId, targetId, type);
+    const edge = this.edges.get(key);
+    
+    if (!edge) {
+      return false;
+    }
+    
+    this.edges.delete(key);
+    this.outgoing.get(sourceId).delete(edge);
+    this.incoming.get(targetId).delete(edge);
+    
+    return true;
+  }
+  
+  /**
+   * 获取节点的出边（该节点依赖的元素）
+   * @param {string} nodeId - 节点ID
+   * @param {Array<string>|null} types - 边类型过滤，null表示所有类型
+   * @returns {Array} - 边数组
+   */
+  getOutgoingEdges(nodeId, types = null) {
+    return this.filterEdges(this.outgoing.get(nodeId), types);
+  }
+  
+  /**
+   * 获取节点的入边（依赖该节点的元素）
+   * @param {string} nodeId - 节点ID
+   * @param {Array<string>|null} types - 边类型过滤，null表示所有类型
+   * @returns {Array} - 边数组
+   */
+  getIncomingEdges(nodeId, types = null) {
+    return this.filterEdges(this.incoming.get(nodeId), types);
+  }
+  
+  /**
+   * 按类型过滤边
+   * @param {Set} edges - 边集合
+   * @param {Array<string>|null} types - 边类型过滤
+   * @returns {Array} - 边数组
+   */
+  filterEdges(edges, types) {
+    if (!edges) {
+      return [];
+    }
+    
+    return types ? [...edges].filter(edge => types.includes(edge.type)) : [...edges];
+  }
+  
+  /**
+   * 获取节点的相邻边及相邻节点ID
+   * @param {string} nodeId - 节点ID
+   * @param {string} direction - 方向（outgoing, incoming, both）
+   * @param {Array<string>|null} types - 边类型过滤
+   * @returns {Array} - [{ edge, neighborId }]
+   */
+  getNeighbors(nodeId, direction = 'outgoing', types = null) {
+    const neighbors = [];
+    
+    if (direction === 'outgoing' || direction === 'both') {
+      for (const edge of this.getOutgoingEdges(nodeId, types)) {
+        neighbors.push({ edge, neighborId: edge.target });
+      }
+    }
+    
+    if (direction === 'incoming' || direction === 'both') {
+      for (const edge of this.getIncomingEdges(nodeId, types)) {
+        neighbors.push({ edge, neighborId: edge.source });
+      }
+    }
+    
+    return neighbors;
+  }
+  
+  /**
+   * 获取节点的依赖关系（广度优先，每个节点只记录最短深度）
+   * @param {string} nodeId - 节点ID
+   * @param {Object} options - 选项
+   * @returns {Array} - 依赖节点数组 [{ id, node, edge, depth }]
+   */
+  getNodeDependencies(nodeId, options = {}) {
+    const defaults = {
+      direction: 'outgoing', // 'outgoing', 'incoming', 'both'
+      types: null, // 边类型过滤，null表示所有类型
+      depth: 1, // 依赖深度
+      maxResults: 100 // 最大结果数
+    };
+    
+    const config = { ...defaults, ...options };
+    
+    if (!this.nodes.has(nodeId)) {
+      return [];
+    }
+    
+    const visited = new Set([nodeId]);
+    const dependencies = [];
+    let frontier = [nodeId];
+    
+    for (let depth = 1; depth <= config.depth && frontier.length > 0; depth++) {
+      const nextFrontier = [];
+      
+      for (const currentId of frontier) {
+        for (const { edge, neighborId } of this.getNeighbors(currentId, config.direction, config.types)) {
+          if (visited.has(neighborId)) {
+            continue;
+          }
+          
+          visited.add(neighborId);
+          dependencies.push({
+            id: neighborId,
+            node: this.nodes.get(neighborId),
+            edge,
+            depth
+          });
+          
+          if (dependencies.length >= config.maxResults) {
+            return dependencies;
+          }
+          
+          nextFrontier.push(neighborId);
+        }
+      }
+      
+      frontier = nextFrontier;
+    }
+    
+    return dependencies;
+  }
+  
+  /**
+   * 查找两个节点之间的最短依赖路径
+   * @param {string} fromId - 起始节点ID
+   * @param {string} toId - 目标节点ID
+   * @param {Object} options - 选项（direction, types）
+   * @returns {Array<string>|null} - 节点ID路径，不可达时为null
+   */
+  findPath(fromId, toId, options = {}) {
+    const { direction = 'outgoing', types = null } = options;
+    
+    if (!this.nodes.has(fromId) || !this.nodes.has(toId)) {
+      return null;
+    }
+    
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    
+    while (queue.length > 0) {
+      const currentId = queue.shift();
+      
+      if (currentId === toId) {
+        const path = [];
+        for (let id = toId; id !== null; id = previous.get(id)) {
+          path.unshift(id);
+        }
+        return path;
+      }
+      
+      for (const { neighborId } of this.getNeighbors(currentId, direction, types)) {
+        if (!previous.has(neighborId)) {
+          previous.set(neighborId, currentId);
+          queue.push(neighborId);
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 获取影响分析
+   * @param {string} nodeId - 节点ID
+   * @param {Object} options - 选项（depth: 遍历深度）
+   * @returns {Object} - 影响分析结果
+   */
+  getImpactAnalysis(nodeId, options = {}) {
+    const depth = options.depth || this.config.maxDepth;
+    
+    // 获取依赖该节点的节点（被影响的节点）
+    const impactedNodes = this.getNodeDependencies(nodeId, {
+      direction: 'incoming',
+      depth
+    });
+    
+    // 获取该节点依赖的节点（影响源）
+    const dependencyNodes = this.getNodeDependencies(nodeId, {
+      direction: 'outgoing',
+      depth
+    });
+    
+    return {
+      nodeId,
+      node: this.getNode(nodeId),
+      impactedNodes,
+      dependencyNodes,
+      impactScore: impactedNodes.length, // 简单的影响分数
+      dependencyScore: dependencyNodes.length // 简单的依赖分数
+    };
+  }
+  
+  /**
+   * 更新图谱元数据
+   */
+  updateMetadata() {
+    this.metadata = {
+      createdAt: new Date().toISOString(),
+      nodeCount: this.nodes.size,
+      edgeCount: this.edges.size
+    };
+  }
+  
+  /**
+   * 转换为可序列化的对象
+   * @returns {Object} - { nodes, edges, metadata }
+   */
+  toJSON() {
+    return {
+      nodes: Object.fromEntries(this.nodes),
+      edges: Array.from(this.edges.values()),
+      metadata: this.metadata
+    };
+  }
+  
+  /**
+   * 从序列化的对象恢复依赖图谱
+   * @param {Object} data - toJSON 的输出
+   * @param {Object} config - 图谱配置
+   * @returns {DependencyGraph} - 依赖图谱
+   */
+  static fromJSON(data, config = {}) {
+    const graph = new DependencyGraph(config);
+    
+    for (const node of Object.values(data.nodes || {})) {
+      graph.addNode(node);
+    }
+    for (const edge of data.edges || []) {
+      graph.addEdge(edge.source, edge.target, edge.type, edge.metadata);
+    }
+    
+    graph.metadata = { ...graph.metadata, ...data.metadata };
+    
+    return graph;
+  }
+}
+
+module.exports = DependencyGraph;
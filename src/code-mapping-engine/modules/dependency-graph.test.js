@@ -0,0 +1,122 @@
+/**
+ * 依赖图谱测试
+ */
+
+const DependencyGraph = require('./dependency-graph');
+
+/**
+ * 创建依赖链 routes → controller → service → repository，以及 job → service
+ * @returns {DependencyGraph} - 依赖图谱
+ */
+function createGraph() {
+  const graph = new DependencyGraph();
+  
+  for (const id of ['routes', 'controller', 'service', 'repository', 'job']) {
+    graph.addNode({ id, type: 'file' });
+  }
+  
+  graph.addEdge('routes', 'controller', 'imports');
+  graph.addEdge('controller', 'service', 'calls');
+  graph.addEdge('service', 'repository', 'calls');
+  graph.addEdge('job', 'service', 'imports');
+  
+  return graph;
+}
+
+describe('DependencyGraph', () => {
+  test('rejects nodes without an id', () => {
+    expect(() => new DependencyGraph().addNode({ type: 'file' })).toThrow('Dependency graph node must have an id');
+  });
+  
+  test('merges duplicate edges of the same type and keeps edges of other types', () => {
+    const graph = createGraph();
+    
+    const first = graph.getEdge('controller', 'service', 'calls');
+    const duplicate = graph.addEdge('controller', 'service', 'calls', { weight: 2, line: 12 });
+    graph.addEdge('controller', 'service', 'imports');
+    
+    expect(duplicate).toBe(first);
+    expect(first.metadata).toEqual({ weight: 2, line: 12 });
+    expect(graph.edges.size).toBe(5);
+    expect(graph.getOutgoingEdges('controller').map(edge => edge.type)).toEqual(['calls', 'imports']);
+    expect(graph.getIncomingEdges('service', ['calls'])).toEqual([first]);
+  });
+  
+  test('ignores edges whose nodes do not exist', () => {
+    const graph = createGraph();
+    
+    expect(graph.addEdge('controller', 'missing', 'calls')).toBeNull();
+    expect(graph.edges.size).toBe(4);
+  });
+  
+  test('removes a node together with its incoming and outgoing edges', () => {
+    const graph = createGraph();
+    
+    expect(graph.removeNode('service')).toBe(true);
+    expect(graph.hasEdge('controller', 'service', 'calls')).toBe(false);
+    expect(graph.getOutgoingEdges('controller')).toEqual([]);
+    expect(graph.getIncomingEdges('repository')).toEqual([]);
+    expect(graph.edges.size).toBe(1);
+    expect(graph.removeNode('service')).toBe(false);
+  });
+  
+  describe('findPath', () => {
+    test('finds the shortest path along outgoing edges', () => {
+      expect(createGraph().findPath('routes', 'repository')).toEqual(['routes', 'controller', 'service', 'repository']);
+    });
+    
+    test('follows the requested direction and edge types', () => {
+      const graph = createGraph();
+      
+      expect(graph.findPath('repository', 'routes')).toBeNull();
+      expect(graph.findPath('repository', 'job', { direction: 'incoming' })).toEqual(['repository', 'service', 'job']);
+      expect(graph.findPath('routes', 'service', { types: ['calls'] })).toBeNull();
+    });
+    
+    test('returns null for unknown nodes', () => {
+      expect(createGraph().findPath('routes', 'missing')).toBeNull();
+    });
+  });
+  
+  describe('getImpactAnalysis', () => {
+    test('collects dependents and dependencies up to the requested depth', () => {
+      const impact = createGraph().getImpactAnalysis('service', { depth: 1 });
+      
+      expect(impact.impactedNodes.map(({ id, depth }) => [id, depth])).toEqual([['controller', 1], ['job', 1]]);
+      expect(impact.dependencyNodes.map(({ id, depth }) => [id, depth])).toEqual([['repository', 1]]);
+      expect(impact).toMatchObject({ impactScore: 2, dependencyScore: 1 });
+    });
+    
+    test('records the shortest depth of each node within the default depth', () => {
+      const graph = createGraph();
+      
+      expect(graph.getImpactAnalysis('repository').impactedNodes.map(({ id, depth }) => [id, depth])).toEqual([
+        ['service', 1],
+        ['controller', 2],
+        ['job', 2],
+        ['routes', 3]
+      ]);
+      
+      graph.addEdge('routes', 'service', 'imports');
+      
+      expect(graph.getImpactAnalysis('repository').impactedNodes.find(node => node.id === 'routes').depth).toBe(2);
+    });
+    
+    test('stops at the configured maximum depth', () => {
+      const graph = createGraph();
+      graph.config.maxDepth = 2;
+      
+      expect(graph.getImpactAnalysis('repository').impactedNodes.map(node => node.id)).toEqual(['service', 'controller', 'job']);
+    });
+  });
+  
+  test('round-trips through toJSON and fromJSON', () => {
+    const graph = createGraph();
+    graph.updateMetadata();
+    
+    const restored = DependencyGraph.fromJSON(JSON.parse(JSON.stringify(graph.toJSON())));
+    
+    expect(restored.toJSON()).toEqual(graph.toJSON());
+    expect(restored.getIncomingEdges('service').map(edge => edge.source)).toEqual(['controller', 'job']);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * 嵌入向量提供者
+ * 把代码和任务文本转换为稠密向量，语义分析器通过 embeddingProvider 配置选择：
+ * - 'hashing'：内置的哈希特征嵌入，确定性、无需联网和模型
+ * - 模块路径：导出提供者类（以 embeddingOptions 实例化）或提供者对象的模块，用于接入远程服务或本地模型
+ * - 实现了提供者接口的对象
+ *
+ * 提供者需要实现：
+ * - dimension：向量维度
+ * - signature：提供者及其配置的签名，签名变化后缓存的向量不能复用
+ * - embed(texts)：返回与 texts 顺序一致的向量数组（可以是异步的）
+ */
+
+const path = require('path');
+
+// 代码中常见但不说明用途的词，不作为哈希嵌入的特征
+const DEFAULT_STOP_WORDS = [
+  'const', 'let', 'var', 'function', 'return', 'async', 'await', 'new', 'this', 'class', 'extends',
+  'import', 'export', 'from', 'require', 'module', 'exports', 'default', 'if', 'else', 'for', 'of',
+  'in', 'while', 'try', 'catch', 'throw', 'null', 'undefined', 'true', 'false', 'typeof', 'the', 'and',
+  'or', 'to', 'a', 'is', 'param', 'returns', 'type', 'string', 'number', 'object', 'boolean', 'promise'
+];
+
+/**
+ * 计算字符串的 FNV-1a 32位哈希
+ * @param {string} text - 字符串
+ * @returns {number} - 无符号32位哈希值
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  return hash >>> 0;
+}
+
+/**
+ * 哈希特征嵌入
+ * 英文按单词（驼峰和下划线命名拆分后）及单词内的字符 n-gram 提取特征，中文按单字和二字组提取特征，
+ * 特征经哈希映射到固定维度并带符号累加，词频取对数后做L2归一化。
+ * 字符 n-gram 让 login / loginHandler / logins 这类词形变化仍有相近的向量
+ */
+class HashingEmbeddingProvider {
+  constructor(config = {}) {
+    this.config = {
+      dimension: 256, // 向量维度
+      ngramSizes: [3, 4], // 单词内字符 n-gram 的长度
+      ngramWeight: 0.5, // n-gram 特征相对于整词特征的权重
+      stopWords: DEFAULT_STOP_WORDS,
+      ...config
+    };
+    
+    this.dimension = this.config.dimension;
+    this.signature = `hashing:${this.dimension}:${this.config.ngramSizes.join(',')}:${this.config.ngramWeight}:${fnv1a(this.config.stopWords.join(','))}`;
+    this.stopWords = new Set(this.config.stopWords);
+  }
+  
+  /**
+   * 把文本转换为向量
+   * @param {Array<string>} texts - 文本数组
+   * @returns {Promise<Array<Array<number>>>} - 向量数组
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+  
+  /**
+   * 提取文本的特征及其权重
+   * @param {string} text - 文本
+   * @returns {Map<string, number>} - 特征 -> 累计权重
+   */
+  extractFeatures(text) {
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+    
+    // 英文单词：拆分驼峰命名后按非字母数字字符分隔
+    const words = text
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .match(/[a-z][a-z0-9]+/g) || [];
+    
+    for (const word of words) {
+      if (this.stopWords.has(word)) {
+        continue;
+      }
+      
+      add(`w:${word}`, 1);
+      
+      const padded = `<${word}>`;
+      for (const size of this.config.ngramSizes) {
+        for (let i = 0; i + size <= padded.length; i++) {
+          add(`g:${padded.slice(i, i + size)}`, this.config.ngramWeight);
+        }
+      }
+    }
+    
+    // 中文：连续汉字中的单字和二字组
+    for (const run of text.match(/[一-龥]+/g) || []) {
+      for (let i = 0; i < run.length; i++) {
+        add(`c:${run[i]}`, this.config.ngramWeight);
+        if (i + 1 < run.length) {
+          add(`c:${run.slice(i, i + 2)}`, 1);
+        }
+      }
+    }
+    
+    return features;
+  }
+  
+  /**
+   * 把单个文本转换为L2归一化的向量
+   * @param {string} text - 文本
+   * @returns {Array<number>} - 向量
+   */
+  embedText(text) {
+    const vector = new Array(this.dimension).fill(0);
+    
+    for (const [feature, weight] of this.extractFeatures(text || '')) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      
+      // 重复出现的特征按对数增长，避免长代码中的高频词主导向量
+      vector[hash % this.dimension] += sign * (weight > 1 ? 1 + Math.log(weight) : weight);
+    }
+    
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+  }
+}
+
+const PROVIDERS = {
+  hashing: HashingEmbeddingProvider
+};
+
+/**
+ * 按配置创建嵌入向量提供者
+ * @param {Object} config - 语义分析器配置（embeddingProvider、embeddingOptions）
+ * @returns {Object|null} - 提供者实例，未配置时为null
+ */
+function createEmbeddingProvider(config = {}) {
+  const { embeddingProvider, embeddingOptions = {} } = config;
+  
+  if (!embeddingProvider) {
+    return null;
+  }
+  
+  if (typeof embeddingProvider === 'object') {
+    return embeddingProvider;
+  }
+  
+  const Provider = PROVIDERS[embeddingProvider] || require(path.resolve(embeddingProvider));
+  const provider = typeof Provider === 'function' ? new Provider(embeddingOptions) : Provider;
+  
+  if (!provider || typeof provider.embed !== 'function') {
+    throw new Error(`Invalid embedding provider: ${embeddingProvider}`);
+  }
+  
+  return provider;
+}
+
+module.exports = {
+  HashingEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -0,0 +1,115 @@
+/**
+ * 嵌入向量提供者测试
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { HashingEmbeddingProvider, createEmbeddingProvider } = require('./embedding-providers');
+
+/**
+ * 计算两个L2归一化向量的余弦相似度
+ * @param {Array<number>} vector1 - 向量1
+ * @param {Array<number>} vector2 - 向量2
+ * @returns {number} - 相似度
+ */
+function similarity(vector1, vector2) {
+  return vector1.reduce((sum, value, i) => sum + value * vector2[i], 0);
+}
+
+describe('HashingEmbeddingProvider', () => {
+  test('embeds the same text to the same normalised vector across instances', async () => {
+    const texts = ['async function loginHandler(username, password)', '用户登录失败后锁定账户'];
+    const [first, second] = await Promise.all([
+      new HashingEmbeddingProvider().embed(texts),
+      new HashingEmbeddingProvider().embed(texts)
+    ]);
+    
+    expect(first).toEqual(second);
+    for (const vector of first) {
+      expect(vector).toHaveLength(256);
+      expect(similarity(vector, vector)).toBeCloseTo(1, 10);
+    }
+  });
+  
+  test('gives related word forms and Chinese phrases closer vectors', () => {
+    const provider = new HashingEmbeddingProvider();
+    const login = provider.embedText('login');
+    
+    expect(similarity(login, provider.embedText('loginHandler'))).toBeGreaterThan(
+      similarity(login, provider.embedText('createOrder'))
+    );
+    expect(similarity(provider.embedText('用户登录'), provider.embedText('登录失败'))).toBeGreaterThan(
+      similarity(provider.embedText('用户登录'), provider.embedText('创建订单'))
+    );
+  });
+  
+  test('returns a zero vector for text made of stop words only', () => {
+    const vector = new HashingEmbeddingProvider({ dimension: 16 }).embedText('return await this;');
+    
+    expect(vector).toEqual(new Array(16).fill(0));
+  });
+  
+  test('changes the signature with every option that changes the vectors', () => {
+    const signature = new HashingEmbeddingProvider().signature;
+    
+    expect(new HashingEmbeddingProvider().signature).toBe(signature);
+    expect(signature).toMatch(/^hashing:256:3,4:0\.5:\d+$/);
+    expect(new HashingEmbeddingProvider({ dimension: 128 }).signature).not.toBe(signature);
+    expect(new HashingEmbeddingProvider({ ngramSizes: [3] }).signature).not.toBe(signature);
+    expect(new HashingEmbeddingProvider({ ngramWeight: 1 }).signature).not.toBe(signature);
+    expect(new HashingEmbeddingProvider({ stopWords: ['const'] }).signature).not.toBe(signature);
+  });
+});
+
+describe('createEmbeddingProvider', () => {
+  let tempDir;
+  
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-providers-'));
+  });
+  
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+  
+  test('creates no provider unless one is configured', () => {
+    expect(createEmbeddingProvider()).toBeNull();
+  });
+  
+  test('creates the hashing provider with the embedding options', () => {
+    const provider = createEmbeddingProvider({ embeddingProvider: 'hashing', embeddingOptions: { dimension: 64 } });
+    
+    expect(provider).toBeInstanceOf(HashingEmbeddingProvider);
+    expect(provider.dimension).toBe(64);
+  });
+  
+  test('uses provider objects as they are', () => {
+    const provider = { dimension: 2, signature: 'fixed', embed: texts => texts.map(() => [1, 0]) };
+    
+    expect(createEmbeddingProvider({ embeddingProvider: provider })).toBe(provider);
+  });
+  
+  test('loads a provider class from a module path', async () => {
+    const modulePath = path.join(tempDir, 'provider.js');
+    await fs.outputFile(modulePath, [
+      'module.exports = class {',
+      '  constructor(options) { this.dimension = options.dimension; this.signature = "local"; }',
+      '  embed(texts) { return texts.map(() => new Array(this.dimension).fill(1)); }',
+      '};'
+    ].join('\n'));
+    
+    const provider = createEmbeddingProvider({ embeddingProvider: modulePath, embeddingOptions: { dimension: 3 } });
+    
+    expect(provider.dimension).toBe(3);
+    expect(provider.embed(['a'])).toEqual([[1, 1, 1]]);
+  });
+  
+  test('rejects modules that do not export a provider', async () => {
+    const modulePath = path.join(tempDir, 'invalid.js');
+    await fs.outputFile(modulePath, 'module.exports = { dimension: 3 };');
+    
+    expect(() => createEmbeddingProvider({ embeddingProvider: modulePath }))
+      .toThrow(`Invalid embedding provider: ${modulePath}`);
+  });
+});
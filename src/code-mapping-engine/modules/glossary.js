@@ -0,0 +1,426 @@
+/**
+ * 项目术语表
+ * 按代码库维护业务术语与代码标识符、目录和接口路径的对应关系，映射任务时用于扩展查询；
+ * 并从代码索引中挖掘注释里的中文术语与标识符的共现关系，生成待人工确认的术语建议
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { segmentChinese } = require('../utils/chinese-utils');
+
+// 注释中常见但不代表业务概念的词，不作为术语建议
+const GENERIC_TERMS = new Set([
+  '获取', '返回', '设置', '根据', '数据', '信息', '列表', '对象', '参数', '函数', '方法', '用于', '是否',
+  '当前', '处理', '调用', '请求', '结果', '字段', '类型', '默认', '可选', '必填', '接口', '组件', '页面'
+]);
+
+// 标识符中常见但不代表业务概念的词
+const GENERIC_IDENTIFIER_WORDS = new Set([
+  'get', 'set', 'has', 'use', 'handle', 'handler', 'create', 'update', 'delete', 'remove', 'list', 'find',
+  'fetch', 'load', 'save', 'init', 'data', 'info', 'item', 'items', 'value', 'values', 'result', 'index',
+  'util', 'utils', 'helper', 'service', 'controller', 'component', 'props', 'state', 'new', 'add', 'check',
+  'format', 'parse', 'render', 'api', 'req', 'res', 'err', 'error', 'callback', 'options', 'config',
+  'params', 'default', 'type', 'types', 'the', 'and', 'for', 'with', 'from', 'all', 'by'
+]);
+
+// 术语条目中的列表字段
+const LIST_FIELDS = ['synonyms', 'identifiers', 'directories', 'routes'];
+
+/**
+ * 创建带错误码的术语表错误，路由层按错误码返回对应的HTTP状态码
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @returns {Error} - 错误对象
+ */
+function createGlossaryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 校验并规范化术语条目
+ * @param {Object} entry - 术语条目 { term, synonyms, identifiers, directories, routes, description }
+ * @returns {Object} - 规范化后的条目
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry.term !== 'string' || !entry.term.trim()) {
+    throw createGlossaryError('INVALID_GLOSSARY_ENTRY', 'Glossary entry term is required');
+  }
+  
+  const normalized = { term: entry.term.trim() };
+  
+  for (const field of LIST_FIELDS) {
+    const values = entry[field] === undefined ? [] : entry[field];
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+      throw createGlossaryError('INVALID_GLOSSARY_ENTRY', `Glossary entry ${field} must be an array of strings`);
+    }
+    
+    normalized[field] = [...new Set(values.map(value => value.trim()).filter(Boolean))];
+  }
+  
+  // 目录统一为不带首尾斜杠的相对路径
+  normalized.directories = normalized.directories.map(directory => directory.replace(/\\/g, '/').replace(/^\.?\/+|\/+$/g, ''));
+  
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    throw createGlossaryError('INVALID_GLOSSARY_ENTRY', 'Glossary entry description must be a string');
+  }
+  normalized.description = entry.description || '';
+  
+  return normalized;
+}
+
+/**
+ * 拆分标识符中的单词：驼峰、下划线和连字符命名
+ * @param {string} identifier - 标识符
+ * @returns {Array<string>} - 小写单词数组
+ */
+function splitIdentifier(identifier) {
+  return (identifier || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .match(/[a-z][a-z0-9]*/g) || [];
+}
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} text - 文本
+ * @returns {string} - 转义后的文本
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class Glossary {
+  constructor(config = {}) {
+    this.config = {
+      glossaryFile: '.prd-glossary.json', // 术语表文件（相对代码库根目录）
+      minSupport: 2, // 术语建议要求的最少共现次数
+      minScore: 0.3, // 术语建议要求的最低关联度（Dice系数）
+      maxSuggestions: 50, // 最多返回的术语建议数
+      maxSuggestedIdentifiers: 3, // 每条建议最多包含的标识符数
+      ...config
+    };
+    
+    this.rootPath = null;
+    this.entries = [];
+    this.rejected = []; // 被拒绝的建议 [{ term, identifier }]，不再重复建议
+    this.suggestions = new Map(); // 最近一次挖掘的建议（建议ID -> 建议）
+  }
+  
+  /**
+   * 获取术语表文件路径
+   * @returns {string} - 文件路径
+   */
+  getFilePath() {
+    return path.resolve(this.rootPath, this.config.glossaryFile);
+  }
+  
+  /**
+   * 读取代码库的术语表，文件不存在时为空术语表，无效的条目跳过
+   * @param {string} rootPath - 代码库根目录
+   * @returns {Promise<void>}
+   */
+  async load(rootPath) {
+    // 重新读取同一代码库的术语表（如文件被手工编辑）时保留已挖掘的建议
+    if (rootPath !== this.rootPath) {
+      this.suggestions = new Map();
+    }
+    
+    this.rootPath = rootPath;
+    this.entries = [];
+    this.rejected = [];
+    
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.getFilePath(), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading glossary ${this.getFilePath()}:`, error);
+      }
+      return;
+    }
+    
+    for (const entry of data.entries || []) {
+      try {
+        this.entries.push(normalizeEntry(entry));
+      } catch (error) {
+        console.warn(`Skipping invalid glossary entry: ${error.message}`);
+      }
+    }
+    
+    this.rejected = (data.rejected || []).filter(pair => pair && pair.term && pair.identifier);
+    
+    console.log(`Glossary loaded. ${this.entries.length} entries.`);
+  }
+  
+  /**
+   * 写入术语表文件（格式化输出，便于人工编辑和代码评审）
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.rootPath) {
+      throw createGlossaryError('GLOSSARY_NOT_LOADED', 'Glossary not loaded. Initialize the code mapping engine first.');
+    }
+    
+    const filePath = this.getFilePath();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `${JSON.stringify({ entries: this.entries, rejected: this.rejected }, null, 2)}\n`, 'utf-8');
+  }
+  
+  /**
+   * 获取术语条目
+   * @param {string} term - 术语
+   * @returns {Object|null} - 术语条目
+   */
+  getEntry(term) {
+    return this.entries.find(entry => entry.term === term) || null;
+  }
+  
+  /**
+   * 新增或替换术语条目并保存
+   * @param {Object} entry - 术语条目
+   * @returns {Promise<Object>} - 规范化后的条目
+   */
+  async setEntry(entry) {
+    const normalized = normalizeEntry(entry);
+    const index = this.entries.findIndex(item => item.term === normalized.term);
+    
+    if (index === -1) {
+      this.entries.push(normalized);
+    } else {
+      this.entries[index] = normalized;
+    }
+    
+    await this.save();
+    
+    return normalized;
+  }
+  
+  /**
+   * 删除术语条目并保存
+   * @param {string} term - 术语
+   * @returns {Promise<boolean>} - 是否存在并删除
+   */
+  async removeEntry(term) {
+    const index = this.entries.findIndex(entry => entry.term === term);
+    if (index === -1) {
+      return false;
+    }
+    
+    this.entries.splice(index, 1);
+    await this.save();
+    
+    return true;
+  }
+  
+  /**
+   * 查找文本中出现的术语及同义词：中文按子串匹配，英文按整词匹配且不区分大小写
+   * @param {string} text - 文本
+   * @returns {Array} - 匹配的条目 [{ term, matched, identifiers, directories, routes }]，directories 为绝对路径
+   */
+  matchText(text) {
+    const matches = [];
+    
+    for (const entry of this.entries) {
+      const matched = [entry.term, ...entry.synonyms].find(name => (/[一-龥]/.test(name)
+        ? text.includes(name)
+        : new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text)));
+      
+      if (matched) {
+        matches.push({
+          term: entry.term,
+          matched,
+          identifiers: entry.identifiers,
+          directories: entry.directories.map(directory => path.resolve(this.rootPath, directory)),
+          routes: entry.routes
+        });
+      }
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * 从代码索引中挖掘术语建议
+   * 每个函数、类、方法、TS类型和类型字段是一个上下文：注释中的中文术语与名称中的单词同时出现即为一次共现，
+   * 共现次数达到 minSupport 且 Dice 系数达到 minScore 的组合作为建议。
+   * 术语表、术语桥接表中已有的对应关系和被拒绝的组合不再建议
+   * @param {Object} codeIndex - 代码索引对象
+   * @param {Object} options - 选项（dictionary: 中文分词词典，termBridge: 术语桥接表）
+   * @returns {Array} - 按得分降序的建议 [{ id, kind, term, identifiers, support, score, examples }]
+   */
+  mineSuggestions(codeIndex, options = {}) {
+    const { termBridge = {} } = options;
+    const dictionary = new Set([
+      ...(options.dictionary || []),
+      ...this.entries.flatMap(entry => [entry.term, ...entry.synonyms])
+    ]);
+    const maxWordLength = Math.max(2, ...Array.from(dictionary, word => word.length));
+    
+    const termCounts = new Map();
+    const wordCounts = new Map();
+    const pairs = new Map(); // 术语 -> 单词 -> { count, examples }
+    
+    for (const { name, text } of this.getMiningContexts(codeIndex)) {
+      const terms = [...new Set(segmentChinese(text, dictionary, maxWordLength))]
+        .filter(term => !GENERIC_TERMS.has(term));
+      const words = [...new Set(splitIdentifier(name))]
+        .filter(word => word.length >= 3 && !GENERIC_IDENTIFIER_WORDS.has(word));
+      
+      if (terms.length === 0 || words.length === 0) {
+        continue;
+      }
+      
+      terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+      words.forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+      
+      for (const term of terms) {
+        if (!pairs.has(term)) {
+          pairs.set(term, new Map());
+        }
+        for (const word of words) {
+          const pair = pairs.get(term).get(word) || { count: 0, examples: [] };
+          pair.count++;
+          if (pair.examples.length < 3 && !pair.examples.includes(name)) {
+            pair.examples.push(name);
+          }
+          pairs.get(term).set(word, pair);
+        }
+      }
+    }
+    
+    const suggestions = [];
+    
+    for (const [term, words] of pairs) {
+      const entry = this.getEntry(term);
+      const knownWords = new Set([
+        ...(entry ? entry.identifiers.flatMap(splitIdentifier) : []),
+        ...(termBridge[term] || []),
+        ...this.rejected.filter(pair => pair.term === term).map(pair => pair.identifier.toLowerCase())
+      ]);
+      
+      const candidates = [...words]
+        .filter(([word, pair]) => pair.count >= this.config.minSupport && !knownWords.has(word))
+        .map(([word, pair]) => ({
+          word,
+          count: pair.count,
+          examples: pair.examples,
+          score: 2 * pair.count / (termCounts.get(term) + wordCounts.get(word))
+        }))
+        .filter(candidate => candidate.score >= this.config.minScore)
+        .sort((a, b) => b.score - a.score || b.count - a.count)
+        .slice(0, this.config.maxSuggestedIdentifiers);
+      
+      if (candidates.length === 0) {
+        continue;
+      }
+      
+      const identifiers = candidates.map(candidate => candidate.word);
+      suggestions.push({
+        id: crypto.createHash('sha1').update(`${term}:${identifiers.join(',')}`).digest('hex').slice(0, 12),
+        kind: entry ? 'extend' : 'new', // 补充已有术语的标识符，或新增术语
+        term,
+        identifiers,
+        support: Object.fromEntries(candidates.map(candidate => [candidate.word, candidate.count])),
+        score: candidates[0].score,
+        examples: [...new Set(candidates.flatMap(candidate => candidate.examples))].slice(0, 5)
+      });
+    }
+    
+    // 关联度高且共现次数多的建议优先
+    suggestions.sort((a, b) =>
+      b.score * Math.log(1 + Math.max(...Object.values(b.support))) -
+      a.score * Math.log(1 + Math.max(...Object.values(a.support)))
+    );
+    
+    const limited = suggestions.slice(0, this.config.maxSuggestions);
+    this.suggestions = new Map(limited.map(suggestion => [suggestion.id, suggestion]));
+    
+    return limited;
+  }
+  
+  /**
+   * 列出用于挖掘术语的上下文：代码元素的名称及其注释
+   * @param {Object} codeIndex - 代码索引对象
+   * @returns {Array} - [{ name, text }]
+   */
+  getMiningContexts(codeIndex) {
+    const contexts = [];
+    const addContext = (name, comments) => {
+      const text = (comments || []).filter(Boolean).join('\n');
+      if (name && text) {
+        contexts.push({ name, text });
+      }
+    };
+    
+    for (const func of codeIndex.functions || []) {
+      addContext(func.name, func.comments);
+    }
+    
+    for (const cls of codeIndex.classes || []) {
+      addContext(cls.name, cls.comments);
+      cls.methods.forEach(method => addContext(method.name, method.comments));
+    }
+    
+    for (const type of codeIndex.types || []) {
+      addContext(type.name, type.comments);
+      type.fields.forEach(field => addContext(field.name, [field.comment]));
+    }
+    
+    return contexts;
+  }
+  
+  /**
+   * 采纳术语建议：新增术语或为已有术语补充标识符，并保存
+   * @param {string} id - 建议ID
+   * @param {Array<string>} identifiers - 采纳的标识符，默认为建议中的全部标识符
+   * @returns {Promise<Object>} - 更新后的术语条目
+   */
+  async approveSuggestion(id, identifiers) {
+    const suggestion = this.getSuggestion(id);
+    const approved = identifiers || suggestion.identifiers;
+    const entry = this.getEntry(suggestion.term) || { term: suggestion.term };
+    
+    const updated = await this.setEntry({
+      ...entry,
+      identifiers: [...(entry.identifiers || []), ...approved]
+    });
+    this.suggestions.delete(id);
+    
+    return updated;
+  }
+  
+  /**
+   * 拒绝术语建议，建议中的组合不再出现在后续建议中
+   * @param {string} id - 建议ID
+   * @returns {Promise<Object>} - 被拒绝的建议
+   */
+  async rejectSuggestion(id) {
+    const suggestion = this.getSuggestion(id);
+    
+    this.rejected.push(...suggestion.identifiers.map(identifier => ({ term: suggestion.term, identifier })));
+    await this.save();
+    this.suggestions.delete(id);
+    
+    return suggestion;
+  }
+  
+  /**
+   * 获取最近一次挖掘的建议
+   * @param {string} id - 建议ID
+   * @returns {Object} - 建议
+   */
+  getSuggestion(id) {
+    const suggestion = this.suggestions.get(id);
+    if (!suggestion) {
+      throw createGlossaryError('SUGGESTION_NOT_FOUND', `Glossary suggestion not found: ${id}. List suggestions first.`);
+    }
+    
+    return suggestion;
+  }
+}
+
+module.exports = Glossary;
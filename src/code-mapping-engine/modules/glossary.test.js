@@ -0,0 +1,138 @@
+/**
+ * 项目术语表测试
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const Glossary = require('./glossary');
+
+// 注释中的“优惠券”与 coupon 共现3次，coupon 共出现4次；“积分”与 points 总是同时出现
+const CODE_INDEX = {
+  functions: [
+    { name: 'applyCoupon', comments: ['使用优惠券下单'] },
+    { name: 'validateCoupon', comments: ['校验优惠券'] },
+    { name: 'couponExpired', comments: ['优惠券过期'] },
+    { name: 'couponBanner', comments: ['首页横幅'] },
+    { name: 'addPoints', comments: ['增加积分'] },
+    { name: 'formatDate', comments: [] }
+  ],
+  classes: [
+    {
+      name: 'PointsService',
+      comments: [],
+      methods: [{ name: 'redeemPoints', comments: ['兑换积分'] }]
+    }
+  ],
+  types: []
+};
+
+const DICTIONARY = ['优惠券', '积分'];
+
+describe('Glossary', () => {
+  let tempDir;
+  let glossary;
+  
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'glossary-'));
+    glossary = new Glossary();
+    await glossary.load(tempDir);
+  });
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+  
+  describe('mineSuggestions', () => {
+    test('suggests identifier words whose Dice coefficient with a comment term reaches the minimum', () => {
+      // 关联度乘以共现次数的对数排序，共现更多的“优惠券”排在前面
+      const suggestions = glossary.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY });
+      
+      expect(suggestions.map(({ kind, term, identifiers, support, score, examples }) => (
+        { kind, term, identifiers, support, score, examples }
+      ))).toEqual([
+        {
+          kind: 'new',
+          term: '优惠券',
+          identifiers: ['coupon'],
+          support: { coupon: 3 },
+          score: 2 * 3 / (3 + 4),
+          examples: ['applyCoupon', 'validateCoupon', 'couponExpired']
+        },
+        {
+          kind: 'new',
+          term: '积分',
+          identifiers: ['points'],
+          support: { points: 2 },
+          score: 1,
+          examples: ['addPoints', 'redeemPoints']
+        }
+      ]);
+    });
+    
+    test('drops pairs below the minimum support or score', () => {
+      expect(new Glossary({ minScore: 0.9 }).mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY })
+        .map(suggestion => suggestion.term)).toEqual(['积分']);
+      expect(new Glossary({ minSupport: 3 }).mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY })
+        .map(suggestion => suggestion.term)).toEqual(['优惠券']);
+    });
+    
+    test('skips pairs already known from the term bridge or the glossary', async () => {
+      await glossary.setEntry({ term: '优惠券', identifiers: ['Coupon'] });
+      
+      expect(glossary.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY, termBridge: { 积分: ['points'] } })).toEqual([]);
+    });
+    
+    test('suggests extending an existing entry with new identifiers', async () => {
+      await glossary.setEntry({ term: '积分', identifiers: ['bonus'] });
+      
+      const suggestion = glossary.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY })
+        .find(item => item.term === '积分');
+      
+      expect(suggestion).toMatchObject({ kind: 'extend', term: '积分', identifiers: ['points'] });
+    });
+  });
+  
+  describe('reviewing suggestions', () => {
+    test('adds approved identifiers to the entry and saves the glossary', async () => {
+      await glossary.setEntry({ term: '积分', synonyms: ['会员积分'], identifiers: ['bonus'] });
+      const suggestion = glossary.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY })
+        .find(item => item.term === '积分');
+      
+      const entry = await glossary.approveSuggestion(suggestion.id);
+      
+      expect(entry).toMatchObject({ term: '积分', synonyms: ['会员积分'], identifiers: ['bonus', 'points'] });
+      expect(glossary.suggestions.has(suggestion.id)).toBe(false);
+      expect((await fs.readJson(glossary.getFilePath())).entries).toEqual([entry]);
+    });
+    
+    test('approves only the chosen identifiers', async () => {
+      const suggestion = glossary.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY })
+        .find(item => item.term === '优惠券');
+      
+      expect(await glossary.approveSuggestion(suggestion.id, ['Coupon'])).toMatchObject({ term: '优惠券', identifiers: ['Coupon'] });
+    });
+    
+    test('remembers rejected pairs and no longer suggests them', async () => {
+      const suggestion = glossary.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY })
+        .find(item => item.term === '优惠券');
+      
+      await glossary.rejectSuggestion(suggestion.id);
+      
+      expect((await fs.readJson(glossary.getFilePath())).rejected).toEqual([{ term: '优惠券', identifier: 'coupon' }]);
+      
+      const reloaded = new Glossary();
+      await reloaded.load(tempDir);
+      expect(reloaded.mineSuggestions(CODE_INDEX, { dictionary: DICTIONARY }).map(item => item.term)).toEqual(['积分']);
+    });
+    
+    test('throws coded errors for unknown suggestions, invalid entries and an unloaded glossary', async () => {
+      await expect(glossary.approveSuggestion('missing')).rejects.toMatchObject({ code: 'SUGGESTION_NOT_FOUND' });
+      await expect(glossary.setEntry({ term: '积分', identifiers: 'points' }))
+        .rejects.toMatchObject({ code: 'INVALID_GLOSSARY_ENTRY', message: 'Glossary entry identifiers must be an array of strings' });
+      await expect(new Glossary().setEntry({ term: '积分' })).rejects.toMatchObject({ code: 'GLOSSARY_NOT_LOADED' });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * 索引缓存
+ * 将代码索引（含依赖信息）、语义词元、嵌入向量和依赖图谱持久化到磁盘，重启后只需重新处理变化的文件
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// 缓存格式版本，格式变化时递增以丢弃旧缓存
+const CACHE_VERSION = 13;
+
+class IndexCache {
+  constructor(config = {}) {
+    this.config = {
+      cacheDir: path.join(__dirname, '../../../data/code-index'), // 缓存目录
+      ...config
+    };
+  }
+  
+  /**
+   * 获取代码库对应的缓存文件路径
+   * @param {string} codebasePath - 代码库路径
+   * @returns {string} - 缓存文件路径
+   */
+  getCacheFile(codebasePath) {
+    const key = crypto.createHash('sha1').update(path.resolve(codebasePath)).digest('hex').slice(0, 16);
+    return path.join(this.config.cacheDir, `${key}.json`);
+  }
+  
+  /**
+   * 读取缓存
+   * @param {string} codebasePath - 代码库路径
+   * @returns {Promise<Object|null>} - 缓存数据，不存在、版本不匹配或无法解析时为null
+   */
+  async load(codebasePath) {
+    const cacheFile = this.getCacheFile(codebasePath);
+    
+    try {
+      const data = JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+      
+      if (data.version !== CACHE_VERSION || data.codebasePath !== path.resolve(codebasePath)) {
+        return null;
+      }
+      
+      return data;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading index cache ${cacheFile}:`, error);
+      }
+      return null;
+    }
+  }
+  
+  /**
+   * 写入缓存（先写临时文件再重命名，避免中断时留下不完整的缓存）
+   * @param {string} codebasePath - 代码库路径
+   * @param {Object} data - 缓存数据 { files, tokens, tokenizerSignature, embeddings, embeddingSignature, graph }
+   * @returns {Promise<string>} - 缓存文件路径
+   */
+  async save(codebasePath, data) {
+    const cacheFile = this.getCacheFile(codebasePath);
+    const tempFile = `${cacheFile}.${process.pid}.tmp`;
+    
+    await fs.mkdir(this.config.cacheDir, { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify({
+      version: CACHE_VERSION,
+      codebasePath: path.resolve(codebasePath),
+      savedAt: new Date().toISOString(),
+      ...data
+    }), 'utf-8');
+    await fs.rename(tempFile, cacheFile);
+    
+    return cacheFile;
+  }
+  
+  /**
+   * 删除缓存
+   * @param {string} codebasePath - 代码库路径
+   * @returns {Promise<boolean>} - 是否删除成功
+   */
+  async clear(codebasePath) {
+    try {
+      await fs.unlink(this.getCacheFile(codebasePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = IndexCache;
@@ -3,15 +3,35 @@
  * 负责将任务描述映射到代码位置
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const { mergeVectors } = require('../utils/vector-utils');
+const { matchRoutePath } = require('../utils/http-route-utils');
+
+// 搜索来源的名称，用于映射解释
+const SEARCH_LABELS = {
+  title: '标题',
+  description: '描述',
+  keywords: '关键词',
+  method: '类方法',
+  embedding: '向量',
+  glossary: '术语表',
+  class: '所属类',
+  route: '接口路径'
+};
 
 class MappingAlgorithm {
   constructor(config = {}) {
     this.config = {
-      similarityThreshold: 0.7,
+      similarityThreshold: null, // 相似度阈值，null 时使用语义分析器中排序函数的默认阈值
       maxResults: 10,
       weightKeywords: 0.6,
       weightDescription: 0.4,
+      maxExplainedTerms: 10, // 解释中列出的匹配词元数量
+      maxMatchedLines: 5, // 解释中列出的匹配代码行数量
+      glossaryBoost: 0.1, // 位于任务所提术语对应目录中的元素增加的相似度
+      maxFocusedMethods: 3, // 类命中时继承其相似度的方法数量
+      classFocusFactor: 0.8, // 类的方法继承其相似度后，类本身相似度的折扣
       ...config
     };
   }
@@ -21,26 +41,30 @@ class MappingAlgorithm {
    * @param {Object} task - 任务对象
    * @param {Object} codeIndex - 代码索引对象
    * @param {Object} dependencyGraph - 依赖图谱对象
+   * @param {Object} semanticAnalyzer - 语义分析器实例
+   * @param {Object} glossary - 项目术语表实例，用于扩展查询
    * @returns {Promise<Array>} - 映射结果数组
    */
-  async mapTask(task, codeIndex, dependencyGraph) {
+  async mapTask(task, codeIndex, dependencyGraph, semanticAnalyzer, glossary = null) {
     console.log(`Mapping task "${task.title}" to code...`);
     
-    // 获取语义分析器实例
-    const semanticAnalyzer = global.semanticAnalyzer;
+    // 语义分析器由调用方传入（通常是已初始化的 CodeMappingEngine 的实例）
     if (!semanticAnalyzer) {
-      throw new Error('Semantic analyzer not available. Initialize the code mapping engine first.');
+      throw new Error('Semantic analyzer is required. Pass the analyzer of an initialized code mapping engine.');
     }
     
     // 分析任务描述
-    const taskAnalysis = this.analyzeTask(task);
+    const taskAnalysis = this.analyzeTask(task, glossary);
     
     // 查找相似的代码元素
-    const similarElements = await this.findSimilarCodeElements(taskAnalysis, semanticAnalyzer);
+    const similarElements = await this.findSimilarCodeElements(taskAnalysis, semanticAnalyzer, codeIndex);
     
     // 应用依赖关系过滤和排序
     const rankedResults = this.rankResultsByDependencies(similarElements, dependencyGraph, task);
     
+    // 查找匹配词元所在的代码行
+    await this.findMatchedLines(rankedResults.slice(0, this.config.maxResults), semanticAnalyzer);
+    
     // 生成最终映射结果
     const mappingResults = this.generateMappingResults(rankedResults, task);
     
@@ -50,25 +74,34 @@ class MappingAlgorithm {
   /**
    * 分析任务
    * @param {Object} task - 任务对象
+   * @param {Object} glossary - 项目术语表实例
    * @returns {Object} - 任务分析结果
    */
-  analyzeTask(task) {
+  analyzeTask(task, glossary = null) {
     // 提取任务关键信息
     const keywords = task.keywords || [];
     const title = task.title || '';
     const description = task.description || '';
     const type = task.type || '';
+    const apiPath = task.apiPath || null;
+    const apiMethod = task.apiMethod ? task.apiMethod.toUpperCase() : null;
     
     // 合并任务描述文本
     const taskText = `${title} ${description} ${type} ${keywords.join(' ')}`;
     
+    // 任务中提到的业务术语及其对应的标识符、目录和接口路径
+    const glossaryMatches = glossary ? glossary.matchText(taskText) : [];
+    
     return {
       task,
       taskText,
       keywords,
       title,
       description,
-      type
+      type,
+      apiPath,
+      apiMethod,
+      glossaryMatches
     };
   }
   
@@ -76,49 +109,277 @@ class MappingAlgorithm {
    * 查找与任务相似的代码元素
    * @param {Object} taskAnalysis - 任务分析结果
    * @param {Object} semanticAnalyzer - 语义分析器实例
+   * @param {Object} codeIndex - 代码索引对象
    * @returns {Promise<Array>} - 相似代码元素数组
    */
-  async findSimilarCodeElements(taskAnalysis, semanticAnalyzer) {
+  async findSimilarCodeElements(taskAnalysis, semanticAnalyzer, codeIndex = {}) {
+    const threshold = this.config.similarityThreshold !== null && this.config.similarityThreshold !== undefined
+      ? this.config.similarityThreshold
+      : semanticAnalyzer.getSimilarityThreshold();
+    
     // 使用任务标题和描述查找相似元素
     const titleResults = semanticAnalyzer.findSimilarElements(
       taskAnalysis.title,
-      { threshold: this.config.similarityThreshold * 0.8 } // 降低标题的阈值，因为标题通常较短
+      { threshold: threshold * 0.8 } // 降低标题的阈值，因为标题通常较短
     );
     
     // 使用任务描述查找相似元素
     const descriptionResults = semanticAnalyzer.findSimilarElements(
       taskAnalysis.description,
-      { threshold: this.config.similarityThreshold }
+      { threshold }
     );
     
     // 使用任务关键词查找相似元素
     const keywordResults = semanticAnalyzer.findSimilarElements(
       taskAnalysis.keywords.join(' '),
-      { threshold: this.config.similarityThreshold * 0.9 } // 提高关键词的阈值，因为关键词更精确
+      { threshold: threshold * 0.9 } // 提高关键词的阈值，因为关键词更精确
+    );
+    
+    // 单独搜索类方法：任务通常只涉及方法的一部分代码，方法的相似度达不到整个任务的阈值，
+    // 所在的类包含所有方法的词元，也不一定命中，因此按排序函数的比例使用更低的阈值
+    const methodResults = semanticAnalyzer.findSimilarElements(
+      taskAnalysis.taskText,
+      { types: ['methods'], threshold: threshold * semanticAnalyzer.getMethodThresholdFactor() }
     );
     
+    // 使用任务标题和描述的嵌入向量查找语义相近的元素（未配置嵌入向量提供者时为空）
+    const embeddingResults = await semanticAnalyzer.findSimilarByEmbedding(
+      [taskAnalysis.title, taskAnalysis.description].filter(Boolean).join('\n')
+    );
+    
+    // 使用任务的接口路径查找路由及其处理函数
+    const routeResults = this.findRouteMatches(taskAnalysis, codeIndex.routes || [], semanticAnalyzer);
+    
+    // 使用术语表扩展的标识符和接口路径查找元素
+    const glossaryResults = this.findGlossaryMatches(taskAnalysis, semanticAnalyzer, codeIndex, threshold);
+    
     // 合并结果并去重
     const combinedResults = this.combineSearchResults([
-      { results: titleResults, weight: 0.3 },
-      { results: descriptionResults, weight: 0.4 },
-      { results: keywordResults, weight: 0.3 }
+      { search: 'title', results: titleResults, weight: 0.3 },
+      { search: 'description', results: descriptionResults, weight: 0.4 },
+      { search: 'keywords', results: keywordResults, weight: 0.3 },
+      { search: 'method', results: methodResults, weight: 0.3 },
+      { search: 'embedding', results: embeddingResults, weight: 0.2 },
+      { search: 'glossary', results: glossaryResults, weight: 0.3 },
+      { search: 'route', results: routeResults, weight: 1 }
     ]);
     
-    return combinedResults;
+    // 命中的类聚焦到与任务最相关的方法
+    const focusedResults = this.focusClassResults(combinedResults, taskAnalysis, semanticAnalyzer);
+    
+    return this.applyGlossaryTerms(focusedResults, glossaryResults, taskAnalysis.glossaryMatches);
+  }
+  
+  /**
+   * 将命中的类聚焦到其方法：整个类作为修改位置过于宽泛，且类的代码包含所有方法的词元，
+   * 长类的相似度通常高于其中真正相关的方法。按任务文本为类的方法打分，
+   * 得分最高的 maxFocusedMethods 个方法按得分比例继承类的相似度，类本身的相似度乘以 classFocusFactor
+   * @param {Array} results - 合并后的结果数组
+   * @param {Object} taskAnalysis - 任务分析结果
+   * @param {Object} semanticAnalyzer - 语义分析器实例
+   * @returns {Array} - 按相似度降序的结果数组
+   */
+  focusClassResults(results, taskAnalysis, semanticAnalyzer) {
+    const classResults = results.filter(result => result.type === 'class');
+    if (classResults.length === 0) {
+      return results;
+    }
+    
+    // 与任务至少有一个共同词元的方法
+    const methodResults = semanticAnalyzer.findSimilarElements(
+      taskAnalysis.taskText,
+      { types: ['methods'], threshold: 0, limit: Infinity }
+    ).filter(result => result.similarity > 0);
+    const resultMap = new Map(results.map(result => [this.getElementKey(result), result]));
+    
+    for (const classResult of classResults) {
+      const methods = methodResults
+        .filter(result => result.item.classId === classResult.item.id)
+        .slice(0, this.config.maxFocusedMethods);
+      
+      if (methods.length === 0) {
+        continue;
+      }
+      
+      for (const method of methods) {
+        const similarity = classResult.similarity * method.similarity / methods[0].similarity;
+        const source = { search: 'class', similarity, weight: classResult.weight };
+        const existing = resultMap.get(this.getElementKey(method));
+        
+        if (existing) {
+          existing.similarity = Math.max(existing.similarity, similarity);
+          existing.searches.push(source);
+          existing.matchedTerms = this.mergeMatchedTerms(existing.matchedTerms, method.matchedTerms, 'class');
+        } else {
+          const focused = {
+            ...method,
+            similarity,
+            weight: classResult.weight,
+            originalSimilarity: method.similarity,
+            searches: [source],
+            matchedTerms: this.mergeMatchedTerms([], method.matchedTerms, 'class')
+          };
+          resultMap.set(this.getElementKey(method), focused);
+          results.push(focused);
+        }
+      }
+      
+      classResult.similarity *= this.config.classFocusFactor;
+    }
+    
+    results.sort((a, b) => b.similarity - a.similarity);
+    
+    return results;
+  }
+  
+  /**
+   * 按任务中提到的术语查找元素：术语对应的标识符作为查询，术语对应的接口路径按路由匹配
+   * @param {Object} taskAnalysis - 任务分析结果
+   * @param {Object} semanticAnalyzer - 语义分析器实例
+   * @param {Object} codeIndex - 代码索引对象
+   * @param {number} threshold - 相似度阈值
+   * @returns {Array} - 匹配结果数组，每个结果的 glossaryTerms 记录命中它的术语
+   */
+  findGlossaryMatches(taskAnalysis, semanticAnalyzer, codeIndex, threshold) {
+    const resultMap = new Map();
+    
+    for (const match of taskAnalysis.glossaryMatches) {
+      const results = match.identifiers.length > 0
+        ? semanticAnalyzer.findSimilarElements(
+          match.identifiers.join(' '),
+          { threshold: threshold * 0.6 } // 标识符经人工确认，且查询较短，阈值低于关键词搜索
+        )
+        : [];
+      
+      // 接口路径可以带方法前缀，如 "POST /api/orders"
+      for (const route of match.routes) {
+        const [, apiMethod = null, apiPath] = route.match(/^(?:([A-Za-z]+)\s+)?(\S+)$/) || [];
+        if (apiPath) {
+          const routeResults = this.findRouteMatches(
+            { apiPath, apiMethod: apiMethod ? apiMethod.toUpperCase() : null },
+            codeIndex.routes || [],
+            semanticAnalyzer
+          );
+          results.push(...routeResults);
+        }
+      }
+      
+      for (const result of results) {
+        const key = this.getElementKey(result);
+        const existing = resultMap.get(key);
+        
+        if (!existing) {
+          resultMap.set(key, { ...result, glossaryTerms: [match.term] });
+          continue;
+        }
+        
+        if (!existing.glossaryTerms.includes(match.term)) {
+          existing.glossaryTerms.push(match.term);
+        }
+        if (result.similarity > existing.similarity) {
+          existing.similarity = result.similarity;
+          existing.matchedTerms = result.matchedTerms;
+        }
+      }
+    }
+    
+    return Array.from(resultMap.values());
+  }
+  
+  /**
+   * 记录每个结果命中的术语，并提高位于术语对应目录中的结果的相似度
+   * @param {Array} results - 合并后的结果数组
+   * @param {Array} glossaryResults - 术语表搜索的结果数组
+   * @param {Array} glossaryMatches - 任务中提到的术语
+   * @returns {Array} - 按相似度降序的结果数组
+   */
+  applyGlossaryTerms(results, glossaryResults, glossaryMatches) {
+    if (glossaryMatches.length === 0) {
+      return results;
+    }
+    
+    const termsByKey = new Map(glossaryResults.map(result => [this.getElementKey(result), result.glossaryTerms]));
+    
+    for (const result of results) {
+      const terms = new Set(termsByKey.get(this.getElementKey(result)) || []);
+      const directoryTerms = glossaryMatches
+        .filter(match => match.directories.some(directory =>
+          result.item.filePath === directory || result.item.filePath.startsWith(`${directory}${path.sep}`)
+        ))
+        .map(match => match.term);
+      
+      if (directoryTerms.length > 0) {
+        result.similarity = Math.min(1, result.similarity + this.config.glossaryBoost);
+      }
+      
+      directoryTerms.forEach(term => terms.add(term));
+      result.glossaryTerms = Array.from(terms);
+    }
+    
+    results.sort((a, b) => b.similarity - a.similarity);
+    
+    return results;
+  }
+  
+  /**
+   * 按任务的接口路径和方法查找路由，路由和其处理函数都视为完全匹配
+   * @param {Object} taskAnalysis - 任务分析结果
+   * @param {Array} routes - 代码索引中的路由数组
+   * @param {Object} semanticAnalyzer - 语义分析器实例
+   * @returns {Array} - 匹配结果数组
+   */
+  findRouteMatches(taskAnalysis, routes, semanticAnalyzer) {
+    const { apiPath, apiMethod } = taskAnalysis;
+    
+    if (!apiPath) {
+      return [];
+    }
+    
+    const matchedRoutes = routes.filter(route =>
+      matchRoutePath(route.path, apiPath) &&
+      (!apiMethod || route.method === apiMethod || route.method === 'ALL')
+    );
+    const results = [];
+    
+    for (const route of matchedRoutes) {
+      results.push({
+        type: 'route',
+        item: {
+          id: route.id,
+          name: `${route.method} ${route.path}`,
+          filePath: route.filePath,
+          loc: route.loc,
+          method: route.method,
+          path: route.path,
+          handler: route.handler,
+          handlerFilePath: route.handlerFilePath
+        },
+        similarity: 1
+      });
+      
+      // 处理函数即该接口的实现位置
+      const handler = route.handlerId ? semanticAnalyzer.semanticIndex.functions[route.handlerId] : null;
+      if (handler) {
+        results.push({ type: 'function', item: handler, similarity: 1 });
+      }
+    }
+    
+    return results;
   }
   
   /**
    * 合并搜索结果并去重
-   * @param {Array} resultSets - 结果集数组，每个元素包含 results 和 weight
+   * @param {Array} resultSets - 结果集数组，每个元素包含 search（搜索来源）、results 和 weight
    * @returns {Array} - 合并后的结果数组
    */
   combineSearchResults(resultSets) {
     const combinedMap = new Map();
     
     // 遍历所有结果集
-    for (const { results, weight } of resultSets) {
+    for (const { search, results, weight } of resultSets) {
       for (const result of results) {
-        const key = `${result.type}:${result.item.filePath}:${result.item.name}`;
+        const key = this.getElementKey(result);
+        const source = { search, similarity: result.similarity, weight };
         
         if (combinedMap.has(key)) {
           // 如果已存在，更新相似度分数
@@ -126,12 +387,16 @@ class MappingAlgorithm {
           existing.similarity = existing.similarity * existing.weight + result.similarity * weight;
           existing.weight += weight;
           existing.similarity /= existing.weight;
+          existing.searches.push(source);
+          existing.matchedTerms = this.mergeMatchedTerms(existing.matchedTerms, result.matchedTerms, search);
         } else {
           // 如果不存在，添加到Map
           combinedMap.set(key, {
             ...result,
             weight,
-            originalSimilarity: result.similarity
+            originalSimilarity: result.similarity,
+            searches: [source],
+            matchedTerms: this.mergeMatchedTerms([], result.matchedTerms, search)
           });
         }
       }
@@ -144,6 +409,35 @@ class MappingAlgorithm {
     return combined;
   }
   
+  /**
+   * 合并多次搜索的匹配词元，同一词元保留最大贡献并记录命中的搜索
+   * @param {Array} existingTerms - 已合并的匹配词元
+   * @param {Array} matchedTerms - 本次搜索的匹配词元
+   * @param {string} search - 搜索来源（title, description, keywords, method, embedding, glossary, route, class）
+   * @returns {Array} - 按贡献降序的匹配词元
+   */
+  mergeMatchedTerms(existingTerms, matchedTerms = [], search) {
+    const termMap = new Map(existingTerms.map(term => [term.term, term]));
+    
+    for (const matched of matchedTerms) {
+      const existing = termMap.get(matched.term);
+      
+      if (!existing) {
+        termMap.set(matched.term, { ...matched, searches: [search] });
+        continue;
+      }
+      
+      existing.searches.push(search);
+      if (matched.contribution > existing.contribution) {
+        // 词元在文档中的权重字段随排序函数不同（tfidf 或 weight、fields）
+        const { term, ...values } = matched;
+        Object.assign(existing, values);
+      }
+    }
+    
+    return Array.from(termMap.values()).sort((a, b) => b.contribution - a.contribution);
+  }
+  
   /**
    * 根据依赖关系对结果进行排序
    * @param {Array} similarElements - 相似代码元素数组
@@ -157,25 +451,31 @@ class MappingAlgorithm {
       return similarElements;
     }
     
-    // 获取任务的依赖信息
-    const taskDependencies = task.dependencies || [];
+    // 所有候选元素的键，与其他候选元素直接相关的元素更可能是修改点
+    const candidateKeys = new Set(similarElements.map(element => this.getElementKey(element)));
     
     // 计算每个结果的依赖关系得分
     const rankedResults = similarElements.map(element => {
       let dependencyScore = 0;
+      const dependencyMatches = [];
       
-      // 获取元素的依赖
+      // 获取元素的直接依赖和被依赖节点
       const elementKey = this.getElementKey(element);
-      const elementDependencies = dependencyGraph.getNodeDependencies(elementKey) || [];
+      const elementDependencies = dependencyGraph.getNodeDependencies(elementKey, { direction: 'both' });
       
-      // 计算与任务依赖的匹配度
-      for (const taskDep of taskDependencies) {
-        for (const elemDep of elementDependencies) {
-          if (elemDep.includes(taskDep) || taskDep.includes(elemDep)) {
-            dependencyScore += 0.1; // 每匹配一个依赖增加0.1分
-          }
+      // 计算与其他候选元素的关联度
+      for (const dependency of elementDependencies) {
+        if (candidateKeys.has(dependency.id)) {
+          dependencyScore += 0.1; // 每关联一个候选元素增加0.1分
+          dependencyMatches.push({
+            id: dependency.id,
+            relation: dependency.edge.type,
+            direction: dependency.edge.source === elementKey ? 'outgoing' : 'incoming',
+            score: 0.1
+          });
         }
       }
+      dependencyScore = Math.min(dependencyScore, 1);
       
       // 计算最终得分 = 相似度 * 0.8 + 依赖得分 * 0.2
       const finalScore = element.similarity * 0.8 + dependencyScore * 0.2;
@@ -183,6 +483,7 @@ class MappingAlgorithm {
       return {
         ...element,
         dependencyScore,
+        dependencyMatches,
         finalScore
       };
     });
@@ -194,12 +495,55 @@ class MappingAlgorithm {
   }
   
   /**
-   * 获取元素的唯一键
+   * 获取元素的唯一键，即元素的符号ID，与依赖图谱中的节点ID一致
    * @param {Object} element - 代码元素
    * @returns {string} - 唯一键
    */
   getElementKey(element) {
-    return `${element.type}:${element.item.filePath}:${element.item.name}`;
+    return element.item.id;
+  }
+  
+  /**
+   * 查找匹配词元所在的代码行（函数和类只在其行号范围内查找）
+   * @param {Array} results - 结果数组，匹配到的代码行写入 matchedLines
+   * @param {Object} semanticAnalyzer - 语义分析器实例
+   * @returns {Promise<void>}
+   */
+  async findMatchedLines(results, semanticAnalyzer) {
+    const fileLines = new Map();
+    
+    for (const result of results) {
+      const terms = new Set((result.matchedTerms || []).map(term => term.term));
+      const filePath = result.item.filePath;
+      result.matchedLines = [];
+      
+      if (terms.size === 0) {
+        continue;
+      }
+      
+      // 同一文件只读取一次
+      if (!fileLines.has(filePath)) {
+        const content = await fs.readFile(filePath, 'utf-8').catch(() => '');
+        fileLines.set(filePath, content.split('\n'));
+      }
+      
+      const lines = fileLines.get(filePath);
+      const start = result.item.loc ? result.item.loc.start : 1;
+      const end = result.item.loc ? result.item.loc.end : lines.length;
+      
+      for (let lineNumber = start; lineNumber <= end && result.matchedLines.length < this.config.maxMatchedLines; lineNumber++) {
+        const text = (lines[lineNumber - 1] || '').trim();
+        const lineTerms = [...new Set(semanticAnalyzer.tokenizeAndStem(text))].filter(token => terms.has(token));
+        
+        if (lineTerms.length > 0) {
+          result.matchedLines.push({
+            line: lineNumber,
+            text: text.slice(0, 200),
+            terms: lineTerms
+          });
+        }
+      }
+    }
   }
   
   /**
@@ -223,8 +567,10 @@ class MappingAlgorithm {
           type: task.type
         },
         codeElement: {
+          id: item.id,
           type,
           name: item.name,
+          qualifiedName: item.qualifiedName || item.name,
           filePath: item.filePath,
           location: item.loc || { start: 0, end: 0 }
         },
@@ -233,11 +579,49 @@ class MappingAlgorithm {
           dependencyScore: dependencyScore || 0,
           finalScore: finalScore || similarity,
           confidence: this.calculateConfidence(finalScore || similarity)
-        }
+        },
+        explanation: this.buildExplanation(result)
       };
     });
   }
   
+  /**
+   * 构建映射结果的解释：匹配词元、命中的术语和搜索、依赖关联和匹配的代码行
+   * @param {Object} result - 排序后的结果
+   * @returns {Object} - 映射解释
+   */
+  buildExplanation(result) {
+    const matchedTerms = (result.matchedTerms || []).slice(0, this.config.maxExplainedTerms);
+    const searches = result.searches || [];
+    const dependencyMatches = result.dependencyMatches || [];
+    const glossaryTerms = result.glossaryTerms || [];
+    
+    // 一句话概括，便于快速判断映射是否可信
+    const parts = [];
+    if (matchedTerms.length > 0) {
+      parts.push(`匹配词元 ${matchedTerms.slice(0, 3).map(term => `"${term.term}"`).join('、')}`);
+    }
+    if (glossaryTerms.length > 0) {
+      parts.push(`匹配术语 ${glossaryTerms.map(term => `"${term}"`).join('、')}`);
+    }
+    if (searches.length > 0) {
+      parts.push(`命中${searches.map(source => SEARCH_LABELS[source.search] || source.search).join('、')}搜索`);
+    }
+    if (dependencyMatches.length > 0) {
+      const relations = [...new Set(dependencyMatches.map(match => match.relation))];
+      parts.push(`与 ${dependencyMatches.length} 个其他候选元素存在 ${relations.join('/')} 关联`);
+    }
+    
+    return {
+      summary: parts.join('；'),
+      matchedTerms,
+      glossaryTerms,
+      searches,
+      dependencyMatches,
+      matchedLines: result.matchedLines || []
+    };
+  }
+  
   /**
    * 计算映射置信度
    * @param {number} score - 相似度分数
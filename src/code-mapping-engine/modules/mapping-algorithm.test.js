@@ -0,0 +1,145 @@
+/**
+ * 映射算法测试
+ * 使用默认配置的代码映射引擎映射任务，验证任务映射到相关的类方法，并解释匹配的依据
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CodeMappingEngine = require('../index');
+
+const FILES = {
+  'src/services/auth-service.js': [
+    '/**',
+    ' * 认证服务',
+    ' */',
+    'class AuthService {',
+    '  constructor(users, tokens) {',
+    '    this.users = users;',
+    '    this.tokens = tokens;',
+    '  }',
+    '',
+    '  /**',
+    '   * 用户登录：校验用户名和密码，签发访问令牌',
+    '   */',
+    '  async login(username, password) {',
+    '    const user = await this.users.findByName(username);',
+    '    if (!user || !user.checkPassword(password)) {',
+    "      throw new Error('Invalid credentials');",
+    '    }',
+    '    return this.tokens.sign({ id: user.id });',
+    '  }',
+    '',
+    '  /**',
+    '   * 吊销访问令牌',
+    '   */',
+    '  async revokeToken(token) {',
+    '    await this.tokens.revoke(token);',
+    '  }',
+    '',
+    '  /**',
+    '   * 重置密码',
+    '   */',
+    '  async resetPassword(email) {',
+    '    const user = await this.users.findByEmail(email);',
+    '    user.password = Math.random().toString(36).slice(2);',
+    '    await this.users.save(user);',
+    '  }',
+    '',
+    '  /**',
+    '   * 修改用户邮箱',
+    '   */',
+    '  async changeEmail(userId, email) {',
+    '    const user = await this.users.findById(userId);',
+    '    user.email = email;',
+    '    await this.users.save(user);',
+    '  }',
+    '}',
+    '',
+    'module.exports = AuthService;'
+  ],
+  'src/services/order-service.js': [
+    '/**',
+    ' * 订单服务',
+    ' */',
+    'class OrderService {',
+    '  /**',
+    '   * 创建订单',
+    '   */',
+    '  createOrder(items) {',
+    "    return { items, status: 'created' };",
+    '  }',
+    '}',
+    '',
+    'module.exports = OrderService;'
+  ]
+};
+
+describe('MappingAlgorithm', () => {
+  let tempDir;
+  
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-mapping-'));
+    
+    for (const [filePath, lines] of Object.entries(FILES)) {
+      await fs.outputFile(path.join(tempDir, filePath), `${lines.join('\n')}\n`);
+    }
+  });
+  
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+  
+  describe.each(['tfidf', 'bm25', 'bm25f'])('with the %s scorer', scorer => {
+    let engine;
+    
+    beforeAll(async () => {
+      engine = new CodeMappingEngine({ cache: false, scorer });
+      await engine.initialize(tempDir);
+    });
+    
+    test.each([
+      [{ title: '登录失败5次后锁定账户' }],
+      [{ title: '登录失败5次后锁定账户', description: '用户连续登录失败5次后锁定账户30分钟' }]
+    ])('maps %j to the login method rather than the whole class', async task => {
+      const results = await engine.mapTaskToCode(task);
+      const elements = results
+        .map(result => result.codeElement)
+        .filter(element => element.type !== 'file');
+      
+      expect(elements[0]).toMatchObject({
+        type: 'method',
+        qualifiedName: 'AuthService.login',
+        location: expect.objectContaining({ start: 13, end: 19 })
+      });
+    });
+    
+    test('explains which terms, searches and lines matched the login method', async () => {
+      const results = await engine.mapTaskToCode({ title: '登录失败5次后锁定账户' });
+      const { explanation } = results.find(result => result.codeElement.qualifiedName === 'AuthService.login');
+      
+      expect(explanation.matchedTerms.map(term => term.term)).toContain('login');
+      expect(explanation.matchedTerms[0]).toMatchObject({
+        term: expect.any(String),
+        queryWeight: expect.any(Number),
+        contribution: expect.any(Number),
+        searches: expect.arrayContaining(['method'])
+      });
+      expect(explanation.searches).toContainEqual({
+        search: 'method',
+        similarity: expect.any(Number),
+        weight: expect.any(Number)
+      });
+      expect(explanation.matchedLines).toContainEqual({
+        line: 13,
+        text: 'async login(username, password) {',
+        terms: expect.arrayContaining(['login'])
+      });
+      expect(explanation.glossaryTerms).toEqual([]);
+      expect(explanation.dependencyMatches).toEqual([]);
+      expect(explanation.summary).toMatch(/^匹配词元 .*"login".*；命中.*类方法.*搜索$/);
+    });
+  });
+});
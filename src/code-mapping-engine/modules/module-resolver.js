@@ -0,0 +1,434 @@
+/**
+ * 模块解析器
+ * 负责解析导入路径对应的文件，支持相对路径、工作区包（package.json workspaces / pnpm-workspace.yaml）、
+ * package.json 的 exports 和 main 字段、tsconfig/jsconfig 的 baseUrl 和 paths，以及 webpack/vite 的别名配置
+ */
+
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { globToRegExp } = require('../utils/glob-utils');
+const {
+  parseJsonWithComments,
+  parseWorkspaceYaml,
+  matchPathPattern,
+  resolvePackageExports,
+  getBundlerAliases
+} = require('../utils/module-utils');
+
+// 读取 baseUrl、paths 的配置文件和读取别名的构建工具配置文件
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const BUNDLER_CONFIG_FILES = [
+  'vite.config.js',
+  'vite.config.ts',
+  'vite.config.mjs',
+  'vite.config.mts',
+  'webpack.config.js',
+  'webpack.config.ts',
+  'webpack.config.cjs',
+  'vue.config.js'
+];
+
+class ModuleResolver {
+  constructor(config = {}) {
+    this.config = {
+      fileExtensions: ['.js', '.jsx', '.ts', '.tsx', '.vue'], // 解析无扩展名的导入时尝试的扩展名
+      excludeDirs: ['node_modules', '.git', 'dist', 'build'], // 查找工作区包时跳过的目录
+      workspaceDepth: 4, // 查找工作区包的最大目录深度（模式含 ** 时使用）
+      ...config
+    };
+    
+    this.reset();
+  }
+  
+  /**
+   * 清空已读取的配置
+   */
+  reset() {
+    this.rootPath = null;
+    this.packages = []; // 工作区包 [{ name, dir, main, module, exports }]
+    this.scopes = []; // 配置生效的目录 [{ dir, baseUrl, paths, aliases }]，目录越深越优先
+    this.knownFiles = new Set();
+  }
+  
+  /**
+   * 读取代码库的工作区、tsconfig 和构建工具别名配置
+   * @param {string} rootPath - 代码库路径
+   * @param {Array<string>} knownFiles - 已索引的文件路径（优先于文件系统检查）
+   * @returns {Promise<void>}
+   */
+  async load(rootPath, knownFiles = []) {
+    this.reset();
+    this.rootPath = path.resolve(rootPath);
+    this.knownFiles = new Set(knownFiles);
+    
+    this.packages = await this.loadWorkspacePackages();
+    
+    // 根目录和各工作区包目录中的配置
+    const configDirs = [this.rootPath, ...this.packages.map(pkg => pkg.dir)];
+    for (const dir of [...new Set(configDirs)]) {
+      const scope = {
+        dir,
+        ...await this.loadTsconfig(dir),
+        aliases: await this.loadBundlerAliases(dir)
+      };
+      
+      if (scope.baseUrl || scope.paths.length > 0 || scope.aliases.length > 0) {
+        this.scopes.push(scope);
+      }
+    }
+    this.scopes.sort((a, b) => b.dir.length - a.dir.length);
+    
+    if (this.packages.length > 0 || this.scopes.length > 0) {
+      console.log(`Module resolution: ${this.packages.length} workspace packages, ${this.scopes.length} path alias scopes.`);
+    }
+  }
+  
+  /**
+   * 获取已读取配置的签名，配置变化时导入路径的解析结果可能不同
+   * @returns {string} - 签名
+   */
+  getSignature() {
+    const config = { packages: this.packages, scopes: this.scopes };
+    return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex');
+  }
+  
+  /**
+   * 查找工作区包：package.json 的 workspaces（数组或 { packages }）和 pnpm-workspace.yaml 的 packages
+   * @returns {Promise<Array>} - 工作区包数组
+   */
+  async loadWorkspacePackages() {
+    const rootPackage = await this.readJson(path.join(this.rootPath, 'package.json'));
+    const workspaces = rootPackage && rootPackage.workspaces;
+    const patterns = [
+      ...(Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [])
+    ];
+    
+    try {
+      patterns.push(...parseWorkspaceYaml(await fs.readFile(path.join(this.rootPath, 'pnpm-workspace.yaml'), 'utf-8')));
+    } catch (error) {
+      // 没有 pnpm 工作区配置
+    }
+    
+    if (patterns.length === 0) {
+      return [];
+    }
+    
+    const toRegExp = pattern => globToRegExp(pattern.replace(/^\.\//, '').replace(/\/+$/, ''));
+    const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(toRegExp);
+    const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => toRegExp(pattern.slice(1)));
+    const maxDepth = patterns.some(pattern => pattern.includes('**'))
+      ? this.config.workspaceDepth
+      : Math.max(...patterns.map(pattern => pattern.replace(/^!/, '').split('/').filter(Boolean).length));
+    
+    const packages = [];
+    
+    const walk = async (dir, depth) => {
+      const relativePath = path.relative(this.rootPath, dir).split(path.sep).join('/');
+      
+      if (depth > 0 && includes.some(regexp => regexp.test(relativePath)) && !excludes.some(regexp => regexp.test(relativePath))) {
+        const packageJson = await this.readJson(path.join(dir, 'package.json'));
+        if (packageJson && packageJson.name) {
+          packages.push({
+            name: packageJson.name,
+            dir,
+            main: packageJson.main || null,
+            module: packageJson.module || null,
+            exports: packageJson.exports || null
+          });
+        }
+      }
+      
+      if (depth >= maxDepth) {
+        return;
+      }
+      
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        if (entry.isDirectory() && !this.config.excludeDirs.includes(entry.name)) {
+          await walk(path.join(dir, entry.name), depth + 1);
+        }
+      }
+    };
+    
+    await walk(this.rootPath, 0);
+    
+    return packages;
+  }
+  
+  /**
+   * 读取目录中 tsconfig.json 或 jsconfig.json 的 baseUrl 和 paths（包括 extends 继承的配置）
+   * @param {string} dir - 目录
+   * @returns {Promise<Object>} - { baseUrl, paths: [{ pattern, targets }] }，路径均为绝对路径
+   */
+  async loadTsconfig(dir) {
+    for (const fileName of TSCONFIG_FILES) {
+      const configFile = path.join(dir, fileName);
+      if (existsSync(configFile)) {
+        return this.readTsconfig(configFile, new Set());
+      }
+    }
+    
+    return { baseUrl: null, paths: [] };
+  }
+  
+  /**
+   * 读取单个 tsconfig 文件，子配置的 baseUrl 和 paths 覆盖继承的配置
+   * @param {string} configFile - 配置文件路径
+   * @param {Set} visited - 已读取的配置文件，用于避免循环继承
+   * @returns {Promise<Object>} - { baseUrl, paths }
+   */
+  async readTsconfig(configFile, visited) {
+    let result = { baseUrl: null, paths: [] };
+    
+    if (visited.has(configFile)) {
+      return result;
+    }
+    visited.add(configFile);
+    
+    let config;
+    try {
+      config = parseJsonWithComments(await fs.readFile(configFile, 'utf-8'));
+    } catch (error) {
+      console.error(`Error reading ${configFile}:`, error.message);
+      return result;
+    }
+    
+    const configDir = path.dirname(configFile);
+    
+    // 解析相对路径（如 ../../tsconfig.base.json）和工作区包（如 @app/tsconfig/base.json）中的 extends
+    for (const parent of [].concat(config.extends || [])) {
+      const parentFile = this.resolveTsconfigExtends(parent, configDir);
+      if (!parentFile) {
+        continue;
+      }
+      
+      const inherited = await this.readTsconfig(parentFile, visited);
+      result = {
+        baseUrl: inherited.baseUrl || result.baseUrl,
+        paths: inherited.paths.length > 0 ? inherited.paths : result.paths
+      };
+    }
+    
+    const options = config.compilerOptions || {};
+    const baseUrl = options.baseUrl ? path.resolve(configDir, options.baseUrl) : result.baseUrl;
+    
+    if (options.baseUrl) {
+      result.baseUrl = baseUrl;
+    }
+    if (options.paths) {
+      // paths 相对于 baseUrl，没有 baseUrl 时相对于配置文件所在目录
+      const pathsBase = baseUrl || configDir;
+      result.paths = Object.entries(options.paths).map(([pattern, targets]) => ({
+        pattern,
+        targets: [].concat(targets).map(target => path.resolve(pathsBase, target))
+      }));
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 解析 tsconfig extends 指向的配置文件
+   * @param {string} parent - extends 的值
+   * @param {string} configDir - 当前配置文件所在目录
+   * @returns {string|null} - 配置文件路径，第三方包中的配置返回null
+   */
+  resolveTsconfigExtends(parent, configDir) {
+    const withExtension = file => (file.endsWith('.json') ? file : `${file}.json`);
+    
+    if (parent.startsWith('.') || path.isAbsolute(parent)) {
+      return withExtension(path.resolve(configDir, parent));
+    }
+    
+    const pkg = this.packages.find(item => parent === item.name || parent.startsWith(`${item.name}/`));
+    if (!pkg) {
+      return null;
+    }
+    
+    return parent === pkg.name
+      ? path.join(pkg.dir, 'tsconfig.json')
+      : withExtension(path.join(pkg.dir, parent.slice(pkg.name.length + 1)));
+  }
+  
+  /**
+   * 读取目录中 webpack / vite 配置文件里可以静态求值的别名
+   * @param {string} dir - 目录
+   * @returns {Promise<Array>} - 别名数组 [{ find, replacement, exact }]，较长的别名优先
+   */
+  async loadBundlerAliases(dir) {
+    const aliases = [];
+    
+    for (const fileName of BUNDLER_CONFIG_FILES) {
+      const configFile = path.join(dir, fileName);
+      if (!existsSync(configFile)) {
+        continue;
+      }
+      
+      try {
+        aliases.push(...getBundlerAliases(await fs.readFile(configFile, 'utf-8'), dir));
+      } catch (error) {
+        console.error(`Error reading aliases from ${configFile}:`, error.message);
+      }
+    }
+    
+    return aliases.sort((a, b) => b.find.length - a.find.length);
+  }
+  
+  /**
+   * 读取JSON文件
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Object|null>} - 解析结果，不存在或无法解析时为null
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * 解析导入路径
+   * 依次尝试相对或绝对路径、构建工具别名、tsconfig paths、工作区包和 tsconfig baseUrl
+   * @param {string} importPath - 导入路径
+   * @param {string} currentFilePath - 当前文件路径
+   * @returns {string|null} - 解析后的绝对路径，无法解析（如第三方包）时为null
+   */
+  resolve(importPath, currentFilePath) {
+    if (importPath.startsWith('.')) {
+      return this.resolveFile(path.resolve(path.dirname(currentFilePath), importPath), true);
+    }
+    if (importPath.startsWith('/')) {
+      return this.resolveFile(importPath, true);
+    }
+    
+    const scope = this.scopes.find(item => this.isInside(currentFilePath, item.dir));
+    
+    if (scope) {
+      // webpack / vite 别名
+      for (const alias of scope.aliases) {
+        const matched = alias.exact
+          ? importPath === alias.find
+          : importPath === alias.find || importPath.startsWith(`${alias.find}/`);
+        const resolved = matched ? this.resolveFile(alias.replacement + importPath.slice(alias.find.length)) : null;
+        if (resolved) {
+          return resolved;
+        }
+      }
+      
+      // tsconfig paths
+      for (const { pattern, targets } of scope.paths) {
+        const captured = matchPathPattern(pattern, importPath);
+        if (captured === null) {
+          continue;
+        }
+        
+        for (const target of targets) {
+          const resolved = this.resolveFile(target.replace('*', captured));
+          if (resolved) {
+            return resolved;
+          }
+        }
+      }
+    }
+    
+    // 工作区包
+    const resolvedPackage = this.resolvePackageImport(importPath);
+    if (resolvedPackage) {
+      return resolvedPackage;
+    }
+    
+    // tsconfig baseUrl
+    return scope && scope.baseUrl ? this.resolveFile(path.join(scope.baseUrl, importPath)) : null;
+  }
+  
+  /**
+   * 解析工作区包的导入：包名或包名加子路径（如 @app/shared/utils）
+   * 优先使用 exports 字段，其次是 main、module 字段和包目录下的 index、src/index 文件（构建产物不存在时）
+   * @param {string} importPath - 导入路径
+   * @returns {string|null} - 解析后的绝对路径
+   */
+  resolvePackageImport(importPath) {
+    const pkg = this.packages.find(item => importPath === item.name || importPath.startsWith(`${item.name}/`));
+    if (!pkg) {
+      return null;
+    }
+    
+    const subpath = `.${importPath.slice(pkg.name.length)}`;
+    
+    if (pkg.exports) {
+      const target = resolvePackageExports(pkg.exports, subpath);
+      const resolved = target ? this.resolveFile(path.join(pkg.dir, target)) : null;
+      if (resolved) {
+        return resolved;
+      }
+    }
+    
+    if (subpath !== '.') {
+      return this.resolveFile(path.join(pkg.dir, subpath));
+    }
+    
+    const entries = [pkg.main, pkg.module, 'index', 'src/index'].filter(Boolean);
+    for (const entry of entries) {
+      const resolved = this.resolveFile(path.join(pkg.dir, entry));
+      if (resolved) {
+        return resolved;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 补全扩展名或 index 文件，解析出存在的文件
+   * @param {string} basePath - 不含扩展名或带扩展名的路径
+   * @param {boolean} keepUnresolved - 找不到时是否返回原路径（相对导入保留原路径）
+   * @returns {string|null} - 文件路径
+   */
+  resolveFile(basePath, keepUnresolved = false) {
+    const candidates = [
+      ...(path.extname(basePath) ? [basePath] : []),
+      ...this.config.fileExtensions.map(ext => `${basePath}${ext}`),
+      ...this.config.fileExtensions.map(ext => path.join(basePath, `index${ext}`))
+    ];
+    
+    return candidates.find(candidate => this.fileExists(candidate)) || (keepUnresolved ? basePath : null);
+  }
+  
+  /**
+   * 判断文件是否存在，已索引的文件无需访问文件系统
+   * @param {string} filePath - 文件路径
+   * @returns {boolean} - 是否存在
+   */
+  fileExists(filePath) {
+    return this.knownFiles.has(filePath) || existsSync(filePath);
+  }
+  
+  /**
+   * 获取文件所属的工作区包
+   * @param {string} filePath - 文件路径
+   * @returns {string|null} - 包名
+   */
+  getPackageName(filePath) {
+    const pkg = this.packages
+      .filter(item => this.isInside(filePath, item.dir))
+      .sort((a, b) => b.dir.length - a.dir.length)[0];
+    
+    return pkg ? pkg.name : null;
+  }
+  
+  /**
+   * 判断路径是否位于目录中
+   * @param {string} filePath - 路径
+   * @param {string} dir - 目录
+   * @returns {boolean} - 是否位于目录中
+   */
+  isInside(filePath, dir) {
+    const relativePath = path.relative(dir, filePath);
+    return Boolean(relativePath) && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+  }
+}
+
+module.exports = ModuleResolver;
@@ -0,0 +1,112 @@
+/**
+ * 模块解析器测试
+ * 在临时目录中创建带工作区、tsconfig paths 和 webpack 别名的代码库
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ModuleResolver = require('./module-resolver');
+
+const FILES = {
+  'package.json': JSON.stringify({ name: 'mono', workspaces: ['packages/*'] }),
+  'tsconfig.json': [
+    '{',
+    '  // 注释和尾逗号',
+    '  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"], }, },',
+    '}'
+  ].join('\n'),
+  'webpack.config.js': [
+    "const path = require('path');",
+    'module.exports = {',
+    "  resolve: { alias: { '~components': path.resolve(__dirname, 'src/components'), config$: './src/config/index.js' } }",
+    '};'
+  ].join('\n'),
+  'src/app.js': '',
+  'src/services/auth.ts': '',
+  'src/components/index.jsx': '',
+  'src/components/Button.vue': '',
+  'src/config/index.js': '',
+  'src/config/env.js': '',
+  'src/lib/http.js': '',
+  'packages/shared/package.json': JSON.stringify({ name: '@app/shared', main: 'lib/index.js' }),
+  'packages/shared/src/index.ts': '',
+  'packages/shared/src/format.ts': ''
+};
+
+describe('ModuleResolver', () => {
+  let tempDir;
+  let resolver;
+  let from;
+  
+  /**
+   * 获取临时代码库中文件的绝对路径
+   * @param {string} relativePath - 相对路径
+   * @returns {string} - 绝对路径
+   */
+  const file = relativePath => path.join(tempDir, relativePath);
+  
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'module-resolver-')));
+    
+    for (const [relativePath, content] of Object.entries(FILES)) {
+      await fs.outputFile(file(relativePath), content);
+    }
+    
+    resolver = new ModuleResolver();
+    await resolver.load(tempDir);
+    from = file('src/app.js');
+  });
+  
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+  
+  describe('extensions and index files', () => {
+    test('completes the extension of a relative import', () => {
+      expect(resolver.resolve('./services/auth', from)).toBe(file('src/services/auth.ts'));
+      expect(resolver.resolve('./components/Button', from)).toBe(file('src/components/Button.vue'));
+    });
+    
+    test('resolves a directory import to its index file', () => {
+      expect(resolver.resolve('./components', from)).toBe(file('src/components/index.jsx'));
+    });
+    
+    test('keeps unresolved relative imports and drops unresolved package imports', () => {
+      expect(resolver.resolve('./missing', from)).toBe(file('src/missing'));
+      expect(resolver.resolve('lodash', from)).toBeNull();
+    });
+    
+    test('tries the configured extensions only', () => {
+      const jsOnly = new ModuleResolver({ fileExtensions: ['.js'] });
+      
+      expect(jsOnly.resolve('./services/auth', from)).toBe(file('src/services/auth'));
+      expect(jsOnly.resolve('./lib/http', from)).toBe(file('src/lib/http.js'));
+    });
+  });
+  
+  describe('aliases', () => {
+    test('resolves tsconfig paths and baseUrl', () => {
+      expect(resolver.resolve('@/services/auth', from)).toBe(file('src/services/auth.ts'));
+      expect(resolver.resolve('src/lib/http', from)).toBe(file('src/lib/http.js'));
+    });
+    
+    test('resolves webpack aliases with and without a subpath', () => {
+      expect(resolver.resolve('~components', from)).toBe(file('src/components/index.jsx'));
+      expect(resolver.resolve('~components/Button', from)).toBe(file('src/components/Button.vue'));
+    });
+    
+    test('matches exact webpack aliases only in full', () => {
+      expect(resolver.resolve('config', from)).toBe(file('src/config/index.js'));
+      expect(resolver.resolve('config/env', from)).toBeNull();
+    });
+    
+    test('resolves workspace packages to their sources when the build output is missing', () => {
+      expect(resolver.resolve('@app/shared', from)).toBe(file('packages/shared/src/index.ts'));
+      expect(resolver.resolve('@app/shared/src/format', from)).toBe(file('packages/shared/src/format.ts'));
+      expect(resolver.getPackageName(file('packages/shared/src/format.ts'))).toBe('@app/shared');
+    });
+  });
+});
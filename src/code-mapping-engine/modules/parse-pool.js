@@ -0,0 +1,87 @@
+/**
+ * 解析线程池
+ * 负责把文件解析分发到多个工作线程并行执行，按文件顺序汇总解析出的文件索引
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'parse-worker.js');
+
+class ParsePool {
+  constructor(config = {}) {
+    this.config = {
+      concurrency: 2, // 工作线程数
+      workerConfig: {}, // 传给工作线程中索引器的配置（需可被结构化克隆）
+      ...config
+    };
+  }
+  
+  /**
+   * 在工作线程中解析文件，每个线程解析完一个文件后领取下一个
+   * @param {Array} tasks - 解析任务数组 [{ filePath, content, hash, lastModified }]
+   * @returns {Promise<Array>} - 与 tasks 顺序一致的文件索引数组，解析失败的文件为null
+   */
+  parseFiles(tasks) {
+    const results = new Array(tasks.length).fill(null);
+    
+    if (tasks.length === 0) {
+      return Promise.resolve(results);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const workers = [];
+      let next = 0;
+      let completed = 0;
+      let settled = false;
+      
+      // 结束时关闭所有工作线程，线程异常退出时整体失败
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        
+        Promise.all(workers.map(worker => worker.terminate()))
+          .then(() => (error ? reject(error) : resolve(results)), reject);
+      };
+      
+      const dispatch = (worker) => {
+        if (next < tasks.length) {
+          const id = next++;
+          worker.postMessage({ id, ...tasks[id] });
+        }
+      };
+      
+      for (let i = 0; i < Math.min(this.config.concurrency, tasks.length); i++) {
+        const worker = new Worker(WORKER_FILE, {
+          workerData: { config: this.config.workerConfig }
+        });
+        
+        worker.on('message', ({ id, fileIndex, error }) => {
+          if (error) {
+            console.error(`Error indexing file ${tasks[id].filePath}:`, error);
+          }
+          results[id] = fileIndex || null;
+          
+          if (++completed === tasks.length) {
+            finish();
+          } else {
+            dispatch(worker);
+          }
+        });
+        worker.on('error', finish);
+        worker.on('exit', (code) => {
+          if (code !== 0) {
+            finish(new Error(`Parse worker exited with code ${code}`));
+          }
+        });
+        
+        workers.push(worker);
+        dispatch(worker);
+      }
+    });
+  }
+}
+
+module.exports = ParsePool;
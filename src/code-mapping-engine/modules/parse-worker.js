@@ -0,0 +1,18 @@
+/**
+ * 解析工作线程
+ * 由解析线程池启动，在工作线程中解析文件内容并返回文件索引
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const CodebaseIndexer = require('./codebase-indexer');
+
+const indexer = new CodebaseIndexer(workerData.config);
+
+parentPort.on('message', async ({ id, filePath, content, hash, lastModified }) => {
+  try {
+    const fileIndex = await indexer.analyzeFile(filePath, content, { hash, lastModified });
+    parentPort.postMessage({ id, fileIndex });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
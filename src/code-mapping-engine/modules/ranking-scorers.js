@@ -0,0 +1,328 @@
+/**
+ * 排序函数
+ * 计算查询与代码元素的相关度，语义分析器通过 scorer 配置选择：tfidf（默认）、bm25、bm25f
+ *
+ * 排序函数需要实现三个方法：
+ * - prepare(documents, analyzer)：语义分析完成后基于全部文档准备统计信息
+ * - createQuery(queryTokens)：由查询词元创建查询
+ * - score(query, document)：返回 { similarity, score, matchedTerms }，similarity 范围为 0-1，用于阈值过滤和结果合并
+ */
+
+const { cosineDistance, cosineContributions } = require('../utils/vector-utils');
+
+// BM25F 各字段的默认权重：名称最能说明代码的用途，注释其次
+const DEFAULT_FIELD_WEIGHTS = { name: 3, params: 1.5, comments: 2, body: 1 };
+
+/**
+ * 统计词元出现次数
+ * @param {Array<string>} tokens - 词元数组
+ * @returns {Map<string, number>} - 词元 -> 次数
+ */
+function countTokens(tokens) {
+  const counts = new Map();
+  
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  
+  return counts;
+}
+
+/**
+ * 获取文档的字段词元：名称、参数、注释和代码（代码词元不含开头的名称词元）
+ * @param {Object} document - 文档的语义信息
+ * @returns {Object} - { name, params, comments, body }
+ */
+function getDocumentFields(document) {
+  const nameTokens = document.nameTokens || [];
+  
+  return {
+    name: nameTokens,
+    params: document.paramTokens || [],
+    comments: document.docTokens || [],
+    body: document.tokens.slice(nameTokens.length)
+  };
+}
+
+/**
+ * TF-IDF 余弦相似度
+ * 文档向量由语义分析器计算（代码和注释词元按 weightCode、weightComments 加权），查询向量为查询词频乘以IDF
+ */
+class TfIdfScorer {
+  constructor(config = {}) {
+    this.config = config;
+    this.defaultThreshold = 0.7; // 默认的相似度阈值
+    this.methodThresholdFactor = 0.35; // 单独搜索类方法时的阈值比例，方法中与任务无关的代码越多，余弦相似度越低
+    this.tfidf = null;
+    this.knownTerms = new Set(); // 至少在一个文档中出现的词元
+  }
+  
+  /**
+   * 准备IDF统计
+   * @param {Array} documents - 所有文档的语义信息
+   * @param {Object} analyzer - 语义分析器实例
+   */
+  prepare(documents, analyzer) {
+    this.tfidf = analyzer.tfidf;
+    this.knownTerms = new Set(documents.flatMap(document => Object.keys(document.vector || {})));
+  }
+  
+  /**
+   * 创建查询向量，没有在任何文档中出现的词元不计入
+   * @param {Array<string>} queryTokens - 查询词元
+   * @returns {Object} - 查询 { vector }
+   */
+  createQuery(queryTokens) {
+    const vector = {};
+    
+    for (const [token, count] of countTokens(queryTokens)) {
+      if (this.knownTerms.has(token)) {
+        vector[token] = count * this.tfidf.idf(token);
+      }
+    }
+    
+    return { vector };
+  }
+  
+  /**
+   * 计算查询与文档的余弦相似度，并列出共有词元对相似度的贡献
+   * @param {Object} query - 查询
+   * @param {Object} document - 文档的语义信息
+   * @returns {Object} - { similarity, score, matchedTerms }
+   */
+  score(query, document) {
+    const similarity = 1 - cosineDistance(query.vector, document.vector);
+    const contributions = cosineContributions(query.vector, document.vector);
+    
+    const matchedTerms = Object.entries(contributions)
+      .map(([term, contribution]) => ({
+        term,
+        queryWeight: query.vector[term],
+        tfidf: document.vector[term],
+        contribution
+      }))
+      .sort((a, b) => b.contribution - a.contribution);
+    
+    return { similarity, score: similarity, matchedTerms };
+  }
+}
+
+/**
+ * BM25F：各字段的词频按字段长度归一化并乘以字段权重后累加，再做词频饱和
+ * 名称命中比函数体中偶然出现更能说明相关性，短的任务标题因此也能召回名称匹配的代码
+ *
+ * 原始分数除以分数上限（每个查询词元的词频都饱和时的分数）得到 similarity，范围为 0-1：
+ * 在平均长度的代码中只出现一次的词元约为 0.45，在名称中出现一次约为 0.7
+ */
+class BM25FScorer {
+  constructor(config = {}) {
+    this.config = {
+      bm25K1: 1.2, // 词频饱和参数
+      bm25B: 0.75, // 长度归一化参数
+      ...config,
+      fieldWeights: { ...DEFAULT_FIELD_WEIGHTS, ...config.fieldWeights } // 各字段的权重
+    };
+    
+    this.defaultThreshold = 0.4; // 默认的相似度阈值，BM25的相似度是查询词元的加权覆盖率，整体低于余弦相似度
+    this.methodThresholdFactor = 0.5; // 单独搜索类方法时的阈值比例，方法通常只覆盖任务的部分词元
+    this.documentStats = new Map(); // 文档 -> 各字段的词频和长度
+    this.documentFrequencies = new Map(); // 词元 -> 包含该词元的文档数
+    this.averageLengths = {}; // 字段 -> 平均长度
+    this.documentCount = 0;
+  }
+  
+  /**
+   * 获取参与计算的字段及其权重
+   * @returns {Object} - 字段 -> 权重
+   */
+  getFieldWeights() {
+    return this.config.fieldWeights;
+  }
+  
+  /**
+   * 获取文档的字段词元
+   * @param {Object} document - 文档的语义信息
+   * @returns {Object} - 字段 -> 词元数组
+   */
+  getFields(document) {
+    return getDocumentFields(document);
+  }
+  
+  /**
+   * 统计每个文档各字段的词频、长度，以及词元的文档频率和字段的平均长度
+   * @param {Array} documents - 所有文档的语义信息
+   */
+  prepare(documents) {
+    const fieldNames = Object.keys(this.getFieldWeights());
+    const totalLengths = Object.fromEntries(fieldNames.map(field => [field, 0]));
+    
+    this.documentStats = new Map();
+    this.documentFrequencies = new Map();
+    this.documentCount = documents.length;
+    
+    for (const document of documents) {
+      const fields = this.getFields(document);
+      const stats = {};
+      const terms = new Set();
+      
+      for (const field of fieldNames) {
+        const tokens = fields[field] || [];
+        stats[field] = { counts: countTokens(tokens), length: tokens.length };
+        totalLengths[field] += tokens.length;
+        tokens.forEach(token => terms.add(token));
+      }
+      
+      for (const term of terms) {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      }
+      
+      this.documentStats.set(document, stats);
+    }
+    
+    this.averageLengths = Object.fromEntries(fieldNames.map(field => [
+      field,
+      this.documentCount > 0 ? totalLengths[field] / this.documentCount : 0
+    ]));
+  }
+  
+  /**
+   * 计算词元的IDF（BM25的平滑形式，始终为正）
+   * @param {string} term - 词元
+   * @returns {number} - IDF
+   */
+  idf(term) {
+    const documentFrequency = this.documentFrequencies.get(term) || 0;
+    return Math.log(1 + (this.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+  
+  /**
+   * 创建查询：查询词频和IDF，没有在任何文档中出现的词元不计入
+   * @param {Array<string>} queryTokens - 查询词元
+   * @returns {Object} - 查询 { terms: [{ term, count, idf }], maxScore }
+   */
+  createQuery(queryTokens) {
+    const terms = [...countTokens(queryTokens)]
+      .filter(([term]) => this.documentFrequencies.has(term))
+      .map(([term, count]) => ({ term, count, idf: this.idf(term) }));
+    
+    return {
+      terms,
+      maxScore: terms.reduce((sum, term) => sum + term.count * term.idf, 0) * (this.config.bm25K1 + 1)
+    };
+  }
+  
+  /**
+   * 计算文档中词元的加权归一化词频
+   * @param {Object} stats - 文档各字段的词频和长度
+   * @param {string} term - 词元
+   * @returns {Object} - { frequency, fields }，fields 为命中的字段
+   */
+  getWeightedFrequency(stats, term) {
+    const { bm25B } = this.config;
+    let frequency = 0;
+    const fields = [];
+    
+    for (const [field, weight] of Object.entries(this.getFieldWeights())) {
+      const count = stats[field].counts.get(term);
+      if (!count) {
+        continue;
+      }
+      
+      const lengthRatio = this.averageLengths[field] > 0 ? stats[field].length / this.averageLengths[field] : 1;
+      frequency += weight * count / (1 - bm25B + bm25B * lengthRatio);
+      fields.push(field);
+    }
+    
+    return { frequency, fields };
+  }
+  
+  /**
+   * 计算查询与文档的BM25F分数，并列出命中词元的分数和命中的字段
+   * @param {Object} query - 查询
+   * @param {Object} document - 文档的语义信息
+   * @returns {Object} - { similarity, score, matchedTerms }
+   */
+  score(query, document) {
+    const stats = this.documentStats.get(document);
+    if (!stats || query.maxScore === 0) {
+      return { similarity: 0, score: 0, matchedTerms: [] };
+    }
+    
+    const { bm25K1 } = this.config;
+    const matchedTerms = [];
+    let score = 0;
+    
+    for (const { term, count, idf } of query.terms) {
+      const { frequency, fields } = this.getWeightedFrequency(stats, term);
+      if (frequency === 0) {
+        continue;
+      }
+      
+      const termScore = count * idf * frequency * (bm25K1 + 1) / (frequency + bm25K1);
+      score += termScore;
+      matchedTerms.push({
+        term,
+        queryWeight: count * idf,
+        weight: termScore,
+        fields,
+        contribution: termScore / query.maxScore
+      });
+    }
+    
+    matchedTerms.sort((a, b) => b.contribution - a.contribution);
+    
+    return {
+      similarity: score / query.maxScore,
+      score,
+      matchedTerms
+    };
+  }
+}
+
+/**
+ * BM25：把名称、参数、注释和代码合并为一个字段，所有词元权重相同
+ */
+class BM25Scorer extends BM25FScorer {
+  getFieldWeights() {
+    return { all: 1 };
+  }
+  
+  getFields(document) {
+    const fields = getDocumentFields(document);
+    return { all: [...fields.name, ...fields.params, ...fields.body, ...fields.comments] };
+  }
+}
+
+const SCORERS = {
+  tfidf: TfIdfScorer,
+  bm25: BM25Scorer,
+  bm25f: BM25FScorer
+};
+
+/**
+ * 按配置创建排序函数
+ * @param {Object} config - 语义分析器配置，scorer 为排序函数名称或实现了排序函数接口的对象
+ * @returns {Object} - 排序函数实例
+ */
+function createScorer(config = {}) {
+  const { scorer = 'tfidf' } = config;
+  
+  if (scorer && typeof scorer === 'object') {
+    return scorer;
+  }
+  
+  const Scorer = SCORERS[scorer];
+  if (!Scorer) {
+    throw new Error(`Unknown scorer: ${scorer}. Available scorers: ${Object.keys(SCORERS).join(', ')}`);
+  }
+  
+  return new Scorer(config);
+}
+
+module.exports = {
+  TfIdfScorer,
+  BM25Scorer,
+  BM25FScorer,
+  createScorer,
+  getDocumentFields
+};
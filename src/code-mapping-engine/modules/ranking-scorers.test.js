@@ -0,0 +1,144 @@
+/**
+ * 排序函数测试
+ * BM25/BM25F 使用构造的文档语义信息，TF-IDF 使用语义分析器分析的临时代码库
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CodeMappingEngine = require('../index');
+const { BM25Scorer, BM25FScorer, createScorer } = require('./ranking-scorers');
+
+/**
+ * 创建文档的语义信息，代码词元以名称词元开头
+ * @param {Object} fields - { name, params, comments, body } 各字段的词元
+ * @returns {Object} - 文档的语义信息
+ */
+function createDocument({ name = [], params = [], comments = [], body = [] }) {
+  return {
+    nameTokens: name,
+    paramTokens: params,
+    docTokens: comments,
+    tokens: [...name, ...params, ...body]
+  };
+}
+
+/**
+ * 按查询对文档排序
+ * @param {Object} scorer - 排序函数
+ * @param {Object} documents - 文档名 -> 文档
+ * @param {Array<string>} queryTokens - 查询词元
+ * @returns {Array<string>} - 按分数从高到低排列的文档名
+ */
+function rank(scorer, documents, queryTokens) {
+  scorer.prepare(Object.values(documents));
+  const query = scorer.createQuery(queryTokens);
+  
+  return Object.entries(documents)
+    .map(([name, document]) => [name, scorer.score(query, document).score])
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name]) => name);
+}
+
+describe('ranking scorers', () => {
+  describe('BM25FScorer', () => {
+    const documents = {
+      loginByName: createDocument({ name: ['login'], body: ['check', 'password', 'sign', 'token'] }),
+      loginInBody: createDocument({ name: ['handle'], body: ['login', 'check', 'password', 'redirect'] }),
+      order: createDocument({ name: ['create', 'order'], body: ['save', 'item'] })
+    };
+    
+    test('ranks a name match above a body match with the default field weights', () => {
+      expect(rank(new BM25FScorer(), documents, ['login'])).toEqual(['loginByName', 'loginInBody']);
+    });
+    
+    test('follows the configured field weights', () => {
+      const scorer = new BM25FScorer({ fieldWeights: { name: 0.5, body: 3 } });
+      
+      expect(scorer.getFieldWeights()).toEqual({ name: 0.5, params: 1.5, comments: 2, body: 3 });
+      expect(rank(scorer, documents, ['login'])).toEqual(['loginInBody', 'loginByName']);
+    });
+    
+    test('treats all fields alike in plain BM25', () => {
+      const scorer = new BM25Scorer();
+      scorer.prepare(Object.values(documents));
+      const query = scorer.createQuery(['login']);
+      
+      expect(scorer.score(query, documents.loginByName).score)
+        .toBeCloseTo(scorer.score(query, documents.loginInBody).score, 10);
+    });
+    
+    test('reports the matched fields and normalises the similarity to the maximum score', () => {
+      const scorer = new BM25FScorer();
+      scorer.prepare(Object.values(documents));
+      const result = scorer.score(scorer.createQuery(['login', 'password', 'unknown']), documents.loginByName);
+      
+      expect(result.matchedTerms.map(({ term, fields }) => [term, fields])).toEqual([
+        ['login', ['name']],
+        ['password', ['body']]
+      ]);
+      expect(result.similarity).toBeGreaterThan(0);
+      expect(result.similarity).toBeLessThan(1);
+    });
+  });
+  
+  describe('length normalisation', () => {
+    const filler = Array.from({ length: 38 }, (item, index) => `step${index}`);
+    const documents = {
+      longWithTwoMatches: createDocument({ name: ['sync'], body: ['login', 'login', ...filler] }),
+      shortWithOneMatch: createDocument({ name: ['auth'], body: ['login'] })
+    };
+    
+    test('prefers more occurrences when lengths are not normalised', () => {
+      expect(rank(new BM25Scorer({ bm25B: 0 }), documents, ['login'])).toEqual(['longWithTwoMatches', 'shortWithOneMatch']);
+    });
+    
+    test('prefers the shorter document when lengths are fully normalised', () => {
+      expect(rank(new BM25Scorer({ bm25B: 1 }), documents, ['login'])).toEqual(['shortWithOneMatch', 'longWithTwoMatches']);
+    });
+  });
+  
+  test('rejects unknown scorers and accepts scorer objects', () => {
+    const scorer = new BM25Scorer();
+    
+    expect(createScorer({ scorer })).toBe(scorer);
+    expect(() => createScorer({ scorer: 'lsi' })).toThrow('Unknown scorer: lsi. Available scorers: tfidf, bm25, bm25f');
+  });
+  
+  describe('TfIdfScorer', () => {
+    let tempDir;
+    let analyzer;
+    
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ranking-scorers-'));
+      await fs.outputFile(path.join(tempDir, 'src/user-token.js'), 'function verifyToken(token) { return Boolean(token); }\n');
+      await fs.outputFile(path.join(tempDir, 'src/user-profile.js'), 'function getUser(token) { return verifyToken(token); }\n');
+      await fs.outputFile(path.join(tempDir, 'src/order-item.js'), 'function createOrder(user, items) { return { user, items }; }\n');
+      
+      const engine = new CodeMappingEngine({ cache: false });
+      await engine.initialize(tempDir);
+      analyzer = engine.semanticAnalyzer;
+    });
+    
+    afterAll(async () => {
+      jest.restoreAllMocks();
+      await fs.remove(tempDir);
+    });
+    
+    test('weights queries with the same IDF as the documents indexed first', () => {
+      const files = Object.values(analyzer.semanticIndex.files);
+      
+      // 文件名的词元在函数中也出现，只基于文件统计的IDF与全部文档的IDF比例不同
+      expect(files.map(file => file.tokens)).toContainEqual(['user', 'token']);
+      
+      for (const file of files) {
+        const result = analyzer.scorer.score(analyzer.scorer.createQuery(file.tokens), file);
+        
+        expect(file.docTokens).toEqual([]);
+        expect(result.similarity).toBeCloseTo(1, 10);
+      }
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * 路由解析器
+ * 负责根据各文件中的路由注册、挂载和导入导出关系，解析每个路由的完整路径和处理函数
+ */
+
+const path = require('path');
+const { joinRoutePaths } = require('../utils/http-route-utils');
+const { assignSymbolIds } = require('../utils/symbol-utils');
+
+class RouteResolver {
+  constructor(config = {}) {
+    this.config = {
+      moduleExtensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'], // 解析相对导入时尝试的扩展名
+      ...config
+    };
+  }
+  
+  /**
+   * 解析代码库中的所有路由
+   * @param {Array} files - 文件索引数组
+   * @returns {Array} - 路由数组 [{ id, method, path, routePath, filePath, handler, handlerFilePath, handlerId, middlewares, loc }]
+   */
+  resolveRoutes(files) {
+    this.filesByPath = new Map(files.map(file => [file.path, file]));
+    
+    // 子路由对象 -> 挂载它的父路由对象及前缀
+    this.mountsByChild = new Map();
+    for (const file of files) {
+      for (const mount of (file.routeDefinitions || {}).mounts || []) {
+        const childKey = this.resolveMountTarget(file, mount.target);
+        if (childKey) {
+          const parents = this.mountsByChild.get(childKey) || [];
+          parents.push({ parentKey: `${file.path}#${mount.router}`, prefix: mount.prefix });
+          this.mountsByChild.set(childKey, parents);
+        }
+      }
+    }
+    
+    const routes = [];
+    
+    for (const file of files) {
+      for (const route of (file.routeDefinitions || {}).routes || []) {
+        const handler = this.resolveHandler(file, route.handler);
+        
+        for (const prefix of this.getPrefixes(`${file.path}#${route.router}`, new Set())) {
+          routes.push({
+            method: route.method,
+            path: joinRoutePaths(prefix, route.path),
+            routePath: route.path,
+            filePath: file.path,
+            handler: handler ? handler.name : null,
+            handlerFilePath: handler ? handler.filePath : null,
+            handlerId: handler ? handler.id : null,
+            middlewares: route.middlewares,
+            loc: route.handler && route.handler.inline ? route.handler.loc : route.loc
+          });
+        }
+      }
+    }
+    
+    // 路由ID以方法和完整路径作为限定名
+    const routesByFile = new Map();
+    for (const route of routes) {
+      routesByFile.set(route.filePath, [...(routesByFile.get(route.filePath) || []), route]);
+    }
+    for (const [filePath, fileRoutes] of routesByFile) {
+      assignSymbolIds(fileRoutes, 'route', filePath, route => `${route.method} ${route.path}`);
+    }
+    
+    return routes;
+  }
+  
+  /**
+   * 获取路由对象的所有挂载前缀（同一路由对象可能被挂载到多个位置）
+   * @param {string} routerKey - 路由对象键（文件路径#路由对象标识）
+   * @param {Set} visiting - 正在遍历的路由对象，用于避免循环挂载
+   * @returns {Array<string>} - 前缀数组
+   */
+  getPrefixes(routerKey, visiting) {
+    const [filePath, router] = this.splitKey(routerKey);
+    const file = this.filesByPath.get(filePath);
+    const ownPrefix = file && file.routeDefinitions ? file.routeDefinitions.prefixes[router] || '' : '';
+    const parents = this.mountsByChild.get(routerKey) || [];
+    
+    if (parents.length === 0 || visiting.has(routerKey)) {
+      return [ownPrefix];
+    }
+    
+    visiting.add(routerKey);
+    const prefixes = parents.flatMap(({ parentKey, prefix }) =>
+      this.getPrefixes(parentKey, visiting).map(parentPrefix => joinRoutePaths(parentPrefix, prefix, ownPrefix))
+    );
+    visiting.delete(routerKey);
+    
+    return [...new Set(prefixes)];
+  }
+  
+  /**
+   * 拆分路由对象键
+   * @param {string} key - 路由对象键
+   * @returns {Array<string>} - [文件路径, 路由对象标识]
+   */
+  splitKey(key) {
+    const index = key.lastIndexOf('#');
+    return [key.slice(0, index), key.slice(index + 1)];
+  }
+  
+  /**
+   * 解析挂载目标对应的路由对象
+   * @param {Object} file - 挂载所在的文件索引
+   * @param {Object} target - 挂载目标 { local } 或 { source, imported }
+   * @returns {string|null} - 路由对象键
+   */
+  resolveMountTarget(file, target) {
+    if (target.local) {
+      // 同一文件中定义的路由对象或插件函数
+      const definitions = file.routeDefinitions || {};
+      const isLocalRouter = (definitions.routes || []).some(route => route.router === target.local) ||
+        (definitions.mounts || []).some(mount => mount.router === target.local) ||
+        file.functions.some(func => func.name === target.local);
+      
+      if (isLocalRouter) {
+        return `${file.path}#${target.local}`;
+      }
+      
+      const binding = (file.imports || []).find(item => item.local === target.local);
+      return binding ? this.resolveImportedName(file, binding.source, binding.imported) : null;
+    }
+    
+    return this.resolveImportedName(file, target.source, target.imported);
+  }
+  
+  /**
+   * 解析导入的名称，返回被导入文件中对应的本地对象键
+   * @param {Object} file - 导入所在的文件索引
+   * @param {string} source - 导入路径
+   * @param {string} imported - 导入名（default 或导出名）
+   * @returns {string|null} - 对象键（文件路径#本地名）
+   */
+  resolveImportedName(file, source, imported) {
+    const targetFile = this.resolveModule(source, file.path);
+    if (!targetFile) {
+      return null;
+    }
+    
+    const local = (targetFile.exports || {})[imported] || (imported === 'default' ? null : imported);
+    return local ? `${targetFile.path}#${local}` : null;
+  }
+  
+  /**
+   * 解析路由处理函数所在的文件和函数名
+   * @param {Object} file - 路由所在的文件索引
+   * @param {Object|null} handler - 处理函数描述 { name, object } 或 { inline, loc }
+   * @returns {Object|null} - { name, filePath, id }
+   */
+  resolveHandler(file, handler) {
+    if (!handler) {
+      return null;
+    }
+    
+    // 内联处理函数由索引器以路由命名（如 "POST /login"），按起始位置匹配
+    if (handler.inline) {
+      const func = file.functions.find(item =>
+        item.routeHandler && item.loc.start === handler.loc.start && item.loc.column === handler.loc.column
+      );
+      return func ? { name: func.name, filePath: file.path, id: func.id } : null;
+    }
+    
+    // 同名函数优先使用顶层函数
+    const findFunction = (targetFile, name) => {
+      const func = targetFile.functions.find(item => item.qualifiedName === name) ||
+        targetFile.functions.find(item => item.name === name);
+      return func ? { name, filePath: targetFile.path, id: func.id } : null;
+    };
+    
+    // authController.login：在 authController 对应的文件中查找 login
+    if (handler.object) {
+      const binding = (file.imports || []).find(item => item.local === handler.object);
+      const targetFile = binding ? this.resolveModule(binding.source, file.path) : null;
+      
+      if (targetFile) {
+        const local = (targetFile.exports || {})[handler.name] || handler.name;
+        return findFunction(targetFile, local);
+      }
+      
+      return findFunction(file, handler.name);
+    }
+    
+    const localHandler = findFunction(file, handler.name);
+    if (localHandler) {
+      return localHandler;
+    }
+    
+    // 从其他文件导入的处理函数
+    const binding = (file.imports || []).find(item => item.local === handler.name);
+    const key = binding ? this.resolveImportedName(file, binding.source, binding.imported) : null;
+    if (key) {
+      const [filePath, name] = this.splitKey(key);
+      return findFunction(this.filesByPath.get(filePath), name);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 在已索引的文件中解析相对导入路径
+   * @param {string} source - 导入路径
+   * @param {string} fromFile - 导入所在的文件路径
+   * @returns {Object|null} - 被导入的文件索引
+   */
+  resolveModule(source, fromFile) {
+    if (!source || !source.startsWith('.')) {
+      return null;
+    }
+    
+    const basePath = path.resolve(path.dirname(fromFile), source);
+    const candidates = [
+      basePath,
+      ...this.config.moduleExtensions.map(ext => `${basePath}${ext}`),
+      ...this.config.moduleExtensions.map(ext => path.join(basePath, `index${ext}`))
+    ];
+    
+    for (const candidate of candidates) {
+      if (this.filesByPath.has(candidate)) {
+        return this.filesByPath.get(candidate);
+      }
+    }
+    
+    return null;
+  }
+}
+
+module.exports = RouteResolver;
@@ -3,47 +3,99 @@
  * 负责分析代码的语义和功能，建立代码与业务功能的映射关系
  */
 
+const crypto = require('crypto');
 const natural = require('natural');
 const { TfIdf } = natural;
 const { cosineDistance } = require('../utils/vector-utils');
+const { segmentChinese } = require('../utils/chinese-utils');
+const { DEFAULT_TERM_BRIDGE } = require('../utils/term-bridge');
+const { getDocText } = require('../utils/jsdoc-utils');
+const { getFileId } = require('../utils/symbol-utils');
+const { createScorer } = require('./ranking-scorers');
+const { createEmbeddingProvider } = require('./embedding-providers');
+const VectorStore = require('./vector-store');
+
+// 语义索引中的元素分类及对应的结果类型
+const ELEMENT_TYPES = {
+  files: 'file',
+  functions: 'function',
+  classes: 'class',
+  methods: 'method',
+  types: 'type'
+};
 
 class SemanticAnalyzer {
   constructor(config = {}) {
     this.config = {
       minTokenLength: 3,
       stopWords: ['the', 'and', 'or', 'to', 'a', 'in', 'of', 'for', 'on', 'with'],
-      similarityThreshold: 0.7,
+      similarityThreshold: null, // 相似度阈值，null 时使用排序函数的默认阈值
+      methodThresholdFactor: null, // 单独搜索类方法时阈值相对相似度阈值的比例，null 时使用排序函数的默认比例
+      weightCode: 1, // 名称和代码词元的权重
+      weightComments: 2, // 注释和JSDoc描述词元的权重，描述比标识符更接近PRD的措辞
+      termBridge: {}, // 额外的中英术语映射，会与默认映射合并
+      chineseDictionary: [], // 额外的中文分词词典
+      scorer: 'tfidf', // 排序函数：tfidf、bm25、bm25f 或实现了排序函数接口的对象，BM25参数见 ranking-scorers
+      embeddingProvider: null, // 嵌入向量提供者：hashing、提供者模块路径或提供者对象，null 时不使用向量检索
+      embeddingOptions: {}, // 创建嵌入向量提供者的配置
+      embeddingThreshold: 0.3, // 向量检索的相似度阈值
+      embeddingBatchSize: 64, // 每次请求提供者的文本数量
+      maxEmbeddingTextLength: 4000, // 计算嵌入向量的文本最大长度
+      vectorStore: {}, // 向量存储配置（numTables、numBits、exactSearchLimit）
       ...config
     };
     
     this.tokenizer = new natural.WordTokenizer();
     this.stemmer = natural.PorterStemmer;
+    
+    // 中文分词词典由术语桥接表和额外词典组成
+    this.termBridge = { ...DEFAULT_TERM_BRIDGE, ...this.config.termBridge };
+    this.chineseDictionary = new Set([...Object.keys(this.termBridge), ...this.config.chineseDictionary]);
+    this.maxWordLength = Math.max(2, ...Array.from(this.chineseDictionary, word => word.length));
     this.tfidf = new TfIdf();
+    this.scorer = createScorer(this.config);
+    this.embeddingProvider = createEmbeddingProvider(this.config);
+    this.vectorStore = new VectorStore(this.config.vectorStore);
+    this.documentIndexes = {}; // 文档ID -> TF-IDF文档下标
+    this.previousTokens = {}; // 上次分析的文档词元（文档ID -> { nameTokens, paramTokens, tokens, docTokens }）
+    this.unchangedFiles = new Set(); // 可以复用词元的文件路径
+    this.previousEmbeddings = {}; // 上次的嵌入向量（文档ID -> base64 编码的向量）
     
     // 代码语义索引
     this.semanticIndex = {
       files: {},
       functions: {},
-      classes: {}
+      classes: {},
+      methods: {},
+      types: {}
     };
   }
   
   /**
    * 分析代码库的语义
+   * 未变化文件中的文档复用上次的词元，TF-IDF模型和向量始终基于全部文档重新计算，保证IDF统计一致
    * @param {Object} codeIndex - 代码索引对象
+   * @param {Object} options - 选项（previousTokens: 上次的文档词元，previousEmbeddings: 上次的嵌入向量，unchangedFiles: 未变化的文件路径集合）
    * @returns {Promise<Object>} - 语义索引对象
    */
-  async analyzeCodebase(codeIndex) {
+  async analyzeCodebase(codeIndex, options = {}) {
     console.log('Analyzing code semantics...');
     
+    this.previousTokens = options.previousTokens || {};
+    this.previousEmbeddings = options.previousEmbeddings || {};
+    this.unchangedFiles = options.unchangedFiles || new Set();
+    
     // 重置TF-IDF模型
     this.tfidf = new TfIdf();
+    this.documentIndexes = {};
     
     // 重置语义索引
     this.semanticIndex = {
       files: {},
       functions: {},
-      classes: {}
+      classes: {},
+      methods: {},
+      types: {}
     };
     
     // 分析文件
@@ -55,6 +107,23 @@ class SemanticAnalyzer {
     // 分析类
     await this.analyzeClasses(codeIndex.classes);
     
+    // 分析类方法
+    await this.analyzeMethods(codeIndex.classes);
+    
+    // 分析TS类型
+    await this.analyzeTypes(codeIndex.types || []);
+    
+    // 所有文档加入TF-IDF模型后再计算向量，IDF基于全部文档统计
+    this.calculateVectors();
+    
+    // 基于全部文档准备排序函数的统计信息
+    this.scorer.prepare(this.getAllDocuments(), this);
+    
+    // 计算嵌入向量并建立向量存储
+    if (this.embeddingProvider) {
+      await this.buildVectorStore(codeIndex);
+    }
+    
     console.log('Semantic analysis complete.');
     
     return this.semanticIndex;
@@ -67,32 +136,34 @@ class SemanticAnalyzer {
    */
   async analyzeFiles(files) {
     for (const file of files) {
-      // 提取文件名的关键词
-      const fileNameTokens = this.tokenizeAndStem(file.name.replace(/\.[^/.]+$/, ''));
+      const docId = getFileId(file.path);
+      const { nameTokens, paramTokens, tokens, docTokens } = this.getCachedTokens(docId, file.path) || this.createTokens(
+        // 提取文件名的关键词
+        file.name.replace(/\.[^/.]+$/, ''),
+        [],
+        
+        // 提取文件中的中文注释和字符串
+        [...(file.comments || []), ...(file.strings || [])].join('\n'),
+        ''
+      );
       
       // 为文件创建TF-IDF向量
-      this.tfidf.addDocument(fileNameTokens, file.path);
+      this.addDocument([...tokens, ...docTokens], docId);
       
       // 存储文件的语义信息
-      this.semanticIndex.files[file.path] = {
+      this.semanticIndex.files[docId] = {
+        id: docId,
+        name: file.name,
         path: file.path,
-        tokens: fileNameTokens,
+        filePath: file.path,
+        nameTokens,
+        paramTokens,
+        tokens,
+        docTokens,
         vector: null, // 将在所有文档添加后计算
         keywords: []
       };
     }
-    
-    // 计算每个文件的TF-IDF向量和关键词
-    for (const file of files) {
-      const fileSemantics = this.semanticIndex.files[file.path];
-      
-      // 计算TF-IDF向量
-      const vector = this.calculateTfIdfVector(fileSemantics.tokens, file.path);
-      fileSemantics.vector = vector;
-      
-      // 提取关键词
-      fileSemantics.keywords = this.extractKeywords(file.path, 5);
-    }
   }
   
   /**
@@ -102,42 +173,30 @@ class SemanticAnalyzer {
    */
   async analyzeFunctions(functions) {
     for (const func of functions) {
-      // 提取函数名的关键词
-      const funcNameTokens = this.tokenizeAndStem(func.name);
-      
-      // 提取函数代码的关键词
-      const codeTokens = this.tokenizeAndStem(func.code);
-      
-      // 合并关键词
-      const allTokens = [...funcNameTokens, ...codeTokens];
+      const docId = func.id;
+      // 提取函数名、参数、函数代码，以及前置注释和JSDoc描述的关键词
+      const { nameTokens, paramTokens, tokens, docTokens } = this.getCachedTokens(docId, func.filePath) ||
+        this.createTokens(func.name, func.params, func.code, this.getCommentText(func));
       
       // 为函数创建TF-IDF向量
-      const docId = `function:${func.filePath}:${func.name}`;
-      this.tfidf.addDocument(allTokens, docId);
+      this.addDocument([...tokens, ...docTokens], docId);
       
       // 存储函数的语义信息
       this.semanticIndex.functions[docId] = {
+        id: docId,
         name: func.name,
+        qualifiedName: func.qualifiedName,
         filePath: func.filePath,
-        tokens: allTokens,
+        nameTokens,
+        paramTokens,
+        tokens,
+        docTokens,
         vector: null, // 将在所有文档添加后计算
         keywords: [],
-        params: func.params
+        params: func.params,
+        loc: func.loc
       };
     }
-    
-    // 计算每个函数的TF-IDF向量和关键词
-    for (const func of functions) {
-      const docId = `function:${func.filePath}:${func.name}`;
-      const funcSemantics = this.semanticIndex.functions[docId];
-      
-      // 计算TF-IDF向量
-      const vector = this.calculateTfIdfVector(funcSemantics.tokens, docId);
-      funcSemantics.vector = vector;
-      
-      // 提取关键词
-      funcSemantics.keywords = this.extractKeywords(docId, 5);
-    }
   }
   
   /**
@@ -147,82 +206,380 @@ class SemanticAnalyzer {
    */
   async analyzeClasses(classes) {
     for (const cls of classes) {
-      // 提取类名的关键词
-      const classNameTokens = this.tokenizeAndStem(cls.name);
-      
-      // 提取类代码的关键词
-      const codeTokens = this.tokenizeAndStem(cls.code);
+      const docId = cls.id;
+      const constructorMethod = cls.methods.find(method => method.name === 'constructor');
       
-      // 合并关键词
-      const allTokens = [...classNameTokens, ...codeTokens];
+      // 提取类名、构造函数参数、类代码，以及类的前置注释和JSDoc描述的关键词（方法的注释计入各方法的文档）
+      const { nameTokens, paramTokens, tokens, docTokens } = this.getCachedTokens(docId, cls.filePath) || this.createTokens(
+        cls.name,
+        constructorMethod ? constructorMethod.params : [],
+        cls.code,
+        this.getCommentText(cls)
+      );
       
       // 为类创建TF-IDF向量
-      const docId = `class:${cls.filePath}:${cls.name}`;
-      this.tfidf.addDocument(allTokens, docId);
+      this.addDocument([...tokens, ...docTokens], docId);
       
       // 存储类的语义信息
       this.semanticIndex.classes[docId] = {
+        id: docId,
         name: cls.name,
+        qualifiedName: cls.qualifiedName,
         filePath: cls.filePath,
-        tokens: allTokens,
+        nameTokens,
+        paramTokens,
+        tokens,
+        docTokens,
         vector: null, // 将在所有文档添加后计算
         keywords: [],
-        methods: cls.methods.map(method => method.name)
+        methods: cls.methods.map(method => method.name),
+        loc: cls.loc
       };
     }
+  }
+  
+  /**
+   * 分析类方法的语义，每个方法是独立的文档，任务可以映射到具体的方法而不是整个类
+   * @param {Array} classes - 类数组
+   * @returns {Promise<void>}
+   */
+  async analyzeMethods(classes) {
+    const methods = classes.flatMap(cls => cls.methods.map(method => ({ ...method, classId: cls.id, className: cls.name, filePath: cls.filePath })));
     
-    // 计算每个类的TF-IDF向量和关键词
-    for (const cls of classes) {
-      const docId = `class:${cls.filePath}:${cls.name}`;
-      const classSemantics = this.semanticIndex.classes[docId];
+    for (const method of methods) {
+      const docId = method.id;
+      
+      // 提取方法名、参数、方法代码，以及前置注释和JSDoc描述的关键词
+      const { nameTokens, paramTokens, tokens, docTokens } = this.getCachedTokens(docId, method.filePath) ||
+        this.createTokens(method.name, method.params, method.code, this.getCommentText(method));
+      
+      // 为方法创建TF-IDF向量
+      this.addDocument([...tokens, ...docTokens], docId);
+      
+      // 存储方法的语义信息
+      this.semanticIndex.methods[docId] = {
+        id: docId,
+        name: method.name,
+        qualifiedName: method.qualifiedName,
+        classId: method.classId,
+        className: method.className,
+        filePath: method.filePath,
+        nameTokens,
+        paramTokens,
+        tokens,
+        docTokens,
+        vector: null, // 将在所有文档添加后计算
+        keywords: [],
+        params: method.params,
+        static: method.static,
+        loc: method.loc
+      };
+    }
+  }
+  
+  /**
+   * 分析TS接口、类型别名和枚举的语义
+   * 字段名和字段注释（通常是中文的字段说明）都计入词元，便于定位字段改动
+   * @param {Array} types - 类型数组
+   * @returns {Promise<void>}
+   */
+  async analyzeTypes(types) {
+    for (const type of types) {
+      const docId = type.id;
+      const { nameTokens, paramTokens, tokens, docTokens } = this.getCachedTokens(docId, type.filePath) || this.createTokens(
+        // 提取类型名和字段名的关键词，字段名作为类型的代码
+        type.name,
+        [],
+        type.fields.map(field => field.name).join('\n'),
+        
+        // 提取前置注释、JSDoc描述和字段注释的关键词
+        [this.getCommentText(type), ...type.fields.map(field => field.comment)].filter(Boolean).join('\n')
+      );
       
-      // 计算TF-IDF向量
-      const vector = this.calculateTfIdfVector(classSemantics.tokens, docId);
-      classSemantics.vector = vector;
+      // 为类型创建TF-IDF向量
+      this.addDocument([...tokens, ...docTokens], docId);
       
-      // 提取关键词
-      classSemantics.keywords = this.extractKeywords(docId, 5);
+      // 存储类型的语义信息
+      this.semanticIndex.types[docId] = {
+        id: docId,
+        name: type.name,
+        qualifiedName: type.qualifiedName,
+        filePath: type.filePath,
+        nameTokens,
+        paramTokens,
+        tokens,
+        docTokens,
+        vector: null, // 将在所有文档添加后计算
+        keywords: [],
+        kind: type.kind,
+        fields: type.fields.map(field => field.name),
+        loc: type.loc
+      };
+    }
+  }
+  
+  /**
+   * 获取代码元素的注释文本：JSDoc描述、参数和返回值说明，以及不含标签的普通注释
+   * @param {Object} element - 函数、类、方法或类型
+   * @returns {string} - 注释文本
+   */
+  getCommentText(element) {
+    return element.docs ? getDocText(element.docs) : (element.comments || []).join('\n');
+  }
+  
+  /**
+   * 为代码元素分词，名称、参数、代码和注释分别保留，供按字段加权的排序函数使用
+   * tokens 为名称词元加代码词元，docTokens 为注释词元
+   * @param {string} name - 名称
+   * @param {Array<string>} params - 参数
+   * @param {string} code - 代码
+   * @param {string} commentText - 注释文本
+   * @returns {Object} - { nameTokens, paramTokens, tokens, docTokens }
+   */
+  createTokens(name, params, code, commentText) {
+    const nameTokens = this.tokenizeAndStem(name);
+    
+    return {
+      nameTokens,
+      paramTokens: this.tokenizeAndStem(params.join('\n')),
+      tokens: [...nameTokens, ...this.tokenizeAndStem(code)],
+      docTokens: this.tokenizeAndStem(commentText)
+    };
+  }
+  
+  /**
+   * 获取未变化文件中文档上次的词元
+   * @param {string} docId - 文档ID
+   * @param {string} filePath - 文档所在的文件路径
+   * @returns {Object|null} - { nameTokens, paramTokens, tokens, docTokens }，需要重新分词时为null
+   */
+  getCachedTokens(docId, filePath) {
+    if (!this.unchangedFiles.has(filePath)) {
+      return null;
+    }
+    
+    return this.previousTokens[docId] || null;
+  }
+  
+  /**
+   * 计算所有代码元素的嵌入向量并建立向量存储，未变化文件中的元素复用上次的向量
+   * @param {Object} codeIndex - 代码索引对象
+   * @returns {Promise<void>}
+   */
+  async buildVectorStore(codeIndex) {
+    const vectorStore = new VectorStore(this.config.vectorStore);
+    const pending = [];
+    
+    for (const { type, docId, filePath, element } of this.getEmbeddingElements(codeIndex)) {
+      const cached = this.unchangedFiles.has(filePath) ? this.previousEmbeddings[docId] : null;
+      
+      if (cached) {
+        vectorStore.add(docId, VectorStore.decodeVector(cached), { type });
+      } else {
+        pending.push({ type, docId, text: this.getEmbeddingText(type, element) });
+      }
+    }
+    
+    // 分批请求提供者
+    for (let i = 0; i < pending.length; i += this.config.embeddingBatchSize) {
+      const batch = pending.slice(i, i + this.config.embeddingBatchSize);
+      const vectors = await this.embeddingProvider.embed(batch.map(item => item.text));
+      
+      batch.forEach((item, index) => vectorStore.add(item.docId, vectors[index], { type: item.type }));
+    }
+    
+    this.vectorStore = vectorStore;
+    console.log(`Vector store built. ${vectorStore.size} vectors, ${pending.length} embedded.`);
+  }
+  
+  /**
+   * 列出需要计算嵌入向量的代码元素
+   * @param {Object} codeIndex - 代码索引对象
+   * @returns {Array} - [{ type, docId, filePath, element }]
+   */
+  getEmbeddingElements(codeIndex) {
+    return [
+      ...codeIndex.files.map(file => ({ type: 'files', docId: getFileId(file.path), filePath: file.path, element: file })),
+      ...codeIndex.functions.map(func => ({ type: 'functions', docId: func.id, filePath: func.filePath, element: func })),
+      ...codeIndex.classes.map(cls => ({ type: 'classes', docId: cls.id, filePath: cls.filePath, element: cls })),
+      ...codeIndex.classes.flatMap(cls => cls.methods.map(method => ({ type: 'methods', docId: method.id, filePath: cls.filePath, element: method }))),
+      ...(codeIndex.types || []).map(type => ({ type: 'types', docId: type.id, filePath: type.filePath, element: type }))
+    ];
+  }
+  
+  /**
+   * 获取代码元素用于计算嵌入向量的文本：名称、参数、注释和代码
+   * @param {string} type - 元素分类（files, functions, classes, methods, types）
+   * @param {Object} element - 代码元素
+   * @returns {string} - 文本
+   */
+  getEmbeddingText(type, element) {
+    let parts;
+    
+    switch (type) {
+      case 'files':
+        parts = [element.name.replace(/\.[^/.]+$/, ''), ...(element.comments || []), ...(element.strings || [])];
+        break;
+      case 'functions':
+      case 'methods':
+        parts = [element.name, element.params.join(', '), this.getCommentText(element), element.code];
+        break;
+      case 'classes':
+        parts = [element.name, this.getCommentText(element), element.code];
+        break;
+      default:
+        parts = [
+          element.name,
+          this.getCommentText(element),
+          ...element.fields.map(field => [field.name, field.comment].filter(Boolean).join(' '))
+        ];
+    }
+    
+    return parts.filter(Boolean).join('\n').slice(0, this.config.maxEmbeddingTextLength);
+  }
+  
+  /**
+   * 获取嵌入向量配置的签名，提供者或文本配置变化后缓存的向量不能复用
+   * @returns {string|null} - 签名，未配置提供者时为null
+   */
+  getEmbeddingSignature() {
+    if (!this.embeddingProvider) {
+      return null;
     }
+    
+    const providerSignature = this.embeddingProvider.signature || this.embeddingProvider.constructor.name;
+    return `${providerSignature}:${this.config.maxEmbeddingTextLength}`;
+  }
+  
+  /**
+   * 导出所有嵌入向量，用于持久化缓存
+   * @returns {Object} - 文档ID -> base64 编码的向量
+   */
+  exportEmbeddings() {
+    return this.vectorStore.exportVectors();
+  }
+  
+  /**
+   * 获取分词配置的签名，分词配置变化后缓存的词元不能复用
+   * @returns {string} - 签名
+   */
+  getTokenizerSignature() {
+    return crypto.createHash('sha1').update(JSON.stringify({
+      minTokenLength: this.config.minTokenLength,
+      stopWords: this.config.stopWords,
+      termBridge: this.termBridge,
+      chineseDictionary: [...this.chineseDictionary]
+    })).digest('hex');
+  }
+  
+  /**
+   * 导出所有文档的词元，用于持久化缓存
+   * @returns {Object} - 文档ID -> { nameTokens, paramTokens, tokens, docTokens }
+   */
+  exportTokens() {
+    const tokens = {};
+    
+    for (const type of Object.keys(ELEMENT_TYPES)) {
+      for (const [docId, semantics] of Object.entries(this.semanticIndex[type])) {
+        tokens[docId] = {
+          nameTokens: semantics.nameTokens,
+          paramTokens: semantics.paramTokens,
+          tokens: semantics.tokens,
+          docTokens: semantics.docTokens
+        };
+      }
+    }
+    
+    return tokens;
+  }
+  
+  /**
+   * 获取语义索引中的所有文档
+   * @returns {Array} - 文档的语义信息数组
+   */
+  getAllDocuments() {
+    return Object.keys(ELEMENT_TYPES).flatMap(type => Object.values(this.semanticIndex[type]));
+  }
+  
+  /**
+   * 添加文档到TF-IDF模型，并记录文档下标
+   * @param {Array} tokens - 词元数组
+   * @param {string} docId - 文档ID
+   */
+  addDocument(tokens, docId) {
+    this.tfidf.addDocument(tokens, docId);
+    this.documentIndexes[docId] = this.tfidf.documents.length - 1;
   }
   
   /**
    * 分词并词干提取
+   * 英文按单词分词并提取词干；中文按词典分词，并通过术语桥接表补充对应的英文词元
    * @param {string} text - 输入文本
    * @returns {Array} - 处理后的词元数组
    */
   tokenizeAndStem(text) {
+    if (!text) {
+      return [];
+    }
+    
     // 将驼峰命名转换为空格分隔
     const spacedText = text.replace(/([a-z])([A-Z])/g, '$1 $2');
     
-    // 分词
+    // 分词（WordTokenizer 会丢弃中文字符）
     const tokens = this.tokenizer.tokenize(spacedText.toLowerCase());
     
     // 过滤停用词和短词
-    const filteredTokens = tokens.filter(token => 
-      token.length >= this.config.minTokenLength && 
+    const filteredTokens = tokens.filter(token =>
+      token.length >= this.config.minTokenLength &&
       !this.config.stopWords.includes(token)
     );
     
-    // 词干提取
-    return filteredTokens.map(token => this.stemmer.stem(token));
+    // 中文分词，桥接到英文标识符词汇
+    const chineseTokens = segmentChinese(text, this.chineseDictionary, this.maxWordLength);
+    const bridgedTokens = chineseTokens.flatMap(token => this.termBridge[token] || []);
+    
+    // 词干提取（中文词元保持原样）
+    return [
+      ...[...filteredTokens, ...bridgedTokens].map(token => this.stemmer.stem(token)),
+      ...chineseTokens
+    ];
+  }
+  
+  /**
+   * 计算所有文档的TF-IDF向量和关键词
+   * 必须在所有文档加入TF-IDF模型之后调用，否则先加入的文档只能使用部分文档的IDF，与查询向量的IDF不一致
+   */
+  calculateVectors() {
+    for (const documents of Object.values(this.semanticIndex)) {
+      for (const [docId, semantics] of Object.entries(documents)) {
+        semantics.vector = this.calculateTfIdfVector(semantics, docId);
+        semantics.keywords = this.extractKeywords(docId, 5);
+      }
+    }
   }
   
   /**
    * 计算TF-IDF向量
-   * @param {Array} tokens - 词元数组
+   * 代码词元和注释词元分别计数并按 weightCode、weightComments 加权，IDF基于整个文档统计
+   * @param {Object} semantics - 文档的语义信息 { tokens, docTokens }
    * @param {string} docId - 文档ID
    * @returns {Object} - TF-IDF向量
    */
-  calculateTfIdfVector(tokens, docId) {
+  calculateTfIdfVector(semantics, docId) {
     const vector = {};
+    const termFrequencies = {};
     
-    // 获取唯一词元
-    const uniqueTokens = [...new Set(tokens)];
+    // 加权的词频
+    for (const token of semantics.tokens) {
+      termFrequencies[token] = (termFrequencies[token] || 0) + this.config.weightCode;
+    }
+    for (const token of semantics.docTokens || []) {
+      termFrequencies[token] = (termFrequencies[token] || 0) + this.config.weightComments;
+    }
     
     // 计算每个词元的TF-IDF值
-    for (const token of uniqueTokens) {
-      const tfidf = this.tfidf.tfidf(token, docId);
-      vector[token] = tfidf;
+    for (const [token, frequency] of Object.entries(termFrequencies)) {
+      vector[token] = frequency * this.tfidf.idf(token);
     }
     
     return vector;
@@ -237,7 +594,7 @@ class SemanticAnalyzer {
   extractKeywords(docId, count = 5) {
     const keywords = [];
     
-    this.tfidf.listTerms(this.tfidf.documents.indexOf(docId))
+    this.tfidf.listTerms(this.documentIndexes[docId])
       .slice(0, count)
       .forEach(item => {
         keywords.push({
@@ -263,8 +620,70 @@ class SemanticAnalyzer {
     return 1 - distance;
   }
   
+  /**
+   * 获取相似度阈值：配置的阈值，或排序函数的默认阈值（不同排序函数的相似度分布不同）
+   * @returns {number} - 相似度阈值
+   */
+  getSimilarityThreshold() {
+    if (this.config.similarityThreshold !== null && this.config.similarityThreshold !== undefined) {
+      return this.config.similarityThreshold;
+    }
+    
+    return this.scorer.defaultThreshold !== undefined ? this.scorer.defaultThreshold : 0.7;
+  }
+  
+  /**
+   * 获取单独搜索类方法时的阈值比例：配置的比例，或排序函数的默认比例
+   * @returns {number} - 相对相似度阈值的比例
+   */
+  getMethodThresholdFactor() {
+    if (this.config.methodThresholdFactor !== null && this.config.methodThresholdFactor !== undefined) {
+      return this.config.methodThresholdFactor;
+    }
+    
+    return this.scorer.methodThresholdFactor !== undefined ? this.scorer.methodThresholdFactor : 0.5;
+  }
+  
+  /**
+   * 按嵌入向量查找与查询语义相近的代码元素
+   * 查询中的中文术语会补充术语桥接表中对应的英文词汇，便于匹配英文标识符
+   * @param {string} query - 查询文本
+   * @param {Object} options - 查询选项（limit、types、threshold）
+   * @returns {Promise<Array>} - 相似度排序的结果数组，未配置嵌入向量提供者时为空
+   */
+  async findSimilarByEmbedding(query, options = {}) {
+    if (!this.embeddingProvider || this.vectorStore.size === 0 || !query) {
+      return [];
+    }
+    
+    const config = {
+      limit: 10,
+      types: Object.keys(ELEMENT_TYPES),
+      threshold: this.config.embeddingThreshold,
+      ...options
+    };
+    
+    const bridgedTerms = segmentChinese(query, this.chineseDictionary, this.maxWordLength)
+      .flatMap(token => this.termBridge[token] || []);
+    const [vector] = await this.embeddingProvider.embed([[query, ...bridgedTerms].join(' ')]);
+    
+    return this.vectorStore.search(vector, {
+      limit: config.limit,
+      threshold: config.threshold,
+      filter: metadata => config.types.includes(metadata.type)
+    })
+      .map(({ id, similarity, metadata }) => ({
+        type: ELEMENT_TYPES[metadata.type],
+        item: this.semanticIndex[metadata.type][id],
+        similarity,
+        matchedTerms: []
+      }))
+      .filter(result => result.item);
+  }
+  
   /**
    * 查找与查询最相似的代码元素
+   * 相似度由配置的排序函数计算，matchedTerms 列出命中的词元及其对相似度的贡献
    * @param {string} query - 查询文本
    * @param {Object} options - 查询选项
    * @returns {Array} - 相似度排序的结果数组
@@ -272,78 +691,29 @@ class SemanticAnalyzer {
   findSimilarElements(query, options = {}) {
     const defaults = {
       limit: 10,
-      types: ['files', 'functions', 'classes'],
-      threshold: this.config.similarityThreshold
+      types: Object.keys(ELEMENT_TYPES),
+      threshold: this.getSimilarityThreshold()
     };
     
     const config = { ...defaults, ...options };
     
-    // 对查询进行分词和词干提取
-    const queryTokens = this.tokenizeAndStem(query);
-    
-    // 为查询创建TF-IDF向量
-    const queryVector = {};
-    for (const token of queryTokens) {
-      // 使用平均IDF值计算查询向量
-      let totalIdf = 0;
-      let count = 0;
-      
-      for (let i = 0; i < this.tfidf.documents.length; i++) {
-        if (this.tfidf.documents[i][token]) {
-          totalIdf += this.tfidf.idf(token);
-          count++;
-        }
-      }
-      
-      const avgIdf = count > 0 ? totalIdf / count : 0;
-      queryVector[token] = avgIdf;
-    }
+    // 对查询进行分词和词干提取，并由排序函数创建查询
+    const scorerQuery = this.scorer.createQuery(this.tokenizeAndStem(query));
     
     const results = [];
     
-    // 搜索文件
-    if (config.types.includes('files')) {
-      for (const filePath in this.semanticIndex.files) {
-        const file = this.semanticIndex.files[filePath];
-        const similarity = this.calculateSimilarity(queryVector, file.vector);
-        
-        if (similarity >= config.threshold) {
-          results.push({
-            type: 'file',
-            item: file,
-            similarity
-          });
-        }
-      }
-    }
-    
-    // 搜索函数
-    if (config.types.includes('functions')) {
-      for (const funcId in this.semanticIndex.functions) {
-        const func = this.semanticIndex.functions[funcId];
-        const similarity = this.calculateSimilarity(queryVector, func.vector);
-        
-        if (similarity >= config.threshold) {
-          results.push({
-            type: 'function',
-            item: func,
-            similarity
-          });
-        }
-      }
-    }
-    
-    // 搜索类
-    if (config.types.includes('classes')) {
-      for (const classId in this.semanticIndex.classes) {
-        const cls = this.semanticIndex.classes[classId];
-        const similarity = this.calculateSimilarity(queryVector, cls.vector);
+    // 搜索文件、函数、类、类方法和TS类型
+    for (const type of config.types) {
+      for (const item of Object.values(this.semanticIndex[type] || {})) {
+        const { similarity, score, matchedTerms } = this.scorer.score(scorerQuery, item);
         
         if (similarity >= config.threshold) {
           results.push({
-            type: 'class',
-            item: cls,
-            similarity
+            type: ELEMENT_TYPES[type],
+            item,
+            similarity,
+            score,
+            matchedTerms
           });
         }
       }
@@ -0,0 +1,103 @@
+/**
+ * 语义分析器测试
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CodeMappingEngine = require('../index');
+const SemanticAnalyzer = require('./semantic-analyzer');
+
+describe('SemanticAnalyzer', () => {
+  describe('tokenizeAndStem', () => {
+    test('segments Chinese terms and bridges them to English identifier words', () => {
+      const analyzer = new SemanticAnalyzer();
+      
+      expect(analyzer.tokenizeAndStem('用户登录失败后锁定账户')).toEqual([
+        'user', 'login', 'signin', 'lock', 'account',
+        '用户', '登录', '失败', '败后', '锁定', '账户'
+      ]);
+    });
+    
+    test('splits camel case identifiers and stems English words', () => {
+      const analyzer = new SemanticAnalyzer();
+      
+      expect(analyzer.tokenizeAndStem('getUserProfile 用户')).toEqual(['get', 'user', 'profil', 'user', '用户']);
+    });
+    
+    test('merges configured terms into the bridge and the segmentation dictionary', () => {
+      const analyzer = new SemanticAnalyzer({ termBridge: { '优惠券': ['coupon'] } });
+      
+      expect(analyzer.tokenizeAndStem('优惠券')).toEqual(['coupon', '优惠券']);
+      expect(analyzer.tokenizeAndStem('登录')).toEqual(['login', 'signin', '登录']);
+    });
+    
+    test('uses extra dictionary words without bridging them', () => {
+      const analyzer = new SemanticAnalyzer({ chineseDictionary: ['满减活动'] });
+      
+      expect(analyzer.tokenizeAndStem('满减活动')).toEqual(['满减活动']);
+    });
+  });
+  
+  describe('analyzeCodebase', () => {
+    let tempDir;
+    let analyzer;
+    
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semantic-analyzer-'));
+      await fs.outputFile(path.join(tempDir, 'src/login.js'), [
+        '/** 用户登录 */',
+        'function login(user) {',
+        '  return user.token;',
+        '}',
+        '',
+        'module.exports = login;'
+      ].join('\n'));
+      await fs.outputFile(path.join(tempDir, 'src/order.js'), [
+        '/** 创建订单 */',
+        'class OrderService {',
+        '  createOrder(user, items) {',
+        '    return { user, items };',
+        '  }',
+        '}',
+        '',
+        'module.exports = OrderService;'
+      ].join('\n'));
+      
+      const engine = new CodeMappingEngine({ cache: false });
+      await engine.initialize(tempDir);
+      analyzer = engine.semanticAnalyzer;
+    });
+    
+    afterAll(async () => {
+      jest.restoreAllMocks();
+      await fs.remove(tempDir);
+    });
+    
+    test('weights every stored vector with the IDF of the whole corpus', () => {
+      const { weightCode, weightComments } = analyzer.config;
+      let checkedTerms = 0;
+      
+      for (const documents of Object.values(analyzer.semanticIndex)) {
+        for (const semantics of Object.values(documents)) {
+          const frequencies = {};
+          for (const token of semantics.tokens) {
+            frequencies[token] = (frequencies[token] || 0) + weightCode;
+          }
+          for (const token of semantics.docTokens || []) {
+            frequencies[token] = (frequencies[token] || 0) + weightComments;
+          }
+          
+          for (const [term, frequency] of Object.entries(frequencies)) {
+            expect(semantics.vector[term]).toBeCloseTo(frequency * analyzer.tfidf.idf(term), 10);
+            checkedTerms++;
+          }
+        }
+      }
+      
+      expect(checkedTerms).toBeGreaterThan(0);
+    });
+  
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * 向量存储
+ * 在内存中保存代码元素的嵌入向量，提供按余弦相似度的近似最近邻查询
+ *
+ * 近似查询使用随机超平面局部敏感哈希（LSH）：每张哈希表用 numBits 个随机超平面把向量划分到桶中，
+ * 查询时取各表中查询所在的桶及只差一位的相邻桶作为候选，再对候选计算精确的余弦相似度。
+ * 向量数不超过 exactSearchLimit 时直接精确查询
+ */
+
+/**
+ * 创建确定性的伪随机数生成器（mulberry32），保证相同种子生成相同的超平面
+ * @param {number} seed - 种子
+ * @returns {Function} - 返回 [0, 1) 随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 计算两个向量的点积
+ * @param {Float32Array|Array<number>} vector1 - 向量1
+ * @param {Float32Array|Array<number>} vector2 - 向量2
+ * @returns {number} - 点积
+ */
+function dot(vector1, vector2) {
+  let sum = 0;
+  
+  for (let i = 0; i < vector1.length; i++) {
+    sum += vector1[i] * vector2[i];
+  }
+  
+  return sum;
+}
+
+/**
+ * 把向量转换为L2归一化的 Float32Array
+ * @param {Array<number>|Float32Array} vector - 向量
+ * @returns {Float32Array} - 归一化后的向量
+ */
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  const magnitude = Math.sqrt(dot(normalized, normalized));
+  
+  if (magnitude > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= magnitude;
+    }
+  }
+  
+  return normalized;
+}
+
+class VectorStore {
+  constructor(config = {}) {
+    this.config = {
+      numTables: 8, // LSH 哈希表数量
+      numBits: 12, // 每张哈希表的超平面数量
+      exactSearchLimit: 1000, // 向量数不超过该值时精确查询
+      seed: 42, // 生成超平面的随机种子
+      ...config
+    };
+    
+    this.dimension = null;
+    this.entries = new Map(); // ID -> { vector, metadata, buckets }
+    this.hyperplanes = []; // 每张表的超平面数组
+    this.tables = []; // 每张表：桶键 -> ID集合
+  }
+  
+  /**
+   * 向量数量
+   * @returns {number} - 向量数量
+   */
+  get size() {
+    return this.entries.size;
+  }
+  
+  /**
+   * 按维度生成各哈希表的随机超平面
+   * @param {number} dimension - 向量维度
+   */
+  initializeTables(dimension) {
+    const random = createRandom(this.config.seed);
+    
+    // Box-Muller 变换生成正态分布的分量，使超平面方向均匀分布
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    
+    this.dimension = dimension;
+    this.hyperplanes = Array.from({ length: this.config.numTables }, () =>
+      Array.from({ length: this.config.numBits }, () => Float32Array.from({ length: dimension }, gaussian))
+    );
+    this.tables = this.hyperplanes.map(() => new Map());
+  }
+  
+  /**
+   * 计算向量在各哈希表中的桶键
+   * @param {Float32Array} vector - 归一化的向量
+   * @returns {Array<number>} - 每张表的桶键
+   */
+  getBucketKeys(vector) {
+    return this.hyperplanes.map(planes => planes.reduce(
+      (key, plane, bit) => (dot(plane, vector) >= 0 ? key | (1 << bit) : key),
+      0
+    ));
+  }
+  
+  /**
+   * 添加或替换向量
+   * @param {string} id - 向量ID
+   * @param {Array<number>|Float32Array} vector - 向量
+   * @param {Object} metadata - 元数据，查询时原样返回，可用于过滤
+   */
+  add(id, vector, metadata = {}) {
+    if (this.dimension === null) {
+      this.initializeTables(vector.length);
+    }
+    if (vector.length !== this.dimension) {
+      throw new Error(`Vector dimension mismatch: expected ${this.dimension}, got ${vector.length}`);
+    }
+    
+    this.remove(id);
+    
+    const normalized = normalize(vector);
+    const buckets = this.getBucketKeys(normalized);
+    
+    buckets.forEach((key, table) => {
+      if (!this.tables[table].has(key)) {
+        this.tables[table].set(key, new Set());
+      }
+      this.tables[table].get(key).add(id);
+    });
+    
+    this.entries.set(id, { vector: normalized, metadata, buckets });
+  }
+  
+  /**
+   * 获取向量
+   * @param {string} id - 向量ID
+   * @returns {Float32Array|null} - 归一化的向量
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry ? entry.vector : null;
+  }
+  
+  /**
+   * 删除向量
+   * @param {string} id - 向量ID
+   * @returns {boolean} - 是否存在并删除
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    
+    entry.buckets.forEach((key, table) => {
+      const bucket = this.tables[table].get(key);
+      bucket.delete(id);
+      if (bucket.size === 0) {
+        this.tables[table].delete(key);
+      }
+    });
+    this.entries.delete(id);
+    
+    return true;
+  }
+  
+  /**
+   * 获取近似查询的候选ID：各表中查询所在的桶及只差一位的相邻桶
+   * @param {Float32Array} vector - 归一化的查询向量
+   * @returns {Set<string>} - 候选ID集合
+   */
+  getCandidates(vector) {
+    const candidates = new Set();
+    
+    this.getBucketKeys(vector).forEach((key, table) => {
+      const probes = [key, ...Array.from({ length: this.config.numBits }, (_, bit) => key ^ (1 << bit))];
+      
+      for (const probe of probes) {
+        const bucket = this.tables[table].get(probe);
+        if (bucket) {
+          bucket.forEach(id => candidates.add(id));
+        }
+      }
+    });
+    
+    return candidates;
+  }
+  
+  /**
+   * 查询与向量最相似的向量
+   * @param {Array<number>|Float32Array} vector - 查询向量
+   * @param {Object} options - 查询选项（limit、threshold、filter: (metadata, id) => boolean、exact: 是否强制精确查询）
+   * @returns {Array} - 相似度降序的结果 [{ id, similarity, metadata }]
+   */
+  search(vector, options = {}) {
+    const { limit = 10, threshold = -1, filter = null, exact = false } = options;
+    
+    if (this.size === 0 || vector.length !== this.dimension) {
+      return [];
+    }
+    
+    const query = normalize(vector);
+    const ids = exact || this.size <= this.config.exactSearchLimit
+      ? this.entries.keys()
+      : this.getCandidates(query);
+    
+    const results = [];
+    for (const id of ids) {
+      const { vector: candidate, metadata } = this.entries.get(id);
+      if (filter && !filter(metadata, id)) {
+        continue;
+      }
+      
+      const similarity = dot(query, candidate);
+      if (similarity >= threshold) {
+        results.push({ id, similarity, metadata });
+      }
+    }
+    
+    results.sort((a, b) => b.similarity - a.similarity);
+    
+    return results.slice(0, limit);
+  }
+  
+  /**
+   * 导出所有向量，向量以 base64 编码的 Float32 数据保存
+   * @returns {Object} - ID -> base64 字符串
+   */
+  exportVectors() {
+    const vectors = {};
+    
+    for (const [id, { vector }] of this.entries) {
+      vectors[id] = Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+    }
+    
+    return vectors;
+  }
+  
+  /**
+   * 解码导出的向量
+   * @param {string} encoded - base64 字符串
+   * @returns {Float32Array} - 向量
+   */
+  static decodeVector(encoded) {
+    const buffer = Buffer.from(encoded, 'base64');
+    return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  }
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,108 @@
+/**
+ * 向量存储测试
+ */
+
+const VectorStore = require('./vector-store');
+
+/**
+ * 生成确定性的伪随机向量
+ * @param {number} count - 向量数量
+ * @param {number} dimension - 向量维度
+ * @returns {Array<Array<number>>} - 向量数组
+ */
+function createVectors(count, dimension) {
+  let state = 7;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+  
+  return Array.from({ length: count }, () => Array.from({ length: dimension }, random));
+}
+
+describe('VectorStore', () => {
+  test('normalises added vectors and fixes the dimension on the first add', () => {
+    const store = new VectorStore();
+    store.add('a', [3, 4]);
+    
+    expect(Array.from(store.get('a'))).toEqual([expect.closeTo(0.6, 6), expect.closeTo(0.8, 6)]);
+    expect(store.dimension).toBe(2);
+    expect(() => store.add('b', [1, 2, 3])).toThrow('Vector dimension mismatch: expected 2, got 3');
+    expect(store.search([1, 0, 0])).toEqual([]);
+  });
+  
+  test('replaces a vector added again under the same ID', () => {
+    const store = new VectorStore();
+    store.add('a', [1, 0], { version: 1 });
+    store.add('a', [0, 1], { version: 2 });
+    
+    expect(store.size).toBe(1);
+    expect(store.search([0, 1])).toEqual([{ id: 'a', similarity: 1, metadata: { version: 2 } }]);
+    expect(store.tables.every(table => [...table.values()].reduce((sum, bucket) => sum + bucket.size, 0) === 1)).toBe(true);
+  });
+  
+  test('removes a vector together with its buckets', () => {
+    const store = new VectorStore();
+    store.add('a', [1, 0]);
+    
+    expect(store.remove('a')).toBe(true);
+    expect(store.remove('a')).toBe(false);
+    expect(store.get('a')).toBeNull();
+    expect(store.tables.every(table => table.size === 0)).toBe(true);
+    expect(store.search([1, 0])).toEqual([]);
+  });
+  
+  test('applies the limit, threshold and metadata filter', () => {
+    const store = new VectorStore();
+    store.add('login', [1, 0.1], { type: 'methods' });
+    store.add('logout', [1, 0.5], { type: 'methods' });
+    store.add('auth', [1, 0.2], { type: 'files' });
+    store.add('order', [0, 1], { type: 'methods' });
+    
+    expect(store.search([1, 0], { limit: 2 }).map(result => result.id)).toEqual(['login', 'auth']);
+    expect(store.search([1, 0], { threshold: 0.9 }).map(result => result.id)).toEqual(['login', 'auth']);
+    expect(store.search([1, 0], { filter: metadata => metadata.type === 'methods' }).map(result => result.id))
+      .toEqual(['login', 'logout', 'order']);
+  });
+  
+  test('finds the nearest neighbours with LSH among a subset of the vectors', () => {
+    const vectors = createVectors(500, 32);
+    const store = new VectorStore({ exactSearchLimit: 0 });
+    vectors.forEach((vector, index) => store.add(`v${index}`, vector));
+    
+    for (const index of [0, 123, 499]) {
+      const query = vectors[index].map(value => value + 0.01);
+      const approximate = store.search(query, { limit: 1 });
+      const exact = store.search(query, { limit: 1, exact: true });
+      
+      expect(approximate[0].id).toBe(`v${index}`);
+      expect(approximate).toEqual(exact);
+      expect(store.getCandidates(Float32Array.from(vectors[index])).size).toBeLessThan(store.size);
+    }
+  });
+  
+  test('searches all vectors exactly below the exact search limit', () => {
+    const vectors = createVectors(50, 8);
+    const store = new VectorStore();
+    vectors.forEach((vector, index) => store.add(`v${index}`, vector));
+    const getCandidates = jest.spyOn(store, 'getCandidates');
+    
+    expect(store.search(vectors[10], { limit: 50 })).toHaveLength(50);
+    expect(getCandidates).not.toHaveBeenCalled();
+  });
+  
+  test('round-trips exported vectors through decodeVector', () => {
+    const store = new VectorStore();
+    createVectors(3, 16).forEach((vector, index) => store.add(`v${index}`, vector));
+    
+    const exported = JSON.parse(JSON.stringify(store.exportVectors()));
+    
+    expect(Object.keys(exported)).toEqual(['v0', 'v1', 'v2']);
+    for (const [id, encoded] of Object.entries(exported)) {
+      const decoded = VectorStore.decodeVector(encoded);
+      
+      expect(decoded).toBeInstanceOf(Float32Array);
+      expect(decoded).toEqual(store.get(id));
+    }
+  });
+});
@@ -0,0 +1,442 @@
+/**
+ * AST工具
+ * 提供从Babel AST中推断函数名和限定名、描述参数和判断导出状态的工具函数
+ */
+
+const path = require('path');
+
+// 函数类节点（不包括类方法，类方法随类一起索引）
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod'];
+
+// 包裹函数组件的高阶函数，如 React.memo(() => ...)、forwardRef((props, ref) => ...)
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef'];
+
+/**
+ * 获取属性键的名称
+ * @param {Object} key - 属性键节点
+ * @param {boolean} computed - 是否为计算属性
+ * @returns {string|null} - 键名，无法静态确定时为null
+ */
+function getKeyName(key, computed = false) {
+  if (!key) {
+    return null;
+  }
+  
+  if (key.type === 'Identifier' && !computed) {
+    return key.name;
+  }
+  if (key.type === 'PrivateName') {
+    return `#${key.id.name}`;
+  }
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') {
+    return String(key.value);
+  }
+  
+  return null;
+}
+
+/**
+ * 判断调用的函数是否为组件包裹函数
+ * @param {Object} callee - 被调用的函数节点
+ * @returns {boolean} - 是否为组件包裹函数
+ */
+function isComponentWrapper(callee) {
+  if (callee.type === 'Identifier') {
+    return COMPONENT_WRAPPERS.includes(callee.name);
+  }
+  
+  return callee.type === 'MemberExpression' && COMPONENT_WRAPPERS.includes(getKeyName(callee.property, callee.computed));
+}
+
+/**
+ * 判断调用是否为包裹了该节点的组件包裹函数调用
+ * @param {Object} parent - 父节点
+ * @param {Object} node - 节点
+ * @returns {boolean} - 是否被包裹
+ */
+function isWrappedBy(parent, node) {
+  return parent.type === 'CallExpression' && parent.arguments[0] === node && isComponentWrapper(parent.callee);
+}
+
+/**
+ * 判断成员表达式是否为 module.exports 或 exports
+ * @param {Object} node - AST节点
+ * @returns {boolean} - 是否为CommonJS导出对象
+ */
+function isCommonJsExports(node) {
+  if (!node) {
+    return false;
+  }
+  
+  if (node.type === 'Identifier') {
+    return node.name === 'exports';
+  }
+  
+  return node.type === 'MemberExpression' &&
+    node.object.type === 'Identifier' &&
+    node.object.name === 'module' &&
+    getKeyName(node.property, node.computed) === 'exports';
+}
+
+/**
+ * 根据文件路径推断默认导出的名称（index 文件使用目录名）
+ * @param {string} filePath - 文件路径
+ * @returns {string} - 名称
+ */
+function getDefaultExportName(filePath) {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  
+  return baseName === 'index' ? path.basename(path.dirname(filePath)) : baseName;
+}
+
+/**
+ * 推断函数或类表达式的名称
+ * 依次使用变量名、对象属性名、赋值目标的属性名、自身名称，默认导出时使用文件名
+ * @param {Object} nodePath - 函数或类的节点路径
+ * @param {string} filePath - 文件路径
+ * @returns {string|null} - 名称，匿名回调等无法确定名称时为null
+ */
+function getFunctionName(nodePath, filePath) {
+  const { node, parent } = nodePath;
+  
+  // const Input = forwardRef((props, ref) => {})，使用包裹调用的名称
+  if (isWrappedBy(parent, node)) {
+    return getFunctionName(nodePath.parentPath, filePath) || (node.id ? node.id.name : null);
+  }
+  
+  // const handler = () => {}
+  if (parent.type === 'VariableDeclarator' && parent.init === node) {
+    return parent.id.type === 'Identifier' ? parent.id.name : null;
+  }
+  
+  // { foo() {} } 或 { foo: () => {} }
+  if (node.type === 'ObjectMethod') {
+    return getKeyName(node.key, node.computed);
+  }
+  if (parent.type === 'ObjectProperty' && parent.value === node) {
+    return getKeyName(parent.key, parent.computed);
+  }
+  
+  // exports.foo = function () {}、obj.foo = () => {}
+  if (parent.type === 'AssignmentExpression' && parent.right === node) {
+    if (parent.left.type === 'MemberExpression' && !isCommonJsExports(parent.left)) {
+      return getKeyName(parent.left.property, parent.left.computed);
+    }
+    if (parent.left.type === 'Identifier' && parent.left.name !== 'exports') {
+      return parent.left.name;
+    }
+  }
+  
+  if (node.id) {
+    return node.id.name;
+  }
+  
+  // export default function () {}、module.exports = () => {}
+  if (
+    parent.type === 'ExportDefaultDeclaration' ||
+    parent.type === 'AssignmentExpression' && parent.right === node && isCommonJsExports(parent.left)
+  ) {
+    return getDefaultExportName(filePath);
+  }
+  
+  return null;
+}
+
+/**
+ * 获取函数或类的导出方式
+ * @param {Object} nodePath - 函数或类的节点路径
+ * @returns {string|null} - 导出方式（named, default, commonjs），未直接导出时为null
+ */
+function getExportType(nodePath) {
+  let current = nodePath;
+  
+  // 跳过变量声明和对象属性，找到承载导出的语句
+  while (current.parentPath) {
+    const { parent } = current;
+    
+    if (parent.type === 'ExportNamedDeclaration') {
+      return 'named';
+    }
+    if (parent.type === 'ExportDefaultDeclaration') {
+      return 'default';
+    }
+    if (parent.type === 'AssignmentExpression') {
+      // module.exports = ...、exports.foo = ...、module.exports.foo = ...
+      const target = parent.left;
+      const isExportTarget = isCommonJsExports(target) ||
+        target.type === 'MemberExpression' && isCommonJsExports(target.object);
+      return isExportTarget ? 'commonjs' : null;
+    }
+    const isContainer = ['VariableDeclarator', 'VariableDeclaration', 'ObjectProperty', 'ObjectExpression'].includes(parent.type);
+    if (!isContainer && !isWrappedBy(parent, current.node)) {
+      return null;
+    }
+    
+    current = current.parentPath;
+  }
+  
+  return null;
+}
+
+/**
+ * 描述函数参数，解构参数和默认参数保留结构
+ * 如 `{ id, name }`、`[first, ...rest]`、`page = 1`、`...args`
+ * @param {Object} param - 参数节点
+ * @param {string} code - 源代码，用于截取默认值
+ * @returns {string} - 参数描述
+ */
+function describeParam(param, code) {
+  switch (param.type) {
+    case 'Identifier':
+      return param.name;
+    case 'AssignmentPattern':
+      return `${describeParam(param.left, code)} = ${code.substring(param.right.start, param.right.end)}`;
+    case 'RestElement':
+      return `...${describeParam(param.argument, code)}`;
+    case 'ObjectPattern':
+      return `{ ${param.properties.map(property => describeObjectPatternProperty(property, code)).join(', ')} }`;
+    case 'ArrayPattern':
+      return `[${param.elements.map(element => (element ? describeParam(element, code) : '')).join(', ')}]`;
+    case 'TSParameterProperty':
+      return describeParam(param.parameter, code);
+    default:
+      return code.substring(param.start, param.end);
+  }
+}
+
+/**
+ * 描述对象解构中的单个属性
+ * @param {Object} property - ObjectProperty 或 RestElement 节点
+ * @param {string} code - 源代码
+ * @returns {string} - 属性描述
+ */
+function describeObjectPatternProperty(property, code) {
+  if (property.type === 'RestElement') {
+    return describeParam(property, code);
+  }
+  
+  const keyName = getKeyName(property.key, property.computed) || code.substring(property.key.start, property.key.end);
+  const value = describeParam(property.value, code);
+  
+  // 简写形式 { id } 或 { page = 1 }
+  return property.shorthand ? value : `${keyName}: ${value}`;
+}
+
+/**
+ * 获取 import 语句的导入绑定
+ * @param {Object} node - ImportDeclaration 节点
+ * @returns {Array} - 导入绑定数组 [{ local, imported, source }]，imported 为 default、* 或导出名
+ */
+function getImportBindings(node) {
+  return node.specifiers.map(specifier => {
+    let imported = 'default';
+    
+    if (specifier.type === 'ImportNamespaceSpecifier') {
+      imported = '*';
+    } else if (specifier.type === 'ImportSpecifier') {
+      imported = getKeyName(specifier.imported);
+    }
+    
+    return { local: specifier.local.name, imported, source: node.source.value };
+  });
+}
+
+/**
+ * 获取 require 调用的导入绑定：const x = require('y')、const { a, b: c } = require('y')
+ * @param {Object} node - VariableDeclarator 节点
+ * @returns {Array} - 导入绑定数组 [{ local, imported, source }]
+ */
+function getRequireBindings(node) {
+  const init = node.init;
+  const isRequire = init &&
+    init.type === 'CallExpression' &&
+    init.callee.type === 'Identifier' &&
+    init.callee.name === 'require' &&
+    init.arguments[0] &&
+    init.arguments[0].type === 'StringLiteral';
+  
+  if (!isRequire) {
+    return [];
+  }
+  
+  const source = init.arguments[0].value;
+  
+  if (node.id.type === 'Identifier') {
+    return [{ local: node.id.name, imported: 'default', source }];
+  }
+  if (node.id.type === 'ObjectPattern') {
+    return node.id.properties
+      .filter(property => property.type === 'ObjectProperty' && property.value.type === 'Identifier')
+      .map(property => ({ local: property.value.name, imported: getKeyName(property.key, property.computed), source }));
+  }
+  
+  return [];
+}
+
+/**
+ * 获取导出语句的导出绑定（导出名 -> 本地名）
+ * 支持 export 声明、export { a as b }、export default、module.exports = ...、exports.foo = ...
+ * @param {Object} nodePath - ExportNamedDeclaration、ExportDefaultDeclaration 或 AssignmentExpression 的节点路径
+ * @param {string} filePath - 文件路径，用于推断匿名默认导出的名称
+ * @returns {Object} - 导出名 -> 本地名
+ */
+function getExportBindings(nodePath, filePath) {
+  const node = nodePath.node;
+  const bindings = {};
+  
+  // 导出值的本地名：标识符使用其名称，函数和类使用推断的名称
+  const getLocalName = (valuePath) => {
+    if (valuePath.isIdentifier()) {
+      return valuePath.node.name;
+    }
+    return valuePath.isFunction() || valuePath.isClass() ? getFunctionName(valuePath, filePath) : null;
+  };
+  
+  if (nodePath.isExportNamedDeclaration()) {
+    if (node.source) {
+      return bindings;
+    }
+    
+    node.specifiers
+      .filter(specifier => specifier.type === 'ExportSpecifier')
+      .forEach(specifier => {
+        bindings[getKeyName(specifier.exported)] = specifier.local.name;
+      });
+    
+    const declaration = node.declaration;
+    if (declaration && declaration.id) {
+      bindings[declaration.id.name] = declaration.id.name;
+    } else if (declaration && declaration.type === 'VariableDeclaration') {
+      declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .forEach(declarator => {
+          bindings[declarator.id.name] = declarator.id.name;
+        });
+    }
+  } else if (nodePath.isExportDefaultDeclaration()) {
+    bindings.default = getLocalName(nodePath.get('declaration'));
+  } else if (nodePath.isAssignmentExpression()) {
+    const left = node.left;
+    const valuePath = nodePath.get('right');
+    
+    if (isCommonJsExports(left) && !(left.type === 'Identifier')) {
+      // module.exports = router 或 module.exports = { login, logout: handleLogout }
+      if (valuePath.isObjectExpression()) {
+        valuePath.get('properties').forEach(propertyPath => {
+          const key = getKeyName(propertyPath.node.key, propertyPath.node.computed);
+          if (key && propertyPath.isObjectProperty()) {
+            bindings[key] = getLocalName(propertyPath.get('value')) || key;
+          } else if (key) {
+            bindings[key] = key;
+          }
+        });
+      } else {
+        bindings.default = getLocalName(valuePath);
+      }
+    } else if (left.type === 'MemberExpression' && isCommonJsExports(left.object)) {
+      // exports.login = login、module.exports.login = function () {}
+      const key = getKeyName(left.property, left.computed);
+      if (key) {
+        bindings[key] = getLocalName(valuePath) || key;
+      }
+    }
+  }
+  
+  // 无法确定本地名的导出（如 export default {}）不记录
+  return Object.fromEntries(Object.entries(bindings).filter(([, local]) => Boolean(local)));
+}
+
+/**
+ * 判断节点路径是否为需要索引的函数（类方法除外）
+ * @param {Object} nodePath - 节点路径
+ * @returns {boolean} - 是否为函数
+ */
+function isIndexableFunction(nodePath) {
+  if (!FUNCTION_TYPES.includes(nodePath.node.type)) {
+    return false;
+  }
+  
+  // 类属性上的箭头函数作为类方法索引
+  return !['ClassProperty', 'ClassPrivateProperty'].includes(nodePath.parent.type);
+}
+
+/**
+ * 获取作为限定名一部分的外层节点名称：命名空间、类、类方法、具名函数和具名对象
+ * @param {Object} nodePath - 外层节点路径
+ * @param {string} filePath - 文件路径
+ * @returns {string|null} - 名称，匿名回调、无法确定名称的对象（如 module.exports = {...}）等不计入限定名时为null
+ */
+function getScopeName(nodePath, filePath) {
+  const { node, parent } = nodePath;
+  
+  if (FUNCTION_TYPES.includes(node.type)) {
+    return isIndexableFunction(nodePath) ? getFunctionName(nodePath, filePath) : null;
+  }
+  if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+    return getFunctionName(nodePath, filePath) || 'anonymous';
+  }
+  
+  // 类方法，以及作为类方法索引的类属性箭头函数
+  if (['ClassMethod', 'ClassPrivateMethod', 'ClassProperty', 'ClassPrivateProperty'].includes(node.type)) {
+    return getKeyName(node.key, node.computed);
+  }
+  
+  // const api = { ... }、{ handlers: { ... } }、obj.handlers = { ... }
+  if (node.type === 'ObjectExpression') {
+    if (parent.type === 'VariableDeclarator' && parent.init === node) {
+      return parent.id.type === 'Identifier' ? parent.id.name : null;
+    }
+    if (parent.type === 'ObjectProperty' && parent.value === node) {
+      return getKeyName(parent.key, parent.computed);
+    }
+    if (parent.type === 'AssignmentExpression' && parent.right === node && !isCommonJsExports(parent.left)) {
+      if (parent.left.type === 'MemberExpression') {
+        return getKeyName(parent.left.property, parent.left.computed);
+      }
+      return parent.left.type === 'Identifier' ? parent.left.name : null;
+    }
+    return null;
+  }
+  
+  // namespace Api { ... }
+  if (node.type === 'TSModuleDeclaration') {
+    return node.id.type === 'Identifier' ? node.id.name : node.id.value;
+  }
+  
+  return null;
+}
+
+/**
+ * 获取函数、类或类型的限定名：外层命名空间、类、类方法、具名函数和具名对象的名称与自身名称以点连接
+ * @param {Object} nodePath - 函数、类或类型声明的节点路径
+ * @param {string} name - 自身名称
+ * @param {string} filePath - 文件路径
+ * @returns {string} - 限定名，如 AuthService.login、createStore.reducer
+ */
+function getQualifiedName(nodePath, name, filePath) {
+  const scopes = [];
+  
+  for (let current = nodePath.parentPath; current; current = current.parentPath) {
+    const scopeName = getScopeName(current, filePath);
+    if (scopeName) {
+      scopes.unshift(scopeName);
+    }
+  }
+  
+  return [...scopes, name].join('.');
+}
+
+module.exports = {
+  getKeyName,
+  isComponentWrapper,
+  isCommonJsExports,
+  getDefaultExportName,
+  getFunctionName,
+  getExportType,
+  describeParam,
+  getImportBindings,
+  getRequireBindings,
+  getExportBindings,
+  isIndexableFunction,
+  getQualifiedName
+};
@@ -0,0 +1,31 @@
+/**
+ * 异步工具
+ * 提供限制并发数的异步批处理工具函数
+ */
+
+/**
+ * 以有限的并发数对数组中的每一项执行异步函数
+ * @param {Array} items - 数组
+ * @param {number} concurrency - 最大并发数
+ * @param {Function} mapper - 异步函数 (item, index) => Promise
+ * @returns {Promise<Array>} - 与 items 顺序一致的结果数组
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, run));
+  
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,79 @@
+/**
+ * 中文文本工具
+ * 提供离线的中文分词功能：词典正向最大匹配，未登录部分使用二元组
+ */
+
+// 连续中文字符
+const CHINESE_RUN_PATTERN = /[一-龥]+/g;
+
+/**
+ * 判断文本是否包含中文
+ * @param {string} text - 输入文本
+ * @returns {boolean} - 是否包含中文
+ */
+function containsChinese(text) {
+  return /[一-龥]/.test(text || '');
+}
+
+/**
+ * 中文分词
+ * 对每段连续中文按词典做正向最大匹配，词典中不存在的片段拆分为二元组，单字丢弃
+ * @param {string} text - 输入文本
+ * @param {Set<string>} dictionary - 词典
+ * @param {number} maxWordLength - 词典中最长词的长度
+ * @returns {Array<string>} - 中文词元数组
+ */
+function segmentChinese(text, dictionary = new Set(), maxWordLength = 4) {
+  const tokens = [];
+  
+  for (const run of (text || '').match(CHINESE_RUN_PATTERN) || []) {
+    let unmatched = '';
+    let position = 0;
+    
+    while (position < run.length) {
+      let word = null;
+      
+      for (let length = Math.min(maxWordLength, run.length - position); length >= 2; length--) {
+        const candidate = run.substr(position, length);
+        if (dictionary.has(candidate)) {
+          word = candidate;
+          break;
+        }
+      }
+      
+      if (word) {
+        tokens.push(...toBigrams(unmatched));
+        tokens.push(word);
+        unmatched = '';
+        position += word.length;
+      } else {
+        unmatched += run[position];
+        position++;
+      }
+    }
+    
+    tokens.push(...toBigrams(unmatched));
+  }
+  
+  return tokens;
+}
+
+/**
+ * 将未登录的中文片段拆分为二元组
+ * @param {string} text - 中文片段
+ * @returns {Array<string>} - 二元组数组
+ */
+function toBigrams(text) {
+  const bigrams = [];
+  
+  for (let i = 0; i < text.length - 1; i++) {
+    bigrams.push(text.substring(i, i + 2));
+  }
+  
+  return bigrams;
+}
+
+module.exports = {
+  containsChinese,
+  segmentChinese
+};
@@ -0,0 +1,35 @@
+/**
+ * 中文文本工具测试
+ */
+
+const { containsChinese, segmentChinese } = require('./chinese-utils');
+
+describe('chinese-utils', () => {
+  test('detects Chinese text', () => {
+    expect(containsChinese('用户login')).toBe(true);
+    expect(containsChinese('login')).toBe(false);
+    expect(containsChinese(null)).toBe(false);
+  });
+  
+  test('matches the longest dictionary words first', () => {
+    const dictionary = new Set(['用户', '用户名', '登录', '锁定', '账户']);
+    
+    expect(segmentChinese('用户名登录', dictionary)).toEqual(['用户名', '登录']);
+    expect(segmentChinese('锁定账户', dictionary)).toEqual(['锁定', '账户']);
+  });
+  
+  test('splits unknown runs into bigrams between dictionary words', () => {
+    const dictionary = new Set(['登录', '锁定']);
+    
+    expect(segmentChinese('登录失败后锁定', dictionary)).toEqual(['登录', '失败', '败后', '锁定']);
+  });
+  
+  test('segments each Chinese run separately and drops single characters', () => {
+    expect(segmentChinese('a登录b 订单', new Set(['登录']))).toEqual(['登录', '订单']);
+    expect(segmentChinese('我 是', new Set())).toEqual([]);
+  });
+  
+  test('does not match words longer than the maximum word length', () => {
+    expect(segmentChinese('个人资料', new Set(['个人资料']), 2)).toEqual(['个人', '人资', '资料']);
+  });
+});
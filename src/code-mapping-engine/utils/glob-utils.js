@@ -0,0 +1,151 @@
+/**
+ * Glob工具
+ * 提供 glob 模式匹配和 .gitignore 规则解析的工具函数，路径统一使用相对于代码库根目录的 / 分隔路径
+ */
+
+const path = require('path');
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * 支持 **、*、?、{a,b} 和 [abc]；以 / 结尾的目录模式 a/ 等价于 a/**
+ * @param {string} pattern - glob 模式
+ * @returns {RegExp} - 正则表达式
+ */
+function globToRegExp(pattern) {
+  const glob = pattern.replace(/^\.\//, '').replace(/\/$/, '/**');
+  let source = '';
+  let braceDepth = 0;
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length;
+      
+      if (atStart && glob[i + 2] === '/') {
+        // **/ 匹配零或多级目录
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (atEnd && i > 0 && glob[i - 1] === '/') {
+        // /** 匹配目录本身及其下所有内容
+        source = `${source.slice(0, -1)}(?:/.*)?`;
+        i += 1;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 创建匹配多个 glob 模式的函数
+ * 不含 / 的模式（如 *.test.js）匹配任意层级的文件名
+ * @param {Array<string>} patterns - glob 模式数组
+ * @returns {Function} - (relativePath) => boolean
+ */
+function createGlobMatcher(patterns = []) {
+  const regexps = patterns.map(pattern => globToRegExp(pattern.includes('/') ? pattern : `**/${pattern}`));
+  
+  return relativePath => regexps.some(regexp => regexp.test(relativePath));
+}
+
+/**
+ * 解析 .gitignore 文件
+ * @param {string} content - .gitignore 内容
+ * @param {string} baseDir - .gitignore 所在目录（相对于代码库根目录，根目录为空字符串）
+ * @returns {Array} - 规则数组 [{ regexp, negated, dirOnly, baseDir }]
+ */
+function parseGitignore(content, baseDir = '') {
+  const rules = [];
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    // 去掉未转义的行尾空格，跳过空行和注释
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    
+    const negated = line.startsWith('!');
+    if (negated) {
+      line = line.slice(1);
+    }
+    line = line.replace(/^\\([#!])/, '$1');
+    
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    
+    // 中间或开头含 / 的模式相对于 .gitignore 所在目录，否则匹配任意层级
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    
+    if (line) {
+      rules.push({
+        regexp: globToRegExp(anchored ? line : `**/${line}`),
+        negated,
+        dirOnly,
+        baseDir
+      });
+    }
+  }
+  
+  return rules;
+}
+
+/**
+ * 判断路径是否被 .gitignore 规则忽略，后面的规则优先（! 规则可重新包含）
+ * @param {string} relativePath - 相对于代码库根目录的路径
+ * @param {boolean} isDirectory - 是否为目录
+ * @param {Array} rules - parseGitignore 解析出的规则
+ * @returns {boolean} - 是否被忽略
+ */
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    
+    const rulePath = rule.baseDir ? path.posix.relative(rule.baseDir, relativePath) : relativePath;
+    if (rulePath.startsWith('..') || !rule.regexp.test(rulePath)) {
+      continue;
+    }
+    
+    ignored = !rule.negated;
+  }
+  
+  return ignored;
+}
+
+module.exports = {
+  globToRegExp,
+  createGlobMatcher,
+  parseGitignore,
+  isIgnored
+};
@@ -0,0 +1,96 @@
+/**
+ * Glob工具测试
+ */
+
+const { globToRegExp, createGlobMatcher, parseGitignore, isIgnored } = require('./glob-utils');
+
+describe('glob-utils', () => {
+  describe('globToRegExp', () => {
+    test.each([
+      ['src/**/*.js', 'src/a.js', true],
+      ['src/**/*.js', 'src/services/auth/a.js', true],
+      ['src/**/*.js', 'lib/a.js', false],
+      ['src/*.js', 'src/services/a.js', false],
+      ['src/?.js', 'src/a.js', true],
+      ['src/*.{js,ts}', 'src/a.ts', true],
+      ['src/[ab].js', 'src/c.js', false],
+      ['src/[!ab].js', 'src/c.js', true],
+      ['dist/', 'dist/bundle/main.js', true],
+      ['./src/**', 'src', true]
+    ])('%s matches %s: %s', (pattern, relativePath, expected) => {
+      expect(globToRegExp(pattern).test(relativePath)).toBe(expected);
+    });
+  });
+  
+  describe('createGlobMatcher', () => {
+    test('matches include patterns relative to the codebase root', () => {
+      const include = createGlobMatcher(['src/**', 'packages/*/src/**']);
+      
+      expect(include('src/services/auth.js')).toBe(true);
+      expect(include('packages/web/src/App.jsx')).toBe(true);
+      expect(include('packages/web/test/App.test.jsx')).toBe(false);
+      expect(include('scripts/build.js')).toBe(false);
+    });
+    
+    test('matches exclude patterns without a slash at any depth', () => {
+      const exclude = createGlobMatcher(['*.test.js', '__mocks__', 'src/legacy/**']);
+      
+      expect(exclude('auth.test.js')).toBe(true);
+      expect(exclude('src/services/auth.test.js')).toBe(true);
+      expect(exclude('src/services/__mocks__')).toBe(true);
+      expect(exclude('src/legacy/old.js')).toBe(true);
+      expect(exclude('lib/src/legacy/old.js')).toBe(false);
+      expect(exclude('src/services/auth.js')).toBe(false);
+    });
+    
+    test('matches nothing without patterns', () => {
+      expect(createGlobMatcher()('src/a.js')).toBe(false);
+    });
+  });
+  
+  describe('.gitignore rules', () => {
+    test('skips comments and blank lines and unescapes leading # and !', () => {
+      const rules = parseGitignore('# build output\n\n\\#notes.md\n\\!important.txt\n');
+      
+      expect(rules).toHaveLength(2);
+      expect(isIgnored('#notes.md', false, rules)).toBe(true);
+      expect(isIgnored('!important.txt', false, rules)).toBe(true);
+      expect(isIgnored('important.txt', false, rules)).toBe(false);
+    });
+    
+    test('lets a later negated rule re-include a path', () => {
+      const rules = parseGitignore('*.log\n!keep.log\n');
+      
+      expect(isIgnored('logs/error.log', false, rules)).toBe(true);
+      expect(isIgnored('logs/keep.log', false, rules)).toBe(false);
+      expect(isIgnored('logs/keep.log', false, [...rules, ...parseGitignore('keep.log')])).toBe(true);
+    });
+    
+    test('anchors patterns that contain a slash to the .gitignore directory', () => {
+      const rules = parseGitignore('/build\ndocs/generated\ntmp\n');
+      
+      expect(isIgnored('build', true, rules)).toBe(true);
+      expect(isIgnored('src/build', true, rules)).toBe(false);
+      expect(isIgnored('docs/generated', true, rules)).toBe(true);
+      expect(isIgnored('src/docs/generated', true, rules)).toBe(false);
+      expect(isIgnored('src/cache/tmp', true, rules)).toBe(true);
+    });
+    
+    test('applies directory-only rules to directories only', () => {
+      const rules = parseGitignore('cache/\n');
+      
+      expect(isIgnored('src/cache', true, rules)).toBe(true);
+      expect(isIgnored('src/cache', false, rules)).toBe(false);
+    });
+    
+    test('applies rules of a nested .gitignore only below its directory', () => {
+      const rules = parseGitignore('/fixtures\n*.snap\n', 'packages/web');
+      
+      expect(isIgnored('packages/web/fixtures', true, rules)).toBe(true);
+      expect(isIgnored('packages/web/src/fixtures', true, rules)).toBe(false);
+      expect(isIgnored('packages/web/src/App.snap', false, rules)).toBe(true);
+      expect(isIgnored('fixtures', true, rules)).toBe(false);
+      expect(isIgnored('packages/api/App.snap', false, rules)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * HTTP路由工具
+ * 提供识别 Express/Koa/Fastify 风格的路由注册和挂载，以及拼接、匹配路由路径的工具函数
+ */
+
+const { getKeyName, getFunctionName } = require('./ast-utils');
+
+// 路由注册方法
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'del', 'head', 'options', 'all'];
+
+// 常见的应用和路由对象命名
+const ROUTER_NAME_PATTERN = /^(app|router|server|fastify|instance)$|Router$/;
+
+// 创建应用或路由对象的函数，如 express()、express.Router()、fastify()
+const ROUTER_FACTORIES = ['express', 'Router', 'fastify', 'Fastify'];
+
+/**
+ * 获取静态字符串的值（字符串字面量或不含表达式的模板字符串）
+ * @param {Object} node - AST节点
+ * @returns {string|null} - 字符串值
+ */
+function getStaticString(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  
+  return null;
+}
+
+/**
+ * 判断字符串是否为路由路径
+ * @param {string|null} value - 字符串
+ * @returns {boolean} - 是否为路由路径
+ */
+function isRoutePath(value) {
+  return typeof value === 'string' && (value.startsWith('/') || value === '*');
+}
+
+/**
+ * 判断表达式是否创建了应用或路由对象
+ * @param {Object} node - 变量的初始值节点
+ * @returns {boolean} - 是否为路由工厂调用
+ */
+function isRouterFactory(node) {
+  if (!node || (node.type !== 'CallExpression' && node.type !== 'NewExpression')) {
+    return false;
+  }
+  
+  const callee = node.callee;
+  if (callee.type === 'Identifier') {
+    return ROUTER_FACTORIES.includes(callee.name) || /Router$/.test(callee.name);
+  }
+  if (callee.type === 'MemberExpression') {
+    return getKeyName(callee.property, callee.computed) === 'Router';
+  }
+  
+  // require('express')()、require('fastify')()
+  return callee.type === 'CallExpression' &&
+    callee.callee.type === 'Identifier' &&
+    callee.callee.name === 'require' &&
+    ROUTER_FACTORIES.includes(getStaticString(callee.arguments[0]));
+}
+
+/**
+ * 获取路由对象的标识：变量名；若路由对象是函数参数（如 Fastify 插件的 fastify 参数），使用所在函数名
+ * @param {Object} nodePath - 调用表达式的节点路径
+ * @param {Object} node - 路由对象节点
+ * @param {string} filePath - 文件路径
+ * @returns {string|null} - 路由对象标识，不是路由对象时为null
+ */
+function getRouterId(nodePath, node, filePath) {
+  if (!node || node.type !== 'Identifier') {
+    return null;
+  }
+  
+  const binding = nodePath.scope.getBinding(node.name);
+  
+  if (binding && binding.kind === 'param') {
+    return ROUTER_NAME_PATTERN.test(node.name) ? getFunctionName(binding.scope.path, filePath) : null;
+  }
+  
+  const init = binding && binding.path.isVariableDeclarator() ? binding.path.node.init : null;
+  
+  return ROUTER_NAME_PATTERN.test(node.name) || isRouterFactory(init) ? node.name : null;
+}
+
+/**
+ * 描述路由处理函数
+ * @param {Object} node - 处理函数节点
+ * @returns {Object|null} - { name, object } 或内联函数 { inline: true, loc: { start, end, column } }
+ */
+function describeHandler(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'Identifier') {
+    return { name: node.name };
+  }
+  
+  // authController.login
+  if (node.type === 'MemberExpression' && node.object.type === 'Identifier') {
+    const name = getKeyName(node.property, node.computed);
+    return name ? { name, object: node.object.name } : null;
+  }
+  
+  if (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
+    return {
+      inline: true,
+      loc: {
+        start: node.loc.start.line,
+        end: node.loc.end.line,
+        column: node.loc.start.column + 1
+      }
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * 沿链式调用找到路由对象和 route() 声明的路径
+ * 如 router.route('/users').get(list).post(create)、router.get('/a', a).post('/b', b)
+ * @param {Object} node - 链式调用中方法的调用对象
+ * @returns {Object} - { base: 路由对象节点, routePath: route() 声明的路径 }
+ */
+function findChainBase(node) {
+  let current = node;
+  let routePath = null;
+  
+  while (current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    const method = getKeyName(current.callee.property, current.callee.computed);
+    
+    if (method === 'route' && routePath === null) {
+      routePath = getStaticString(current.arguments[0]);
+    } else if (!HTTP_METHODS.includes(method)) {
+      break;
+    }
+    
+    current = current.callee.object;
+  }
+  
+  return { base: current, routePath };
+}
+
+/**
+ * 解析路由注册调用
+ * 支持 app.get(path, ...handlers)、router.route(path).put(handler)、fastify.route({ method, url, handler })
+ * @param {Object} nodePath - 调用表达式的节点路径
+ * @param {string} filePath - 文件路径
+ * @returns {Array} - 路由数组 [{ router, method, path, handler, middlewares, loc }]
+ */
+function parseRouteCall(nodePath, filePath) {
+  const node = nodePath.node;
+  const callee = node.callee;
+  
+  if (callee.type !== 'MemberExpression') {
+    return [];
+  }
+  
+  const method = getKeyName(callee.property, callee.computed);
+  const loc = {
+    start: node.loc.start.line,
+    end: node.loc.end.line
+  };
+  
+  // fastify.route({ method: 'GET', url: '/x', handler })
+  if (method === 'route' && node.arguments[0] && node.arguments[0].type === 'ObjectExpression') {
+    const router = getRouterId(nodePath, callee.object, filePath);
+    const options = getObjectProperties(node.arguments[0]);
+    const url = getStaticString(options.url || options.path);
+    
+    if (!router || !isRoutePath(url) || !options.method) {
+      return [];
+    }
+    
+    const methods = options.method.type === 'ArrayExpression'
+      ? options.method.elements.map(getStaticString)
+      : [getStaticString(options.method)];
+    
+    return methods.filter(Boolean).map(routeMethod => ({
+      router,
+      method: routeMethod.toUpperCase(),
+      path: url,
+      handler: describeHandler(options.handler),
+      middlewares: [],
+      loc
+    }));
+  }
+  
+  if (!HTTP_METHODS.includes(method)) {
+    return [];
+  }
+  
+  const { base, routePath } = findChainBase(callee.object);
+  const router = getRouterId(nodePath, base, filePath);
+  const firstPath = getStaticString(node.arguments[0]);
+  
+  // router.get('/path', ...handlers) 或 router.route('/path').get(...handlers)
+  const hasPathArgument = isRoutePath(firstPath);
+  const path = hasPathArgument ? firstPath : routePath;
+  const handlers = node.arguments.slice(hasPathArgument ? 1 : 0).map(describeHandler);
+  
+  if (!router || !isRoutePath(path) || handlers.length === 0) {
+    return [];
+  }
+  
+  return [{
+    router,
+    method: method === 'del' ? 'DELETE' : method.toUpperCase(),
+    path,
+    handler: handlers[handlers.length - 1],
+    middlewares: handlers.slice(0, -1).filter(handler => handler && handler.name).map(handler => handler.name),
+    loc
+  }];
+}
+
+/**
+ * 解析路由挂载调用
+ * 支持 app.use('/prefix', router)、app.use(router.routes())、app.use('/x', require('./x'))、fastify.register(plugin, { prefix })
+ * @param {Object} nodePath - 调用表达式的节点路径
+ * @param {string} filePath - 文件路径
+ * @returns {Array} - 挂载数组 [{ router, prefix, target: { local } 或 { source, imported } }]
+ */
+function parseMountCall(nodePath, filePath) {
+  const node = nodePath.node;
+  const callee = node.callee;
+  
+  if (callee.type !== 'MemberExpression') {
+    return [];
+  }
+  
+  const method = getKeyName(callee.property, callee.computed);
+  const router = getRouterId(nodePath, findChainBase(callee.object).base, filePath);
+  
+  if (!router) {
+    return [];
+  }
+  
+  if (method === 'use') {
+    const firstPath = getStaticString(node.arguments[0]);
+    const prefix = isRoutePath(firstPath) ? firstPath : '';
+    const targets = node.arguments.slice(prefix ? 1 : 0).map(describeMountTarget).filter(Boolean);
+    
+    return targets.map(target => ({ router, prefix, target }));
+  }
+  
+  if (method === 'register') {
+    const target = describeMountTarget(node.arguments[0]);
+    const options = node.arguments[1] && node.arguments[1].type === 'ObjectExpression'
+      ? getObjectProperties(node.arguments[1])
+      : {};
+    
+    return target ? [{ router, prefix: getStaticString(options.prefix) || '', target }] : [];
+  }
+  
+  return [];
+}
+
+/**
+ * 描述挂载目标
+ * @param {Object} node - 挂载目标节点
+ * @returns {Object|null} - { local } 或 { source, imported }
+ */
+function describeMountTarget(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'Identifier') {
+    return { local: node.name };
+  }
+  
+  if (node.type === 'CallExpression') {
+    // router.routes()
+    if (
+      node.callee.type === 'MemberExpression' &&
+      node.callee.object.type === 'Identifier' &&
+      getKeyName(node.callee.property, node.callee.computed) === 'routes'
+    ) {
+      return { local: node.callee.object.name };
+    }
+    
+    // require('./routes/auth')
+    if (node.callee.type === 'Identifier' && node.callee.name === 'require' && getStaticString(node.arguments[0])) {
+      return { source: getStaticString(node.arguments[0]), imported: 'default' };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 解析 Koa 路由前缀：new Router({ prefix: '/api' })、router.prefix('/api')
+ * @param {Object} nodePath - 节点路径（VariableDeclarator 或 CallExpression）
+ * @returns {Object|null} - { router, prefix }
+ */
+function parseRouterPrefix(nodePath) {
+  const node = nodePath.node;
+  
+  if (nodePath.isVariableDeclarator()) {
+    const init = node.init;
+    const options = init && init.type === 'NewExpression' && init.arguments[0];
+    
+    if (node.id.type === 'Identifier' && options && options.type === 'ObjectExpression') {
+      const prefix = getStaticString(getObjectProperties(options).prefix);
+      return isRoutePath(prefix) ? { router: node.id.name, prefix } : null;
+    }
+    return null;
+  }
+  
+  const callee = node.callee;
+  if (
+    callee.type === 'MemberExpression' &&
+    callee.object.type === 'Identifier' &&
+    getKeyName(callee.property, callee.computed) === 'prefix' &&
+    isRoutePath(getStaticString(node.arguments[0]))
+  ) {
+    return { router: callee.object.name, prefix: getStaticString(node.arguments[0]) };
+  }
+  
+  return null;
+}
+
+/**
+ * 获取对象字面量的属性值
+ * @param {Object} node - ObjectExpression 节点
+ * @returns {Object} - 键名 -> 值节点
+ */
+function getObjectProperties(node) {
+  const properties = {};
+  
+  for (const property of node.properties) {
+    const key = property.type === 'ObjectProperty' || property.type === 'ObjectMethod'
+      ? getKeyName(property.key, property.computed)
+      : null;
+    
+    if (key) {
+      properties[key] = property.type === 'ObjectMethod' ? property : property.value;
+    }
+  }
+  
+  return properties;
+}
+
+/**
+ * 拼接路由路径
+ * @param {...string} parts - 路径片段
+ * @returns {string} - 完整路径
+ */
+function joinRoutePaths(...parts) {
+  const joined = `/${parts.filter(Boolean).join('/')}`.replace(/\/+/g, '/');
+  
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * 规范化路由路径：统一路径参数写法（:id、{id}、[id]）并忽略大小写和末尾斜杠
+ * @param {string} routePath - 路由路径
+ * @returns {string} - 规范化后的路径
+ */
+function normalizeRoutePath(routePath) {
+  return joinRoutePaths(routePath || '')
+    .toLowerCase()
+    .replace(/:[^/]+|\{[^/]+\}|\[[^/]+\]/g, ':param');
+}
+
+/**
+ * 判断路由路径是否匹配
+ * @param {string} routePath - 路由路径
+ * @param {string} queryPath - 查询的路径（如任务的接口路径）
+ * @returns {boolean} - 是否匹配
+ */
+function matchRoutePath(routePath, queryPath) {
+  return Boolean(queryPath) && normalizeRoutePath(routePath) === normalizeRoutePath(queryPath);
+}
+
+module.exports = {
+  getStaticString,
+  parseRouteCall,
+  parseMountCall,
+  parseRouterPrefix,
+  joinRoutePaths,
+  normalizeRoutePath,
+  matchRoutePath
+};
@@ -0,0 +1,145 @@
+/**
+ * JSDoc工具
+ * 提供从前置注释中解析描述和 @param、@returns 等标签的工具函数
+ */
+
+// 不参与语义分析的标签（内容是代码或类型而不是描述）
+const NON_DESCRIPTIVE_TAGS = ['example', 'type', 'typedef', 'see', 'link', 'since', 'version'];
+
+/**
+ * 解析 {Type} 形式的类型，支持嵌套的花括号
+ * @param {string} text - 标签内容
+ * @returns {Object} - { type, rest }，没有类型时 type 为null
+ */
+function parseTagType(text) {
+  if (!text.startsWith('{')) {
+    return { type: null, rest: text };
+  }
+  
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}' && --depth === 0) {
+      return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+    }
+  }
+  
+  return { type: null, rest: text };
+}
+
+/**
+ * 去掉标签描述开头的连接符（如 `name - 描述` 中的 `-`）
+ * @param {string} text - 描述文本
+ * @returns {string} - 清理后的描述
+ */
+function cleanTagDescription(text) {
+  return text.replace(/^[-:：]\s*/, '').trim();
+}
+
+/**
+ * 解析单个标签
+ * @param {string} tag - 标签名（不含 @）
+ * @param {string} text - 标签内容
+ * @returns {Object} - { tag, type, name, description }
+ */
+function parseTag(tag, text) {
+  const { type, rest } = parseTagType(text);
+  
+  if (['param', 'arg', 'argument', 'property', 'prop'].includes(tag)) {
+    // @param {Type} [name=default] - 描述
+    const match = rest.match(/^(\[[^\]]*\]|\S+)\s*([\s\S]*)$/);
+    const rawName = match ? match[1] : '';
+    
+    return {
+      tag,
+      type,
+      name: rawName.replace(/^\[|\]$/g, '').split('=')[0].trim(),
+      optional: rawName.startsWith('['),
+      description: cleanTagDescription(match ? match[2] : '')
+    };
+  }
+  
+  return {
+    tag,
+    type,
+    description: cleanTagDescription(rest)
+  };
+}
+
+/**
+ * 解析前置注释中的JSDoc
+ * 注释文本需已去掉块注释每行开头的星号；普通注释没有标签，全部计入描述
+ * @param {Array<string>} comments - 前置注释文本数组
+ * @returns {Object|null} - { description, params, returns, tags }，没有注释时为null
+ */
+function parseDocComments(comments = []) {
+  if (comments.length === 0) {
+    return null;
+  }
+  
+  const descriptions = [];
+  const tags = [];
+  
+  for (const comment of comments) {
+    const descriptionLines = [];
+    let current = null;
+    
+    for (const line of comment.split('\n')) {
+      const match = line.match(/^@(\w+)\s*([\s\S]*)$/);
+      
+      if (match) {
+        current = { tag: match[1], text: match[2] };
+        tags.push(current);
+      } else if (current) {
+        // 标签描述跨行
+        current.text = `${current.text} ${line}`.trim();
+      } else {
+        descriptionLines.push(line);
+      }
+    }
+    
+    if (descriptionLines.length > 0) {
+      descriptions.push(descriptionLines.join('\n'));
+    }
+  }
+  
+  const parsedTags = tags.map(({ tag, text }) => parseTag(tag, text));
+  const returns = parsedTags.find(tag => tag.tag === 'returns' || tag.tag === 'return') || null;
+  
+  return {
+    description: descriptions.join('\n'),
+    params: parsedTags
+      .filter(tag => ['param', 'arg', 'argument'].includes(tag.tag))
+      .map(({ name, type, optional, description }) => ({ name, type, optional, description })),
+    returns: returns ? { type: returns.type, description: returns.description } : null,
+    tags: parsedTags
+      .filter(tag => !['param', 'arg', 'argument', 'returns', 'return'].includes(tag.tag))
+      .map(({ tag, type, name, description }) => ({ tag, type, name, description }))
+  };
+}
+
+/**
+ * 获取JSDoc中的描述性文本：描述、参数和返回值说明以及其他描述性标签的内容
+ * @param {Object|null} docs - parseDocComments 的解析结果
+ * @returns {string} - 描述性文本
+ */
+function getDocText(docs) {
+  if (!docs) {
+    return '';
+  }
+  
+  return [
+    docs.description,
+    ...docs.params.map(param => param.description),
+    docs.returns ? docs.returns.description : '',
+    ...docs.tags
+      .filter(tag => !NON_DESCRIPTIVE_TAGS.includes(tag.tag))
+      .map(tag => tag.description)
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  parseDocComments,
+  getDocText
+};
@@ -0,0 +1,280 @@
+/**
+ * 模块解析工具
+ * 提供读取 tsconfig、pnpm 工作区、package.json exports 和构建工具别名配置的工具函数
+ */
+
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { getKeyName } = require('./ast-utils');
+
+// 解析 package.json exports 时依次尝试的条件
+const EXPORT_CONDITIONS = ['source', 'import', 'require', 'node', 'default'];
+
+/**
+ * 解析允许注释和尾随逗号的JSON（tsconfig.json、jsconfig.json）
+ * @param {string} text - JSON文本
+ * @returns {Object} - 解析结果
+ */
+function parseJsonWithComments(text) {
+  let result = '';
+  let inString = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += text[++i] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      // 行注释
+      while (i < text.length && text[i] !== '\n') {
+        i++;
+      }
+      result += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      // 块注释
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+  
+  return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * 读取 pnpm-workspace.yaml 中的 packages 列表
+ * @param {string} content - YAML内容
+ * @returns {Array<string>} - 工作区 glob 模式数组
+ */
+function parseWorkspaceYaml(content) {
+  const patterns = [];
+  let inPackages = false;
+  
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || !line.trim() || line.trim().startsWith('#')) {
+      continue;
+    }
+    
+    const match = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+    if (!match) {
+      // 遇到下一个顶层键
+      inPackages = false;
+      continue;
+    }
+    
+    patterns.push(match[1]);
+  }
+  
+  return patterns;
+}
+
+/**
+ * 按含一个 * 的模式匹配导入路径（tsconfig paths、package.json exports 的子路径模式）
+ * @param {string} pattern - 模式，如 @/* 或 ./utils/*
+ * @param {string} specifier - 导入路径
+ * @returns {string|null} - * 匹配的部分，没有 * 的模式完全匹配时为空字符串，不匹配时为null
+ */
+function matchPathPattern(pattern, specifier) {
+  const starIndex = pattern.indexOf('*');
+  
+  if (starIndex === -1) {
+    return pattern === specifier ? '' : null;
+  }
+  
+  const prefix = pattern.slice(0, starIndex);
+  const suffix = pattern.slice(starIndex + 1);
+  
+  if (specifier.length < prefix.length + suffix.length || !specifier.startsWith(prefix) || !specifier.endsWith(suffix)) {
+    return null;
+  }
+  
+  return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+/**
+ * 从 exports 的条件对象或数组中选出目标路径
+ * @param {string|Object|Array|null} target - exports 中的目标
+ * @returns {string|null} - 目标路径
+ */
+function getConditionalTarget(target) {
+  if (typeof target === 'string') {
+    return target;
+  }
+  if (Array.isArray(target)) {
+    return target.map(getConditionalTarget).find(Boolean) || null;
+  }
+  if (target && typeof target === 'object') {
+    const condition = EXPORT_CONDITIONS.find(name => name in target) ||
+      Object.keys(target).find(name => name !== 'types');
+    return condition ? getConditionalTarget(target[condition]) : null;
+  }
+  
+  return null;
+}
+
+/**
+ * 按 package.json 的 exports 字段解析子路径
+ * @param {string|Object|Array} exportsField - exports 字段
+ * @param {string} subpath - 子路径，包本身为 .，如 ./utils
+ * @returns {string|null} - 相对于包目录的目标路径
+ */
+function resolvePackageExports(exportsField, subpath) {
+  const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'));
+  
+  if (!isSubpathMap) {
+    return subpath === '.' ? getConditionalTarget(exportsField) : null;
+  }
+  
+  if (subpath in exportsField) {
+    return getConditionalTarget(exportsField[subpath]);
+  }
+  
+  // 子路径模式 ./* 或 ./utils/*，前缀最长的优先
+  const patterns = Object.keys(exportsField)
+    .filter(key => key.includes('*'))
+    .sort((a, b) => b.indexOf('*') - a.indexOf('*'));
+  
+  for (const pattern of patterns) {
+    const captured = matchPathPattern(pattern, subpath);
+    const target = captured !== null ? getConditionalTarget(exportsField[pattern]) : null;
+    if (target) {
+      return target.replace(/\*/g, captured);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * 静态求值别名配置中的路径表达式
+ * 支持字符串、无插值的模板字符串、__dirname、process.cwd()、path.resolve/join 和 fileURLToPath(new URL(..., import.meta.url))
+ * @param {Object} node - 表达式节点
+ * @param {string} configDir - 配置文件所在目录
+ * @returns {string|null} - 路径，无法静态求值时为null
+ */
+function evaluatePath(node, configDir) {
+  if (!node) {
+    return null;
+  }
+  
+  switch (node.type) {
+    case 'StringLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : null;
+    case 'Identifier':
+      return node.name === '__dirname' ? configDir : null;
+    case 'NewExpression':
+      // new URL('./src', import.meta.url)
+      return node.callee.type === 'Identifier' && node.callee.name === 'URL'
+        ? evaluatePath(node.arguments[0], configDir)
+        : null;
+    case 'CallExpression': {
+      const callee = node.callee;
+      const name = callee.type === 'MemberExpression' ? getKeyName(callee.property, callee.computed) : callee.name;
+      
+      if (name === 'cwd') {
+        return configDir;
+      }
+      if (name === 'fileURLToPath') {
+        const url = evaluatePath(node.arguments[0], configDir);
+        return url ? path.resolve(configDir, url) : null;
+      }
+      if (name === 'resolve' || name === 'join') {
+        const parts = node.arguments.map(argument => evaluatePath(argument, configDir));
+        if (parts.length === 0 || parts.some(part => part === null)) {
+          return null;
+        }
+        return name === 'resolve' ? path.resolve(configDir, ...parts) : path.join(...parts);
+      }
+      
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 读取 webpack / vite 配置中的 resolve.alias
+ * 支持对象写法 { '@': path.resolve(__dirname, 'src') } 和 vite 的数组写法 [{ find: '@', replacement: '...' }]，
+ * 无法静态求值的别名（如正则）忽略
+ * @param {string} code - 配置文件代码
+ * @param {string} configDir - 配置文件所在目录
+ * @returns {Array} - 别名数组 [{ find, replacement, exact }]
+ */
+function getBundlerAliases(code, configDir) {
+  const aliases = [];
+  
+  // 字符串写法的路径（./src 或 vite 中以根目录为基准的 /src）相对于配置文件所在目录
+  const addAlias = (find, replacementNode) => {
+    const replacement = evaluatePath(replacementNode, configDir);
+    if (!find || !replacement) {
+      return;
+    }
+    
+    const isLiteral = ['StringLiteral', 'TemplateLiteral'].includes(replacementNode.type);
+    aliases.push({
+      find: find.replace(/\$$/, ''),
+      replacement: isLiteral ? path.join(configDir, replacement) : path.resolve(configDir, replacement),
+      exact: find.endsWith('$') // webpack 中以 $ 结尾的别名只做完全匹配
+    });
+  };
+  
+  const ast = parser.parse(code, {
+    sourceType: 'unambiguous',
+    plugins: ['typescript']
+  });
+  
+  traverse(ast, {
+    ObjectProperty: (nodePath) => {
+      const { key, value, computed } = nodePath.node;
+      if (getKeyName(key, computed) !== 'alias') {
+        return;
+      }
+      
+      if (value.type === 'ObjectExpression') {
+        value.properties
+          .filter(property => property.type === 'ObjectProperty')
+          .forEach(property => addAlias(getKeyName(property.key, property.computed), property.value));
+      } else if (value.type === 'ArrayExpression') {
+        value.elements
+          .filter(element => element && element.type === 'ObjectExpression')
+          .forEach(element => {
+            const entries = Object.fromEntries(element.properties
+              .filter(property => property.type === 'ObjectProperty')
+              .map(property => [getKeyName(property.key, property.computed), property.value]));
+            
+            if (entries.find && entries.find.type === 'StringLiteral') {
+              addAlias(entries.find.value, entries.replacement);
+            }
+          });
+      }
+    }
+  });
+  
+  return aliases;
+}
+
+module.exports = {
+  parseJsonWithComments,
+  parseWorkspaceYaml,
+  matchPathPattern,
+  resolvePackageExports,
+  getBundlerAliases
+};
@@ -0,0 +1,280 @@
+/**
+ * React工具
+ * 提供识别React组件并提取其属性、Hooks和渲染的子组件的工具函数
+ */
+
+const { getKeyName } = require('./ast-utils');
+
+// 类组件的父类
+const COMPONENT_SUPER_CLASSES = ['Component', 'PureComponent'];
+
+/**
+ * 判断名称是否符合组件命名（首字母大写）
+ * @param {string} name - 名称
+ * @returns {boolean} - 是否为组件名
+ */
+function isComponentName(name) {
+  return /^[A-Z]/.test(name || '');
+}
+
+/**
+ * 判断类是否继承自 React.Component 或 React.PureComponent
+ * @param {Object} node - 类节点
+ * @returns {boolean} - 是否为类组件
+ */
+function isClassComponent(node) {
+  const superClass = node.superClass;
+  
+  if (!superClass) {
+    return false;
+  }
+  if (superClass.type === 'Identifier') {
+    return COMPONENT_SUPER_CLASSES.includes(superClass.name);
+  }
+  
+  return superClass.type === 'MemberExpression' &&
+    COMPONENT_SUPER_CLASSES.includes(getKeyName(superClass.property, superClass.computed));
+}
+
+/**
+ * 判断函数或类中是否包含JSX
+ * @param {Object} nodePath - 节点路径
+ * @returns {boolean} - 是否包含JSX
+ */
+function containsJsx(nodePath) {
+  let found = false;
+  
+  nodePath.traverse({
+    'JSXElement|JSXFragment': (path) => {
+      found = true;
+      path.stop();
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * 获取组件中使用的Hooks（useXxx 调用）
+ * @param {Object} nodePath - 组件的节点路径
+ * @returns {Array<string>} - Hook名称数组
+ */
+function getHooks(nodePath) {
+  const hooks = new Set();
+  
+  nodePath.traverse({
+    CallExpression: (path) => {
+      const callee = path.node.callee;
+      const name = callee.type === 'MemberExpression'
+        ? getKeyName(callee.property, callee.computed)
+        : callee.name;
+      
+      if (/^use[A-Z0-9]/.test(name || '')) {
+        hooks.add(name);
+      }
+    }
+  });
+  
+  return Array.from(hooks);
+}
+
+/**
+ * 获取组件渲染的子组件（首字母大写的JSX元素，如 Button、Form.Item）
+ * @param {Object} nodePath - 组件的节点路径
+ * @returns {Array<string>} - 子组件名称数组
+ */
+function getRenderedComponents(nodePath) {
+  const children = new Set();
+  
+  nodePath.traverse({
+    JSXOpeningElement: (path) => {
+      const name = getJsxName(path.node.name);
+      
+      if (isComponentName(name)) {
+        children.add(name);
+      }
+    }
+  });
+  
+  return Array.from(children);
+}
+
+/**
+ * 获取JSX元素名
+ * @param {Object} node - JSX元素名节点
+ * @returns {string|null} - 元素名
+ */
+function getJsxName(node) {
+  if (node.type === 'JSXIdentifier') {
+    return node.name;
+  }
+  if (node.type === 'JSXMemberExpression') {
+    return `${getJsxName(node.object)}.${node.property.name}`;
+  }
+  
+  return null;
+}
+
+/**
+ * 获取TS类型中声明的属性名
+ * @param {Object} typeNode - TS类型节点
+ * @param {Map} typeMembers - 文件中的接口和类型别名（名称 -> 属性名数组）
+ * @returns {Array<string>} - 属性名数组
+ */
+function getTypeMemberNames(typeNode, typeMembers) {
+  if (!typeNode) {
+    return [];
+  }
+  
+  switch (typeNode.type) {
+    case 'TSTypeLiteral':
+      return typeNode.members
+        .map(member => getKeyName(member.key, member.computed))
+        .filter(Boolean);
+    case 'TSTypeReference':
+      return typeNode.typeName.type === 'Identifier' ? typeMembers.get(typeNode.typeName.name) || [] : [];
+    case 'TSIntersectionType':
+      return typeNode.types.flatMap(type => getTypeMemberNames(type, typeMembers));
+    default:
+      return [];
+  }
+}
+
+/**
+ * 获取对象解构中的属性名
+ * @param {Object} pattern - ObjectPattern 节点
+ * @returns {Array<string>} - 属性名数组（剩余属性记为 ...rest）
+ */
+function getPatternKeys(pattern) {
+  return pattern.properties
+    .map(property => (property.type === 'RestElement'
+      ? `...${property.argument.name}`
+      : getKeyName(property.key, property.computed)))
+    .filter(Boolean);
+}
+
+/**
+ * 获取对 props 对象的成员访问和解构（如 props.title、const { title } = props）
+ * @param {Object} nodePath - 组件的节点路径
+ * @param {Function} isPropsObject - 判断节点是否为 props 对象
+ * @returns {Array<string>} - 属性名数组
+ */
+function getAccessedProps(nodePath, isPropsObject) {
+  const props = [];
+  
+  nodePath.traverse({
+    MemberExpression: (path) => {
+      if (isPropsObject(path.node.object)) {
+        props.push(getKeyName(path.node.property, path.node.computed));
+      }
+    },
+    VariableDeclarator: (path) => {
+      if (path.node.id.type === 'ObjectPattern' && path.node.init && isPropsObject(path.node.init)) {
+        props.push(...getPatternKeys(path.node.id));
+      }
+    }
+  });
+  
+  return props.filter(Boolean);
+}
+
+/**
+ * 获取函数组件的属性：参数解构、props 成员访问以及参数或变量上的TS类型
+ * @param {Object} nodePath - 函数的节点路径
+ * @param {Map} typeMembers - 文件中的接口和类型别名（名称 -> 属性名数组）
+ * @returns {Array<string>} - 属性名数组
+ */
+function getFunctionComponentProps(nodePath, typeMembers) {
+  const props = [];
+  let param = nodePath.node.params[0];
+  
+  // const Foo: React.FC<Props> = (...) => {}
+  const declarator = nodePath.findParent(path => path.isVariableDeclarator() || path.isStatement());
+  const declaredType = declarator && declarator.isVariableDeclarator() && declarator.node.id.typeAnnotation;
+  if (declaredType && declaredType.typeAnnotation.typeParameters) {
+    props.push(...getTypeMemberNames(declaredType.typeAnnotation.typeParameters.params[0], typeMembers));
+  }
+  
+  if (!param) {
+    return props;
+  }
+  
+  // function Foo({ title } = {})
+  if (param.type === 'AssignmentPattern') {
+    param = param.left;
+  }
+  
+  if (param.typeAnnotation) {
+    props.push(...getTypeMemberNames(param.typeAnnotation.typeAnnotation, typeMembers));
+  }
+  
+  if (param.type === 'ObjectPattern') {
+    props.push(...getPatternKeys(param));
+  } else if (param.type === 'Identifier') {
+    const propsName = param.name;
+    props.push(...getAccessedProps(nodePath, node => node.type === 'Identifier' && node.name === propsName));
+  }
+  
+  return props;
+}
+
+/**
+ * 获取类组件的属性：this.props 成员访问和解构、父类泛型参数中的TS类型、static propTypes
+ * @param {Object} nodePath - 类的节点路径
+ * @param {Map} typeMembers - 文件中的接口和类型别名（名称 -> 属性名数组）
+ * @returns {Array<string>} - 属性名数组
+ */
+function getClassComponentProps(nodePath, typeMembers) {
+  const node = nodePath.node;
+  const props = [];
+  
+  // class Foo extends Component<Props>
+  if (node.superTypeParameters) {
+    props.push(...getTypeMemberNames(node.superTypeParameters.params[0], typeMembers));
+  }
+  
+  // static propTypes = { ... }
+  for (const member of node.body.body) {
+    if (
+      member.type === 'ClassProperty' &&
+      member.static &&
+      getKeyName(member.key, member.computed) === 'propTypes' &&
+      member.value &&
+      member.value.type === 'ObjectExpression'
+    ) {
+      props.push(...getObjectKeys(member.value));
+    }
+  }
+  
+  props.push(...getAccessedProps(nodePath, object =>
+    object.type === 'MemberExpression' &&
+    object.object.type === 'ThisExpression' &&
+    getKeyName(object.property, object.computed) === 'props'
+  ));
+  
+  return props;
+}
+
+/**
+ * 获取对象字面量的键名
+ * @param {Object} node - ObjectExpression 节点
+ * @returns {Array<string>} - 键名数组
+ */
+function getObjectKeys(node) {
+  return node.properties
+    .filter(property => property.type === 'ObjectProperty' || property.type === 'ObjectMethod')
+    .map(property => getKeyName(property.key, property.computed))
+    .filter(Boolean);
+}
+
+module.exports = {
+  isComponentName,
+  isClassComponent,
+  containsJsx,
+  getHooks,
+  getRenderedComponents,
+  getTypeMemberNames,
+  getFunctionComponentProps,
+  getClassComponentProps,
+  getObjectKeys
+};
@@ -0,0 +1,82 @@
+/**
+ * 符号ID工具
+ * 索引器、语义分析器、依赖图谱、映射算法和变更预测器共用的代码元素ID：
+ *   文件：file:<文件路径>
+ *   其他元素：<类型>:<文件路径>:<限定名>，同一文件中类型和限定名都相同时追加 @<起始行>-<结束行>，
+ *   行号范围也相同时（如写在同一行的 getter 和 setter）再追加 :<起始列>
+ * 限定名由外层命名空间、类、具名函数和具名对象的名称与元素名以点连接，如 AuthService.login、createStore.reducer
+ */
+
+/**
+ * 获取文件的ID
+ * @param {string} filePath - 文件路径
+ * @returns {string} - 文件ID
+ */
+function getFileId(filePath) {
+  return `file:${filePath}`;
+}
+
+/**
+ * 创建代码元素的ID
+ * @param {string} kind - 元素类型（function, class, method, type, component, route）
+ * @param {string} filePath - 所在文件路径
+ * @param {string} qualifiedName - 限定名
+ * @param {Object|null} loc - 位置 { start, end, column }，用于区分同名元素，有 column 时追加起始列
+ * @returns {string} - 元素ID
+ */
+function createSymbolId(kind, filePath, qualifiedName, loc = null) {
+  const id = `${kind}:${filePath}:${qualifiedName}`;
+  if (!loc) {
+    return id;
+  }
+  
+  const range = `${id}@${loc.start}-${loc.end}`;
+  return loc.column === undefined ? range : `${range}:${loc.column}`;
+}
+
+/**
+ * 为同一文件中同一类型的元素分配ID，只有限定名重复的元素追加行号范围，行号范围也重复时再追加起始列，
+ * 因此元素的ID不随文件中其他位置的增删而变化
+ * @param {Array} symbols - 元素数组，ID写入 id 字段
+ * @param {string} kind - 元素类型
+ * @param {string} filePath - 所在文件路径
+ * @param {Function} getName - 获取元素限定名的函数，默认使用 qualifiedName 字段
+ */
+function assignSymbolIds(symbols, kind, filePath, getName = symbol => symbol.qualifiedName) {
+  const getRange = symbol => `${getName(symbol)}@${symbol.loc.start}-${symbol.loc.end}`;
+  const nameCounts = new Map();
+  const rangeCounts = new Map();
+  for (const symbol of symbols) {
+    nameCounts.set(getName(symbol), (nameCounts.get(getName(symbol)) || 0) + 1);
+    rangeCounts.set(getRange(symbol), (rangeCounts.get(getRange(symbol)) || 0) + 1);
+  }
+  
+  for (const symbol of symbols) {
+    const name = getName(symbol);
+    let loc = null;
+    if (nameCounts.get(name) > 1) {
+      loc = rangeCounts.get(getRange(symbol)) > 1
+        ? symbol.loc
+        : { start: symbol.loc.start, end: symbol.loc.end };
+    }
+    
+    symbol.id = createSymbolId(kind, filePath, name, loc);
+  }
+}
+
+/**
+ * 获取限定名的外层作用域，如 createStore.reducer 的外层作用域为 createStore，顶层元素为空字符串
+ * @param {string} qualifiedName - 限定名
+ * @returns {string} - 外层作用域
+ */
+function getSymbolScope(qualifiedName) {
+  const index = qualifiedName.lastIndexOf('.');
+  return index === -1 ? '' : qualifiedName.substring(0, index);
+}
+
+module.exports = {
+  getFileId,
+  createSymbolId,
+  assignSymbolIds,
+  getSymbolScope
+};
@@ -0,0 +1,55 @@
+/**
+ * 符号ID工具测试
+ */
+
+const { getFileId, createSymbolId, assignSymbolIds, getSymbolScope } = require('./symbol-utils');
+
+describe('symbol-utils', () => {
+  test('creates file and element IDs', () => {
+    expect(getFileId('src/a.js')).toBe('file:src/a.js');
+    expect(createSymbolId('method', 'src/a.js', 'Foo.bar')).toBe('method:src/a.js:Foo.bar');
+    expect(createSymbolId('function', 'src/a.js', 'f', { start: 3, end: 5 })).toBe('function:src/a.js:f@3-5');
+    expect(createSymbolId('function', 'src/a.js', 'f', { start: 3, end: 5, column: 7 }))
+      .toBe('function:src/a.js:f@3-5:7');
+  });
+  
+  test('keeps unique names free of locations', () => {
+    const symbols = [
+      { qualifiedName: 'a', loc: { start: 1, end: 2, column: 1 } },
+      { qualifiedName: 'b', loc: { start: 3, end: 4, column: 1 } }
+    ];
+    
+    assignSymbolIds(symbols, 'function', 'src/a.js');
+    
+    expect(symbols.map(symbol => symbol.id)).toEqual(['function:src/a.js:a', 'function:src/a.js:b']);
+  });
+  
+  test('adds line ranges to duplicate names and columns only when ranges collide', () => {
+    const symbols = [
+      { qualifiedName: 'Foo.value', loc: { start: 5, end: 5, column: 13 } },
+      { qualifiedName: 'Foo.value', loc: { start: 5, end: 5, column: 40 } },
+      { qualifiedName: 'Foo.value', loc: { start: 8, end: 10, column: 3 } }
+    ];
+    
+    assignSymbolIds(symbols, 'method', 'src/a.js');
+    
+    expect(symbols.map(symbol => symbol.id)).toEqual([
+      'method:src/a.js:Foo.value@5-5:13',
+      'method:src/a.js:Foo.value@5-5:40',
+      'method:src/a.js:Foo.value@8-10'
+    ]);
+  });
+  
+  test('uses a custom name getter', () => {
+    const routes = [{ method: 'POST', path: '/login', loc: { start: 1, end: 1 } }];
+    
+    assignSymbolIds(routes, 'route', 'src/routes.js', route => `${route.method} ${route.path}`);
+    
+    expect(routes[0].id).toBe('route:src/routes.js:POST /login');
+  });
+  
+  test('gets the enclosing scope of a qualified name', () => {
+    expect(getSymbolScope('createStore.reducer')).toBe('createStore');
+    expect(getSymbolScope('login')).toBe('');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * 中英术语桥接表
+ * 将PRD中常见的中文业务术语映射为代码标识符中常用的英文词汇
+ */
+
+const DEFAULT_TERM_BRIDGE = {
+  // 账号与权限
+  '登录': ['login', 'signin'],
+  '登出': ['logout', 'signout'],
+  '退出': ['logout', 'exit'],
+  '注册': ['register', 'signup'],
+  '注销': ['logout', 'deregister'],
+  '用户': ['user'],
+  '账号': ['account'],
+  '账户': ['account'],
+  '密码': ['password', 'pwd'],
+  '验证码': ['captcha', 'verification'],
+  '手机号': ['phone', 'mobile'],
+  '邮箱': ['email', 'mail'],
+  '令牌': ['token'],
+  '会话': ['session'],
+  '权限': ['permission', 'auth'],
+  '认证': ['auth', 'authentication'],
+  '鉴权': ['auth', 'authorization'],
+  '角色': ['role'],
+  '锁定': ['lock'],
+  '个人资料': ['profile'],
+  '资料': ['profile'],
+  '头像': ['avatar'],
+  '昵称': ['nickname'],
+  
+  // 电商业务
+  '优惠券': ['coupon'],
+  '订单': ['order'],
+  '商品': ['product', 'goods', 'item'],
+  '购物车': ['cart'],
+  '支付': ['pay', 'payment'],
+  '退款': ['refund'],
+  '价格': ['price'],
+  '库存': ['stock', 'inventory'],
+  '地址': ['address'],
+  '收藏': ['favorite'],
+  '评论': ['comment', 'review'],
+  '评价': ['review', 'rating'],
+  '积分': ['point'],
+  '会员': ['member', 'vip'],
+  '分类': ['category'],
+  '物流': ['logistics', 'shipping'],
+  '发货': ['ship', 'delivery'],
+  
+  // 通用操作
+  '创建': ['create'],
+  '新增': ['add', 'create'],
+  '添加': ['add'],
+  '删除': ['delete', 'remove'],
+  '修改': ['update', 'edit'],
+  '编辑': ['edit'],
+  '更新': ['update'],
+  '查询': ['query', 'search'],
+  '搜索': ['search'],
+  '获取': ['get', 'fetch'],
+  '保存': ['save'],
+  '提交': ['submit'],
+  '发送': ['send'],
+  '发放': ['issue', 'grant'],
+  '领取': ['claim', 'receive'],
+  '校验': ['validate', 'check'],
+  '验证': ['verify', 'validate'],
+  '上传': ['upload'],
+  '下载': ['download'],
+  '导入': ['import'],
+  '导出': ['export'],
+  '审核': ['audit', 'review'],
+  '过期': ['expire'],
+  
+  // 界面与数据
+  '首页': ['home', 'index'],
+  '列表': ['list'],
+  '详情': ['detail'],
+  '表单': ['form'],
+  '按钮': ['button'],
+  '弹窗': ['modal', 'dialog'],
+  '分页': ['pagination', 'page'],
+  '菜单': ['menu'],
+  '消息': ['message'],
+  '通知': ['notification', 'notify'],
+  '设置': ['setting'],
+  '配置': ['config'],
+  '状态': ['status', 'state'],
+  '历史': ['history'],
+  '记录': ['record', 'log'],
+  '日志': ['log'],
+  '统计': ['stat', 'statistic'],
+  '报表': ['report'],
+  '文件': ['file'],
+  '图片': ['image'],
+  '缓存': ['cache']
+};
+
+module.exports = {
+  DEFAULT_TERM_BRIDGE
+};
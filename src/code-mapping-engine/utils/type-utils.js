@@ -0,0 +1,156 @@
+/**
+ * TypeScript类型工具
+ * 提供提取接口、类型别名和枚举的字段，以及收集代码中引用的类型名的工具函数
+ */
+
+const { getKeyName } = require('./ast-utils');
+
+/**
+ * 获取节点对应的源代码文本
+ * @param {Object} node - AST节点
+ * @param {string} code - 源代码
+ * @returns {string|null} - 源代码文本
+ */
+function getNodeText(node, code) {
+  return node ? code.substring(node.start, node.end) : null;
+}
+
+/**
+ * 获取字段或枚举成员的前置注释
+ * @param {Object} node - 成员节点
+ * @returns {string} - 注释文本（多条注释以换行连接）
+ */
+function getMemberComment(node) {
+  return (node.leadingComments || [])
+    .map(comment => comment.value
+      .split('\n')
+      .map(line => line.replace(/^\s*\*+\s?/, '').trim())
+      .filter(Boolean)
+      .join(' '))
+    .join('\n');
+}
+
+/**
+ * 获取TS类型中声明的字段
+ * 支持接口体、类型字面量及其交叉类型，字段类型保留源代码写法
+ * @param {Object} typeNode - TSInterfaceBody、TSTypeLiteral 或 TSIntersectionType 节点
+ * @param {string} code - 源代码
+ * @returns {Array} - 字段数组 [{ name, type, optional, readonly, method, comment, loc }]
+ */
+function getTypeFields(typeNode, code) {
+  if (!typeNode) {
+    return [];
+  }
+  
+  if (typeNode.type === 'TSIntersectionType') {
+    return typeNode.types.flatMap(type => getTypeFields(type, code));
+  }
+  
+  const members = typeNode.type === 'TSInterfaceBody' ? typeNode.body : typeNode.members || [];
+  
+  return members
+    .filter(member => member.type === 'TSPropertySignature' || member.type === 'TSMethodSignature')
+    .map(member => {
+      const name = getKeyName(member.key, member.computed);
+      const isMethod = member.type === 'TSMethodSignature';
+      const annotation = isMethod ? member.typeAnnotation || member.returnType : member.typeAnnotation;
+      
+      return name && {
+        name,
+        type: isMethod
+          ? getNodeText(member, code).slice(getNodeText(member.key, code).length).replace(/^\?|[;,]$/g, '').trim()
+          : (annotation ? getNodeText(annotation.typeAnnotation, code) : 'any'),
+        optional: Boolean(member.optional),
+        readonly: Boolean(member.readonly),
+        method: isMethod,
+        comment: getMemberComment(member),
+        loc: {
+          start: member.loc.start.line,
+          end: member.loc.end.line
+        }
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 获取枚举成员
+ * @param {Object} node - TSEnumDeclaration 节点
+ * @param {string} code - 源代码
+ * @returns {Array} - 成员数组 [{ name, value, comment, loc }]，未显式赋值的成员 value 为null
+ */
+function getEnumMembers(node, code) {
+  const members = node.members || (node.body && node.body.members) || [];
+  
+  return members.map(member => ({
+    name: getKeyName(member.id),
+    value: getNodeText(member.initializer, code),
+    comment: getMemberComment(member),
+    loc: {
+      start: member.loc.start.line,
+      end: member.loc.end.line
+    }
+  }));
+}
+
+/**
+ * 获取接口继承的类型名（interface A extends B, C）
+ * @param {Object} node - TSInterfaceDeclaration 节点
+ * @returns {Array<string>} - 类型名数组
+ */
+function getInterfaceExtends(node) {
+  return (node.extends || [])
+    .map(heritage => heritage.expression && heritage.expression.type === 'Identifier' ? heritage.expression.name : null)
+    .filter(Boolean);
+}
+
+/**
+ * 收集节点中引用的类型名：类型注解、泛型参数、类型断言、接口继承和类实现
+ * 声明为 const Foo: React.FC<Props> = () => {} 的函数同时收集变量上的类型注解
+ * @param {Object} nodePath - 函数、类或类型声明的节点路径
+ * @returns {Array<string>} - 类型名数组（不含自身声明的泛型参数）
+ */
+function getTypeReferences(nodePath) {
+  const names = new Set();
+  const typeParameters = new Set();
+  
+  const visitor = {
+    TSTypeReference: (path) => {
+      const typeName = path.node.typeName;
+      
+      // Foo 或 Models.Foo（命名空间限定名取最后一段）
+      if (typeName.type === 'Identifier') {
+        names.add(typeName.name);
+      } else if (typeName.type === 'TSQualifiedName') {
+        names.add(typeName.right.name);
+      }
+    },
+    // interface A extends B、class A implements B
+    TSExpressionWithTypeArguments: (path) => {
+      const expression = path.node.expression;
+      if (expression.type === 'Identifier') {
+        names.add(expression.name);
+      }
+    },
+    TSTypeParameter: (path) => {
+      typeParameters.add(path.node.name);
+    }
+  };
+  
+  nodePath.traverse(visitor);
+  
+  // const Foo: React.FC<Props> = () => {}
+  const declarator = nodePath.parentPath;
+  if (declarator && declarator.isVariableDeclarator() && declarator.node.id.typeAnnotation) {
+    declarator.get('id.typeAnnotation').traverse(visitor);
+  }
+  
+  return Array.from(names).filter(name => !typeParameters.has(name));
+}
+
+module.exports = {
+  getTypeFields,
+  getEnumMembers,
+  getInterfaceExtends,
+  getTypeReferences
+};
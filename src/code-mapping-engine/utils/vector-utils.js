@@ -40,6 +40,36 @@ function cosineDistance(vector1, vector2) {
   return 1 - cosineSimilarity;
 }
 
+/**
+ * 计算每个共同维度对余弦相似度的贡献，所有贡献之和等于余弦相似度
+ * @param {Object} vector1 - 向量1
+ * @param {Object} vector2 - 向量2
+ * @returns {Object} - 各维度的贡献，格式为 {term1: contribution1, ...}
+ */
+function cosineContributions(vector1, vector2) {
+  const contributions = {};
+  
+  if (!vector1 || !vector2) {
+    return contributions;
+  }
+  
+  const magnitude1 = Math.sqrt(Object.values(vector1).reduce((sum, val) => sum + val * val, 0));
+  const magnitude2 = Math.sqrt(Object.values(vector2).reduce((sum, val) => sum + val * val, 0));
+  
+  // 避免除以零
+  if (magnitude1 === 0 || magnitude2 === 0) {
+    return contributions;
+  }
+  
+  for (const term in vector1) {
+    if (vector2[term]) {
+      contributions[term] = (vector1[term] * vector2[term]) / (magnitude1 * magnitude2);
+    }
+  }
+  
+  return contributions;
+}
+
 /**
  * 计算两个向量的欧几里得距离
  * @param {Object} vector1 - 向量1
@@ -145,6 +175,7 @@ function mergeVectors(vectors, weights = null) {
 
 module.exports = {
   cosineDistance,
+  cosineContributions,
   euclideanDistance,
   manhattanDistance,
   normalizeVector,
@@ -0,0 +1,375 @@
+/**
+ * Vue工具
+ * 提供拆分Vue单文件组件（SFC）的代码块，并提取组件名、属性、事件、方法和模板中使用的子组件的工具函数
+ */
+
+const parser = require('@babel/parser');
+const { getKeyName, getDefaultExportName } = require('./ast-utils');
+const { getTypeMemberNames, getObjectKeys } = require('./react-utils');
+
+// Vue内置组件，不作为子组件记录
+const VUE_BUILTIN_COMPONENTS = ['Component', 'Transition', 'TransitionGroup', 'KeepAlive', 'Teleport', 'Suspense', 'Slot', 'Template'];
+
+/**
+ * 将 kebab-case 或 snake_case 名称转换为 PascalCase
+ * @param {string} name - 名称
+ * @returns {string} - PascalCase 名称
+ */
+function toPascalCase(name) {
+  return name
+    .split(/[-_.\s]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * 查找顶层块的结束位置，支持同名标签嵌套（如 template 中的 <template v-if>）
+ * @param {string} content - SFC内容
+ * @param {string} tag - 标签名
+ * @param {number} from - 开始标签结束后的位置
+ * @returns {number} - 结束标签的开始位置，未闭合时为内容末尾
+ */
+function findBlockEnd(content, tag, from) {
+  const pattern = new RegExp(`<(/?)${tag}\\b[^>]*?(/?)>`, 'gi');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+  
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[1]) {
+      depth--;
+    } else if (!match[2]) {
+      depth++;
+    }
+    
+    if (depth === 0) {
+      return match.index;
+    }
+  }
+  
+  return content.length;
+}
+
+/**
+ * 将代码中的区间替换为空白（保留换行），不改变其余代码的位置
+ * @param {string} code - 代码
+ * @param {Array} ranges - 区间数组 [[start, end]]
+ * @returns {string} - 替换后的代码
+ */
+function blankRanges(code, ranges) {
+  let result = code;
+  for (const [start, end] of ranges) {
+    result = result.slice(0, start) + result.slice(start, end).replace(/[^\n]/g, ' ') + result.slice(end);
+  }
+  
+  return result;
+}
+
+/**
+ * 获取脚本块中与之前的脚本块重复的导入绑定的区间
+ * <script> 和 <script setup> 常常导入同一个绑定，合并为一个程序解析时会报重复声明
+ * 只有重复的导入说明符被移除；整条导入语句都重复时移除整条语句
+ * @param {string} code - 脚本块代码
+ * @param {Set<string>} importedNames - 之前的脚本块导入的本地名称，本块的导入名称会加入其中
+ * @returns {Array} - 区间数组 [[start, end]]，相对于脚本块
+ */
+function getDuplicateImportRanges(code, importedNames) {
+  let ast;
+  try {
+    ast = parser.parse(code, {
+      sourceType: 'module',
+      plugins: ['jsx', 'typescript'],
+      errorRecovery: true
+    });
+  } catch (error) {
+    return [];
+  }
+  
+  const ranges = [];
+  const declarations = ast.program.body.filter(node => node.type === 'ImportDeclaration' && node.specifiers.length > 0);
+  
+  for (const declaration of declarations) {
+    const specifiers = declaration.specifiers;
+    const duplicates = specifiers.filter(specifier => importedNames.has(specifier.local.name));
+    specifiers.forEach(specifier => importedNames.add(specifier.local.name));
+    
+    if (duplicates.length === specifiers.length) {
+      ranges.push([declaration.start, declaration.end]);
+      continue;
+    }
+    
+    // 移除说明符时连同相邻的逗号一起移除，保持语句合法
+    for (const specifier of duplicates) {
+      const index = specifiers.indexOf(specifier);
+      const previous = specifiers[index - 1];
+      const following = code.slice(specifier.end).match(/^\s*,/);
+      
+      if (specifier.type === 'ImportNamespaceSpecifier') {
+        ranges.push([code.lastIndexOf(',', specifier.start), specifier.end]);
+      } else if (following) {
+        ranges.push([specifier.start, specifier.end + following[0].length]);
+      } else if (previous && previous.type === 'ImportSpecifier') {
+        ranges.push([code.lastIndexOf(',', specifier.start), specifier.end]);
+      } else {
+        ranges.push([specifier.start, specifier.end]);
+      }
+    }
+  }
+  
+  return ranges;
+}
+
+/**
+ * 拆分SFC的顶层代码块
+ * 脚本代码保留原文件中的位置（其余内容替换为空白，保留换行），解析出的行号与 .vue 文件一致；
+ * 多个脚本块合并为一个程序，后面的块中重复的导入绑定被移除
+ * @param {string} content - SFC内容
+ * @returns {Object} - { scriptCode, scripts: [{ setup, lang }], template: { content, startLine } 或 null }
+ */
+function parseSfc(content) {
+  const blockPattern = /<(script|template|style)\b([^>]*)>/gi;
+  const scriptRanges = [];
+  const scripts = [];
+  let template = null;
+  let match;
+  
+  while ((match = blockPattern.exec(content)) !== null) {
+    const [openTag, tag, attributes] = match;
+    const start = match.index + openTag.length;
+    const end = findBlockEnd(content, tag.toLowerCase(), start);
+    const langMatch = attributes.match(/\blang\s*=\s*["']([^"']+)["']/);
+    
+    if (tag.toLowerCase() === 'script') {
+      scriptRanges.push([start, end]);
+      scripts.push({
+        setup: /\bsetup\b/.test(attributes),
+        lang: langMatch ? langMatch[1] : 'js'
+      });
+    } else if (tag.toLowerCase() === 'template' && !template) {
+      template = {
+        content: content.slice(start, end),
+        startLine: content.slice(0, start).split('\n').length
+      };
+    }
+    
+    // 跳过块内容，避免匹配到块中的同名标签
+    blockPattern.lastIndex = end;
+  }
+  
+  // 脚本以外的内容替换为空白，后面的脚本块中已由前面的脚本块导入的绑定也替换为空白
+  let scriptCode = '';
+  let position = 0;
+  const importedNames = new Set();
+  for (const [start, end] of scriptRanges) {
+    const blockCode = content.slice(start, end);
+    scriptCode += content.slice(position, start).replace(/[^\n]/g, ' ') +
+      blankRanges(blockCode, getDuplicateImportRanges(blockCode, importedNames));
+    position = end;
+  }
+  scriptCode += content.slice(position).replace(/[^\n]/g, ' ');
+  
+  return { scriptCode, scripts, template };
+}
+
+/**
+ * 获取模板中使用的子组件（PascalCase 标签和含连字符的自定义标签，统一为 PascalCase）
+ * @param {Object|null} template - 模板块
+ * @returns {Array<string>} - 子组件名称数组
+ */
+function getTemplateComponents(template) {
+  if (!template) {
+    return [];
+  }
+  
+  const components = new Set();
+  const tagPattern = /<([A-Za-z][\w.-]*)/g;
+  let match;
+  
+  while ((match = tagPattern.exec(template.content)) !== null) {
+    const tag = match[1];
+    
+    // 小写且不含连字符的是HTML元素
+    if (!/^[A-Z]/.test(tag) && !tag.includes('-')) {
+      continue;
+    }
+    
+    const name = tag.includes('.') ? tag : toPascalCase(tag);
+    if (!VUE_BUILTIN_COMPONENTS.includes(name)) {
+      components.add(name);
+    }
+  }
+  
+  return Array.from(components);
+}
+
+/**
+ * 获取模板中的文本和静态属性值（如按钮文字、placeholder）
+ * @param {Object|null} template - 模板块
+ * @returns {Array<string>} - 文本数组
+ */
+function getTemplateTexts(template) {
+  if (!template) {
+    return [];
+  }
+  
+  const texts = [];
+  const pattern = />([^<]+)<|\s[\w-]+="([^"]*)"/g;
+  let match;
+  
+  while ((match = pattern.exec(template.content)) !== null) {
+    const text = (match[1] || match[2] || '').replace(/\{\{[\s\S]*?\}\}/g, ' ').trim();
+    if (text) {
+      texts.push(text);
+    }
+  }
+  
+  return texts;
+}
+
+/**
+ * 获取默认导出的组件选项对象：export default { ... }、export default defineComponent({ ... })
+ * @param {Object} declaration - 默认导出的声明节点
+ * @returns {Object|null} - ObjectExpression 节点
+ */
+function getComponentOptionsObject(declaration) {
+  if (declaration.type === 'ObjectExpression') {
+    return declaration;
+  }
+  
+  const isDefineCall = declaration.type === 'CallExpression' &&
+    declaration.arguments[0] &&
+    declaration.arguments[0].type === 'ObjectExpression';
+  
+  return isDefineCall ? declaration.arguments[0] : null;
+}
+
+/**
+ * 获取数组或对象形式声明的名称：['a', 'b'] 或 { a: String, b: { type: Number } }
+ * @param {Object} node - ArrayExpression 或 ObjectExpression 节点
+ * @returns {Array<string>} - 名称数组
+ */
+function getDeclaredNames(node) {
+  if (!node) {
+    return [];
+  }
+  if (node.type === 'ArrayExpression') {
+    return node.elements
+      .filter(element => element && element.type === 'StringLiteral')
+      .map(element => element.value);
+  }
+  
+  return node.type === 'ObjectExpression' ? getObjectKeys(node) : [];
+}
+
+/**
+ * 解析选项式API的组件选项
+ * @param {Object} options - 组件选项对象节点
+ * @returns {Object} - { name, props, emits, methods }
+ */
+function getOptionsInfo(options) {
+  const properties = {};
+  
+  for (const property of options.properties) {
+    const key = property.type === 'ObjectProperty' || property.type === 'ObjectMethod'
+      ? getKeyName(property.key, property.computed)
+      : null;
+    if (key) {
+      properties[key] = property.type === 'ObjectProperty' ? property.value : null;
+    }
+  }
+  
+  return {
+    name: properties.name && properties.name.type === 'StringLiteral' ? properties.name.value : null,
+    props: getDeclaredNames(properties.props),
+    emits: getDeclaredNames(properties.emits),
+    methods: properties.methods && properties.methods.type === 'ObjectExpression' ? getObjectKeys(properties.methods) : []
+  };
+}
+
+/**
+ * 获取 defineEmits 类型参数中声明的事件名
+ * 支持调用签名 { (e: 'change', id: number): void } 和 Vue 3.3 的属性写法 { change: [id: number] }
+ * @param {Object} typeNode - TS类型节点
+ * @param {Map} typeDeclarations - 文件中的接口和类型别名（名称 -> 类型节点）
+ * @returns {Array<string>} - 事件名数组
+ */
+function getEmitTypeNames(typeNode, typeDeclarations) {
+  if (!typeNode) {
+    return [];
+  }
+  if (typeNode.type === 'TSTypeReference' && typeNode.typeName.type === 'Identifier') {
+    const declared = typeDeclarations.get(typeNode.typeName.name);
+    return declared && declared !== typeNode ? getEmitTypeNames(declared, typeDeclarations) : [];
+  }
+  if (typeNode.type !== 'TSTypeLiteral') {
+    return [];
+  }
+  
+  return typeNode.members.flatMap(member => {
+    if (member.type === 'TSCallSignatureDeclaration') {
+      const eventParam = (member.parameters || member.params || [])[0];
+      const eventType = eventParam && eventParam.typeAnnotation && eventParam.typeAnnotation.typeAnnotation;
+      
+      // e: 'change' 或 e: 'change' | 'update'
+      const literals = eventType && eventType.type === 'TSUnionType' ? eventType.types : [eventType];
+      return literals
+        .filter(literal => literal && literal.type === 'TSLiteralType' && typeof literal.literal.value === 'string')
+        .map(literal => literal.literal.value);
+    }
+    
+    return member.type === 'TSPropertySignature' ? [getKeyName(member.key, member.computed)].filter(Boolean) : [];
+  });
+}
+
+/**
+ * 解析 <script setup> 中的编译器宏：defineProps、withDefaults、defineEmits、defineOptions
+ * @param {Object} node - CallExpression 节点
+ * @param {Map} typeDeclarations - 文件中的接口和类型别名（名称 -> 类型节点）
+ * @param {Map} typeMembers - 文件中的接口和类型别名（名称 -> 属性名数组）
+ * @returns {Object|null} - { name, props, emits }，不是编译器宏时为null
+ */
+function getMacroInfo(node, typeDeclarations, typeMembers) {
+  const macro = node.callee.type === 'Identifier' ? node.callee.name : null;
+  const typeArgument = node.typeParameters ? node.typeParameters.params[0] : null;
+  
+  switch (macro) {
+    case 'withDefaults':
+      return node.arguments[0] && node.arguments[0].type === 'CallExpression'
+        ? getMacroInfo(node.arguments[0], typeDeclarations, typeMembers)
+        : null;
+    case 'defineProps':
+      return {
+        props: typeArgument ? getTypeMemberNames(typeArgument, typeMembers) : getDeclaredNames(node.arguments[0])
+      };
+    case 'defineEmits':
+      return {
+        emits: typeArgument ? getEmitTypeNames(typeArgument, typeDeclarations) : getDeclaredNames(node.arguments[0])
+      };
+    case 'defineOptions':
+      return node.arguments[0] && node.arguments[0].type === 'ObjectExpression'
+        ? getOptionsInfo(node.arguments[0])
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 根据文件路径推断组件名（index.vue 使用目录名）
+ * @param {string} filePath - 文件路径
+ * @returns {string} - PascalCase 组件名
+ */
+function getSfcComponentName(filePath) {
+  return toPascalCase(getDefaultExportName(filePath));
+}
+
+module.exports = {
+  parseSfc,
+  getTemplateComponents,
+  getTemplateTexts,
+  getComponentOptionsObject,
+  getOptionsInfo,
+  getMacroInfo,
+  getSfcComponentName
+};
@@ -0,0 +1,50 @@
+/**
+ * Vue工具测试
+ */
+
+const { parseSfc, getTemplateComponents } = require('./vue-utils');
+
+const SFC = `<template>
+  <user-card :user="user" />
+</template>
+<script>
+import UserCard from './UserCard.vue';
+import { ref, computed } from 'vue';
+export default { name: 'UserPage' };
+</script>
+<script setup>
+import UserCard, { formatUser } from './UserCard.vue';
+import { computed, watch } from 'vue';
+const user = computed(() => formatUser(ref(null)));
+</script>
+`;
+
+describe('parseSfc', () => {
+  test('splits script blocks and the template', () => {
+    const sfc = parseSfc(SFC);
+    
+    expect(sfc.scripts).toEqual([{ setup: false, lang: 'js' }, { setup: true, lang: 'js' }]);
+    expect(sfc.template.startLine).toBe(1);
+    expect(getTemplateComponents(sfc.template)).toEqual(['UserCard']);
+  });
+  
+  test('keeps script positions so line numbers match the .vue file', () => {
+    const { scriptCode } = parseSfc(SFC);
+    
+    expect(scriptCode.length).toBe(SFC.length);
+    expect(scriptCode.split('\n')[11]).toBe('const user = computed(() => formatUser(ref(null)));');
+  });
+  
+  test('removes imports the setup block repeats from the first script block', () => {
+    const lines = parseSfc(SFC).scriptCode.split('\n');
+    
+    expect(lines[9].trim().replace(/\s+/g, ' ')).toBe("import { formatUser } from './UserCard.vue';");
+    expect(lines[10].trim().replace(/\s+/g, ' ')).toBe("import { watch } from 'vue';");
+  });
+  
+  test('removes an import statement whose bindings are all repeated', () => {
+    const { scriptCode } = parseSfc('<script>\nimport A from "a";\n</script>\n<script setup>\nimport A from "a";\n</script>\n');
+    
+    expect(scriptCode.split('\n')[4].trim()).toBe('');
+  });
+});
@@ -8,9 +8,11 @@ const path = require('path');
 const fs = require('fs-extra');
 const dotenv = require('dotenv');
 const logger = require('./utils/logger');
+const MemoryStore = require('./utils/memory-store');
 
 // 导入核心模块
 const PrdParser = require('./prd-parser');
+const PrdLinter = require('./prd-linter');
 const TaskDecomposer = require('./task-decomposer');
 const CodeMappingEngine = require('./code-mapping-engine');
 const PromptGenerator = require('./prompt-generator');
@@ -23,6 +25,12 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 运行期数据存储（解析后的PRD、任务拆分结果）
+app.locals.store = new MemoryStore();
+
+// 允许通过 filePath 读取PRD的目录
+app.locals.prdDir = path.resolve(process.env.PRD_DIR || path.join(__dirname, '../data/prds'));
+
 // 中间件配置
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -35,10 +43,12 @@ const initializeSystem = async () => {
     
     // 创建必要的目录
     await fs.ensureDir(path.join(__dirname, '../data'));
+    await fs.ensureDir(app.locals.prdDir);
     await fs.ensureDir(path.join(__dirname, '../output'));
     
     // 初始化各个模块
     const prdParser = new PrdParser();
+    const prdLinter = new PrdLinter();
     const taskDecomposer = new TaskDecomposer();
     const codeMappingEngine = new CodeMappingEngine();
     const promptGenerator = new PromptGenerator();
@@ -47,6 +57,7 @@ const initializeSystem = async () => {
     // 返回初始化的模块
     return {
       prdParser,
+      prdLinter,
       taskDecomposer,
       codeMappingEngine,
       promptGenerator,
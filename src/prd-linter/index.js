@@ -0,0 +1,309 @@
+/**
+ * PRD质量检查器入口文件
+ * 负责按标准PRD模板的规则检查解析后的PRD，给出完整度评分和可操作的修改建议
+ */
+
+// 模板中的章节位置，用于在检查结果中定位问题
+const SECTION_REFERENCES = {
+  features: '3.1 功能模块清单',
+  pages: '4.1 页面设计',
+  dataScenarios: '5.1 数据交互说明',
+  businessRules: '6.2 业务规则',
+  testScenarios: '9.1 测试场景'
+};
+
+// 功能类型标签
+const FEATURE_TYPES = ['用户界面', '服务端', '数据交互'];
+
+// 包含模糊词但含义明确的词语，检查前先排除
+const PRECISE_COMPOUNDS = [
+  '等待', '等级', '等于', '等同', '等号', '等候', '等价', '等效',
+  '平等', '相等', '同等', '对等', '高等', '初等', '中等', '均等', '不等', '上等', '次等', '优等'
+];
+
+class PrdLinter {
+  constructor(config = {}) {
+    this.config = {
+      vagueTerms: ['等', '适当', '尽量', '尽可能', '大概', '大约', '左右', '若干', '酌情', '视情况'],
+      weights: { error: 2, warning: 1 }, // 计算评分时各级别检查项的权重
+      ...config
+    };
+  }
+  
+  /**
+   * 检查PRD
+   * @param {Object} prd - PrdParser 输出的结构化PRD文档
+   * @returns {Object} - 检查结果 { score, passed, errors, warnings, summary }
+   */
+  lint(prd) {
+    if (!prd || typeof prd !== 'object') {
+      throw new Error('Invalid PRD document');
+    }
+    
+    const context = {
+      findings: [],
+      checks: { total: 0, passed: 0 }
+    };
+    
+    this.checkFeatures(prd, context);
+    this.checkDataScenarios(prd, context);
+    this.checkPages(prd, context);
+    this.checkVagueWording(prd, context);
+    this.checkUnparsedSections(prd, context);
+    
+    const errors = context.findings.filter(finding => finding.severity === 'error');
+    const warnings = context.findings.filter(finding => finding.severity === 'warning');
+    const score = context.checks.total > 0
+      ? Math.round((context.checks.passed / context.checks.total) * 100)
+      : 0;
+    
+    return {
+      score,
+      passed: errors.length === 0,
+      errors,
+      warnings,
+      summary: {
+        features: (prd.features || []).length,
+        pages: (prd.pages || []).length,
+        dataScenarios: (prd.dataScenarios || []).length,
+        errorCount: errors.length,
+        warningCount: warnings.length
+      }
+    };
+  }
+  
+  /**
+   * 记录一项检查，未通过时添加检查结果
+   * @param {Object} context - 检查上下文
+   * @param {boolean} ok - 是否通过
+   * @param {Object} finding - 检查结果（rule, severity, message, section, target, line, suggestion）
+   */
+  check(context, ok, finding) {
+    const weight = this.config.weights[finding.severity] || 1;
+    
+    context.checks.total += weight;
+    if (ok) {
+      context.checks.passed += weight;
+      return;
+    }
+    
+    context.findings.push({
+      rule: finding.rule,
+      severity: finding.severity,
+      message: finding.message,
+      section: finding.section || null,
+      target: finding.target || null,
+      line: finding.line || null,
+      suggestion: finding.suggestion || null
+    });
+  }
+  
+  /**
+   * 检查功能清单：功能类型、优先级和依赖功能
+   * @param {Object} prd - 结构化PRD文档
+   * @param {Object} context - 检查上下文
+   */
+  checkFeatures(prd, context) {
+    const features = prd.features || [];
+    const section = SECTION_REFERENCES.features;
+    const featureIds = new Set(features.map(feature => feature.id));
+    
+    this.check(context, features.length > 0, {
+      rule: 'features-required',
+      severity: 'error',
+      message: '未找到任何功能，无法进行任务拆分',
+      section,
+      suggestion: '在功能模块清单表格中至少填写一个功能（ID 格式为 F001）'
+    });
+    
+    for (const feature of features) {
+      const types = feature.types || [];
+      const unknownTypes = types.filter(type => !FEATURE_TYPES.includes(type));
+      
+      this.check(context, types.length > 0, {
+        rule: 'feature-type',
+        severity: 'error',
+        message: `功能 ${feature.id} 缺少功能类型标签`,
+        section,
+        target: feature.id,
+        line: feature.line,
+        suggestion: `在"功能类型"列填写 ${FEATURE_TYPES.map(type => `【${type}】`).join('/')} 中的一个或多个`
+      });
+      
+      if (unknownTypes.length > 0) {
+        this.check(context, false, {
+          rule: 'feature-type',
+          severity: 'warning',
+          message: `功能 ${feature.id} 包含无法识别的功能类型: ${unknownTypes.join('、')}`,
+          section,
+          target: feature.id,
+          line: feature.line,
+          suggestion: `功能类型只能使用 ${FEATURE_TYPES.map(type => `【${type}】`).join('/')}`
+        });
+      }
+      
+      this.check(context, Boolean(feature.priority), {
+        rule: 'feature-priority',
+        severity: 'error',
+        message: `功能 ${feature.id} 缺少优先级或优先级无效`,
+        section,
+        target: feature.id,
+        line: feature.line,
+        suggestion: '在"优先级"列填写 P0、P1、P2 或 P3'
+      });
+      
+      for (const dependencyId of feature.dependencies || []) {
+        this.check(context, featureIds.has(dependencyId) && dependencyId !== feature.id, {
+          rule: 'feature-dependency',
+          severity: 'error',
+          message: dependencyId === feature.id
+            ? `功能 ${feature.id} 依赖了自身`
+            : `功能 ${feature.id} 依赖的功能 ${dependencyId} 不存在`,
+          section,
+          target: feature.id,
+          line: feature.line,
+          suggestion: '依赖功能只能引用功能模块清单中已有的其他功能ID，没有依赖时填写"无"'
+        });
+      }
+    }
+  }
+  
+  /**
+   * 检查数据交互场景：输入、输出和业务规则
+   * @param {Object} prd - 结构化PRD文档
+   * @param {Object} context - 检查上下文
+   */
+  checkDataScenarios(prd, context) {
+    const section = SECTION_REFERENCES.dataScenarios;
+    const parts = [
+      { field: 'inputs', name: '输入数据', suggestion: '在"数据内容"中添加 "- 输入：字段1、字段2"' },
+      { field: 'outputs', name: '输出数据', suggestion: '在"数据内容"中添加 "- 输出：字段1、字段2"' },
+      { field: 'businessRules', name: '业务规则', suggestion: '在"业务规则"下以列表形式逐条列出校验和处理规则' }
+    ];
+    
+    for (const scenario of prd.dataScenarios || []) {
+      for (const part of parts) {
+        this.check(context, (scenario[part.field] || []).length > 0, {
+          rule: 'scenario-completeness',
+          severity: 'error',
+          message: `数据场景 ${scenario.id} 缺少${part.name}`,
+          section,
+          target: scenario.id,
+          line: scenario.line,
+          suggestion: part.suggestion
+        });
+      }
+    }
+  }
+  
+  /**
+   * 检查页面设计：页面类型
+   * @param {Object} prd - 结构化PRD文档
+   * @param {Object} context - 检查上下文
+   */
+  checkPages(prd, context) {
+    for (const page of prd.pages || []) {
+      this.check(context, Boolean(page.type), {
+        rule: 'page-type',
+        severity: 'error',
+        message: `页面 ${page.id} 缺少页面类型`,
+        section: SECTION_REFERENCES.pages,
+        target: page.id,
+        line: page.line,
+        suggestion: '在"页面类型"中填写【新增页面】或【修改现有页面】'
+      });
+    }
+  }
+  
+  /**
+   * 检查模糊表述（如 等/适当/尽量），模糊的需求会导致拆分出的任务无法验收
+   * @param {Object} prd - 结构化PRD文档
+   * @param {Object} context - 检查上下文
+   */
+  checkVagueWording(prd, context) {
+    for (const item of this.collectTexts(prd)) {
+      const terms = this.findVagueTerms(item.text);
+      
+      this.check(context, terms.length === 0, {
+        rule: 'vague-wording',
+        severity: 'warning',
+        message: `${item.label}包含模糊表述: ${terms.map(term => `"${term}"`).join('、')}`,
+        section: item.section,
+        target: item.target,
+        line: item.line,
+        suggestion: '用明确的数值、范围或完整列表替换模糊表述'
+      });
+    }
+  }
+  
+  /**
+   * 检查无法解析的章节
+   * @param {Object} prd - 结构化PRD文档
+   * @param {Object} context - 检查上下文
+   */
+  checkUnparsedSections(prd, context) {
+    for (const item of prd.unparsedSections || []) {
+      this.check(context, false, {
+        rule: 'unparsed-section',
+        severity: 'warning',
+        message: `${item.section}（第 ${item.line}-${item.endLine} 行）无法解析: ${item.reason}`,
+        section: item.section,
+        line: item.line,
+        suggestion: '按标准PRD模板的格式调整该部分内容'
+      });
+    }
+  }
+  
+  /**
+   * 收集需要检查措辞的文本
+   * @param {Object} prd - 结构化PRD文档
+   * @returns {Array} - 文本数组 [{ text, label, section, target, line }]
+   */
+  collectTexts(prd) {
+    const texts = [];
+    const add = (text, label, section, record) => {
+      if (text) {
+        texts.push({ text, label, section, target: record.id || null, line: record.line || null });
+      }
+    };
+    
+    for (const feature of prd.features || []) {
+      add(feature.description, `功能 ${feature.id} 的描述`, SECTION_REFERENCES.features, feature);
+    }
+    for (const page of prd.pages || []) {
+      add(page.description, `页面 ${page.id} 的页面功能`, SECTION_REFERENCES.pages, page);
+    }
+    for (const scenario of prd.dataScenarios || []) {
+      add(scenario.description, `数据场景 ${scenario.id} 的描述`, SECTION_REFERENCES.dataScenarios, scenario);
+      (scenario.businessRules || []).forEach((rule, index) => {
+        add(rule, `数据场景 ${scenario.id} 的第 ${index + 1} 条业务规则`, SECTION_REFERENCES.dataScenarios, scenario);
+      });
+    }
+    for (const rule of prd.businessRules || []) {
+      (rule.rules || []).forEach((text, index) => {
+        add(text, `业务规则 ${rule.id} 的第 ${index + 1} 条描述`, SECTION_REFERENCES.businessRules, rule);
+      });
+    }
+    for (const scenario of prd.testScenarios || []) {
+      add(scenario.expected, `测试场景 ${scenario.id} 的预期结果`, SECTION_REFERENCES.testScenarios, scenario);
+    }
+    
+    return texts;
+  }
+  
+  /**
+   * 查找文本中的模糊词
+   * @param {string} text - 文本
+   * @returns {Array<string>} - 出现的模糊词
+   */
+  findVagueTerms(text) {
+    let normalized = text;
+    for (const compound of PRECISE_COMPOUNDS) {
+      normalized = normalized.split(compound).join(' ');
+    }
+    
+    return this.config.vagueTerms.filter(term => normalized.includes(term));
+  }
+}
+
+module.exports = PrdLinter;
@@ -0,0 +1,138 @@
+/**
+ * PRD质量检查器测试
+ * 每条规则使用一份通过的和一份不通过的结构化PRD
+ */
+
+const PrdLinter = require('./index');
+
+const VALID_PRD = {
+  title: '用户中心',
+  features: [
+    { id: 'F001', description: '用户通过账号密码登录', types: ['用户界面', '服务端'], priority: 'P0', dependencies: [], line: 10 },
+    { id: 'F002', description: '展示用户资料', types: ['数据交互'], priority: 'P1', dependencies: ['F001'], line: 11 }
+  ],
+  pages: [
+    { id: 'P001', type: '新增页面', description: '展示登录表单', line: 20 }
+  ],
+  dataScenarios: [
+    {
+      id: 'D001',
+      description: '用户登录验证',
+      inputs: ['用户名', '密码'],
+      outputs: ['访问令牌'],
+      businessRules: ['密码长度至少6位'],
+      line: 30
+    }
+  ],
+  businessRules: [
+    { id: 'R001', rules: ['连续失败5次后锁定账号30分钟'], line: 40 }
+  ],
+  testScenarios: [
+    { id: 'T001', expected: '登录成功并跳转首页', line: 50 }
+  ],
+  unparsedSections: []
+};
+
+/**
+ * 复制合法的PRD并修改
+ * @param {Function} change - 修改函数，参数为复制的PRD
+ * @returns {Object} - 修改后的PRD
+ */
+function changePrd(change) {
+  const prd = JSON.parse(JSON.stringify(VALID_PRD));
+  change(prd);
+  return prd;
+}
+
+describe('PrdLinter', () => {
+  let linter;
+  
+  beforeEach(() => {
+    linter = new PrdLinter();
+  });
+  
+  test('gives a complete PRD a full score without findings', () => {
+    const result = linter.lint(VALID_PRD);
+    
+    expect(result).toMatchObject({ score: 100, passed: true, errors: [], warnings: [] });
+    expect(result.summary).toEqual({ features: 2, pages: 1, dataScenarios: 1, errorCount: 0, warningCount: 0 });
+  });
+  
+  test('rejects a missing document', () => {
+    expect(() => linter.lint(null)).toThrow('Invalid PRD document');
+  });
+  
+  test.each([
+    [
+      'features-required',
+      prd => prd,
+      prd => { prd.features = []; },
+      { severity: 'error', section: '3.1 功能模块清单' }
+    ],
+    [
+      'feature-type',
+      prd => { prd.features[0].types = ['用户界面', '服务端', '数据交互']; },
+      prd => { prd.features[0].types = []; },
+      { severity: 'error', target: 'F001', line: 10 }
+    ],
+    [
+      'feature-priority',
+      prd => { prd.features[1].priority = 'P3'; },
+      prd => { prd.features[1].priority = null; },
+      { severity: 'error', target: 'F002', line: 11 }
+    ],
+    [
+      'feature-dependency',
+      prd => { prd.features.push({ ...prd.features[1], id: 'F003', dependencies: ['F001', 'F002'] }); },
+      prd => { prd.features[1].dependencies = ['F009']; },
+      { severity: 'error', target: 'F002', message: '功能 F002 依赖的功能 F009 不存在' }
+    ],
+    [
+      'scenario-completeness',
+      prd => { prd.dataScenarios[0].outputs.push('用户信息'); },
+      prd => { prd.dataScenarios[0].inputs = []; },
+      { severity: 'error', target: 'D001', message: '数据场景 D001 缺少输入数据' }
+    ],
+    [
+      'page-type',
+      prd => { prd.pages[0].type = '修改现有页面'; },
+      prd => { prd.pages[0].type = null; },
+      { severity: 'error', target: 'P001', section: '4.1 页面设计', line: 20 }
+    ],
+    [
+      'vague-wording',
+      prd => { prd.businessRules[0].rules.push('等待3秒后允许重试'); },
+      prd => { prd.businessRules[0].rules.push('尽量在1秒内返回'); },
+      { severity: 'warning', target: 'R001', message: '业务规则 R001 的第 2 条描述包含模糊表述: "尽量"' }
+    ],
+    [
+      'unparsed-section',
+      prd => { prd.unparsedSections = []; },
+      prd => { prd.unparsedSections = [{ section: '5.1 数据交互说明', line: 31, endLine: 33, reason: '无法识别的数据流向: 先提交再保存' }]; },
+      { severity: 'warning', line: 31, message: '5.1 数据交互说明（第 31-33 行）无法解析: 无法识别的数据流向: 先提交再保存' }
+    ]
+  ])('%s passes a valid PRD and reports an invalid one', (rule, makeValid, makeInvalid, expected) => {
+    const valid = linter.lint(changePrd(makeValid));
+    const invalid = linter.lint(changePrd(makeInvalid));
+    const findings = result => [...result.errors, ...result.warnings].filter(finding => finding.rule === rule);
+    
+    expect(findings(valid)).toEqual([]);
+    expect(findings(invalid)).toEqual([expect.objectContaining({ rule, ...expected })]);
+    expect(invalid.score).toBeLessThan(valid.score);
+  });
+  
+  test('reports a feature that depends on itself', () => {
+    const result = linter.lint(changePrd(prd => { prd.features[0].dependencies = ['F001']; }));
+    
+    expect(result.errors.map(error => error.message)).toEqual(['功能 F001 依赖了自身']);
+  });
+  
+  test('warns about unknown feature types alongside known ones', () => {
+    const result = linter.lint(changePrd(prd => { prd.features[0].types = ['用户界面', '后台']; }));
+    
+    expect(result.passed).toBe(true);
+    expect(result.warnings).toEqual([
+      expect.objectContaining({ rule: 'feature-type', message: '功能 F001 包含无法识别的功能类型: 后台' })
+    ]);
+  });
+});
@@ -0,0 +1,968 @@
+/**
+ * PRD解析器入口文件
+ * 负责将标准PRD模板（Markdown）解析为结构化的JSON文档
+ */
+
+const fs = require('fs-extra');
+const {
+  splitLines,
+  isFenceLine,
+  cleanValue,
+  extractTags,
+  splitList,
+  matchKeyValue,
+  matchListItem,
+  parseTable
+} = require('./utils/markdown-utils');
+
+/**
+ * @typedef {Object} PrdFeature
+ * @property {string} id - 功能ID（如 F001）
+ * @property {string} name - 功能名称
+ * @property {string|null} description - 功能描述
+ * @property {Array<string>} types - 功能类型标签（用户界面/服务端/数据交互）
+ * @property {string|null} priority - 优先级（P0-P3）
+ * @property {Array<string>} dependencies - 依赖的功能ID
+ * @property {number} line - 所在行号
+ */
+
+/**
+ * @typedef {Object} PrdDataScenario
+ * @property {string} id - 场景ID（如 D001）
+ * @property {string|null} description - 场景描述
+ * @property {string|null} trigger - 触发条件
+ * @property {Array<string>} dataFlow - 数据流向（如 ['前端', '后端', '数据库']）
+ * @property {Array<string>} inputs - 输入数据
+ * @property {Array<string>} outputs - 输出数据
+ * @property {Array<string>} businessRules - 业务规则
+ * @property {number} line - 所在行号
+ */
+
+/**
+ * @typedef {Object} PrdUnparsedSection
+ * @property {string} section - 章节标题
+ * @property {number} line - 起始行号
+ * @property {number} endLine - 结束行号
+ * @property {string} reason - 无法解析的原因
+ */
+
+/**
+ * @typedef {Object} PrdDocument
+ * @property {string|null} title - 文档标题
+ * @property {Object} documentInfo - 文档基本信息
+ * @property {Object} overview - 需求概述
+ * @property {Array<PrdFeature>} features - 功能模块清单
+ * @property {Array<Object>} pages - 页面设计（P001...）
+ * @property {Array<Object>} components - UI组件（C001...）
+ * @property {Array<PrdDataScenario>} dataScenarios - 数据交互场景（D001...）
+ * @property {Array<Object>} entities - 数据实体
+ * @property {Array<Object>} processes - 业务流程
+ * @property {Array<Object>} businessRules - 业务规则（R001...）
+ * @property {Array<Object>} systemDependencies - 系统依赖
+ * @property {Array<Object>} thirdPartyServices - 第三方服务
+ * @property {Object} nonFunctional - 非功能性需求
+ * @property {Array<Object>} testScenarios - 测试场景（T001...）
+ * @property {Array<string>} edgeCases - 边界条件与异常场景
+ * @property {Object} launchPlan - 上线与运营计划
+ * @property {Object} technicalAppendix - 技术附录
+ * @property {Array<PrdUnparsedSection>} unparsedSections - 无法解析的章节及行号
+ * @property {Object} metadata - 解析元数据
+ */
+
+// 章节定义：按标题关键词识别一级章节
+const SECTION_DEFINITIONS = [
+  { key: 'documentInfo', keywords: ['文档基本信息'] },
+  { key: 'overview', keywords: ['需求概述'] },
+  { key: 'features', keywords: ['功能详细说明', '功能模块清单'] },
+  { key: 'userInterface', keywords: ['用户界面需求'] },
+  { key: 'dataAndApi', keywords: ['数据与接口需求'] },
+  { key: 'businessLogic', keywords: ['业务规则与逻辑'] },
+  { key: 'integration', keywords: ['系统集成与依赖'] },
+  { key: 'nonFunctional', keywords: ['非功能性需求'] },
+  { key: 'testing', keywords: ['测试要点'] },
+  { key: 'launch', keywords: ['上线与运营计划'] },
+  { key: 'technicalAppendix', keywords: ['技术附录'] },
+  { key: 'guide', keywords: ['产品经理指南'], ignored: true }
+];
+
+// 文档基本信息字段映射
+const DOCUMENT_INFO_FIELDS = {
+  '文档标题': 'title',
+  '版本号': 'version',
+  '作者': 'author',
+  '最后更新日期': 'lastUpdated',
+  '文档状态': 'status',
+  '优先级': 'priority',
+  '预计开发工时': 'estimatedEffort'
+};
+
+// 表格列映射
+const FEATURE_COLUMNS = {
+  'ID': 'id',
+  '功能名称': 'name',
+  '功能描述': 'description',
+  '功能类型': 'types',
+  '优先级': 'priority',
+  '依赖功能': 'dependencies'
+};
+
+const SYSTEM_DEPENDENCY_COLUMNS = {
+  '依赖系统': 'system',
+  '依赖功能': 'feature',
+  '依赖说明': 'description',
+  '是否已就绪': 'ready'
+};
+
+const THIRD_PARTY_COLUMNS = {
+  '服务名称': 'name',
+  '集成目的': 'purpose',
+  '接口文档': 'documentation',
+  '对接人': 'contact'
+};
+
+const TEST_SCENARIO_COLUMNS = {
+  '场景ID': 'id',
+  '场景描述': 'description',
+  '预期结果': 'expected',
+  '测试重点': 'focus'
+};
+
+// 键值记录字段（首个字段为记录起始字段）
+const RECORD_KEYS = {
+  page: ['页面ID', '页面名称', '页面类型', '页面位置', '页面功能', '页面设计稿链接'],
+  component: ['组件ID', '组件名称', '组件类型', '组件功能', '组件字段', '交互行为', '状态说明', '参考示例'],
+  dataScenario: ['场景ID', '场景描述', '触发条件', '数据流向', '数据内容', '业务规则'],
+  entity: ['实体名称', '实体描述', '关键字段'],
+  process: ['流程名称', '流程步骤'],
+  businessRule: ['规则ID', '规则名称', '规则描述'],
+  technicalAppendix: ['技术栈', '代码位置', '接口规范', '数据库变更']
+};
+
+class PrdParser {
+  constructor(config = {}) {
+    this.config = {
+      encoding: 'utf-8',
+      ...config
+    };
+  }
+  
+  /**
+   * 读取并解析PRD文件
+   * @param {string} filePath - PRD文件路径
+   * @returns {Promise<PrdDocument>} - 结构化PRD文档
+   */
+  async parseFile(filePath) {
+    const content = await fs.readFile(filePath, this.config.encoding);
+    return this.parse(content, { source: filePath });
+  }
+  
+  /**
+   * 解析PRD Markdown文本
+   * @param {string} markdown - PRD Markdown内容
+   * @param {Object} options - 解析选项
+   * @returns {PrdDocument} - 结构化PRD文档
+   */
+  parse(markdown, options = {}) {
+    if (typeof markdown !== 'string') {
+      throw new Error('PRD content must be a string');
+    }
+    
+    const lines = splitLines(markdown);
+    const context = { unparsedSections: [] };
+    
+    const document = {
+      title: null,
+      documentInfo: {},
+      overview: {},
+      features: [],
+      pages: [],
+      components: [],
+      dataScenarios: [],
+      entities: [],
+      processes: [],
+      businessRules: [],
+      systemDependencies: [],
+      thirdPartyServices: [],
+      nonFunctional: {},
+      testScenarios: [],
+      edgeCases: [],
+      launchPlan: {},
+      technicalAppendix: {},
+      unparsedSections: context.unparsedSections,
+      metadata: {
+        source: options.source || null,
+        parsedAt: new Date().toISOString(),
+        totalLines: lines.length
+      }
+    };
+    
+    // 一级标题作为文档标题
+    const heading = lines.find(item => /^#\s+/.test(item.text));
+    if (heading) {
+      document.title = heading.text.replace(/^#\s+/, '').trim();
+    }
+    
+    // 按章节解析
+    for (const section of this.splitSections(lines, context)) {
+      this.parseSection(section, document, context);
+    }
+    
+    if (document.documentInfo.title) {
+      document.title = document.documentInfo.title;
+    }
+    
+    context.unparsedSections.sort((a, b) => a.line - b.line);
+    
+    return document;
+  }
+  
+  /**
+   * 将文档拆分为一级章节（## 标题）
+   * @param {Array} lines - 带行号的行数组
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 章节数组
+   */
+  splitSections(lines, context) {
+    const sections = [];
+    let current = null;
+    
+    for (const item of lines) {
+      const match = item.text.match(/^##\s+(.+?)\s*$/);
+      
+      if (match) {
+        if (current) {
+          sections.push(this.closeSection(current));
+        }
+        
+        const title = match[1];
+        const definition = SECTION_DEFINITIONS.find(def =>
+          def.keywords.some(keyword => title.includes(keyword))
+        );
+        
+        current = {
+          key: definition ? definition.key : null,
+          ignored: definition ? Boolean(definition.ignored) : false,
+          title,
+          line: item.line,
+          lines: []
+        };
+      } else if (current && !isFenceLine(item.text)) {
+        current.lines.push(item);
+      }
+    }
+    
+    if (current) {
+      sections.push(this.closeSection(current));
+    }
+    
+    // 记录无法识别的章节
+    for (const section of sections) {
+      if (!section.key && this.hasContent(section.lines)) {
+        this.reportUnparsed(context, section, section.lines, `无法识别的章节: ${section.title}`);
+      }
+    }
+    
+    return sections.filter(section => section.key && !section.ignored);
+  }
+  
+  /**
+   * 结束章节：计算结束行号并拆分二级小节
+   * @param {Object} section - 章节对象
+   * @returns {Object} - 章节对象
+   */
+  closeSection(section) {
+    const lastLine = section.lines.length > 0
+      ? section.lines[section.lines.length - 1].line
+      : section.line;
+    
+    // 去除模板中的说明性提示行（如 [为每个页面提供以下信息：]）和分隔线
+    section.lines = section.lines.filter(item =>
+      !/^\s*\[[^\]]*\]\s*$/.test(item.text) && !/^\s*(-{3,}|\*{3,}|_{3,})\s*$/.test(item.text)
+    );
+    section.endLine = lastLine;
+    section.subsections = this.splitSubsections(section);
+    
+    return section;
+  }
+  
+  /**
+   * 拆分二级小节（如 3.1 功能模块清单）
+   * @param {Object} section - 章节对象
+   * @returns {Array} - 小节数组
+   */
+  splitSubsections(section) {
+    const subsections = [];
+    let current = {
+      number: null,
+      title: section.title,
+      line: section.line,
+      lines: []
+    };
+    
+    for (const item of section.lines) {
+      const match = item.text.match(/^\s*(?:#{3,6}\s*)?(\d+\.\d+)\s+(.+?)\s*$/);
+      
+      if (match) {
+        subsections.push(current);
+        current = {
+          number: match[1],
+          title: `${match[1]} ${match[2]}`,
+          line: item.line,
+          lines: []
+        };
+      } else {
+        current.lines.push(item);
+      }
+    }
+    
+    subsections.push(current);
+    
+    return subsections.filter(sub => sub.number || this.hasContent(sub.lines));
+  }
+  
+  /**
+   * 解析单个章节
+   * @param {Object} section - 章节对象
+   * @param {PrdDocument} document - 结构化文档
+   * @param {Object} context - 解析上下文
+   */
+  parseSection(section, document, context) {
+    switch (section.key) {
+      case 'documentInfo':
+        document.documentInfo = this.parseDocumentInfo(section, context);
+        break;
+      case 'overview':
+        document.overview = this.parseTextSubsections(section, {
+          '背景与目标': 'background',
+          '用户价值': 'userValue',
+          '功能范围': 'scope'
+        });
+        break;
+      case 'features':
+        document.features = this.parseFeatures(section, context);
+        break;
+      case 'userInterface':
+        document.pages = this.parsePages(this.findSubsection(section, '页面设计'), context);
+        document.components = this.parseComponents(this.findSubsection(section, '组件'), context);
+        break;
+      case 'dataAndApi':
+        document.dataScenarios = this.parseDataScenarios(this.findSubsection(section, '数据交互'), context);
+        document.entities = this.parseEntities(this.findSubsection(section, '数据模型'), context);
+        break;
+      case 'businessLogic':
+        document.processes = this.parseProcesses(this.findSubsection(section, '业务流程'), context);
+        document.businessRules = this.parseBusinessRules(this.findSubsection(section, '业务规则'), context);
+        break;
+      case 'integration':
+        document.systemDependencies = this.parseTableSection(
+          this.findSubsection(section, '系统依赖'),
+          SYSTEM_DEPENDENCY_COLUMNS,
+          context
+        ).map(row => ({ ...row, ready: this.parseBoolean(row.ready) }));
+        document.thirdPartyServices = this.parseTableSection(
+          this.findSubsection(section, '第三方'),
+          THIRD_PARTY_COLUMNS,
+          context
+        );
+        break;
+      case 'nonFunctional':
+        document.nonFunctional = this.parseTextSubsections(section, {
+          '性能': 'performance',
+          '安全': 'security',
+          '兼容': 'compatibility'
+        });
+        break;
+      case 'testing':
+        document.testScenarios = this.parseTableSection(
+          this.findSubsection(section, '测试场景'),
+          TEST_SCENARIO_COLUMNS,
+          context,
+          { idPattern: /^T\d+$/ }
+        );
+        document.edgeCases = this.parseListSection(this.findSubsection(section, '边界'));
+        break;
+      case 'launch':
+        document.launchPlan = this.parseTextSubsections(section, {
+          '上线计划': 'schedule',
+          '运营策略': 'operations',
+          '效果评估': 'evaluation'
+        });
+        break;
+      case 'technicalAppendix':
+        document.technicalAppendix = this.parseTechnicalAppendix(section, context);
+        break;
+      default:
+        break;
+    }
+  }
+  
+  /**
+   * 查找标题包含关键词的小节
+   * @param {Object} section - 章节对象
+   * @param {string} keyword - 标题关键词
+   * @returns {Object|null} - 小节对象
+   */
+  findSubsection(section, keyword) {
+    return section.subsections.find(sub => sub.number && sub.title.includes(keyword)) || null;
+  }
+  
+  /**
+   * 解析文档基本信息
+   * @param {Object} section - 章节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Object} - 文档基本信息
+   */
+  parseDocumentInfo(section, context) {
+    const info = {};
+    
+    for (const item of section.lines) {
+      if (!item.text.trim()) {
+        continue;
+      }
+      
+      const pair = matchKeyValue(item.text);
+      const field = pair && DOCUMENT_INFO_FIELDS[pair.key];
+      
+      if (field) {
+        info[field] = cleanValue(pair.value);
+      } else {
+        this.reportUnparsed(context, section, [item], `无法识别的文档信息字段: ${item.text.trim()}`);
+      }
+    }
+    
+    // 优先级只保留 P0-P3
+    if (info.priority && !/^P[0-3]$/.test(info.priority)) {
+      info.priority = null;
+    }
+    
+    return info;
+  }
+  
+  /**
+   * 解析功能模块清单表格
+   * @param {Object} section - 章节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array<PrdFeature>} - 功能数组
+   */
+  parseFeatures(section, context) {
+    const subsection = this.findSubsection(section, '功能模块') || { title: section.title, line: section.line, lines: section.lines };
+    
+    return this.parseTableSection(subsection, FEATURE_COLUMNS, context, { idPattern: /^F\d+$/ })
+      .map(row => ({
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        types: extractTags(row.types),
+        priority: row.priority && /^P[0-3]$/.test(row.priority) ? row.priority : null,
+        dependencies: this.parseIdList(row.dependencies),
+        line: row.line
+      }));
+  }
+  
+  /**
+   * 解析页面设计
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 页面数组
+   */
+  parsePages(subsection, context) {
+    return this.parseRecordSection(subsection, RECORD_KEYS.page, /^P\d+$/, context)
+      .map(record => ({
+        id: record.id,
+        name: this.fieldText(record, '页面名称'),
+        type: this.fieldTag(record, '页面类型'),
+        location: this.fieldText(record, '页面位置'),
+        description: this.fieldText(record, '页面功能'),
+        designLink: this.fieldText(record, '页面设计稿链接'),
+        line: record.line
+      }));
+  }
+  
+  /**
+   * 解析UI组件
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 组件数组
+   */
+  parseComponents(subsection, context) {
+    return this.parseRecordSection(subsection, RECORD_KEYS.component, /^C\d+$/, context)
+      .map(record => ({
+        id: record.id,
+        name: this.fieldText(record, '组件名称'),
+        type: this.fieldTag(record, '组件类型'),
+        description: this.fieldText(record, '组件功能'),
+        fields: this.fieldItems(record, '组件字段'),
+        interaction: this.fieldText(record, '交互行为'),
+        states: this.fieldText(record, '状态说明'),
+        reference: this.fieldText(record, '参考示例'),
+        line: record.line
+      }));
+  }
+  
+  /**
+   * 解析数据交互场景
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array<PrdDataScenario>} - 数据场景数组
+   */
+  parseDataScenarios(subsection, context) {
+    return this.parseRecordSection(subsection, RECORD_KEYS.dataScenario, /^D\d+$/, context)
+      .map(record => {
+        const content = { inputs: [], outputs: [] };
+        
+        // 数据内容格式为 "- 输入：a、b" / "- 输出：c、d"
+        for (const entry of this.fieldItems(record, '数据内容')) {
+          const pair = matchKeyValue(entry);
+          if (pair && pair.key === '输入') {
+            content.inputs.push(...splitList(pair.value));
+          } else if (pair && pair.key === '输出') {
+            content.outputs.push(...splitList(pair.value));
+          }
+        }
+        
+        return {
+          id: record.id,
+          description: this.fieldText(record, '场景描述'),
+          trigger: this.fieldText(record, '触发条件'),
+          dataFlow: this.parseDataFlow(record, subsection, context),
+          inputs: content.inputs,
+          outputs: content.outputs,
+          businessRules: this.fieldItems(record, '业务规则'),
+          line: record.line
+        };
+      });
+  }
+  
+  /**
+   * 解析数据流向：优先使用【】标签，没有标签时按箭头（→、->、=>）拆分，
+   * 两者都无法识别时记录为无法解析的内容
+   * @param {Object} record - 数据场景记录
+   * @param {Object} subsection - 所属小节
+   * @param {Object} context - 解析上下文
+   * @returns {Array<string>} - 依次经过的环节
+   */
+  parseDataFlow(record, subsection, context) {
+    const text = this.fieldText(record, '数据流向');
+    if (!text) {
+      return [];
+    }
+    
+    const tags = extractTags(text);
+    if (tags.length > 0) {
+      return tags;
+    }
+    
+    const steps = text.split(/\s*(?:→|->|=>)\s*/).map(step => step.trim()).filter(Boolean);
+    if (steps.length > 1) {
+      return steps;
+    }
+    
+    this.reportUnparsed(context, subsection, [record.fields['数据流向']], `无法识别的数据流向: ${text}`);
+    return [];
+  }
+  
+  /**
+   * 解析数据实体
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 实体数组
+   */
+  parseEntities(subsection, context) {
+    return this.parseRecordSection(subsection, RECORD_KEYS.entity, null, context)
+      .map(record => ({
+        name: record.id,
+        description: this.fieldText(record, '实体描述'),
+        fields: this.fieldItems(record, '关键字段').map(entry => {
+          const pair = matchKeyValue(entry);
+          return pair
+            ? { name: pair.key, description: pair.value || null }
+            : { name: entry, description: null };
+        }),
+        line: record.line
+      }));
+  }
+  
+  /**
+   * 解析业务流程
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 流程数组
+   */
+  parseProcesses(subsection, context) {
+    return this.parseRecordSection(subsection, RECORD_KEYS.process, null, context)
+      .map(record => ({
+        name: record.id,
+        steps: this.fieldItems(record, '流程步骤'),
+        line: record.line
+      }));
+  }
+  
+  /**
+   * 解析业务规则
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 规则数组
+   */
+  parseBusinessRules(subsection, context) {
+    return this.parseRecordSection(subsection, RECORD_KEYS.businessRule, /^R\d+$/, context)
+      .map(record => ({
+        id: record.id,
+        name: this.fieldText(record, '规则名称'),
+        rules: this.fieldItems(record, '规则描述'),
+        line: record.line
+      }));
+  }
+  
+  /**
+   * 解析技术附录
+   * @param {Object} section - 章节对象
+   * @param {Object} context - 解析上下文
+   * @returns {Object} - 技术附录
+   */
+  parseTechnicalAppendix(section, context) {
+    const subsection = { title: section.title, line: section.line, lines: section.lines };
+    const keys = RECORD_KEYS.technicalAppendix;
+    const record = this.parseRecords(subsection, { startKeys: keys, knownKeys: keys, merge: true }, context)[0];
+    
+    if (!record) {
+      return {
+        techStack: [],
+        codeLocations: [],
+        apiSpec: null,
+        databaseChanges: null
+      };
+    }
+    
+    const codeLocations = this.fieldItems(record, '代码位置')
+      .flatMap(entry => entry.split(/\s+/))
+      .map(entry => entry.replace(/[`'"]/g, ''))
+      .filter(entry => /[/\\]|\.\w+$/.test(entry));
+    
+    return {
+      techStack: this.fieldItems(record, '技术栈'),
+      codeLocations,
+      apiSpec: this.fieldText(record, '接口规范'),
+      databaseChanges: this.fieldText(record, '数据库变更')
+    };
+  }
+  
+  /**
+   * 按小节标题关键词解析纯文本小节
+   * @param {Object} section - 章节对象
+   * @param {Object} fieldMap - 标题关键词到字段名的映射
+   * @returns {Object} - 文本字段对象
+   */
+  parseTextSubsections(section, fieldMap) {
+    const result = {};
+    
+    for (const [keyword, field] of Object.entries(fieldMap)) {
+      const subsection = this.findSubsection(section, keyword);
+      result[field] = subsection ? this.joinText(subsection.lines) : null;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * 解析列表小节
+   * @param {Object|null} subsection - 小节对象
+   * @returns {Array<string>} - 列表项数组
+   */
+  parseListSection(subsection) {
+    if (!subsection) {
+      return [];
+    }
+    
+    return subsection.lines
+      .map(item => matchListItem(item.text) || item.text.trim())
+      .filter(text => text.length > 0);
+  }
+  
+  /**
+   * 解析表格小节
+   * @param {Object|null} subsection - 小节对象
+   * @param {Object} columnMap - 表头到字段名的映射
+   * @param {Object} context - 解析上下文
+   * @param {Object} options - 选项（idPattern: 首列ID格式）
+   * @returns {Array} - 行对象数组
+   */
+  parseTableSection(subsection, columnMap, context, options = {}) {
+    if (!subsection || !this.hasContent(subsection.lines)) {
+      return [];
+    }
+    
+    const table = parseTable(subsection.lines);
+    if (!table) {
+      this.reportUnparsed(context, subsection, subsection.lines, '未找到有效的Markdown表格');
+      return [];
+    }
+    
+    // 按表头名称映射列，兼容列顺序调整
+    const columns = table.headers.map(header => columnMap[header] || null);
+    const missing = Object.keys(columnMap).filter(header => !table.headers.includes(header));
+    if (missing.length > 0) {
+      this.reportUnparsed(
+        context,
+        subsection,
+        [{ line: table.startLine }],
+        `表格缺少列: ${missing.join(', ')}`
+      );
+      return [];
+    }
+    
+    const rows = [];
+    const idField = columnMap[table.headers[0]];
+    
+    for (const row of table.rows) {
+      if (row.cells.length !== table.headers.length) {
+        this.reportUnparsed(context, subsection, [row], `表格行列数不匹配（期望 ${table.headers.length} 列，实际 ${row.cells.length} 列）`);
+        continue;
+      }
+      
+      const record = {};
+      columns.forEach((field, index) => {
+        if (field) {
+          record[field] = cleanValue(row.cells[index]);
+        }
+      });
+      record.line = row.line;
+      
+      if (options.idPattern && !(record[idField] && options.idPattern.test(record[idField]))) {
+        this.reportUnparsed(context, subsection, [row], `无效的ID: ${row.cells[0] || '(空)'}`);
+        continue;
+      }
+      
+      rows.push(record);
+    }
+    
+    return rows;
+  }
+  
+  /**
+   * 解析以ID字段开头的键值记录小节（如 页面ID: P001）
+   * @param {Object|null} subsection - 小节对象
+   * @param {Array<string>} keys - 记录字段名（首个为ID字段）
+   * @param {RegExp|null} idPattern - ID格式
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 记录数组
+   */
+  parseRecordSection(subsection, keys, idPattern, context) {
+    if (!subsection || !this.hasContent(subsection.lines)) {
+      return [];
+    }
+    
+    const idKey = keys[0];
+    const records = this.parseRecords(subsection, { startKeys: [idKey], knownKeys: keys }, context);
+    const valid = [];
+    
+    for (const record of records) {
+      const id = this.fieldText(record, idKey);
+      
+      if (!id || (idPattern && !idPattern.test(id))) {
+        this.reportUnparsed(
+          context,
+          subsection,
+          [{ line: record.line }, { line: record.endLine }],
+          `${idKey} 缺失或格式无效: ${id || '(空)'}`
+        );
+        continue;
+      }
+      
+      valid.push({ ...record, id });
+    }
+    
+    return valid;
+  }
+  
+  /**
+   * 解析键值记录
+   * 遇到起始字段时开始新记录；列表项、续行和未知字段归入当前字段
+   * @param {Object} subsection - 小节对象
+   * @param {Object} options - 选项（startKeys: 起始字段，knownKeys: 已知字段，merge: 合并为一条记录）
+   * @param {Object} context - 解析上下文
+   * @returns {Array} - 记录数组，格式为 [{ line, endLine, fields }]
+   */
+  parseRecords(subsection, options, context) {
+    const { startKeys, knownKeys = null, merge = false } = options;
+    const records = [];
+    let record = null;
+    let field = null;
+    const orphanLines = [];
+    
+    for (const item of subsection.lines) {
+      const text = item.text.trim();
+      if (!text) {
+        continue;
+      }
+      
+      const listItem = matchListItem(item.text);
+      let pair = listItem === null ? matchKeyValue(item.text) : null;
+      
+      // 未知字段（如接口规范中的 "请求体: ..."）视为当前字段的续行
+      if (pair && knownKeys && !knownKeys.includes(pair.key) && field) {
+        pair = null;
+      }
+      
+      if (pair && startKeys.includes(pair.key) && (!merge || !record)) {
+        record = { line: item.line, endLine: item.line, fields: {} };
+        records.push(record);
+      }
+      
+      if (!record) {
+        orphanLines.push(item);
+        continue;
+      }
+      
+      record.endLine = item.line;
+      
+      if (pair) {
+        field = { value: pair.value, items: [], line: item.line };
+        record.fields[pair.key] = field;
+      } else if (field && listItem !== null) {
+        field.items.push(listItem);
+      } else if (field) {
+        // 续行追加到当前字段
+        field.value = field.value ? `${field.value}\n${text}` : text;
+      } else {
+        orphanLines.push(item);
+      }
+    }
+    
+    if (orphanLines.length > 0) {
+      this.reportUnparsed(context, subsection, orphanLines, '内容不属于任何记录，无法解析');
+    }
+    
+    return records;
+  }
+  
+  /**
+   * 获取记录字段的文本值
+   * @param {Object} record - 记录对象
+   * @param {string} key - 字段名
+   * @returns {string|null} - 文本值
+   */
+  fieldText(record, key) {
+    const field = record.fields[key];
+    if (!field) {
+      return null;
+    }
+    
+    const parts = [field.value, ...field.items].filter(Boolean);
+    return cleanValue(parts.join('\n'));
+  }
+  
+  /**
+   * 获取记录字段的【】标签值
+   * @param {Object} record - 记录对象
+   * @param {string} key - 字段名
+   * @returns {string|null} - 标签值
+   */
+  fieldTag(record, key) {
+    const text = this.fieldText(record, key);
+    if (!text) {
+      return null;
+    }
+    
+    const tags = extractTags(text);
+    return tags.length > 0 ? tags.join('/') : text;
+  }
+  
+  /**
+   * 获取记录字段的列表值（优先使用列表项，否则按分隔符拆分）
+   * @param {Object} record - 记录对象
+   * @param {string} key - 字段名
+   * @returns {Array<string>} - 列表值
+   */
+  fieldItems(record, key) {
+    const field = record.fields[key];
+    if (!field) {
+      return [];
+    }
+    
+    if (field.items.length > 0) {
+      return field.items.map(item => cleanValue(item)).filter(Boolean);
+    }
+    
+    return splitList(cleanValue(field.value));
+  }
+  
+  /**
+   * 解析ID列表（如 "F001, F002"，"无" 表示空）
+   * @param {string|null} text - 输入文本
+   * @returns {Array<string>} - ID数组
+   */
+  parseIdList(text) {
+    if (!text || /^(无|-|—|N\/A)$/i.test(text.trim())) {
+      return [];
+    }
+    
+    return text
+      .split(/[\s,，、;；]+/)
+      .map(id => id.trim())
+      .filter(id => id.length > 0);
+  }
+  
+  /**
+   * 解析是/否值
+   * @param {string|null} text - 输入文本
+   * @returns {boolean|null} - 布尔值，无法识别时返回 null
+   */
+  parseBoolean(text) {
+    if (!text) {
+      return null;
+    }
+    
+    if (/^(是|已就绪|yes|true|Y)$/i.test(text)) {
+      return true;
+    }
+    
+    if (/^(否|未就绪|no|false|N)$/i.test(text)) {
+      return false;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 合并文本行
+   * @param {Array} lines - 带行号的行数组
+   * @returns {string|null} - 合并后的文本
+   */
+  joinText(lines) {
+    const text = lines
+      .map(item => item.text.trim())
+      .filter(Boolean)
+      .join('\n');
+    
+    return cleanValue(text);
+  }
+  
+  /**
+   * 判断行数组是否包含有效内容
+   * @param {Array} lines - 带行号的行数组
+   * @returns {boolean} - 是否包含内容
+   */
+  hasContent(lines) {
+    return lines.some(item => item.text.trim().length > 0);
+  }
+  
+  /**
+   * 记录无法解析的内容及其行号
+   * @param {Object} context - 解析上下文
+   * @param {Object} section - 所属章节或小节
+   * @param {Array} lines - 相关行
+   * @param {string} reason - 原因
+   */
+  reportUnparsed(context, section, lines, reason) {
+    const lineNumbers = lines.map(item => item.line).filter(Boolean);
+    
+    context.unparsedSections.push({
+      section: section.title,
+      line: lineNumbers.length > 0 ? Math.min(...lineNumbers) : section.line,
+      endLine: lineNumbers.length > 0 ? Math.max(...lineNumbers) : section.line,
+      reason
+    });
+  }
+}
+
+module.exports = PrdParser;
@@ -0,0 +1,67 @@
+/**
+ * PRD解析器测试
+ * 使用 docs 中的标准PRD模板作为输入
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const PrdParser = require('./index');
+
+const TEMPLATE_PRD = path.join(__dirname, '../../docs/标准PRD模板设计（适用于AI任务拆解系统）.md');
+
+describe('PrdParser', () => {
+  let parser;
+  let template;
+  
+  beforeAll(async () => {
+    template = await fs.readFile(TEMPLATE_PRD, 'utf-8');
+  });
+  
+  beforeEach(() => {
+    parser = new PrdParser();
+  });
+  
+  test('parses the standard template without unparsed sections', () => {
+    const prd = parser.parse(template);
+    
+    expect(prd.features.map(feature => feature.id)).toEqual(['F001', 'F002']);
+    expect(prd.features[0].name).toBe('用户登录');
+    expect(prd.pages.length).toBeGreaterThan(0);
+    expect(prd.businessRules[0].id).toBe('R001');
+    expect(prd.unparsedSections).toEqual([]);
+  });
+  
+  test('parses data scenarios with tagged data flow, inputs and outputs', () => {
+    const [scenario] = parser.parse(template).dataScenarios;
+    
+    expect(scenario).toMatchObject({
+      id: 'D001',
+      trigger: '用户点击登录按钮',
+      dataFlow: ['前端', '后端', '数据库'],
+      inputs: ['用户名', '密码'],
+      outputs: ['登录状态', '用户信息', '访问令牌']
+    });
+  });
+  
+  test.each([
+    ['前端 → 后端 → 数据库'],
+    ['前端 -> 后端 -> 数据库'],
+    ['前端=>后端=>数据库']
+  ])('splits untagged data flow %s on arrows', dataFlow => {
+    const prd = parser.parse(template.replace('【前端】→【后端】→【数据库】', dataFlow));
+    
+    expect(prd.dataScenarios[0].dataFlow).toEqual(['前端', '后端', '数据库']);
+    expect(prd.unparsedSections).toEqual([]);
+  });
+  
+  test('reports data flow without tags or arrows as unparsed', () => {
+    const content = template.replace('【前端】→【后端】→【数据库】', '先提交再保存');
+    const line = content.split('\n').findIndex(text => text.includes('先提交再保存')) + 1;
+    const prd = parser.parse(content);
+    
+    expect(prd.dataScenarios[0].dataFlow).toEqual([]);
+    expect(prd.unparsedSections).toEqual([
+      expect.objectContaining({ line, reason: '无法识别的数据流向: 先提交再保存' })
+    ]);
+  });
+});
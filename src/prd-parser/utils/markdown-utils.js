@@ -0,0 +1,206 @@
+/**
+ * Markdown工具
+ * 提供PRD文档解析所需的Markdown基础处理函数
+ */
+
+/**
+ * 将文本拆分为带行号的行数组
+ * @param {string} text - 原始文本
+ * @returns {Array} - 行数组，格式为 [{ line: 行号, text: 行内容 }]
+ */
+function splitLines(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((content, index) => ({ line: index + 1, text: content }));
+}
+
+/**
+ * 判断行是否为代码块围栏
+ * @param {string} text - 行内容
+ * @returns {boolean} - 是否为围栏行
+ */
+function isFenceLine(text) {
+  return /^\s*(```|~~~)/.test(text);
+}
+
+/**
+ * 判断值是否为模板占位符（如 [姓名]、【新增页面/修改现有页面】）
+ * @param {string} value - 字段值
+ * @returns {boolean} - 是否为占位符
+ */
+function isPlaceholder(value) {
+  if (!value) {
+    return true;
+  }
+  
+  const trimmed = value.trim();
+  
+  if (/^\[[^\]]*\]$/.test(trimmed) || trimmed === 'YYYY-MM-DD') {
+    return true;
+  }
+  
+  // 仍保留多个可选项的标签（如【新增页面/修改现有页面】）视为未填写
+  return /^【[^】]*\/[^】]*】$/.test(trimmed);
+}
+
+/**
+ * 清理字段值，占位符返回 null
+ * @param {string} value - 字段值
+ * @returns {string|null} - 清理后的值
+ */
+function cleanValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  
+  const trimmed = value.trim();
+  return isPlaceholder(trimmed) ? null : trimmed;
+}
+
+/**
+ * 提取【】标签内容
+ * @param {string} text - 输入文本
+ * @returns {Array} - 标签数组
+ */
+function extractTags(text) {
+  if (!text) {
+    return [];
+  }
+  
+  const tags = [];
+  const pattern = /【([^】]+)】/g;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    tags.push(match[1].trim());
+  }
+  
+  return tags;
+}
+
+/**
+ * 按分隔符拆分列表值（支持中英文逗号、顿号、分号）
+ * @param {string} text - 输入文本
+ * @returns {Array} - 拆分后的数组
+ */
+function splitList(text) {
+  if (!text) {
+    return [];
+  }
+  
+  return text
+    .split(/[,，、;；]/)
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * 匹配键值行（同时支持中英文冒号）
+ * @param {string} text - 行内容
+ * @returns {Object|null} - { key, value }，不匹配时返回 null
+ */
+function matchKeyValue(text) {
+  const match = text.match(/^\s*([^\s:：\-|#>*\d[【][^:：|]{0,19}?)\s*[:：]\s*(.*)$/);
+  
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    key: match[1].trim(),
+    value: match[2].trim()
+  };
+}
+
+/**
+ * 匹配列表项（无序列表或有序列表）
+ * @param {string} text - 行内容
+ * @returns {string|null} - 列表项内容，不匹配时返回 null
+ */
+function matchListItem(text) {
+  const match = text.match(/^\s*(?:[-*+]|\d+[.、)])\s+(.*)$/);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * 判断行是否为表格行
+ * @param {string} text - 行内容
+ * @returns {boolean} - 是否为表格行
+ */
+function isTableRow(text) {
+  return /^\s*\|.*\|\s*$/.test(text);
+}
+
+/**
+ * 拆分表格行为单元格
+ * @param {string} text - 表格行
+ * @returns {Array} - 单元格数组
+ */
+function splitTableRow(text) {
+  return text
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map(cell => cell.trim());
+}
+
+/**
+ * 判断行是否为表格分隔行（如 |---|---|）
+ * @param {string} text - 行内容
+ * @returns {boolean} - 是否为分隔行
+ */
+function isTableSeparator(text) {
+  return isTableRow(text) && splitTableRow(text).every(cell => /^:?-{2,}:?$/.test(cell));
+}
+
+/**
+ * 从行数组中解析第一个Markdown表格
+ * @param {Array} lines - 带行号的行数组
+ * @returns {Object|null} - { headers, rows: [{ line, cells }], startLine }，无表格时返回 null
+ */
+function parseTable(lines) {
+  const startIndex = lines.findIndex(
+    (item, index) => isTableRow(item.text) && lines[index + 1] && isTableSeparator(lines[index + 1].text)
+  );
+  
+  if (startIndex === -1) {
+    return null;
+  }
+  
+  const headers = splitTableRow(lines[startIndex].text);
+  const rows = [];
+  
+  for (let i = startIndex + 2; i < lines.length; i++) {
+    if (!isTableRow(lines[i].text)) {
+      break;
+    }
+    
+    rows.push({
+      line: lines[i].line,
+      cells: splitTableRow(lines[i].text)
+    });
+  }
+  
+  return {
+    headers,
+    rows,
+    startLine: lines[startIndex].line
+  };
+}
+
+module.exports = {
+  splitLines,
+  isFenceLine,
+  isPlaceholder,
+  cleanValue,
+  extractTags,
+  splitList,
+  matchKeyValue,
+  matchListItem,
+  isTableRow,
+  splitTableRow,
+  isTableSeparator,
+  parseTable
+};
@@ -0,0 +1,406 @@
+/**
+ * 提示词生成器入口文件
+ * 负责根据任务和代码映射结果，生成面向AI编码工具的七段式提示词
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+
+// 任务类型名称
+const TASK_TYPE_NAMES = {
+  frontend: '前端任务（FE）',
+  backend: '后端任务（BE）',
+  api: '接口任务（API）'
+};
+
+// 各编辑器的文件引用格式
+const EDITOR_PROFILES = {
+  generic: { fileReference: filePath => `\`${filePath}\`` },
+  cursor: { fileReference: filePath => `@${filePath}` },
+  trae: { fileReference: filePath => `\`${filePath}\`` }
+};
+
+class PromptGenerator {
+  constructor(config = {}) {
+    this.config = {
+      templatesDir: path.join(__dirname, 'templates'), // 内置模板目录
+      projectTemplatesDir: '.prd-prompts', // 项目内的模板覆盖目录（相对项目根目录）
+      defaultEditor: 'generic',
+      maxDependentElements: 10, // 依赖代码中最多列出的代码元素数
+      ...config
+    };
+    
+    this.templateCache = new Map();
+  }
+  
+  /**
+   * 生成任务的提示词
+   * @param {Object} task - 任务对象（TaskDecomposer 输出）
+   * @param {Object} suggestions - CodeMappingEngine.generateCodeModificationSuggestions 的输出
+   * @param {Object} options - 生成选项（editor, projectDir, projectContext, techStack, codeStyle, apiSpec）
+   * @returns {Promise<Object>} - 提示词结果
+   */
+  async generatePrompt(task, suggestions = {}, options = {}) {
+    if (!task || !task.id) {
+      throw new Error('Task with an id is required to generate a prompt');
+    }
+    
+    const editor = options.editor || this.config.defaultEditor;
+    const profile = EDITOR_PROFILES[editor] || EDITOR_PROFILES.generic;
+    const template = await this.loadTemplate(editor, options.projectDir);
+    
+    // 文件引用统一使用相对项目根目录的路径
+    const fileReference = filePath => profile.fileReference(this.toProjectPath(filePath, options.projectDir));
+    
+    // 构建七个部分
+    const sections = {
+      context: this.buildContextSection(task, options),
+      task: this.buildTaskSection(task),
+      filePaths: this.buildFilePathsSection(task, suggestions, fileReference),
+      dependentCode: this.buildDependentCodeSection(suggestions, fileReference),
+      interfaceSpec: this.buildInterfaceSection(task, options),
+      businessRules: this.buildListSection([...(task.businessRules || []), ...(options.businessRules || [])]),
+      testPoints: this.buildTestPointsSection(task)
+    };
+    
+    const prompt = this.renderTemplate(template.content, {
+      taskId: task.id,
+      taskTitle: task.title || '',
+      ...sections
+    });
+    
+    return {
+      taskId: task.id,
+      editor,
+      template: template.source,
+      prompt,
+      sections,
+      generatedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * 批量生成提示词
+   * @param {Array} tasks - 任务数组
+   * @param {Object} suggestionsByTask - 任务ID到代码修改建议的映射
+   * @param {Object} options - 生成选项
+   * @returns {Promise<Array>} - 提示词结果数组
+   */
+  async generatePrompts(tasks, suggestionsByTask = {}, options = {}) {
+    const results = [];
+    
+    for (const task of tasks) {
+      results.push(await this.generatePrompt(task, suggestionsByTask[task.id] || {}, options));
+    }
+    
+    return results;
+  }
+  
+  /**
+   * 加载模板：优先使用项目目录中的覆盖模板，其次使用内置模板
+   * @param {string} editor - 目标编辑器
+   * @param {string} projectDir - 项目根目录
+   * @returns {Promise<Object>} - { content, source }
+   */
+  async loadTemplate(editor, projectDir) {
+    if (!/^[\w-]+$/.test(editor)) {
+      const error = new Error(`Invalid editor name: ${editor}`);
+      error.code = 'INVALID_EDITOR';
+      throw error;
+    }
+    
+    const candidates = [];
+    if (projectDir) {
+      candidates.push(path.resolve(projectDir, this.config.projectTemplatesDir, `${editor}.md`));
+    }
+    candidates.push(path.join(this.config.templatesDir, `${editor}.md`));
+    
+    for (const candidate of candidates) {
+      if (this.templateCache.has(candidate)) {
+        return this.templateCache.get(candidate);
+      }
+      
+      if (await fs.pathExists(candidate)) {
+        const template = {
+          content: await fs.readFile(candidate, 'utf-8'),
+          source: candidate
+        };
+        
+        // 只缓存内置模板，项目模板可能随时被修改
+        if (candidate.startsWith(this.config.templatesDir)) {
+          this.templateCache.set(candidate, template);
+        }
+        
+        return template;
+      }
+    }
+    
+    const error = new Error(`Prompt template not found for editor: ${editor}`);
+    error.code = 'TEMPLATE_NOT_FOUND';
+    throw error;
+  }
+  
+  /**
+   * 列出可用的模板（内置模板和项目覆盖模板）
+   * @param {string} projectDir - 项目根目录
+   * @returns {Promise<Array>} - 模板数组 [{ editor, source, overridden }]
+   */
+  async listTemplates(projectDir) {
+    const listDir = async (dir) => {
+      if (!dir || !(await fs.pathExists(dir))) {
+        return [];
+      }
+      
+      return (await fs.readdir(dir))
+        .filter(file => file.endsWith('.md'))
+        .map(file => ({ editor: path.basename(file, '.md'), source: path.join(dir, file) }));
+    };
+    
+    const builtIn = await listDir(this.config.templatesDir);
+    const project = await listDir(projectDir && path.resolve(projectDir, this.config.projectTemplatesDir));
+    
+    const templates = new Map(builtIn.map(item => [item.editor, { ...item, overridden: false }]));
+    for (const item of project) {
+      templates.set(item.editor, { ...item, overridden: true });
+    }
+    
+    return Array.from(templates.values());
+  }
+  
+  /**
+   * 渲染模板
+   * 支持 {{name}} 占位符和 {{#name}}...{{/name}} 条件块（值为空时整块省略）
+   * @param {string} template - 模板内容
+   * @param {Object} values - 占位符值
+   * @returns {string} - 渲染结果
+   */
+  renderTemplate(template, values) {
+    const output = template
+      .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, key, body) => (values[key] ? body : ''))
+      .replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? values[key] : ''));
+    
+    return `${output.replace(/\n{3,}/g, '\n\n').trim()}\n`;
+  }
+  
+  /**
+   * 构建上下文信息：项目背景、技术栈、代码风格
+   * @param {Object} task - 任务对象
+   * @param {Object} options - 生成选项
+   * @returns {string} - 段落文本
+   */
+  buildContextSection(task, options) {
+    const lines = [];
+    const techStack = [...new Set([...(options.techStack || []), ...(task.techTags || [])])];
+    
+    if (options.projectContext) {
+      lines.push(`项目背景：${options.projectContext}`);
+    }
+    if (task.featureId) {
+      lines.push(`所属功能：${task.featureId}${task.featureName ? ` ${task.featureName}` : ''}`);
+    }
+    if (techStack.length > 0) {
+      lines.push(`技术栈：${techStack.join(', ')}`);
+    }
+    if (options.codeStyle) {
+      lines.push(`代码风格：${options.codeStyle}`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * 构建任务描述
+   * @param {Object} task - 任务对象
+   * @returns {string} - 段落文本
+   */
+  buildTaskSection(task) {
+    const lines = [];
+    
+    if (task.type) {
+      lines.push(`类型：${TASK_TYPE_NAMES[task.type] || task.type}`);
+    }
+    lines.push(`描述：${task.description || task.title || ''}`);
+    
+    if (task.inputs && task.inputs.length > 0) {
+      lines.push('输入：', ...task.inputs.map(input => `- ${input}`));
+    }
+    if (task.outputs && task.outputs.length > 0) {
+      lines.push('输出：', ...task.outputs.map(output => `- ${output}`));
+    }
+    if (task.dependencies && task.dependencies.length > 0) {
+      lines.push(`前置任务：${task.dependencies.join(', ')}`);
+    }
+    if (task.estimatedDays) {
+      lines.push(`预估工时：${task.estimatedDays}天`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * 构建代码位置：映射到的文件、函数及行号范围
+   * @param {Object} task - 任务对象
+   * @param {Object} suggestions - 代码修改建议
+   * @param {Function} fileReference - 文件引用格式化函数
+   * @returns {string} - 段落文本
+   */
+  buildFilePathsSection(task, suggestions, fileReference) {
+    const mappingResults = suggestions.mappingResults || [];
+    const changePlan = (suggestions.changeImpact && suggestions.changeImpact.changePlan) || {};
+    const primaryFiles = (changePlan.primaryChanges || []).map(change => change.filePath);
+    
+    // 映射结果中出现但变更计划未列出的文件也需要修改
+    for (const result of mappingResults) {
+      if (result.codeElement.filePath && !primaryFiles.includes(result.codeElement.filePath)) {
+        primaryFiles.push(result.codeElement.filePath);
+      }
+    }
+    
+    const lines = [];
+    
+    for (const filePath of primaryFiles) {
+      lines.push(`- ${fileReference(filePath)}`);
+      
+      const elements = mappingResults.filter(result =>
+        result.codeElement.filePath === filePath && result.codeElement.type !== 'file'
+      );
+      for (const result of elements) {
+        const { type, name, qualifiedName, location } = result.codeElement;
+        const confidence = result.mapping ? `，置信度 ${result.mapping.confidence}` : '';
+        lines.push(`  - ${type} \`${qualifiedName || name}\`${this.formatLineRange(location)}${confidence}`);
+      }
+    }
+    
+    // 任务指定的代码位置（可能是需要新建的文件）
+    if (task.codeLocation && !primaryFiles.some(filePath => filePath.endsWith(task.codeLocation))) {
+      lines.push(`- ${fileReference(task.codeLocation)}（任务指定位置，不存在时新建）`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * 构建依赖代码：需检查适配的文件、需验证的依赖及相关代码元素
+   * @param {Object} suggestions - 代码修改建议
+   * @param {Function} fileReference - 文件引用格式化函数
+   * @returns {string} - 段落文本
+   */
+  buildDependentCodeSection(suggestions, fileReference) {
+    const changeImpact = suggestions.changeImpact || {};
+    const changePlan = changeImpact.changePlan || {};
+    const lines = [];
+    
+    const secondary = changePlan.secondaryChanges || [];
+    if (secondary.length > 0) {
+      lines.push('可能受影响、需检查适配的文件：');
+      secondary.forEach(change => lines.push(`- ${fileReference(change.filePath)}`));
+    }
+    
+    const checks = changePlan.dependencyChecks || [];
+    if (checks.length > 0) {
+      lines.push('需要验证的依赖文件：');
+      checks.forEach(change => lines.push(`- ${fileReference(change.filePath)}`));
+    }
+    
+    const dependencyNodes = ((changeImpact.impactAnalysis && changeImpact.impactAnalysis.dependencyNodes) || [])
+      .map(entry => entry.node)
+      .filter(node => node && node.type !== 'file')
+      .slice(0, this.config.maxDependentElements);
+    
+    if (dependencyNodes.length > 0) {
+      lines.push('依赖的代码元素：');
+      for (const node of dependencyNodes) {
+        const name = node.className ? `${node.className}.${node.name}` : node.name;
+        const filePath = node.filePath || node.path;
+        lines.push(`- ${node.type} \`${name}\` — ${fileReference(filePath)}${this.formatLineRange(node.loc)}`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * 构建接口规范
+   * @param {Object} task - 任务对象
+   * @param {Object} options - 生成选项（apiSpec: PRD技术附录中的接口规范）
+   * @returns {string} - 段落文本
+   */
+  buildInterfaceSection(task, options) {
+    const lines = [];
+    
+    if (task.apiPath) {
+      lines.push(`${task.apiMethod ? `${task.apiMethod} ` : ''}${task.apiPath}`);
+      if (task.inputs && task.inputs.length > 0) {
+        lines.push(`请求参数：${task.inputs.join('、')}`);
+      }
+      if (task.outputs && task.outputs.length > 0) {
+        lines.push(`响应数据：${task.outputs.join('、')}`);
+      }
+    }
+    
+    if (options.apiSpec) {
+      lines.push(options.apiSpec);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * 构建测试要点
+   * @param {Object} task - 任务对象
+   * @returns {string} - 段落文本
+   */
+  buildTestPointsSection(task) {
+    return (task.testPoints || [])
+      .map(point => {
+        if (typeof point === 'string') {
+          return `- ${point}`;
+        }
+        
+        const expected = point.expected ? `，预期：${point.expected}` : '';
+        return `- ${point.id ? `${point.id} ` : ''}${point.description}${expected}`;
+      })
+      .join('\n');
+  }
+  
+  /**
+   * 构建编号列表
+   * @param {Array<string>} items - 列表项
+   * @returns {string} - 段落文本
+   */
+  buildListSection(items) {
+    return [...new Set(items)].map((item, index) => `${index + 1}. ${item}`).join('\n');
+  }
+  
+  /**
+   * 将绝对路径转换为相对项目根目录的路径
+   * @param {string} filePath - 文件路径
+   * @param {string} projectDir - 项目根目录
+   * @returns {string} - 相对路径（不在项目目录下时原样返回）
+   */
+  toProjectPath(filePath, projectDir) {
+    if (!projectDir || !path.isAbsolute(filePath)) {
+      return filePath;
+    }
+    
+    const relativePath = path.relative(path.resolve(projectDir), filePath);
+    return relativePath && !relativePath.startsWith('..') ? relativePath.split(path.sep).join('/') : filePath;
+  }
+  
+  /**
+   * 格式化行号范围
+   * @param {Object} location - 位置对象 { start, end }
+   * @returns {string} - 行号范围文本
+   */
+  formatLineRange(location) {
+    if (!location || !location.start) {
+      return '';
+    }
+    
+    return location.end && location.end !== location.start
+      ? `（第 ${location.start}-${location.end} 行）`
+      : `（第 ${location.start} 行）`;
+  }
+}
+
+module.exports = PromptGenerator;
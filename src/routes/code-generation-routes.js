@@ -0,0 +1,58 @@
+/**
+ * 代码生成路由
+ * 负责将任务提示词导出为AI编码工具可使用的提示词包
+ */
+
+const express = require('express');
+const TaskGraph = require('../task-graph');
+const {
+  asyncHandler,
+  mapErrorStatus,
+  getModule,
+  getStore,
+  resolveTasks,
+  generateTaskPrompts
+} = require('../utils/route-utils');
+
+const router = express.Router();
+
+/**
+ * 生成并导出提示词包
+ * 请求体 { tasks } 或 { prdId, taskIds }，可选 name、editor 及其他提示词生成选项
+ * 任务按依赖关系的执行顺序导出
+ */
+router.post('/export', asyncHandler(async (req, res) => {
+  const codeGenerator = getModule(req, 'codeGenerator');
+  const tasks = resolveTasks(getStore(req), req.body);
+  
+  // 按拓扑顺序排列，因依赖环无法排序的任务放在最后
+  const { order, blocked } = new TaskGraph(tasks).getTopologicalOrder();
+  const taskMap = new Map(tasks.map(task => [task.id, task]));
+  const orderedTasks = [...order, ...blocked].map(id => taskMap.get(id));
+  
+  const prompts = await generateTaskPrompts(req, orderedTasks, req.body.suggestions || {});
+  const result = await codeGenerator.exportPrompts(prompts, {
+    name: req.body.name,
+    title: req.body.title
+  });
+  
+  res.status(201).json(result);
+}));
+
+/**
+ * 列出已导出的提示词包
+ */
+router.get('/exports', asyncHandler(async (req, res) => {
+  const codeGenerator = getModule(req, 'codeGenerator');
+  
+  res.json({ exports: await codeGenerator.listExports() });
+}));
+
+// 提示词生成器和代码生成器的错误码对应的HTTP状态码
+router.use(mapErrorStatus({
+  INVALID_EDITOR: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  INVALID_EXPORT_NAME: 400
+}));
+
+module.exports = router;
@@ -0,0 +1,182 @@
+/**
+ * 代码映射路由
+ * 负责初始化代码映射引擎、将任务映射到代码、预测变更影响并维护项目术语表
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs-extra');
+const { asyncHandler, createHttpError, getModule, getStore, mapErrorStatus, resolveTask } = require('../utils/route-utils');
+
+const router = express.Router();
+
+/**
+ * 获取已初始化的代码映射引擎
+ * @param {Object} req - 请求对象
+ * @returns {Object} - 代码映射引擎
+ */
+function getInitializedEngine(req) {
+  const codeMappingEngine = getModule(req, 'codeMappingEngine');
+  if (!codeMappingEngine.codeIndex) {
+    throw createHttpError(409, 'Code mapping engine not initialized. POST /api/code-mapping/initialize first.');
+  }
+  
+  return codeMappingEngine;
+}
+
+/**
+ * 在代码库上初始化代码映射引擎
+ * 请求体 { codebasePath, watch }，watch 为 true 时监听代码库变化并增量更新索引
+ */
+router.post('/initialize', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getModule(req, 'codeMappingEngine');
+  const { codebasePath, watch } = req.body || {};
+  
+  if (!codebasePath) {
+    throw createHttpError(400, 'codebasePath is required');
+  }
+  
+  const resolvedPath = path.resolve(codebasePath);
+  if (!(await fs.pathExists(resolvedPath)) || !(await fs.stat(resolvedPath)).isDirectory()) {
+    throw createHttpError(404, `Codebase directory not found: ${codebasePath}`);
+  }
+  
+  if (watch !== undefined && typeof watch !== 'boolean') {
+    throw createHttpError(400, 'watch must be a boolean');
+  }
+  
+  await codeMappingEngine.initialize(resolvedPath, { watch });
+  
+  res.json({
+    codebasePath: resolvedPath,
+    indexVersion: codeMappingEngine.indexVersion,
+    watching: Boolean(codeMappingEngine.watcher),
+    index: codeMappingEngine.codeIndex.metadata
+  });
+}));
+
+/**
+ * 获取代码映射引擎状态
+ */
+router.get('/status', (req, res) => {
+  const codeMappingEngine = getModule(req, 'codeMappingEngine');
+  
+  res.json({
+    initialized: Boolean(codeMappingEngine.codeIndex),
+    codebasePath: codeMappingEngine.codebasePath || null,
+    indexVersion: codeMappingEngine.indexVersion,
+    watching: Boolean(codeMappingEngine.watcher),
+    index: codeMappingEngine.codeIndex ? codeMappingEngine.codeIndex.metadata : null
+  });
+});
+
+/**
+ * 将任务映射到代码位置
+ * 请求体 { task } 或 { prdId, taskId }
+ */
+router.post('/map', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  const task = resolveTask(getStore(req), req.body);
+  
+  // 映射开始时的索引版本，与每个映射结果中的 indexVersion 一致
+  const indexVersion = codeMappingEngine.indexVersion;
+  const mappingResults = await codeMappingEngine.mapTaskToCode(task);
+  
+  res.json({ taskId: task.id, indexVersion, mappingResults });
+}));
+
+/**
+ * 映射任务并预测代码变更影响，返回完整的代码修改建议
+ * 请求体 { task } 或 { prdId, taskId }
+ */
+router.post('/predict', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  const task = resolveTask(getStore(req), req.body);
+  
+  const suggestions = await codeMappingEngine.generateCodeModificationSuggestions(task);
+  
+  res.json({ taskId: task.id, ...suggestions });
+}));
+
+/**
+ * 获取代码库的术语表
+ */
+router.get('/glossary', (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  
+  res.json({
+    glossaryFile: codeMappingEngine.glossary.getFilePath(),
+    entries: codeMappingEngine.glossary.entries
+  });
+});
+
+/**
+ * 新增或替换术语条目
+ * 请求体 { synonyms, identifiers, directories, routes, description }，术语取自路径参数
+ */
+router.put('/glossary/entries/:term', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  
+  const entry = await codeMappingEngine.glossary.setEntry({ ...(req.body || {}), term: req.params.term });
+  
+  res.json(entry);
+}));
+
+/**
+ * 删除术语条目
+ */
+router.delete('/glossary/entries/:term', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  
+  if (!(await codeMappingEngine.glossary.removeEntry(req.params.term))) {
+    throw createHttpError(404, `Glossary entry not found: ${req.params.term}`);
+  }
+  
+  res.status(204).end();
+}));
+
+/**
+ * 从代码索引中挖掘术语建议，建议需要通过 approve 或 reject 人工确认
+ */
+router.get('/glossary/suggestions', (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  
+  res.json({ suggestions: codeMappingEngine.suggestGlossaryEntries() });
+});
+
+/**
+ * 采纳术语建议
+ * 请求体 { identifiers } 可选，只采纳其中的标识符
+ */
+router.post('/glossary/suggestions/:id/approve', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  const { identifiers } = req.body || {};
+  
+  if (identifiers !== undefined && (!Array.isArray(identifiers) || identifiers.length === 0)) {
+    throw createHttpError(400, 'identifiers must be a non-empty array');
+  }
+  
+  const entry = await codeMappingEngine.glossary.approveSuggestion(req.params.id, identifiers);
+  
+  res.json(entry);
+}));
+
+/**
+ * 拒绝术语建议，其中的术语和标识符组合不再被建议
+ */
+router.post('/glossary/suggestions/:id/reject', asyncHandler(async (req, res) => {
+  const codeMappingEngine = getInitializedEngine(req);
+  
+  const suggestion = await codeMappingEngine.glossary.rejectSuggestion(req.params.id);
+  
+  res.json({ rejected: suggestion });
+}));
+
+// 术语表的错误码对应的HTTP状态码
+router.use(mapErrorStatus({
+  INVALID_GLOSSARY_ENTRY: 400,
+  GLOSSARY_NOT_LOADED: 409,
+  SUGGESTION_NOT_FOUND: 404
+}));
+
+module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * PRD路由
+ * 负责PRD文档的上传、解析和查询
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs-extra');
+const { asyncHandler, createHttpError, getModule, getStore } = require('../utils/route-utils');
+const { isPathInside } = require('../utils/path-utils');
+
+const router = express.Router();
+
+// Markdown 文本请求体解析器
+const markdownBody = express.text({ type: ['text/markdown', 'text/plain'], limit: '50mb' });
+
+/**
+ * 从请求中读取并解析PRD
+ * 支持 text/markdown 请求体，或 JSON 请求体 { content, fileName } / { filePath }（相对PRD目录的路径）
+ * @param {Object} req - 请求对象
+ * @returns {Promise<Object>} - { prd, fileName }
+ */
+async function parseRequestPrd(req) {
+  const prdParser = getModule(req, 'prdParser');
+  
+  if (typeof req.body === 'string' && req.body.trim()) {
+    const fileName = req.query.fileName || null;
+    return { prd: prdParser.parse(req.body, { source: fileName }), fileName };
+  }
+  
+  if (req.body && typeof req.body.content === 'string' && req.body.content.trim()) {
+    const fileName = req.body.fileName || null;
+    return { prd: prdParser.parse(req.body.content, { source: fileName }), fileName };
+  }
+  
+  if (req.body && req.body.filePath) {
+    // 只读取PRD目录中的文件，filePath 为相对该目录的路径
+    const prdDir = req.app.locals.prdDir;
+    const filePath = path.resolve(prdDir, String(req.body.filePath));
+    if (!isPathInside(prdDir, filePath)) {
+      throw createHttpError(403, `PRD filePath must be inside the PRD directory: ${req.body.filePath}`);
+    }
+    
+    if (!(await fs.pathExists(filePath))) {
+      throw createHttpError(404, `PRD file not found: ${req.body.filePath}`);
+    }
+    
+    return { prd: await prdParser.parseFile(filePath), fileName: req.body.filePath };
+  }
+  
+  throw createHttpError(400, 'PRD content or filePath is required');
+}
+
+/**
+ * 上传并解析PRD
+ */
+router.post('/upload', markdownBody, asyncHandler(async (req, res) => {
+  const { prd, fileName } = await parseRequestPrd(req);
+  
+  const id = getStore(req).save('prds', {
+    fileName,
+    prd,
+    uploadedAt: new Date().toISOString()
+  });
+  
+  res.status(201).json({ id, prd });
+}));
+
+/**
+ * 检查PRD质量，返回完整度评分、错误和警告
+ * 请求体 { prdId } 检查已上传的PRD，或与上传接口相同的PRD内容
+ */
+router.post('/lint', markdownBody, asyncHandler(async (req, res) => {
+  const prdLinter = getModule(req, 'prdLinter');
+  const prdId = req.body && typeof req.body === 'object' ? req.body.prdId : null;
+  
+  let prd;
+  if (prdId) {
+    const record = getStore(req).get('prds', prdId);
+    if (!record) {
+      throw createHttpError(404, `PRD not found: ${prdId}`);
+    }
+    prd = record.prd;
+  } else {
+    ({ prd } = await parseRequestPrd(req));
+  }
+  
+  res.json({ prdId: prdId || null, title: prd.title, ...prdLinter.lint(prd) });
+}));
+
+/**
+ * 列出已上传的PRD
+ */
+router.get('/', (req, res) => {
+  const prds = getStore(req).list('prds').map(({ id, record }) => ({
+    id,
+    title: record.prd.title,
+    fileName: record.fileName,
+    features: record.prd.features.length,
+    uploadedAt: record.uploadedAt
+  }));
+  
+  res.json({ prds });
+});
+
+/**
+ * 获取解析后的PRD
+ */
+router.get('/:id', (req, res) => {
+  const record = getStore(req).get('prds', req.params.id);
+  if (!record) {
+    throw createHttpError(404, `PRD not found: ${req.params.id}`);
+  }
+  
+  res.json({ id: req.params.id, ...record });
+});
+
+/**
+ * 删除PRD及其任务拆分结果
+ */
+router.delete('/:id', (req, res) => {
+  const store = getStore(req);
+  if (!store.remove('prds', req.params.id)) {
+    throw createHttpError(404, `PRD not found: ${req.params.id}`);
+  }
+  
+  store.remove('decompositions', req.params.id);
+  res.status(204).end();
+});
+
+module.exports = router;
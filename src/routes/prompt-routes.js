@@ -0,0 +1,62 @@
+/**
+ * 提示词路由
+ * 负责为任务生成面向AI编码工具的提示词，以及查询可用模板
+ */
+
+const express = require('express');
+const {
+  asyncHandler,
+  mapErrorStatus,
+  getModule,
+  getStore,
+  resolveTask,
+  resolveTasks,
+  generateTaskPrompts
+} = require('../utils/route-utils');
+
+const router = express.Router();
+
+/**
+ * 为单个任务生成提示词
+ * 请求体 { task } 或 { prdId, taskId }，可选 editor、projectContext、techStack、codeStyle、apiSpec、suggestions
+ */
+router.post('/generate', asyncHandler(async (req, res) => {
+  const task = resolveTask(getStore(req), req.body);
+  const suggestionsByTask = req.body.suggestions ? { [task.id]: req.body.suggestions } : {};
+  
+  const [result] = await generateTaskPrompts(req, [task], suggestionsByTask);
+  
+  res.json(result);
+}));
+
+/**
+ * 批量生成提示词
+ * 请求体 { tasks } 或 { prdId, taskIds }，可选 suggestions（任务ID到代码修改建议的映射）
+ */
+router.post('/generate-batch', asyncHandler(async (req, res) => {
+  const tasks = resolveTasks(getStore(req), req.body);
+  
+  const prompts = await generateTaskPrompts(req, tasks, req.body.suggestions || {});
+  
+  res.json({ prompts });
+}));
+
+/**
+ * 列出可用的提示词模板：内置模板和已初始化代码库中的项目覆盖模板
+ */
+router.get('/templates', asyncHandler(async (req, res) => {
+  const promptGenerator = getModule(req, 'promptGenerator');
+  const codeMappingEngine = getModule(req, 'codeMappingEngine');
+  
+  const templates = await promptGenerator.listTemplates(codeMappingEngine.codebasePath);
+  
+  res.json({ templates });
+}));
+
+// 提示词生成器的错误码对应的HTTP状态码
+router.use(mapErrorStatus({
+  INVALID_EDITOR: 400,
+  TEMPLATE_NOT_FOUND: 404
+}));
+
+module.exports = router;
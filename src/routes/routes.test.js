@@ -0,0 +1,255 @@
+/**
+ * API路由测试
+ * 使用未初始化代码映射引擎的模块实例启动应用，检查各路由的错误状态码和文件路径校验
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { app } = require('../index');
+const MemoryStore = require('../utils/memory-store');
+const PrdParser = require('../prd-parser');
+const PrdLinter = require('../prd-linter');
+const TaskDecomposer = require('../task-decomposer');
+const CodeMappingEngine = require('../code-mapping-engine');
+const PromptGenerator = require('../prompt-generator');
+const CodeGenerator = require('../code-generator');
+
+const TEMPLATE_PRD = path.join(__dirname, '../../docs/标准PRD模板设计（适用于AI任务拆解系统）.md');
+
+describe('API routes', () => {
+  let server;
+  let baseUrl;
+  let tempDir;
+  
+  /**
+   * 发送请求并解析JSON响应
+   * @param {string} method - HTTP方法
+   * @param {string} url - 请求路径
+   * @param {Object|string} body - 请求体，字符串按 text/markdown 发送
+   * @returns {Promise<Object>} - { status, body }
+   */
+  const request = async (method, url, body) => {
+    const isText = typeof body === 'string';
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'content-type': isText ? 'text/markdown' : 'application/json' },
+      body: body === undefined ? undefined : (isText ? body : JSON.stringify(body))
+    });
+    
+    return { status: response.status, body: await response.json() };
+  };
+  
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prd-routes-'));
+    await fs.ensureDir(path.join(tempDir, 'prds'));
+    await fs.copy(TEMPLATE_PRD, path.join(tempDir, 'prds/template.md'));
+    await fs.writeFile(path.join(tempDir, 'secret.md'), '# 不在PRD目录中的文件\n', 'utf-8');
+    
+    app.locals.prdDir = path.join(tempDir, 'prds');
+    app.locals.modules = {
+      prdParser: new PrdParser(),
+      prdLinter: new PrdLinter(),
+      taskDecomposer: new TaskDecomposer(),
+      codeMappingEngine: new CodeMappingEngine(),
+      promptGenerator: new PromptGenerator(),
+      codeGenerator: new CodeGenerator({ outputDir: path.join(tempDir, 'output') })
+    };
+    
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  
+  beforeEach(() => {
+    app.locals.store = new MemoryStore();
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(tempDir);
+  });
+  
+  describe('POST /api/prd/upload', () => {
+    test('parses a PRD file inside the PRD directory', async () => {
+      const { status, body } = await request('POST', '/api/prd/upload', { filePath: 'template.md' });
+      
+      expect(status).toBe(201);
+      expect(body.prd.features.length).toBeGreaterThan(0);
+    });
+    
+    test('rejects a request without content or filePath', async () => {
+      const { status, body } = await request('POST', '/api/prd/upload', {});
+      
+      expect(status).toBe(400);
+      expect(body.error.message).toBe('PRD content or filePath is required');
+    });
+    
+    // test.each 的参数在 beforeAll 之前求值，<temp> 代表临时目录
+    test.each([
+      ['../secret.md'],
+      ['<temp>/secret.md'],
+      ['/etc/passwd']
+    ])('rejects filePath %s outside the PRD directory', async filePath => {
+      const { status } = await request('POST', '/api/prd/upload', { filePath: filePath.replace('<temp>', tempDir) });
+      
+      expect(status).toBe(403);
+    });
+    
+    test('returns 404 for a missing file in the PRD directory', async () => {
+      const { status } = await request('POST', '/api/prd/upload', { filePath: 'missing.md' });
+      
+      expect(status).toBe(404);
+    });
+  });
+  
+  describe('task routes', () => {
+    test('rejects malformed JSON with 400', async () => {
+      const response = await fetch(`${baseUrl}/api/tasks/decompose`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{bad'
+      });
+      
+      expect(response.status).toBe(400);
+    });
+    
+    test('returns 404 for unknown PRDs and tasks', async () => {
+      expect((await request('POST', '/api/tasks/decompose', { prdId: 'missing' })).status).toBe(404);
+      expect((await request('GET', '/api/tasks/missing')).status).toBe(404);
+      
+      const { body: uploaded } = await request('POST', '/api/prd/upload', { filePath: 'template.md' });
+      expect((await request('POST', '/api/tasks/decompose', { prdId: uploaded.id })).status).toBe(201);
+      expect((await request('GET', `/api/tasks/${uploaded.id}/XX-1`)).status).toBe(404);
+    });
+  });
+  
+  describe('code mapping routes', () => {
+    test('reject mapping before the engine is initialized', async () => {
+      const { status } = await request('POST', '/api/code-mapping/map', { task: { id: 'BE-001', title: '用户登录' } });
+      
+      expect(status).toBe(409);
+    });
+    
+    test('return 404 for a missing codebase', async () => {
+      const { status } = await request('POST', '/api/code-mapping/initialize', {
+        codebasePath: path.join(tempDir, 'missing')
+      });
+      
+      expect(status).toBe(404);
+    });
+    
+    describe('glossary', () => {
+      let uninitializedEngine;
+      
+      beforeAll(async () => {
+        const codebasePath = path.join(tempDir, 'inspection');
+        await fs.outputFile(path.join(codebasePath, 'src/inspection.js'), [
+          '/** 创建巡检工单 */',
+          'function createInspection(route) { return { route }; }',
+          '/** 关闭巡检工单 */',
+          'function closeInspection(id) { return id; }',
+          '/** 分配巡检工单 */',
+          'function assignInspection(id, user) { return { id, user }; }'
+        ].join('\n'));
+        
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const engine = new CodeMappingEngine({ cache: false });
+        await engine.initialize(codebasePath);
+        
+        uninitializedEngine = app.locals.modules.codeMappingEngine;
+        app.locals.modules.codeMappingEngine = engine;
+      });
+      
+      afterAll(() => {
+        app.locals.modules.codeMappingEngine = uninitializedEngine;
+        jest.restoreAllMocks();
+      });
+      
+      test('rejects invalid entries with 400 and saves valid ones', async () => {
+        const invalid = await request('PUT', '/api/code-mapping/glossary/entries/工单', { identifiers: 'ticket' });
+        const valid = await request('PUT', '/api/code-mapping/glossary/entries/工单', { identifiers: ['ticket'] });
+        const { body } = await request('GET', '/api/code-mapping/glossary');
+        
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error.message).toBe('Glossary entry identifiers must be an array of strings');
+        expect(valid.status).toBe(200);
+        expect(body.entries).toContainEqual(expect.objectContaining({ term: '工单', identifiers: ['ticket'] }));
+      });
+      
+      test('approves a mined suggestion once and returns 404 for unknown suggestions', async () => {
+        const { body } = await request('GET', '/api/code-mapping/glossary/suggestions');
+        const suggestion = body.suggestions.find(item => item.term === '巡检');
+        
+        expect(suggestion).toMatchObject({ identifiers: ['inspection'], support: { inspection: 3 }, score: 1 });
+        
+        const approved = await request('POST', `/api/code-mapping/glossary/suggestions/${suggestion.id}/approve`, {});
+        const approvedAgain = await request('POST', `/api/code-mapping/glossary/suggestions/${suggestion.id}/approve`, {});
+        const rejected = await request('POST', '/api/code-mapping/glossary/suggestions/missing/reject', {});
+        
+        expect(approved).toMatchObject({ status: 200, body: { term: '巡检', identifiers: ['inspection'] } });
+        expect(approvedAgain.status).toBe(404);
+        expect(rejected.status).toBe(404);
+        expect(rejected.body.error.message).toBe('Glossary suggestion not found: missing. List suggestions first.');
+      });
+      
+      test('returns 404 when deleting a missing entry', async () => {
+        const { status } = await request('DELETE', '/api/code-mapping/glossary/entries/missing');
+        
+        expect(status).toBe(404);
+      });
+    });
+  });
+  
+  describe('prompt and export routes', () => {
+    const task = { id: 'FE-001', title: '登录页面', type: 'frontend', description: '实现登录表单' };
+    
+    test('rejects an invalid editor name', async () => {
+      const { status } = await request('POST', '/api/prompts/generate', { task, editor: '../x' });
+      
+      expect(status).toBe(400);
+    });
+    
+    test('returns 404 for an editor without a template', async () => {
+      const { status, body } = await request('POST', '/api/prompts/generate', { task, editor: 'unknown-editor' });
+      
+      expect(status).toBe(404);
+      expect(body.error.message).toBe('Prompt template not found for editor: unknown-editor');
+    });
+    
+    test('ignores project template directories given in the request', async () => {
+      const projectDir = path.join(tempDir, 'project');
+      await fs.outputFile(path.join(projectDir, '.prd-prompts/generic.md'), 'OVERRIDDEN {{taskId}}\n');
+      
+      const { status, body } = await request('POST', '/api/prompts/generate', { task, projectDir });
+      const templates = await fetch(`${baseUrl}/api/prompts/templates?projectDir=${encodeURIComponent(projectDir)}`);
+      
+      expect(status).toBe(200);
+      expect(body.prompt).not.toContain('OVERRIDDEN');
+      expect((await templates.json()).templates.every(template => !template.overridden)).toBe(true);
+    });
+    
+    test.each([['..'], ['.'], ['../escaped']])('rejects export name %s', async name => {
+      const { status } = await request('POST', '/api/code-generation/export', { tasks: [task], name });
+      
+      expect(status).toBe(400);
+      expect(await fs.pathExists(path.join(tempDir, 'output/README.md'))).toBe(false);
+    });
+    
+    test('keeps task ids with path segments inside the export directory', async () => {
+      const escapingTask = { ...task, id: '../../../escaped' };
+      const { status, body } = await request('POST', '/api/code-generation/export', {
+        tasks: [escapingTask],
+        name: 'safe'
+      });
+      
+      expect(status).toBe(201);
+      expect(body.files[0].file).toBe('01-escaped.md');
+      expect(await fs.pathExists(path.join(tempDir, 'output/safe/01-escaped.md'))).toBe(true);
+      expect(await fs.pathExists(path.join(tempDir, 'escaped.md'))).toBe(false);
+    });
+  });
+});
+
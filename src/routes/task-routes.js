@@ -0,0 +1,100 @@
+/**
+ * 任务路由
+ * 负责将PRD拆分为任务，以及查询任务和任务依赖图
+ */
+
+const express = require('express');
+const TaskGraph = require('../task-graph');
+const { asyncHandler, createHttpError, getModule, getStore } = require('../utils/route-utils');
+
+const router = express.Router();
+
+/**
+ * 获取PRD的任务拆分结果
+ * @param {Object} req - 请求对象
+ * @returns {Object} - 任务拆分结果
+ */
+function getDecomposition(req) {
+  const decomposition = getStore(req).get('decompositions', req.params.prdId);
+  if (!decomposition) {
+    throw createHttpError(404, `No tasks found for PRD: ${req.params.prdId}. Decompose it first.`);
+  }
+  
+  return decomposition;
+}
+
+/**
+ * 拆分PRD为任务
+ * 请求体 { prdId } 使用已上传的PRD，或 { prd } 直接传入结构化PRD文档
+ */
+router.post('/decompose', asyncHandler(async (req, res) => {
+  const taskDecomposer = getModule(req, 'taskDecomposer');
+  const store = getStore(req);
+  const { prdId: requestedId, prd: inlinePrd } = req.body || {};
+  
+  let prdId = requestedId;
+  let prd = inlinePrd;
+  
+  if (prdId) {
+    const record = store.get('prds', prdId);
+    if (!record) {
+      throw createHttpError(404, `PRD not found: ${prdId}`);
+    }
+    prd = record.prd;
+  } else if (prd) {
+    if (!Array.isArray(prd.features)) {
+      throw createHttpError(400, 'Invalid PRD document: features list is required');
+    }
+    prdId = store.save('prds', { fileName: null, prd, uploadedAt: new Date().toISOString() });
+  } else {
+    throw createHttpError(400, 'prdId or prd is required');
+  }
+  
+  const result = await taskDecomposer.decompose(prd);
+  store.save('decompositions', { ...result, decomposedAt: new Date().toISOString() }, prdId);
+  
+  res.status(201).json({ prdId, ...result });
+}));
+
+/**
+ * 获取PRD的全部任务，支持按 type、featureId 过滤
+ */
+router.get('/:prdId', (req, res) => {
+  const decomposition = getDecomposition(req);
+  const { type, featureId } = req.query;
+  
+  const tasks = decomposition.tasks.filter(task =>
+    (!type || task.type === type) && (!featureId || task.featureId === featureId)
+  );
+  
+  res.json({
+    prdId: req.params.prdId,
+    tasks,
+    summary: decomposition.summary,
+    warnings: decomposition.warnings
+  });
+});
+
+/**
+ * 获取任务依赖图分析结果（环检测、关键路径、并行泳道和依赖图）
+ */
+router.get('/:prdId/graph', (req, res) => {
+  const decomposition = getDecomposition(req);
+  const graph = new TaskGraph(decomposition.tasks);
+  
+  res.json({ prdId: req.params.prdId, ...graph.analyze() });
+});
+
+/**
+ * 获取单个任务
+ */
+router.get('/:prdId/:taskId', (req, res) => {
+  const task = getDecomposition(req).tasks.find(item => item.id === req.params.taskId);
+  if (!task) {
+    throw createHttpError(404, `Task not found: ${req.params.taskId}`);
+  }
+  
+  res.json({ prdId: req.params.prdId, task });
+});
+
+module.exports = router;
@@ -0,0 +1,572 @@
+/**
+ * 任务拆分器入口文件
+ * 负责将解析后的PRD拆分为前端、后端和接口任务，并分析任务间的依赖关系
+ */
+
+const { termOverlap, extractPathKeywords } = require('./utils/text-utils');
+
+// 功能类型标签
+const FEATURE_TAGS = {
+  ui: '用户界面',
+  server: '服务端',
+  data: '数据交互'
+};
+
+// 任务类型定义
+const TASK_TYPES = {
+  frontend: { prefix: 'FE', category: '前端任务' },
+  backend: { prefix: 'BE', category: '后端任务' },
+  api: { prefix: 'API', category: '接口任务' }
+};
+
+// 技术栈分类规则
+const FRONTEND_TECH_PATTERN = /react|vue|angular|svelte|next|nuxt|ant\s*design|antd|element|typescript|redux|vuex|pinia|taro|uni-?app|小程序/i;
+const BACKEND_TECH_PATTERN = /node|express|koa|nest|egg|java|spring|python|django|flask|go\b|golang|php|mysql|postgres|mongo|redis|orm|sql|kafka|jwt/i;
+
+// 代码位置分类规则
+const LOCATION_PATTERNS = {
+  page: /(^|\/)(pages|views)\//i,
+  component: /(^|\/)components?\//i,
+  store: /(^|\/)(store|stores|models)\//i,
+  service: /(^|\/)(services?|domain|utils)\//i,
+  api: /(^|\/)(controllers?|routes?|api)\//i
+};
+
+class TaskDecomposer {
+  constructor(config = {}) {
+    this.config = {
+      // 各类任务的默认预估工时（天）
+      estimates: {
+        page: 1,
+        component: 1,
+        state: 0.5,
+        service: 1,
+        rule: 0.5,
+        api: 0.5
+      },
+      maxEstimate: 2, // 单个任务最大工时（天）
+      defaultTechTags: {
+        frontend: ['React/Vue'],
+        backend: ['Node.js/Java/Python'],
+        api: ['REST API']
+      },
+      ...config
+    };
+  }
+  
+  /**
+   * 将解析后的PRD拆分为任务
+   * @param {Object} prd - PrdParser 输出的结构化PRD文档
+   * @returns {Promise<Object>} - 拆分结果 { tasks, featureTasks, summary, warnings }
+   */
+  async decompose(prd) {
+    if (!prd || !Array.isArray(prd.features)) {
+      throw new Error('Invalid PRD document: features list is required');
+    }
+    
+    console.log(`Decomposing PRD "${prd.title || 'untitled'}" into tasks...`);
+    
+    const context = {
+      prd,
+      tasks: [],
+      counters: { FE: 0, BE: 0, API: 0 },
+      featureTasks: {},
+      warnings: [],
+      usedLocations: new Set(),
+      endpoints: this.extractEndpoints(prd.technicalAppendix),
+      assignments: this.assignItemsToFeatures(prd)
+    };
+    
+    // 逐个功能生成任务
+    for (const feature of prd.features) {
+      this.decomposeFeature(feature, context);
+    }
+    
+    // 根据依赖功能建立跨功能的任务依赖
+    this.linkFeatureDependencies(context);
+    
+    // 按 FE、BE、API 分组输出
+    const typeOrder = Object.keys(TASK_TYPES);
+    context.tasks.sort((a, b) =>
+      typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.id.localeCompare(b.id)
+    );
+    
+    console.log(`Decomposition complete. Generated ${context.tasks.length} tasks.`);
+    
+    return {
+      tasks: context.tasks,
+      featureTasks: context.featureTasks,
+      summary: this.summarize(context.tasks),
+      warnings: context.warnings
+    };
+  }
+  
+  /**
+   * 将页面、组件、数据场景、业务规则和测试场景分配到最相关的功能
+   * @param {Object} prd - 结构化PRD文档
+   * @returns {Object} - 功能ID到相关条目的映射
+   */
+  assignItemsToFeatures(prd) {
+    const assignments = {};
+    for (const feature of prd.features) {
+      assignments[feature.id] = {
+        pages: [],
+        components: [],
+        dataScenarios: [],
+        businessRules: [],
+        testScenarios: [],
+        entities: []
+      };
+    }
+    
+    const assign = (items, key, tag, getText) => {
+      for (const item of items || []) {
+        const feature = this.findBestFeature(prd.features, getText(item), tag);
+        if (feature) {
+          assignments[feature.id][key].push(item);
+        }
+      }
+    };
+    
+    assign(prd.pages, 'pages', FEATURE_TAGS.ui, page => `${page.name || ''} ${page.description || ''}`);
+    assign(prd.components, 'components', FEATURE_TAGS.ui, component => `${component.name || ''} ${component.description || ''}`);
+    assign(prd.dataScenarios, 'dataScenarios', FEATURE_TAGS.data, scenario => `${scenario.description || ''} ${scenario.trigger || ''}`);
+    assign(prd.businessRules, 'businessRules', FEATURE_TAGS.server, rule => `${rule.name || ''} ${(rule.rules || []).join(' ')}`);
+    assign(prd.testScenarios, 'testScenarios', null, test => `${test.description || ''} ${test.focus || ''}`);
+    assign(prd.entities, 'entities', FEATURE_TAGS.server, entity => `${entity.name || ''} ${entity.description || ''}`);
+    
+    return assignments;
+  }
+  
+  /**
+   * 查找与文本最相关的功能
+   * @param {Array} features - 功能数组
+   * @param {string} text - 条目文本
+   * @param {string|null} tag - 优先匹配带有该标签的功能
+   * @returns {Object|null} - 最相关的功能
+   */
+  findBestFeature(features, text, tag) {
+    const candidates = tag && features.some(feature => feature.types.includes(tag))
+      ? features.filter(feature => feature.types.includes(tag))
+      : features;
+    
+    let best = null;
+    let bestScore = 0;
+    
+    for (const feature of candidates) {
+      const score = termOverlap(text, `${feature.name || ''} ${feature.description || ''}`);
+      if (score > bestScore) {
+        best = feature;
+        bestScore = score;
+      }
+    }
+    
+    // 无法匹配时，若只有一个候选功能则归入该功能
+    if (!best && candidates.length === 1) {
+      best = candidates[0];
+    }
+    
+    return best;
+  }
+  
+  /**
+   * 拆分单个功能
+   * @param {Object} feature - 功能对象
+   * @param {Object} context - 拆分上下文
+   */
+  decomposeFeature(feature, context) {
+    const related = context.assignments[feature.id];
+    const hasUi = feature.types.includes(FEATURE_TAGS.ui);
+    const hasServer = feature.types.includes(FEATURE_TAGS.server);
+    const hasData = feature.types.includes(FEATURE_TAGS.data);
+    
+    context.featureTasks[feature.id] = [];
+    
+    if (!hasUi && !hasServer && !hasData) {
+      context.warnings.push({
+        featureId: feature.id,
+        line: feature.line,
+        message: `功能 ${feature.id} 缺少功能类型标签（【用户界面】【服务端】【数据交互】），未生成任务`
+      });
+      return;
+    }
+    
+    // 后端任务先生成，接口任务和前端数据对接任务依赖它们
+    const backendTasks = hasServer ? this.createBackendTasks(feature, related, context) : [];
+    const apiTasks = hasData ? this.createApiTasks(feature, related, backendTasks, context) : [];
+    if (hasUi) {
+      this.createFrontendTasks(feature, related, apiTasks, context);
+    }
+  }
+  
+  /**
+   * 生成前端任务：页面UI、组件、数据对接与状态管理
+   * @param {Object} feature - 功能对象
+   * @param {Object} related - 功能相关条目
+   * @param {Array} apiTasks - 同一功能的接口任务
+   * @param {Object} context - 拆分上下文
+   * @returns {Array} - 前端任务数组
+   */
+  createFrontendTasks(feature, related, apiTasks, context) {
+    const tasks = [];
+    const pageTasks = [];
+    
+    for (const page of related.pages) {
+      pageTasks.push(this.addTask(context, feature, 'frontend', {
+        title: `${page.name}UI开发`,
+        description: page.description
+          ? `实现${page.name}的基本布局和样式：${page.description}`
+          : `实现${page.name}的基本布局和样式`,
+        inputs: ['设计稿', 'UI规范', ...(page.designLink ? [page.designLink] : [])],
+        outputs: [`${page.name}基础UI`],
+        dependencies: [],
+        estimatedDays: this.config.estimates.page,
+        codeLocation: this.pickLocation(context, 'page'),
+        sources: [page.id],
+        keywords: [
+          page.name,
+          ...(page.location && page.location.startsWith('/') ? extractPathKeywords(page.location) : [page.location])
+        ]
+      }));
+    }
+    tasks.push(...pageTasks);
+    
+    for (const component of related.components) {
+      const details = [component.description, component.interaction].filter(Boolean).join('；');
+      tasks.push(this.addTask(context, feature, 'frontend', {
+        title: `${component.name}组件开发`,
+        description: details ? `实现${component.name}：${details}` : `实现${component.name}`,
+        inputs: [
+          ...(component.fields.length > 0 ? [`字段：${component.fields.join('、')}`] : []),
+          ...(component.states ? [`状态：${component.states}`] : [])
+        ],
+        outputs: [`可复用的${component.name}组件`],
+        dependencies: pageTasks.map(task => task.id),
+        estimatedDays: this.config.estimates.component,
+        codeLocation: this.pickLocation(context, 'component'),
+        sources: [component.id],
+        keywords: [component.name, component.type, ...component.fields]
+      }));
+    }
+    
+    // 没有页面和组件描述时，生成一个通用界面任务
+    if (tasks.length === 0) {
+      tasks.push(this.addTask(context, feature, 'frontend', {
+        title: `${feature.name}界面开发`,
+        description: `实现${feature.name}的用户界面：${feature.description || ''}`,
+        inputs: ['设计稿', 'UI规范'],
+        outputs: [`${feature.name}界面`],
+        dependencies: [],
+        estimatedDays: this.config.estimates.page,
+        codeLocation: this.pickLocation(context, 'page'),
+        sources: [],
+        keywords: []
+      }));
+    }
+    
+    // 功能包含数据交互时，生成数据对接与状态管理任务
+    if (apiTasks.length > 0) {
+      tasks.push(this.addTask(context, feature, 'frontend', {
+        title: `${feature.name}数据对接与状态管理`,
+        description: `调用${apiTasks.map(task => task.apiPath || task.title).join('、')}，实现${feature.name}的状态管理和错误处理`,
+        inputs: ['API接口规范'],
+        outputs: [`${feature.name}状态管理模块`],
+        dependencies: [...tasks.map(task => task.id), ...apiTasks.map(task => task.id)],
+        estimatedDays: this.config.estimates.state,
+        codeLocation: this.pickLocation(context, 'store'),
+        sources: [],
+        keywords: apiTasks.flatMap(task => task.keywords)
+      }));
+    }
+    
+    return tasks;
+  }
+  
+  /**
+   * 生成后端任务：服务逻辑和业务规则
+   * @param {Object} feature - 功能对象
+   * @param {Object} related - 功能相关条目
+   * @param {Object} context - 拆分上下文
+   * @returns {Array} - 后端任务数组
+   */
+  createBackendTasks(feature, related, context) {
+    const tasks = [];
+    const inputs = related.dataScenarios.flatMap(scenario => scenario.inputs);
+    const outputs = related.dataScenarios.flatMap(scenario => scenario.outputs);
+    
+    const serviceTask = this.addTask(context, feature, 'backend', {
+      title: `${feature.name}服务逻辑`,
+      description: `实现${feature.name}的服务端逻辑：${feature.description || ''}`,
+      inputs: inputs.length > 0 ? [...new Set(inputs)] : ['请求参数'],
+      outputs: outputs.length > 0 ? [...new Set(outputs)] : ['处理结果'],
+      dependencies: [],
+      estimatedDays: this.config.estimates.service,
+      codeLocation: this.pickLocation(context, 'service'),
+      sources: [
+        ...related.dataScenarios.map(scenario => scenario.id),
+        ...related.entities.map(entity => entity.name)
+      ],
+      keywords: related.entities.flatMap(entity => [entity.name, ...entity.fields.map(field => field.name)])
+    });
+    tasks.push(serviceTask);
+    
+    for (const rule of related.businessRules) {
+      const estimate = Math.min(
+        this.config.maxEstimate,
+        Math.max(this.config.estimates.rule, rule.rules.length * 0.25)
+      );
+      
+      tasks.push(this.addTask(context, feature, 'backend', {
+        title: `${rule.name || rule.id}实现`,
+        description: `实现业务规则 ${rule.id}${rule.name ? `（${rule.name}）` : ''}`,
+        inputs: ['业务规则描述'],
+        outputs: ['规则执行结果'],
+        dependencies: [serviceTask.id],
+        estimatedDays: estimate,
+        codeLocation: this.pickLocation(context, 'service'),
+        sources: [rule.id],
+        keywords: [rule.name],
+        businessRules: rule.rules
+      }));
+    }
+    
+    return tasks;
+  }
+  
+  /**
+   * 生成接口任务：每个数据交互场景对应一个接口
+   * @param {Object} feature - 功能对象
+   * @param {Object} related - 功能相关条目
+   * @param {Array} backendTasks - 同一功能的后端任务
+   * @param {Object} context - 拆分上下文
+   * @returns {Array} - 接口任务数组
+   */
+  createApiTasks(feature, related, backendTasks, context) {
+    const scenarios = related.dataScenarios.length > 0
+      ? related.dataScenarios
+      : [{ id: null, description: feature.name, inputs: [], outputs: [], businessRules: [] }];
+    
+    return scenarios.map(scenario => {
+      const endpoint = context.endpoints.shift() || null;
+      
+      return this.addTask(context, feature, 'api', {
+        title: `${scenario.description}接口开发`,
+        description: `实现${scenario.description}的API接口${scenario.trigger ? `，触发条件：${scenario.trigger}` : ''}`,
+        inputs: scenario.inputs.length > 0 ? scenario.inputs : ['请求参数'],
+        outputs: scenario.outputs.length > 0 ? scenario.outputs : ['响应数据'],
+        dependencies: backendTasks.map(task => task.id),
+        estimatedDays: this.config.estimates.api,
+        codeLocation: this.pickLocation(context, 'api'),
+        apiPath: endpoint ? endpoint.path : null,
+        apiMethod: endpoint ? endpoint.method : null,
+        sources: scenario.id ? [scenario.id] : [],
+        keywords: [scenario.description, ...scenario.inputs, ...scenario.outputs],
+        businessRules: scenario.businessRules
+      });
+    });
+  }
+  
+  /**
+   * 创建任务并加入上下文
+   * @param {Object} context - 拆分上下文
+   * @param {Object} feature - 所属功能
+   * @param {string} type - 任务类型（frontend/backend/api）
+   * @param {Object} fields - 任务字段
+   * @returns {Object} - 任务对象
+   */
+  addTask(context, feature, type, fields) {
+    const { prefix, category } = TASK_TYPES[type];
+    context.counters[prefix]++;
+    
+    const id = `${prefix}-${String(context.counters[prefix]).padStart(3, '0')}`;
+    const related = context.assignments[feature.id];
+    
+    const task = {
+      id,
+      title: fields.title,
+      description: fields.description,
+      type,
+      category,
+      featureId: feature.id,
+      featureName: feature.name,
+      priority: feature.priority,
+      inputs: fields.inputs,
+      outputs: fields.outputs,
+      dependencies: fields.dependencies,
+      estimatedDays: Math.min(fields.estimatedDays, this.config.maxEstimate),
+      techTags: this.getTechTags(type, context.prd.technicalAppendix),
+      codeLocation: fields.codeLocation || null,
+      apiPath: fields.apiPath || null,
+      apiMethod: fields.apiMethod || null,
+      keywords: [],
+      businessRules: fields.businessRules || [],
+      testPoints: related.testScenarios.map(test => ({
+        id: test.id,
+        description: test.description,
+        expected: test.expected
+      })),
+      sources: fields.sources
+    };
+    
+    task.keywords = this.buildKeywords(task, feature, fields.keywords);
+    
+    context.tasks.push(task);
+    context.featureTasks[feature.id].push(id);
+    
+    return task;
+  }
+  
+  /**
+   * 生成任务关键词（供代码映射使用）
+   * @param {Object} task - 任务对象
+   * @param {Object} feature - 所属功能
+   * @param {Array} extra - 额外关键词
+   * @returns {Array<string>} - 去重后的关键词
+   */
+  buildKeywords(task, feature, extra = []) {
+    const keywords = [
+      feature.name,
+      ...extra,
+      ...extractPathKeywords(task.codeLocation),
+      ...extractPathKeywords(task.apiPath)
+    ];
+    
+    return [...new Set(keywords.filter(keyword => typeof keyword === 'string' && keyword.trim()))];
+  }
+  
+  /**
+   * 根据技术附录获取任务的技术标签
+   * @param {string} type - 任务类型
+   * @param {Object} appendix - 技术附录
+   * @returns {Array<string>} - 技术标签
+   */
+  getTechTags(type, appendix) {
+    const techStack = (appendix && appendix.techStack) || [];
+    let tags;
+    
+    if (type === 'frontend') {
+      tags = techStack.filter(tech => FRONTEND_TECH_PATTERN.test(tech));
+    } else if (type === 'backend') {
+      tags = techStack.filter(tech => BACKEND_TECH_PATTERN.test(tech));
+    } else {
+      tags = ['REST API', ...techStack.filter(tech => BACKEND_TECH_PATTERN.test(tech) && !/sql|mongo|redis/i.test(tech))];
+    }
+    
+    return tags.length > 0 ? [...new Set(tags)] : [...this.config.defaultTechTags[type]];
+  }
+  
+  /**
+   * 从技术附录中挑选匹配类别且尚未分配的代码位置
+   * @param {Object} context - 拆分上下文
+   * @param {string} kind - 位置类别（page/component/store/service/api）
+   * @returns {string|null} - 代码位置
+   */
+  pickLocation(context, kind) {
+    const appendix = context.prd.technicalAppendix || {};
+    const location = (appendix.codeLocations || []).find(candidate =>
+      LOCATION_PATTERNS[kind].test(candidate) && !context.usedLocations.has(candidate)
+    ) || null;
+    
+    if (location) {
+      context.usedLocations.add(location);
+    }
+    
+    return location;
+  }
+  
+  /**
+   * 从技术附录的接口规范中提取接口路径
+   * @param {Object} appendix - 技术附录
+   * @returns {Array} - 接口数组 [{ method, path }]
+   */
+  extractEndpoints(appendix) {
+    const spec = appendix && appendix.apiSpec;
+    if (!spec) {
+      return [];
+    }
+    
+    const endpoints = [];
+    const pattern = /(?:\b(GET|POST|PUT|PATCH|DELETE)\s+)?(\/api\/[^\s,，;；)）]+)/gi;
+    let match;
+    
+    while ((match = pattern.exec(spec)) !== null) {
+      endpoints.push({
+        method: match[1] ? match[1].toUpperCase() : null,
+        path: match[2]
+      });
+    }
+    
+    return endpoints;
+  }
+  
+  /**
+   * 根据功能的依赖功能建立跨功能任务依赖
+   * 依赖方功能的起始任务依赖被依赖功能中同类型的任务（无同类型任务时依赖其末端任务）
+   * @param {Object} context - 拆分上下文
+   */
+  linkFeatureDependencies(context) {
+    const taskMap = new Map(context.tasks.map(task => [task.id, task]));
+    const featureIds = new Set(context.prd.features.map(feature => feature.id));
+    
+    for (const feature of context.prd.features) {
+      const ownTasks = context.featureTasks[feature.id].map(id => taskMap.get(id));
+      
+      for (const dependencyId of feature.dependencies) {
+        if (!featureIds.has(dependencyId)) {
+          context.warnings.push({
+            featureId: feature.id,
+            line: feature.line,
+            message: `功能 ${feature.id} 依赖的功能 ${dependencyId} 不存在`
+          });
+          continue;
+        }
+        
+        const upstream = context.featureTasks[dependencyId].map(id => taskMap.get(id));
+        if (upstream.length === 0) {
+          continue;
+        }
+        
+        const upstreamTerminals = upstream.filter(task =>
+          !upstream.some(other => other.dependencies.includes(task.id))
+        );
+        
+        // 只为功能内的起始任务添加依赖，其余任务通过功能内依赖间接继承
+        const roots = ownTasks.filter(task =>
+          !task.dependencies.some(id => context.featureTasks[feature.id].includes(id))
+        );
+        
+        for (const task of roots) {
+          const sameType = upstream.filter(other => other.type === task.type);
+          const targets = sameType.length > 0
+            ? sameType.filter(other => !sameType.some(next => next.dependencies.includes(other.id)))
+            : upstreamTerminals;
+          
+          for (const target of targets) {
+            if (!task.dependencies.includes(target.id)) {
+              task.dependencies.push(target.id);
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  /**
+   * 汇总任务统计信息
+   * @param {Array} tasks - 任务数组
+   * @returns {Object} - 统计信息
+   */
+  summarize(tasks) {
+    const count = type => tasks.filter(task => task.type === type).length;
+    
+    return {
+      totalTasks: tasks.length,
+      frontendTasks: count('frontend'),
+      backendTasks: count('backend'),
+      apiTasks: count('api'),
+      totalEstimatedDays: tasks.reduce((sum, task) => sum + task.estimatedDays, 0)
+    };
+  }
+}
+
+module.exports = TaskDecomposer;
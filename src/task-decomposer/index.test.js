@@ -0,0 +1,71 @@
+/**
+ * 任务拆分器测试
+ * 使用 docs 中的标准PRD模板解析后的结果作为输入
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const PrdParser = require('../prd-parser');
+const TaskGraph = require('../task-graph');
+const TaskDecomposer = require('./index');
+
+const TEMPLATE_PRD = path.join(__dirname, '../../docs/标准PRD模板设计（适用于AI任务拆解系统）.md');
+
+describe('TaskDecomposer', () => {
+  let result;
+  
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const prd = new PrdParser().parse(await fs.readFile(TEMPLATE_PRD, 'utf-8'));
+    result = await new TaskDecomposer().decompose(prd);
+  });
+  
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('splits the template features into frontend, backend and API tasks', () => {
+    expect(result.featureTasks).toEqual({
+      F001: ['BE-001', 'BE-002', 'API-001', 'FE-001', 'FE-002', 'FE-003'],
+      F002: ['FE-004']
+    });
+    expect(result.summary).toEqual({
+      totalTasks: 7,
+      frontendTasks: 4,
+      backendTasks: 2,
+      apiTasks: 1,
+      totalEstimatedDays: 6
+    });
+    expect(result.warnings).toEqual([]);
+  });
+  
+  test('orders the login tasks from service logic to API to data binding', () => {
+    const dependencies = Object.fromEntries(result.tasks.map(task => [task.id, task.dependencies]));
+    
+    expect(dependencies['API-001']).toEqual(['BE-001', 'BE-002']);
+    expect(dependencies['FE-003']).toEqual(['FE-001', 'FE-002', 'API-001']);
+    expect(dependencies['FE-004']).toEqual(['FE-003']);
+  });
+  
+  test('keeps every task within the maximum estimate', () => {
+    for (const task of result.tasks) {
+      expect(task.estimatedDays).toBeGreaterThan(0);
+      expect(task.estimatedDays).toBeLessThanOrEqual(2);
+    }
+  });
+  
+  test('produces an acyclic task graph with a critical path', () => {
+    const analysis = new TaskGraph(result.tasks).analyze();
+    
+    expect(analysis.valid).toBe(true);
+    expect(analysis.criticalPath).toEqual({
+      path: ['BE-001', 'BE-002', 'API-001', 'FE-003', 'FE-004'],
+      totalDays: 4
+    });
+  });
+  
+  test('rejects a document without a features list', async () => {
+    await expect(new TaskDecomposer().decompose({ title: 'empty' }))
+      .rejects.toThrow('Invalid PRD document: features list is required');
+  });
+});
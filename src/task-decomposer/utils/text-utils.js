@@ -0,0 +1,88 @@
+/**
+ * 文本工具
+ * 提供任务拆分所需的中文文本匹配函数
+ */
+
+// 过于通用、不具区分度的二元组
+const GENERIC_BIGRAMS = new Set(['用户', '系统', '数据', '功能', '页面', '信息', '管理', '实现', '开发']);
+
+/**
+ * 提取文本的中文二元组和英文单词
+ * @param {string} text - 输入文本
+ * @returns {Set} - 词元集合
+ */
+function extractTerms(text) {
+  const terms = new Set();
+  
+  if (!text) {
+    return terms;
+  }
+  
+  // 英文单词
+  (text.toLowerCase().match(/[a-z][a-z0-9]+/g) || []).forEach(word => terms.add(word));
+  
+  // 中文二元组
+  const cjkRuns = text.match(/[一-龥]+/g) || [];
+  for (const run of cjkRuns) {
+    if (run.length === 1) {
+      continue;
+    }
+    
+    for (let i = 0; i < run.length - 1; i++) {
+      const bigram = run.substring(i, i + 2);
+      if (!GENERIC_BIGRAMS.has(bigram)) {
+        terms.add(bigram);
+      }
+    }
+  }
+  
+  return terms;
+}
+
+/**
+ * 计算两段文本的重合度（共享词元数量）
+ * @param {string} text1 - 文本1
+ * @param {string} text2 - 文本2
+ * @returns {number} - 共享词元数量
+ */
+function termOverlap(text1, text2) {
+  const terms1 = extractTerms(text1);
+  const terms2 = extractTerms(text2);
+  
+  let overlap = 0;
+  for (const term of terms1) {
+    if (terms2.has(term)) {
+      overlap++;
+    }
+  }
+  
+  return overlap;
+}
+
+/**
+ * 从代码路径或接口路径中提取英文关键词
+ * @param {string} filePath - 路径
+ * @returns {Array<string>} - 关键词数组
+ */
+function extractPathKeywords(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  
+  const ignored = new Set([
+    'src', 'api', 'index', 'js', 'jsx', 'ts', 'tsx', 'vue', 'v1', 'v2',
+    'pages', 'views', 'components', 'store', 'services', 'controllers', 'routes', 'utils'
+  ]);
+  
+  return filePath
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .map(part => part.toLowerCase())
+    .filter(part => part.length > 1 && !ignored.has(part));
+}
+
+module.exports = {
+  extractTerms,
+  termOverlap,
+  extractPathKeywords
+};
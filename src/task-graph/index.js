@@ -0,0 +1,342 @@
+/**
+ * 任务依赖图入口文件
+ * 负责分析任务间的依赖关系：环检测、拓扑排序、关键路径和并行分组
+ */
+
+const { renderAscii, renderMermaid } = require('./modules/graph-renderer');
+
+class TaskGraph {
+  constructor(tasks = [], config = {}) {
+    this.config = {
+      defaultEstimate: 1, // 未提供预估工时时的默认值（天）
+      ...config
+    };
+    
+    this.build(tasks);
+  }
+  
+  /**
+   * 根据任务列表构建依赖图
+   * 边的方向为 依赖任务 → 被依赖方（A → B 表示 B 依赖 A）
+   * @param {Array} tasks - 任务数组（需包含 id 和 dependencies）
+   */
+  build(tasks) {
+    this.tasks = new Map();
+    this.dependents = new Map(); // 任务ID -> 依赖它的任务ID集合
+    this.dependencies = new Map(); // 任务ID -> 它依赖的任务ID集合
+    this.missingDependencies = [];
+    
+    for (const task of tasks) {
+      if (!task || !task.id) {
+        throw new Error('Every task must have an id');
+      }
+      
+      this.tasks.set(task.id, task);
+      this.dependents.set(task.id, new Set());
+      this.dependencies.set(task.id, new Set());
+    }
+    
+    for (const task of tasks) {
+      for (const dependencyId of task.dependencies || []) {
+        if (!this.tasks.has(dependencyId)) {
+          this.missingDependencies.push({ taskId: task.id, dependencyId });
+          continue;
+        }
+        
+        this.dependencies.get(task.id).add(dependencyId);
+        this.dependents.get(dependencyId).add(task.id);
+      }
+    }
+  }
+  
+  /**
+   * 获取任务的预估工时
+   * @param {string} taskId - 任务ID
+   * @returns {number} - 预估工时（天）
+   */
+  getEstimate(taskId) {
+    const estimate = Number(this.tasks.get(taskId).estimatedDays);
+    return Number.isFinite(estimate) && estimate >= 0 ? estimate : this.config.defaultEstimate;
+  }
+  
+  /**
+   * 检测依赖环（Tarjan强连通分量算法）
+   * @returns {Array} - 依赖环数组，格式为 [{ tasks: [{ id, title }], path }]
+   */
+  detectCycles() {
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    
+    const strongConnect = (taskId) => {
+      indices.set(taskId, index);
+      lowLinks.set(taskId, index);
+      index++;
+      stack.push(taskId);
+      onStack.add(taskId);
+      
+      for (const next of this.dependents.get(taskId)) {
+        if (!indices.has(next)) {
+          strongConnect(next);
+          lowLinks.set(taskId, Math.min(lowLinks.get(taskId), lowLinks.get(next)));
+        } else if (onStack.has(next)) {
+          lowLinks.set(taskId, Math.min(lowLinks.get(taskId), indices.get(next)));
+        }
+      }
+      
+      if (lowLinks.get(taskId) === indices.get(taskId)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== taskId);
+        
+        components.push(component.reverse());
+      }
+    };
+    
+    for (const taskId of this.tasks.keys()) {
+      if (!indices.has(taskId)) {
+        strongConnect(taskId);
+      }
+    }
+    
+    return components
+      .filter(component =>
+        component.length > 1 || this.dependencies.get(component[0]).has(component[0])
+      )
+      .map(component => ({
+        tasks: component.map(id => ({ id, title: this.tasks.get(id).title || '' })),
+        path: this.describeCycle(component)
+      }));
+  }
+  
+  /**
+   * 生成依赖环的可读路径（如 FE-001 → FE-002 → FE-001）
+   * @param {Array<string>} component - 强连通分量中的任务ID
+   * @returns {string} - 环路径
+   */
+  describeCycle(component) {
+    const members = new Set(component);
+    const start = component[0];
+    const path = [start];
+    const visited = new Set([start]);
+    let current = start;
+    
+    // 沿分量内的边行走，直到回到起点或无路可走
+    while (true) {
+      const nextIds = [...this.dependents.get(current)].filter(id => members.has(id));
+      const next = nextIds.find(id => id === start) || nextIds.find(id => !visited.has(id));
+      
+      if (!next) {
+        break;
+      }
+      
+      path.push(next);
+      if (next === start) {
+        break;
+      }
+      
+      visited.add(next);
+      current = next;
+    }
+    
+    return path.join(' → ');
+  }
+  
+  /**
+   * 计算拓扑执行顺序（Kahn算法，同层按任务原始顺序）
+   * @returns {Object} - { order: 可执行顺序, blocked: 因依赖环无法排序的任务 }
+   */
+  getTopologicalOrder() {
+    const inDegree = new Map();
+    for (const [taskId, deps] of this.dependencies) {
+      inDegree.set(taskId, deps.size);
+    }
+    
+    const position = new Map([...this.tasks.keys()].map((id, i) => [id, i]));
+    const queue = [...this.tasks.keys()].filter(id => inDegree.get(id) === 0);
+    const order = [];
+    
+    while (queue.length > 0) {
+      queue.sort((a, b) => position.get(a) - position.get(b));
+      const taskId = queue.shift();
+      order.push(taskId);
+      
+      for (const next of this.dependents.get(taskId)) {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) {
+          queue.push(next);
+        }
+      }
+    }
+    
+    const scheduled = new Set(order);
+    const blocked = [...this.tasks.keys()].filter(id => !scheduled.has(id));
+    
+    return { order, blocked };
+  }
+  
+  /**
+   * 计算关键路径及每个任务的最早/最晚开始时间和浮动时间
+   * @returns {Object} - 关键路径结果
+   */
+  getCriticalPath() {
+    const { order, blocked } = this.getTopologicalOrder();
+    const schedule = new Map();
+    
+    // 正向计算最早开始/结束时间
+    for (const taskId of order) {
+      let earliestStart = 0;
+      for (const dep of this.dependencies.get(taskId)) {
+        earliestStart = Math.max(earliestStart, schedule.get(dep).earliestFinish);
+      }
+      
+      schedule.set(taskId, {
+        earliestStart,
+        earliestFinish: earliestStart + this.getEstimate(taskId)
+      });
+    }
+    
+    const totalDays = order.reduce((max, id) => Math.max(max, schedule.get(id).earliestFinish), 0);
+    
+    // 反向计算最晚开始/结束时间
+    for (const taskId of [...order].reverse()) {
+      let latestFinish = totalDays;
+      for (const next of this.dependents.get(taskId)) {
+        if (schedule.has(next)) {
+          latestFinish = Math.min(latestFinish, schedule.get(next).latestStart);
+        }
+      }
+      
+      const entry = schedule.get(taskId);
+      entry.latestFinish = latestFinish;
+      entry.latestStart = latestFinish - this.getEstimate(taskId);
+      entry.slack = roundDays(entry.latestStart - entry.earliestStart);
+    }
+    
+    // 从最早结束时间等于总工期的任务回溯关键路径
+    const path = [];
+    let current = order
+      .filter(id => schedule.get(id).slack === 0)
+      .find(id => schedule.get(id).earliestFinish === totalDays);
+    
+    while (current) {
+      path.unshift(current);
+      const start = schedule.get(current).earliestStart;
+      current = [...this.dependencies.get(current)].find(dep =>
+        schedule.get(dep).slack === 0 && schedule.get(dep).earliestFinish === start
+      );
+    }
+    
+    const tasks = {};
+    for (const [taskId, entry] of schedule) {
+      tasks[taskId] = {
+        earliestStart: roundDays(entry.earliestStart),
+        earliestFinish: roundDays(entry.earliestFinish),
+        latestStart: roundDays(entry.latestStart),
+        latestFinish: roundDays(entry.latestFinish),
+        slack: entry.slack
+      };
+    }
+    
+    return {
+      path,
+      totalDays: roundDays(totalDays),
+      tasks,
+      blocked
+    };
+  }
+  
+  /**
+   * 将任务分组为可并行执行的泳道
+   * 同一泳道内的任务互不依赖，且其依赖都在之前的泳道中
+   * @returns {Array} - 泳道数组，格式为 [{ lane, tasks, estimatedDays }]
+   */
+  getParallelLanes() {
+    const { order } = this.getTopologicalOrder();
+    const levels = new Map();
+    
+    for (const taskId of order) {
+      let level = 0;
+      for (const dep of this.dependencies.get(taskId)) {
+        level = Math.max(level, levels.get(dep) + 1);
+      }
+      levels.set(taskId, level);
+    }
+    
+    const lanes = [];
+    for (const taskId of order) {
+      const level = levels.get(taskId);
+      if (!lanes[level]) {
+        lanes[level] = { lane: level + 1, tasks: [], estimatedDays: 0 };
+      }
+      
+      lanes[level].tasks.push(taskId);
+      lanes[level].estimatedDays = Math.max(lanes[level].estimatedDays, this.getEstimate(taskId));
+    }
+    
+    return lanes;
+  }
+  
+  /**
+   * 渲染ASCII依赖图
+   * @returns {string} - ASCII文本
+   */
+  renderAscii() {
+    return renderAscii(this, this.getCriticalPath().path);
+  }
+  
+  /**
+   * 渲染Mermaid依赖图
+   * @param {Object} options - 渲染选项（direction: TD/LR）
+   * @returns {string} - Mermaid文本
+   */
+  renderMermaid(options = {}) {
+    return renderMermaid(this, this.getCriticalPath().path, options);
+  }
+  
+  /**
+   * 完整分析任务依赖图
+   * @returns {Object} - 分析结果
+   */
+  analyze() {
+    const cycles = this.detectCycles();
+    const { order, blocked } = this.getTopologicalOrder();
+    const criticalPath = this.getCriticalPath();
+    
+    return {
+      valid: cycles.length === 0 && this.missingDependencies.length === 0,
+      cycles,
+      missingDependencies: this.missingDependencies,
+      executionOrder: order,
+      blocked,
+      criticalPath: {
+        path: criticalPath.path,
+        totalDays: criticalPath.totalDays
+      },
+      schedule: criticalPath.tasks,
+      lanes: this.getParallelLanes(),
+      diagrams: {
+        ascii: renderAscii(this, criticalPath.path),
+        mermaid: renderMermaid(this, criticalPath.path)
+      }
+    };
+  }
+}
+
+/**
+ * 工时取两位小数，避免浮点误差
+ * @param {number} days - 工时
+ * @returns {number} - 处理后的工时
+ */
+function roundDays(days) {
+  return Math.round(days * 100) / 100;
+}
+
+module.exports = TaskGraph;
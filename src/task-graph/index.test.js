@@ -0,0 +1,102 @@
+/**
+ * 任务依赖图测试
+ */
+
+const TaskGraph = require('./index');
+
+// A → B → D 与 A → C → D 两条路径，B 的工时更长
+const TASKS = [
+  { id: 'A', title: '设计接口', estimatedDays: 1, dependencies: [] },
+  { id: 'B', title: '实现后端', estimatedDays: 3, dependencies: ['A'] },
+  { id: 'C', title: '实现前端', estimatedDays: 2, dependencies: ['A'] },
+  { id: 'D', title: '联调测试', estimatedDays: 1, dependencies: ['B', 'C'] }
+];
+
+describe('TaskGraph', () => {
+  describe('detectCycles', () => {
+    test('finds no cycles in an acyclic graph', () => {
+      expect(new TaskGraph(TASKS).detectCycles()).toEqual([]);
+    });
+    
+    test('reports each cycle with its tasks and path', () => {
+      const graph = new TaskGraph([
+        { id: 'A', title: '登录页', dependencies: ['C'] },
+        { id: 'B', title: '登录接口', dependencies: ['A'] },
+        { id: 'C', title: '用户表', dependencies: ['B'] },
+        { id: 'D', title: '部署', dependencies: ['A'] }
+      ]);
+      
+      const cycles = graph.detectCycles();
+      
+      expect(cycles).toHaveLength(1);
+      expect(cycles[0].tasks.map(task => task.id).sort()).toEqual(['A', 'B', 'C']);
+      expect(cycles[0].path.split(' → ')).toHaveLength(4);
+      expect(cycles[0].path).toMatch(/^(\w) → \w → \w → \1$/);
+    });
+    
+    test('reports a task that depends on itself', () => {
+      const cycles = new TaskGraph([{ id: 'A', title: '自依赖', dependencies: ['A'] }]).detectCycles();
+      
+      expect(cycles).toEqual([{ tasks: [{ id: 'A', title: '自依赖' }], path: 'A → A' }]);
+    });
+    
+    test('leaves tasks in a cycle out of the execution order', () => {
+      const graph = new TaskGraph([
+        { id: 'A', dependencies: [] },
+        { id: 'B', dependencies: ['A', 'C'] },
+        { id: 'C', dependencies: ['B'] }
+      ]);
+      
+      expect(graph.getTopologicalOrder()).toEqual({ order: ['A'], blocked: ['B', 'C'] });
+      expect(graph.analyze().valid).toBe(false);
+    });
+  });
+  
+  describe('getCriticalPath', () => {
+    test('follows the longest chain of estimates', () => {
+      const { path, totalDays, tasks } = new TaskGraph(TASKS).getCriticalPath();
+      
+      expect(path).toEqual(['A', 'B', 'D']);
+      expect(totalDays).toBe(5);
+      expect(tasks.C).toEqual({ earliestStart: 1, earliestFinish: 3, latestStart: 2, latestFinish: 4, slack: 1 });
+      expect(tasks.D).toMatchObject({ earliestStart: 4, slack: 0 });
+    });
+    
+    test('uses the default estimate for tasks without a valid estimate', () => {
+      const graph = new TaskGraph([
+        { id: 'A', dependencies: [] },
+        { id: 'B', estimatedDays: 'unknown', dependencies: ['A'] }
+      ], { defaultEstimate: 2 });
+      
+      expect(graph.getCriticalPath()).toMatchObject({ path: ['A', 'B'], totalDays: 4 });
+    });
+    
+    test('rounds fractional estimates to two decimals', () => {
+      const graph = new TaskGraph([
+        { id: 'A', estimatedDays: 0.1, dependencies: [] },
+        { id: 'B', estimatedDays: 0.2, dependencies: ['A'] }
+      ]);
+      
+      expect(graph.getCriticalPath().totalDays).toBe(0.3);
+    });
+  });
+  
+  test('records dependencies on unknown tasks', () => {
+    const graph = new TaskGraph([{ id: 'A', dependencies: ['X'] }]);
+    
+    expect(graph.missingDependencies).toEqual([{ taskId: 'A', dependencyId: 'X' }]);
+    expect(graph.analyze().valid).toBe(false);
+  });
+  
+  test('groups independent tasks into parallel lanes', () => {
+    expect(new TaskGraph(TASKS).getParallelLanes()).toEqual([
+      { lane: 1, tasks: ['A'], estimatedDays: 1 },
+      { lane: 2, tasks: ['B', 'C'], estimatedDays: 3 },
+      { lane: 3, tasks: ['D'], estimatedDays: 1 }
+    ]);
+  });
+  
+  test('rejects tasks without an id', () => {
+    expect(() => new TaskGraph([{ title: '无ID' }])).toThrow('Every task must have an id');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * 依赖图渲染器
+ * 将任务依赖图渲染为ASCII文本和Mermaid流程图
+ */
+
+/**
+ * 将依赖图拆分为链路（每条边只出现一次）
+ * 从拓扑序中的每个任务出发，沿未使用的边尽量延伸
+ * @param {Object} graph - TaskGraph 实例
+ * @returns {Array<Array<string>>} - 链路数组
+ */
+function buildChains(graph) {
+  const { order, blocked } = graph.getTopologicalOrder();
+  const usedEdges = new Set();
+  const chained = new Set();
+  const chains = [];
+  
+  for (const start of [...order, ...blocked]) {
+    let hasUnusedEdge = [...graph.dependents.get(start)].some(next => !usedEdges.has(`${start}->${next}`));
+    
+    while (hasUnusedEdge) {
+      const chain = [start];
+      let current = start;
+      
+      while (true) {
+        const next = [...graph.dependents.get(current)].find(id => !usedEdges.has(`${current}->${id}`));
+        if (!next) {
+          break;
+        }
+        
+        usedEdges.add(`${current}->${next}`);
+        chain.push(next);
+        current = next;
+      }
+      
+      chain.forEach(id => chained.add(id));
+      chains.push(chain);
+      hasUnusedEdge = [...graph.dependents.get(start)].some(next => !usedEdges.has(`${start}->${next}`));
+    }
+  }
+  
+  // 没有任何依赖关系的孤立任务单独成链
+  for (const taskId of graph.tasks.keys()) {
+    if (!chained.has(taskId)) {
+      chains.push([taskId]);
+    }
+  }
+  
+  return chains;
+}
+
+/**
+ * 渲染ASCII依赖图（格式与文档中的任务依赖关系图一致，A → B 表示 B 依赖 A）
+ * @param {Object} graph - TaskGraph 实例
+ * @param {Array<string>} criticalPath - 关键路径任务ID
+ * @returns {string} - ASCII文本
+ */
+function renderAscii(graph, criticalPath = []) {
+  const critical = new Set(criticalPath);
+  const lines = ['任务依赖关系图', ''];
+  
+  for (const chain of buildChains(graph)) {
+    lines.push(chain.map(id => (critical.has(id) ? `${id}*` : id)).join(' → '));
+  }
+  
+  lines.push('');
+  lines.push('任务列表:');
+  for (const [taskId, task] of graph.tasks) {
+    const marker = critical.has(taskId) ? '*' : ' ';
+    lines.push(`${marker} ${taskId} ${task.title || ''} (${graph.getEstimate(taskId)}天)`);
+  }
+  
+  if (criticalPath.length > 0) {
+    lines.push('');
+    lines.push(`关键路径(*): ${criticalPath.join(' → ')}`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * 渲染Mermaid流程图
+ * @param {Object} graph - TaskGraph 实例
+ * @param {Array<string>} criticalPath - 关键路径任务ID
+ * @param {Object} options - 渲染选项（direction: TD/LR）
+ * @returns {string} - Mermaid文本
+ */
+function renderMermaid(graph, criticalPath = [], options = {}) {
+  const direction = options.direction || 'LR';
+  const nodeId = id => id.replace(/[^A-Za-z0-9_]/g, '_');
+  const escape = text => String(text).replace(/"/g, '#quot;');
+  const lines = [`graph ${direction}`];
+  
+  for (const [taskId, task] of graph.tasks) {
+    const label = `${taskId} ${task.title || ''}<br/>${graph.getEstimate(taskId)}天`;
+    lines.push(`  ${nodeId(taskId)}["${escape(label)}"]`);
+  }
+  
+  for (const [taskId, dependents] of graph.dependents) {
+    for (const next of dependents) {
+      lines.push(`  ${nodeId(taskId)} --> ${nodeId(next)}`);
+    }
+  }
+  
+  if (criticalPath.length > 0) {
+    lines.push('  classDef critical fill:#ffe0e0,stroke:#d33,stroke-width:2px;');
+    lines.push(`  class ${criticalPath.map(nodeId).join(',')} critical;`);
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildChains,
+  renderAscii,
+  renderMermaid
+};
@@ -0,0 +1,68 @@
+/**
+ * 内存存储模块
+ * 按集合保存解析后的PRD、任务拆分结果等运行期数据
+ */
+
+const crypto = require('crypto');
+
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+  
+  /**
+   * 获取集合
+   * @param {string} name - 集合名称
+   * @returns {Map} - 集合
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    
+    return this.collections.get(name);
+  }
+  
+  /**
+   * 保存记录
+   * @param {string} name - 集合名称
+   * @param {Object} record - 记录
+   * @param {string} id - 记录ID（不传时自动生成）
+   * @returns {string} - 记录ID
+   */
+  save(name, record, id = crypto.randomUUID()) {
+    this.collection(name).set(id, record);
+    return id;
+  }
+  
+  /**
+   * 获取记录
+   * @param {string} name - 集合名称
+   * @param {string} id - 记录ID
+   * @returns {Object|null} - 记录
+   */
+  get(name, id) {
+    return this.collection(name).get(id) || null;
+  }
+  
+  /**
+   * 列出集合中的全部记录
+   * @param {string} name - 集合名称
+   * @returns {Array} - 记录数组 [{ id, record }]
+   */
+  list(name) {
+    return Array.from(this.collection(name), ([id, record]) => ({ id, record }));
+  }
+  
+  /**
+   * 删除记录
+   * @param {string} name - 集合名称
+   * @param {string} id - 记录ID
+   * @returns {boolean} - 是否删除成功
+   */
+  remove(name, id) {
+    return this.collection(name).delete(id);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,34 @@
+/**
+ * 路径工具模块
+ * 校验由请求参数拼接出的文件路径，防止读写允许目录之外的文件
+ */
+
+const path = require('path');
+
+/**
+ * 判断路径是否位于目录之内（目录本身不算）
+ * @param {string} baseDir - 允许的目录
+ * @param {string} targetPath - 待检查的路径
+ * @returns {boolean} - 是否位于目录之内
+ */
+function isPathInside(baseDir, targetPath) {
+  const relative = path.relative(path.resolve(baseDir), path.resolve(targetPath));
+  
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * 将任意字符串转换为可用作文件名的片段：路径分隔符、点号开头和其他特殊字符替换为连字符
+ * @param {string} value - 原始字符串
+ * @returns {string} - 文件名片段
+ */
+function toSafeFileName(value) {
+  const name = String(value).replace(/[^\w.-]+/g, '-').replace(/^[.-]+/, '');
+  
+  return name || 'untitled';
+}
+
+module.exports = {
+  isPathInside,
+  toSafeFileName
+};
@@ -0,0 +1,190 @@
+/**
+ * 路由工具模块
+ * 提供路由共用的异步处理、错误构造和模块获取功能
+ */
+
+/**
+ * 包装异步路由处理函数，将异常交给错误处理中间件
+ * @param {Function} handler - 异步处理函数
+ * @returns {Function} - Express中间件
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+/**
+ * 创建带HTTP状态码的错误
+ * @param {number} status - HTTP状态码
+ * @param {string} message - 错误信息
+ * @returns {Error} - 错误对象
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 创建路由级错误处理中间件：按错误码为各模块抛出的错误设置HTTP状态码，再交给应用的错误处理中间件
+ * @param {Object} statusByCode - 错误码 -> HTTP状态码
+ * @returns {Function} - Express错误处理中间件
+ */
+function mapErrorStatus(statusByCode) {
+  return (err, req, res, next) => {
+    if (!err.status && statusByCode[err.code]) {
+      err.status = statusByCode[err.code];
+    }
+    
+    next(err);
+  };
+}
+
+/**
+ * 获取系统模块实例
+ * @param {Object} req - 请求对象
+ * @param {string} name - 模块名称
+ * @returns {Object} - 模块实例
+ */
+function getModule(req, name) {
+  const modules = req.app.locals.modules;
+  
+  if (!modules || !modules[name]) {
+    throw createHttpError(503, `Module ${name} is not initialized`);
+  }
+  
+  return modules[name];
+}
+
+/**
+ * 获取存储实例
+ * @param {Object} req - 请求对象
+ * @returns {Object} - 存储实例
+ */
+function getStore(req) {
+  const store = req.app.locals.store;
+  
+  if (!store) {
+    throw createHttpError(503, 'Store is not initialized');
+  }
+  
+  return store;
+}
+
+/**
+ * 根据请求体获取任务：直接传入 task，或通过 prdId + taskId 从已拆分的任务中查找
+ * @param {Object} store - 存储实例
+ * @param {Object} body - 请求体
+ * @returns {Object} - 任务对象
+ */
+function resolveTask(store, body = {}) {
+  if (body.task) {
+    if (!body.task.id) {
+      throw createHttpError(400, 'task.id is required');
+    }
+    
+    return body.task;
+  }
+  
+  if (!body.prdId || !body.taskId) {
+    throw createHttpError(400, 'Either task or prdId and taskId are required');
+  }
+  
+  const decomposition = store.get('decompositions', body.prdId);
+  if (!decomposition) {
+    throw createHttpError(404, `No tasks found for PRD: ${body.prdId}`);
+  }
+  
+  const task = decomposition.tasks.find(item => item.id === body.taskId);
+  if (!task) {
+    throw createHttpError(404, `Task not found: ${body.taskId}`);
+  }
+  
+  return task;
+}
+
+/**
+ * 为任务生成提示词
+ * 未传入代码修改建议且代码映射引擎已初始化时，先映射任务获取建议
+ * 通过 prdId 生成时，使用PRD中的项目背景、技术栈和接口规范作为默认值
+ * 项目根目录为代码映射引擎的代码库路径，用于读取项目覆盖模板和转换文件引用
+ * @param {Object} req - 请求对象
+ * @param {Array} tasks - 任务数组
+ * @param {Object} suggestionsByTask - 任务ID到代码修改建议的映射
+ * @returns {Promise<Array>} - 提示词结果数组
+ */
+async function generateTaskPrompts(req, tasks, suggestionsByTask = {}) {
+  const promptGenerator = getModule(req, 'promptGenerator');
+  const codeMappingEngine = getModule(req, 'codeMappingEngine');
+  const body = req.body || {};
+  
+  const record = body.prdId ? getStore(req).get('prds', body.prdId) : null;
+  const prd = record ? record.prd : {};
+  const appendix = prd.technicalAppendix || {};
+  
+  const options = {
+    editor: body.editor,
+    // 项目模板只从已初始化的代码库中读取，不接受请求指定的目录
+    projectDir: codeMappingEngine.codebasePath || undefined,
+    projectContext: body.projectContext || (prd.overview && prd.overview.background) || undefined,
+    techStack: body.techStack || appendix.techStack || [],
+    codeStyle: body.codeStyle,
+    apiSpec: body.apiSpec || appendix.apiSpec || undefined,
+    businessRules: body.businessRules || []
+  };
+  
+  const results = [];
+  for (const task of tasks) {
+    let suggestions = suggestionsByTask[task.id];
+    if (!suggestions && codeMappingEngine.codeIndex) {
+      suggestions = await codeMappingEngine.generateCodeModificationSuggestions(task);
+    }
+    
+    results.push(await promptGenerator.generatePrompt(task, suggestions || {}, options));
+  }
+  
+  return results;
+}
+
+/**
+ * 根据请求体获取一组任务：{ tasks }，或 { prdId, taskIds }（不传 taskIds 时为全部任务）
+ * @param {Object} store - 存储实例
+ * @param {Object} body - 请求体
+ * @returns {Array} - 任务数组
+ */
+function resolveTasks(store, body = {}) {
+  if (Array.isArray(body.tasks)) {
+    if (body.tasks.some(task => !task || !task.id)) {
+      throw createHttpError(400, 'Every task must have an id');
+    }
+    
+    return body.tasks;
+  }
+  
+  if (!body.prdId) {
+    throw createHttpError(400, 'Either tasks or prdId is required');
+  }
+  
+  const decomposition = store.get('decompositions', body.prdId);
+  if (!decomposition) {
+    throw createHttpError(404, `No tasks found for PRD: ${body.prdId}`);
+  }
+  
+  if (!Array.isArray(body.taskIds)) {
+    return decomposition.tasks;
+  }
+  
+  return body.taskIds.map(taskId => resolveTask(store, { prdId: body.prdId, taskId }));
+}
+
+module.exports = {
+  asyncHandler,
+  createHttpError,
+  mapErrorStatus,
+  getModule,
+  getStore,
+  resolveTask,
+  resolveTasks,
+  generateTaskPrompts
+};